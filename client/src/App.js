@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { 
   Activity, 
   FileText, 
@@ -6,22 +6,39 @@ import {
   ShieldAlert,
   Trash2,
   Download,
+  FileDown,
+  Upload,
   Edit3,
   CornerDownRight,
-  CircuitBoard
+  CircuitBoard,
+  OctagonPause,
+  SignalLow,
+  Zap,
+  Route
 } from 'lucide-react';
 import RequestLogs from './components/RequestLogs';
 import LocalResources from './components/LocalResources';
+import MapLocal from './components/MapLocal';
 import BlockedResources from './components/BlockedResources';
 import FilterRules from './components/FilterRules';
 import EditRules from './components/EditRules';
+import Breakpoints from './components/Breakpoints';
+import NetworkConditions, { NetworkConditionBadge } from './components/NetworkConditions';
+import FaultRules from './components/FaultRules';
+import MapRemote from './components/MapRemote';
+import Sessions from './components/Sessions';
+import Profiles from './components/Profiles';
+import RuleBundle from './components/RuleBundle';
+import Recording from './components/Recording';
+import ProtoSchemas from './components/ProtoSchemas';
 import Modal from './components/Modal';
 import { useModal } from './hooks/useModal';
+import { useLiveEvents } from './hooks/useLiveEvents';
 import axios from 'axios';
 import AuditPanel from './components/AuditPanel';
 
 function App() {
-  const { modalState, closeModal, showConfirm, showAlert } = useModal();
+  const { modalState, closeModal, showConfirm, showPrompt, showAlert } = useModal();
   const [activeTab, setActiveTab] = useState('logs');
   const [resources, setResources] = useState([]);
   const [blockedCount, setBlockedCount] = useState(0);
@@ -31,19 +48,26 @@ function App() {
   const [editedRequests, setEditedRequests] = useState(0);
   const [filteredLogsCount, setFilteredLogsCount] = useState(0);
   const [exportLogsFunc, setExportLogsFunc] = useState(null);
+  const harImportInputRef = useRef(null);
   const [interactiveMode, setInteractiveMode] = useState(true);
   const [editRulesEnabled, setEditRulesEnabled] = useState(true);
   const [localResourcesEnabled, setLocalResourcesEnabled] = useState(true);
   const [filterRulesEnabled, setFilterRulesEnabled] = useState(true);
   const [blockedRulesEnabled, setBlockedRulesEnabled] = useState(true);
+  const [breakpointsEnabled, setBreakpointsEnabled] = useState(true);
+  const [networkConditionsEnabled, setNetworkConditionsEnabled] = useState(true);
+  const [faultRulesEnabled, setFaultRulesEnabled] = useState(true);
+  const [mapRemoteEnabled, setMapRemoteEnabled] = useState(true);
   const [filterMode, setFilterMode] = useState('ignore');
   const [logsRefreshToken, setLogsRefreshToken] = useState(0);
+  const [viewedSessionId, setViewedSessionId] = useState(null);
   const [jsonPathRuleSeed, setJsonPathRuleSeed] = useState(null);
   const [stats, setStats] = useState({
     total: 0,
     served: 0,
     proxied: 0,
     blocked: 0,
+    faults: 0,
     redirected: 0,
     errors: 0
   });
@@ -52,53 +76,59 @@ function App() {
   const [dashboardRoutes, setDashboardRoutes] = useState(null);
   const [showAuditPanel, setShowAuditPanel] = useState(false);
 
+  // Apply a dashboard payload, either fetched or pushed by the live stream
+  const applyDashboardData = useCallback((data) => {
+    const {
+      stats: serverStats = {},
+      resources: resourceEntries = [],
+      blocked: blockedList = [],
+      filterMetrics = {},
+      editedRequests: editedValue = 0,
+      performance: performanceData = null,
+      payloads: payloadData = null,
+      routes: routesData = null
+    } = data || {};
+
+    const totalLogged = serverStats.total ?? 0;
+    const totalBypassed = filterMetrics.totalFiltered ?? 0;
+
+    setResources(resourceEntries);
+    setBlockedCount(blockedList.length);
+
+    // Processed: requests that go through the proxy internals and are
+    // neither blocked nor redirected. Computed on the backend.
+    const processedValue = serverStats.processed ?? Math.max(0, totalLogged - (serverStats.blocked ?? 0));
+    setFilteredRequests(processedValue);
+
+    setFilterRuleCount(filterMetrics.activeRules ?? 0);
+    setEditedRequests(editedValue);
+    setStats({
+      // Overall logged traffic (HTTP/HTTPS/WebSocket). Bypassed/redirected
+      // flows are logged as 'direct'/'tunnel' and already included in
+      // totalLogged, so we do not add totalBypassed again to avoid
+      // double-counting.
+      total: totalLogged,
+      served: serverStats.served ?? 0,
+      proxied: serverStats.proxied ?? 0,
+      blocked: serverStats.blocked ?? 0,
+      faults: serverStats.faults ?? 0,
+      redirected: totalBypassed,
+      errors: serverStats.errors ?? 0
+    });
+    setDashboardPerformance(performanceData || null);
+    setDashboardPayloads(payloadData || null);
+    setDashboardRoutes(routesData || null);
+  }, []);
+
   const fetchDashboard = useCallback(async () => {
     if (!interactiveMode) return;
     try {
       const response = await axios.get('/api/dashboard');
-      const {
-        stats: serverStats = {},
-        resources: resourceEntries = [],
-        blocked: blockedList = [],
-        filterMetrics = {},
-        editedRequests: editedValue = 0,
-        performance: performanceData = null,
-        payloads: payloadData = null,
-        routes: routesData = null
-      } = response.data || {};
-
-      const totalLogged = serverStats.total ?? 0;
-      const totalBypassed = filterMetrics.totalFiltered ?? 0;
-
-      setResources(resourceEntries);
-      setBlockedCount(blockedList.length);
-
-      // Processed: requests that go through the proxy internals and are
-      // neither blocked nor redirected. Computed on the backend.
-      const processedValue = serverStats.processed ?? Math.max(0, totalLogged - (serverStats.blocked ?? 0));
-      setFilteredRequests(processedValue);
-
-      setFilterRuleCount(filterMetrics.activeRules ?? 0);
-      setEditedRequests(editedValue);
-      setStats({
-        // Overall logged traffic (HTTP/HTTPS/WebSocket). Bypassed/redirected
-        // flows are logged as 'direct'/'tunnel' and already included in
-        // totalLogged, so we do not add totalBypassed again to avoid
-        // double-counting.
-        total: totalLogged,
-        served: serverStats.served ?? 0,
-        proxied: serverStats.proxied ?? 0,
-        blocked: serverStats.blocked ?? 0,
-        redirected: totalBypassed,
-        errors: serverStats.errors ?? 0
-      });
-      setDashboardPerformance(performanceData || null);
-      setDashboardPayloads(payloadData || null);
-      setDashboardRoutes(routesData || null);
+      applyDashboardData(response.data);
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     }
-  }, [interactiveMode]);
+  }, [interactiveMode, applyDashboardData]);
 
   const deleteResource = useCallback(async (url) => {
     try {
@@ -125,36 +155,59 @@ function App() {
     }
   }, []);
 
+  const fetchConfig = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/config');
+      setInteractiveMode(response.data.interactiveModeEnabled);
+      if (typeof response.data.editRulesEnabled === 'boolean') {
+        setEditRulesEnabled(response.data.editRulesEnabled);
+      }
+      if (typeof response.data.localResourcesEnabled === 'boolean') {
+        setLocalResourcesEnabled(response.data.localResourcesEnabled);
+      }
+      if (typeof response.data.filterRulesEnabled === 'boolean') {
+        setFilterRulesEnabled(response.data.filterRulesEnabled);
+      }
+      if (typeof response.data.blockedRulesEnabled === 'boolean') {
+        setBlockedRulesEnabled(response.data.blockedRulesEnabled);
+      }
+      if (typeof response.data.breakpointsEnabled === 'boolean') {
+        setBreakpointsEnabled(response.data.breakpointsEnabled);
+      }
+      if (typeof response.data.networkConditionsEnabled === 'boolean') {
+        setNetworkConditionsEnabled(response.data.networkConditionsEnabled);
+      }
+      if (typeof response.data.faultRulesEnabled === 'boolean') {
+        setFaultRulesEnabled(response.data.faultRulesEnabled);
+      }
+      if (typeof response.data.mapRemoteEnabled === 'boolean') {
+        setMapRemoteEnabled(response.data.mapRemoteEnabled);
+      }
+      if (response.data.filterMode) {
+        setFilterMode(response.data.filterMode === 'focus' ? 'focus' : 'ignore');
+      }
+      if (typeof response.data.filteredRequestCount === 'number') {
+        setFilteredRequests(response.data.filteredRequestCount);
+      }
+    } catch (error) {
+      console.error('Error fetching config:', error);
+    }
+  }, []);
+
   // Fetch config on mount
   useEffect(() => {
-    const fetchConfig = async () => {
-      try {
-        const response = await axios.get('/api/config');
-        setInteractiveMode(response.data.interactiveModeEnabled);
-        if (typeof response.data.editRulesEnabled === 'boolean') {
-          setEditRulesEnabled(response.data.editRulesEnabled);
-        }
-        if (typeof response.data.localResourcesEnabled === 'boolean') {
-          setLocalResourcesEnabled(response.data.localResourcesEnabled);
-        }
-        if (typeof response.data.filterRulesEnabled === 'boolean') {
-          setFilterRulesEnabled(response.data.filterRulesEnabled);
-        }
-        if (typeof response.data.blockedRulesEnabled === 'boolean') {
-          setBlockedRulesEnabled(response.data.blockedRulesEnabled);
-        }
-        if (response.data.filterMode) {
-          setFilterMode(response.data.filterMode === 'focus' ? 'focus' : 'ignore');
-        }
-        if (typeof response.data.filteredRequestCount === 'number') {
-          setFilteredRequests(response.data.filteredRequestCount);
-        }
-      } catch (error) {
-        console.error('Error fetching config:', error);
-      }
-    };
     fetchConfig();
-  }, []);
+  }, [fetchConfig]);
+
+  // Dashboard snapshots and rule changes are pushed by the server; polling is
+  // only a fallback while the live stream is disconnected.
+  const liveConnected = useLiveEvents(interactiveMode ? ['dashboard', 'rules'] : ['rules'], {
+    dashboard: applyDashboardData,
+    'rules-changed': ({ kind }) => {
+      if (kind === 'edit-rules') fetchEditRuleCount();
+      if (kind === 'config') fetchConfig();
+    }
+  });
 
   useEffect(() => {
     if (interactiveMode) {
@@ -162,6 +215,8 @@ function App() {
     }
     fetchEditRuleCount();
 
+    if (liveConnected) return undefined;
+
     const interval = setInterval(() => {
       if (interactiveMode) {
         fetchDashboard();
@@ -169,7 +224,7 @@ function App() {
       fetchEditRuleCount();
     }, 2000);
     return () => clearInterval(interval);
-  }, [interactiveMode, fetchDashboard, fetchEditRuleCount]);
+  }, [interactiveMode, liveConnected, fetchDashboard, fetchEditRuleCount]);
 
   // Update interactive mode on server
   const handleInteractiveModeChange = useCallback(async (enabled) => {
@@ -221,6 +276,43 @@ function App() {
     }
   }, []);
 
+  // Update breakpoints mode on server (disabling releases paused requests)
+  const handleBreakpointsModeChange = useCallback(async (enabled) => {
+    try {
+      await axios.post('/api/breakpoints-mode', { enabled });
+      setBreakpointsEnabled(enabled);
+    } catch (error) {
+      console.error('Failed to set breakpoints mode:', error);
+    }
+  }, []);
+
+  const handleNetworkConditionsModeChange = useCallback(async (enabled) => {
+    try {
+      await axios.post('/api/network-conditions-mode', { enabled });
+      setNetworkConditionsEnabled(enabled);
+    } catch (error) {
+      console.error('Failed to set network conditions mode:', error);
+    }
+  }, []);
+
+  const handleFaultRulesModeChange = useCallback(async (enabled) => {
+    try {
+      await axios.post('/api/faults-mode', { enabled });
+      setFaultRulesEnabled(enabled);
+    } catch (error) {
+      console.error('Failed to set fault injection mode:', error);
+    }
+  }, []);
+
+  const handleMapRemoteModeChange = useCallback(async (enabled) => {
+    try {
+      await axios.post('/api/map-remote-mode', { enabled });
+      setMapRemoteEnabled(enabled);
+    } catch (error) {
+      console.error('Failed to set map remote mode:', error);
+    }
+  }, []);
+
   const handleFilterModeChange = useCallback(async (mode) => {
     try {
       const normalized = mode === 'focus' ? 'focus' : 'ignore';
@@ -232,6 +324,29 @@ function App() {
     }
   }, []);
 
+  // Load a HAR file (e.g. saved from browser devtools) into the request logs
+  const handleHarImport = useCallback(async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const har = JSON.parse(await file.text());
+      const response = await axios.post('/api/logs/import/har', har);
+      const { imported = 0, skipped = 0 } = response.data || {};
+      setLogsRefreshToken(token => token + 1);
+      showAlert(
+        'HAR imported',
+        `Imported ${imported} ${imported === 1 ? 'entry' : 'entries'} from ${file.name}` +
+          (skipped > 0 ? `, skipped ${skipped} that could not be read.` : '.'),
+        'success'
+      );
+    } catch (error) {
+      const message = error.response?.data?.error || (error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message);
+      showAlert('HAR import failed', message, 'error');
+    }
+  }, [showAlert]);
+
   const handleCreateJsonPathRuleFromLogs = useCallback((seed) => {
     if (!seed) return;
     setJsonPathRuleSeed(seed);
@@ -306,6 +421,15 @@ function App() {
                     <p className="text-lg font-bold text-orange-400">{stats.blocked}</p>
                   </div>
                 </div>
+                {stats.faults > 0 && (
+                  <div className="flex items-center gap-2">
+                    <Zap className="w-5 h-5 text-fuchsia-400" />
+                    <div>
+                      <p className="text-xs text-slate-400">Faults</p>
+                      <p className="text-lg font-bold text-fuchsia-400">{stats.faults}</p>
+                    </div>
+                  </div>
+                )}
                 <div className="flex items-center gap-2">
                   <CornerDownRight className="w-5 h-5 text-blue-400" />
                   <div>
@@ -343,6 +467,29 @@ function App() {
             
             {/* Action Buttons - Right aligned */}
             <div className="flex items-center justify-end gap-2">
+              {/* Active network conditions */}
+              <NetworkConditionBadge
+                enabled={networkConditionsEnabled}
+                onClick={() => setActiveTab('network')}
+              />
+
+              {/* Profile switcher */}
+              <Profiles
+                onProfileActivated={fetchConfig}
+                showConfirm={showConfirm}
+                showPrompt={showPrompt}
+                showAlert={showAlert}
+              />
+
+              {/* Rule bundle export/import */}
+              <RuleBundle
+                onImported={() => {
+                  fetchDashboard();
+                  fetchEditRuleCount();
+                }}
+                showAlert={showAlert}
+              />
+
               {/* Interactive Mode Toggle - two-option pill like Ignore/Focus, ON on the left */}
               <div className="relative group/interactive-mode">
                 <div className="inline-flex items-center rounded-full bg-[#050508] border border-[#252525] p-0.5">
@@ -405,6 +552,55 @@ function App() {
                   </p>
                 </div>
               </div>
+
+              {/* Export HAR Button */}
+              <div className="relative group/export-har">
+                <button
+                  onClick={() => exportLogsFunc && exportLogsFunc('har')}
+                  disabled={!exportLogsFunc || filteredLogsCount === 0}
+                  className="p-2 bg-blue-600/20 hover:bg-blue-600/30 disabled:bg-slate-700/20 disabled:text-slate-600 text-blue-400 border border-blue-600/30 disabled:border-slate-600/30 rounded-lg transition-colors disabled:cursor-not-allowed"
+                >
+                  <FileDown className="w-4 h-4" />
+                </button>
+                <div
+                  className="invisible group-hover/export-har:visible absolute right-0 top-full mt-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+                  style={{ zIndex: 99999 }}
+                >
+                  <div className="font-semibold mb-1 text-slate-200">Export as HAR</div>
+                  <p>
+                    Save the filtered logs as a HAR 1.2 archive that browser devtools and other proxies can open.
+                  </p>
+                </div>
+              </div>
+
+              {/* Import HAR Button */}
+              <div className="relative group/import-har">
+                <button
+                  onClick={() => harImportInputRef.current && harImportInputRef.current.click()}
+                  disabled={!interactiveMode}
+                  className="p-2 bg-blue-600/20 hover:bg-blue-600/30 disabled:bg-slate-700/20 disabled:text-slate-600 text-blue-400 border border-blue-600/30 disabled:border-slate-600/30 rounded-lg transition-colors disabled:cursor-not-allowed"
+                >
+                  <Upload className="w-4 h-4" />
+                </button>
+                <input
+                  ref={harImportInputRef}
+                  type="file"
+                  accept=".har,application/json"
+                  onChange={handleHarImport}
+                  className="hidden"
+                />
+                <div
+                  className="invisible group-hover/import-har:visible absolute right-0 top-full mt-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+                  style={{ zIndex: 99999 }}
+                >
+                  <div className="font-semibold mb-1 text-slate-200">Import HAR</div>
+                  <p>
+                    {interactiveMode
+                      ? 'Load a HAR file into the request logs for offline inspection.'
+                      : 'Turn interactive mode on to import HAR files.'}
+                  </p>
+                </div>
+              </div>
               
               {/* Clear Logs Button */}
               <div className="relative group/clear-logs">
@@ -412,10 +608,11 @@ function App() {
                   onClick={async () => {
                     const confirmed = await showConfirm(
                       'Clear All Logs',
-                      'Are you sure you want to clear all logs? This action cannot be undone.'
+                      'Clear the request list? The cleared requests stay available as a saved session and new traffic is recorded into a new one.'
                     );
                     if (confirmed) {
                       await axios.delete('http://localhost:8080/api/logs');
+                      setViewedSessionId(null);
                       setLogsRefreshToken(token => token + 1);
                     }
                   }}
@@ -429,7 +626,7 @@ function App() {
                 >
                   <div className="font-semibold mb-1 text-slate-200">Clear logs</div>
                   <p>
-                    This will permanently delete all captured request logs from the current session.
+                    Empty the request list and start a new session. The cleared requests stay on disk and can be reopened from the session bar.
                   </p>
                 </div>
               </div>
@@ -506,26 +703,91 @@ function App() {
             <HardDrive className="w-4 h-4" />
             <span>Local ({resources.length})</span>
           </button>
+
+          <button
+            onClick={() => setActiveTab('breakpoints')}
+            className={`flex-1 inline-flex items-center justify-center gap-2 px-4 h-9 rounded-lg text-xs font-medium tracking-wide transition-all duration-150 ${
+              activeTab === 'breakpoints'
+                ? 'bg-amber-600/15 border border-amber-500/70 text-amber-100 shadow-[0_0_0_1px_rgba(245,158,11,0.4)]'
+                : 'border border-transparent text-slate-400 hover:text-slate-200 hover:bg-[#101010]'
+            }`}
+          >
+            <OctagonPause className="w-4 h-4" />
+            <span>Breakpoints</span>
+          </button>
+
+          <button
+            onClick={() => setActiveTab('network')}
+            className={`flex-1 inline-flex items-center justify-center gap-2 px-4 h-9 rounded-lg text-xs font-medium tracking-wide transition-all duration-150 ${
+              activeTab === 'network'
+                ? 'bg-rose-600/15 border border-rose-500/70 text-rose-100 shadow-[0_0_0_1px_rgba(244,63,94,0.4)]'
+                : 'border border-transparent text-slate-400 hover:text-slate-200 hover:bg-[#101010]'
+            }`}
+          >
+            <SignalLow className="w-4 h-4" />
+            <span>Network</span>
+          </button>
+
+          <button
+            onClick={() => setActiveTab('faults')}
+            className={`flex-1 inline-flex items-center justify-center gap-2 px-4 h-9 rounded-lg text-xs font-medium tracking-wide transition-all duration-150 ${
+              activeTab === 'faults'
+                ? 'bg-fuchsia-600/15 border border-fuchsia-500/70 text-fuchsia-100 shadow-[0_0_0_1px_rgba(217,70,239,0.4)]'
+                : 'border border-transparent text-slate-400 hover:text-slate-200 hover:bg-[#101010]'
+            }`}
+          >
+            <Zap className="w-4 h-4" />
+            <span>Faults</span>
+          </button>
+
+          <button
+            onClick={() => setActiveTab('map-remote')}
+            className={`flex-1 inline-flex items-center justify-center gap-2 px-4 h-9 rounded-lg text-xs font-medium tracking-wide transition-all duration-150 ${
+              activeTab === 'map-remote'
+                ? 'bg-sky-600/15 border border-sky-500/70 text-sky-100 shadow-[0_0_0_1px_rgba(14,165,233,0.4)]'
+                : 'border border-transparent text-slate-400 hover:text-slate-200 hover:bg-[#101010]'
+            }`}
+          >
+            <Route className="w-4 h-4" />
+            <span>Map Remote</span>
+          </button>
         </div>
 
         {/* Tab Content */}
         <div className="mt-6 pb-8">
           {activeTab === 'logs' && (
-            <RequestLogs
-              onFilteredCountChange={setFilteredLogsCount}
-              onExportLogs={setExportLogsFunc}
-              refreshToken={logsRefreshToken}
-              onCreateJsonPathRule={handleCreateJsonPathRuleFromLogs}
-            />
+            <div className="space-y-4">
+              <Sessions
+                viewedSessionId={viewedSessionId}
+                onViewSession={setViewedSessionId}
+                onSessionStarted={() => setLogsRefreshToken(token => token + 1)}
+                showConfirm={showConfirm}
+                showPrompt={showPrompt}
+              />
+              <Recording showConfirm={showConfirm} />
+              <RequestLogs
+                onFilteredCountChange={setFilteredLogsCount}
+                onExportLogs={setExportLogsFunc}
+                refreshToken={logsRefreshToken}
+                onCreateJsonPathRule={handleCreateJsonPathRuleFromLogs}
+                sessionId={viewedSessionId}
+              />
+            </div>
           )}
           {activeTab === 'resources' && (
-            <LocalResources 
-              resources={resources} 
-              onDelete={deleteResource}
-              onRefresh={fetchDashboard}
-              enabled={localResourcesEnabled}
-              onModeChange={handleLocalResourcesModeChange}
-            />
+            <div className="space-y-4">
+              <LocalResources 
+                resources={resources} 
+                onDelete={deleteResource}
+                onRefresh={fetchDashboard}
+                enabled={localResourcesEnabled}
+                onModeChange={handleLocalResourcesModeChange}
+              />
+              <MapLocal
+                enabled={localResourcesEnabled}
+                showConfirm={showConfirm}
+              />
+            </div>
           )}
           
           {activeTab === 'blocked' && (
@@ -548,14 +810,49 @@ function App() {
           )}
 
           {activeTab === 'edit' && (
-            <EditRules
-              onRulesChanged={fetchEditRuleCount}
-              editRulesEnabled={editRulesEnabled}
-              onEditRulesModeChange={handleEditRulesModeChange}
+            <div className="space-y-4">
+              <EditRules
+                onRulesChanged={fetchEditRuleCount}
+                editRulesEnabled={editRulesEnabled}
+                onEditRulesModeChange={handleEditRulesModeChange}
+                showConfirm={showConfirm}
+                showAlert={showAlert}
+                initialJsonPathSeed={jsonPathRuleSeed}
+                onConsumeJsonPathSeed={() => setJsonPathRuleSeed(null)}
+              />
+              <ProtoSchemas showConfirm={showConfirm} />
+            </div>
+          )}
+
+          {activeTab === 'breakpoints' && (
+            <Breakpoints
+              enabled={breakpointsEnabled}
+              onModeChange={handleBreakpointsModeChange}
+              showConfirm={showConfirm}
+            />
+          )}
+
+          {activeTab === 'network' && (
+            <NetworkConditions
+              enabled={networkConditionsEnabled}
+              onModeChange={handleNetworkConditionsModeChange}
+              showConfirm={showConfirm}
+            />
+          )}
+
+          {activeTab === 'faults' && (
+            <FaultRules
+              enabled={faultRulesEnabled}
+              onModeChange={handleFaultRulesModeChange}
+              showConfirm={showConfirm}
+            />
+          )}
+
+          {activeTab === 'map-remote' && (
+            <MapRemote
+              enabled={mapRemoteEnabled}
+              onModeChange={handleMapRemoteModeChange}
               showConfirm={showConfirm}
-              showAlert={showAlert}
-              initialJsonPathSeed={jsonPathRuleSeed}
-              onConsumeJsonPathSeed={() => setJsonPathRuleSeed(null)}
             />
           )}
         </div>
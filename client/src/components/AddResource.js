@@ -8,6 +8,10 @@ import {
   Code
 } from 'lucide-react';
 import axios from 'axios';
+import LocalResourceMatchFields from './LocalResourceMatchFields';
+import LocalResourceResponseFields, { DEFAULT_RESPONSE_SETTINGS } from './LocalResourceResponseFields';
+
+const DEFAULT_MATCH = { matchMode: 'substring', methods: [], host: '' };
 
 /**
  * Form for creating a new local resource override.
@@ -24,6 +28,8 @@ function AddResource({ onSuccess }) {
   const [file, setFile] = useState(null);
   const [textContent, setTextContent] = useState('');
   const [contentType, setContentType] = useState('text/plain');
+  const [match, setMatch] = useState(DEFAULT_MATCH);
+  const [responseSettings, setResponseSettings] = useState(DEFAULT_RESPONSE_SETTINGS);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -65,6 +71,13 @@ function AddResource({ onSuccess }) {
       const formData = new FormData();
       formData.append('url', url);
       formData.append('contentType', contentType);
+      formData.append('matchMode', match.matchMode);
+      formData.append('methods', match.methods.join(','));
+      formData.append('host', match.host);
+      formData.append('templated', responseSettings.templated ? 'true' : 'false');
+      formData.append('statusCode', String(responseSettings.statusCode));
+      formData.append('headers', responseSettings.headers);
+      formData.append('delayMs', String(responseSettings.delayMs));
 
       if (mode === 'file') {
         formData.append('file', file);
@@ -86,6 +99,8 @@ function AddResource({ onSuccess }) {
         setFile(null);
         setTextContent('');
         setContentType('text/plain');
+        setMatch(DEFAULT_MATCH);
+        setResponseSettings(DEFAULT_RESPONSE_SETTINGS);
         setSuccess('');
         onSuccess();
       }, 1500);
@@ -160,10 +175,16 @@ function AddResource({ onSuccess }) {
               required
             />
             <p className="mt-2 text-xs text-slate-400">
-              Enter the full or partial URL you want to intercept. Requests containing this URL will serve the local resource.
+              Enter the URL pattern you want to intercept. Matching requests will serve the local resource.
             </p>
           </div>
 
+          {/* Match settings */}
+          <LocalResourceMatchFields value={match} onChange={setMatch} />
+
+          {/* Response settings */}
+          <LocalResourceResponseFields value={responseSettings} onChange={setResponseSettings} />
+
           {/* Content Type */}
           <div>
             <label className="block text-sm font-medium text-slate-300 mb-2">
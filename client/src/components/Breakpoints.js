@@ -0,0 +1,585 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  OctagonPause,
+  Play,
+  Reply,
+  Ban,
+  Trash2,
+  Power,
+  Plus,
+  AlertCircle
+} from 'lucide-react';
+import Spinner from './Spinner';
+import { formatHeadersForEditing, parseEditedHeaders } from './ReplayRequestPanel';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+
+const API_BASE = 'http://localhost:8080/api';
+const COUNTDOWN_TICK_MS = 1000;
+const METHOD_OPTIONS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+const PHASE_OPTIONS = [
+  { value: 'request', label: 'Request', hint: 'Pause before the request is sent upstream' },
+  { value: 'response', label: 'Response', hint: 'Pause before the response is returned to the client' },
+  { value: 'both', label: 'Both', hint: 'Pause on the way out and on the way back' }
+];
+
+const getPhaseBadge = (phase) => (
+  phase === 'response'
+    ? 'bg-purple-500/10 text-purple-300 border-purple-500/30'
+    : phase === 'both'
+      ? 'bg-amber-500/10 text-amber-300 border-amber-500/30'
+      : 'bg-blue-500/10 text-blue-300 border-blue-500/30'
+);
+
+// Seconds until a paused entry is released automatically, or null when the
+// server waits indefinitely.
+const getSecondsLeft = (expiresAt) => {
+  if (!expiresAt) return null;
+  const remaining = Date.parse(expiresAt) - Date.now();
+  return Number.isFinite(remaining) ? Math.max(0, Math.round(remaining / 1000)) : null;
+};
+
+/**
+ * Editor for one paused request or response.
+ *
+ * Edited fields are only sent when they differ from the paused values, so a
+ * plain "Continue" releases the message exactly as captured.
+ *
+ * @param {Object} props
+ * @param {Object} props.item Paused entry from /api/breakpoints/pending.
+ * @param {() => void} props.onResolved Called after the entry was resolved.
+ */
+function PausedItem({ item, onResolved }) {
+  const isRequest = item.phase === 'request';
+  const isBase64 = item.bodyEncoding === 'base64';
+  const initialHeaders = formatHeadersForEditing(item.headers);
+  const initialStatus = item.statusCode ? String(item.statusCode) : '200';
+
+  const [method, setMethod] = useState(item.method);
+  const [url, setUrl] = useState(item.url);
+  const [statusCode, setStatusCode] = useState(initialStatus);
+  const [headersText, setHeadersText] = useState(initialHeaders);
+  const [bodyText, setBodyText] = useState(item.body || '');
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState('');
+
+  const resolve = async (action) => {
+    setError('');
+    const payload = { action };
+
+    if (action !== 'drop') {
+      if (headersText !== initialHeaders) {
+        const { headers, error: headersError } = parseEditedHeaders(headersText);
+        if (headersError) {
+          setError(headersError);
+          return;
+        }
+        payload.headers = headers;
+      }
+      if (bodyText !== (item.body || '')) {
+        payload.body = bodyText;
+        if (isBase64) payload.bodyEncoding = 'base64';
+      }
+      if (isRequest && action === 'continue') {
+        if (method !== item.method) payload.method = method;
+        if (url.trim() !== item.url) payload.url = url.trim();
+      }
+      if (!isRequest || action === 'respond') {
+        payload.statusCode = Number(statusCode);
+      }
+    }
+
+    setBusyAction(action);
+    try {
+      const response = await fetch(`${API_BASE}/breakpoints/pending/${encodeURIComponent(item.id)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.error || `Request failed with status ${response.status}`);
+        return;
+      }
+      if (onResolved) onResolved();
+    } catch (err) {
+      console.error('Error resolving breakpoint:', err);
+      setError('Error resolving breakpoint');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const secondsLeft = getSecondsLeft(item.expiresAt);
+  const methodOptions = METHOD_OPTIONS.includes(method) ? METHOD_OPTIONS : [method, ...METHOD_OPTIONS];
+
+  return (
+    <div className="bg-[#0a0a0a] rounded-lg border border-amber-500/40 p-4 space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 min-w-0">
+          <span className={`px-2 py-1 rounded text-xs font-medium border uppercase ${getPhaseBadge(item.phase)}`}>
+            {item.phase}
+          </span>
+          <span className="px-2 py-1 rounded text-xs font-medium border bg-slate-500/20 text-slate-300 border-slate-500/30">
+            {item.source === 'https' ? 'HTTPS' : 'HTTP'}
+          </span>
+          <span className="text-xs text-white font-mono truncate" title={item.url}>
+            {item.method} {item.url}
+          </span>
+        </div>
+        {secondsLeft !== null && (
+          <span className="text-[11px] text-slate-500 flex-shrink-0">
+            Auto-continues in {secondsLeft}s
+          </span>
+        )}
+      </div>
+
+      {isRequest ? (
+        <div className="flex items-center gap-2">
+          <select
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            className="px-2 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+          >
+            {methodOptions.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+        </div>
+      ) : null}
+
+      <div className="flex items-center gap-2">
+        <label className="text-xs font-semibold uppercase tracking-wide text-slate-400">
+          {isRequest ? 'Status for "Respond"' : 'Status'}
+        </label>
+        <input
+          type="number"
+          min={100}
+          max={599}
+          value={statusCode}
+          onChange={(e) => setStatusCode(e.target.value)}
+          className="w-24 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          Headers
+        </label>
+        <textarea
+          value={headersText}
+          onChange={(e) => setHeadersText(e.target.value)}
+          rows={5}
+          spellCheck={false}
+          className="w-full px-3 py-2 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono focus:outline-none focus:ring-1 focus:ring-blue-500 resize-y"
+        />
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          Body {isBase64 && <span className="normal-case font-normal text-slate-500">(base64)</span>}
+        </label>
+        <textarea
+          value={bodyText}
+          onChange={(e) => setBodyText(e.target.value)}
+          rows={8}
+          spellCheck={false}
+          className="w-full px-3 py-2 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono focus:outline-none focus:ring-1 focus:ring-blue-500 resize-y"
+        />
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <p className="text-xs">{error}</p>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 pt-3 border-t border-[#2a2a2a]">
+        <button
+          type="button"
+          onClick={() => resolve('continue')}
+          disabled={!!busyAction}
+          className="flex-1 inline-flex items-center justify-center gap-2 px-4 h-8 rounded-lg bg-emerald-600/20 border border-emerald-500/40 text-emerald-300 hover:bg-emerald-600/30 hover:text-white disabled:opacity-50 transition-colors text-xs font-medium"
+        >
+          {busyAction === 'continue' ? <Spinner size="sm" /> : <Play className="w-4 h-4" />}
+          <span>Continue</span>
+        </button>
+        {isRequest && (
+          <button
+            type="button"
+            onClick={() => resolve('respond')}
+            disabled={!!busyAction}
+            className="flex-1 inline-flex items-center justify-center gap-2 px-4 h-8 rounded-lg bg-blue-600/20 border border-blue-500/40 text-blue-300 hover:bg-blue-600/30 hover:text-white disabled:opacity-50 transition-colors text-xs font-medium"
+            title="Answer the client with the status, headers and body above without contacting the server"
+          >
+            {busyAction === 'respond' ? <Spinner size="sm" /> : <Reply className="w-4 h-4" />}
+            <span>Respond</span>
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => resolve('drop')}
+          disabled={!!busyAction}
+          className="flex-1 inline-flex items-center justify-center gap-2 px-4 h-8 rounded-lg bg-red-600/20 border border-red-600/30 text-red-400 hover:bg-red-600/30 disabled:opacity-50 transition-colors text-xs font-medium"
+          title="Close the client connection without a response"
+        >
+          {busyAction === 'drop' ? <Spinner size="sm" /> : <Ban className="w-4 h-4" />}
+          <span>Drop</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Panel for managing breakpoint rules and working through the requests and
+ * responses they pause.
+ *
+ * Paused entries are polled while the panel is mounted; each one can be
+ * continued (optionally edited), dropped, or answered with a synthetic
+ * response.
+ *
+ * @param {Object} props
+ * @param {boolean} [props.enabled]
+ * @param {(enabled: boolean) => void} [props.onModeChange]
+ * @param {(title: string, message: string, kind: string) => Promise<boolean>} [props.showConfirm]
+ */
+function Breakpoints({ enabled = true, onModeChange, showConfirm }) {
+  const [rules, setRules] = useState([]);
+  const [pending, setPending] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [newUrl, setNewUrl] = useState('');
+  const [newPhase, setNewPhase] = useState('request');
+  const [newMethods, setNewMethods] = useState([]);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [, setTick] = useState(0);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_BASE}/breakpoints`);
+      const data = await response.json();
+      setRules(Array.isArray(data.rules) ? data.rules : []);
+    } catch (error) {
+      console.error('Error fetching breakpoints:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const replacePending = useCallback((next) => {
+    const list = Array.isArray(next) ? next : [];
+    // Keep the previous array when nothing changed so editors keep their state.
+    setPending(prev => (
+      prev.length === list.length && prev.every((item, index) => item.id === list[index].id) ? prev : list
+    ));
+  }, []);
+
+  const fetchPending = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/breakpoints/pending`);
+      const data = await response.json();
+      replacePending(data.pending);
+    } catch (error) {
+      console.error('Error fetching paused requests:', error);
+    }
+  }, [replacePending]);
+
+  useEffect(() => {
+    fetchRules();
+    fetchPending();
+  }, [fetchRules, fetchPending]);
+
+  // The stream sends the full list on (re)connect, then one event per
+  // request that pauses or is released.
+  useLiveEvents(['breakpoints'], {
+    pending: ({ pending: list }) => replacePending(list),
+    'pending-added': ({ pending: item }) => {
+      setPending(prev => (prev.some(existing => existing.id === item.id) ? prev : [...prev, item]));
+    },
+    'pending-resolved': ({ id }) => {
+      setPending(prev => prev.filter(item => item.id !== id));
+    }
+  });
+
+  // Only re-renders the timeout countdowns; no requests are made.
+  const hasPending = pending.length > 0;
+  useEffect(() => {
+    if (!hasPending) return undefined;
+    const interval = setInterval(() => setTick(tick => tick + 1), COUNTDOWN_TICK_MS);
+    return () => clearInterval(interval);
+  }, [hasPending]);
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    if (!newUrl.trim()) {
+      setFormError('URL pattern is required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE}/breakpoints`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: newUrl.trim(), phase: newPhase, methods: newMethods })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setFormError(data.error || 'Error adding breakpoint');
+        return;
+      }
+      setNewUrl('');
+      setNewMethods([]);
+      await fetchRules();
+    } catch (error) {
+      console.error('Error adding breakpoint:', error);
+      setFormError('Error adding breakpoint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRuleEnabled = useCallback(async (rule) => {
+    try {
+      const response = await fetch(`${API_BASE}/breakpoints/${encodeURIComponent(rule.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !rule.enabled })
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error updating breakpoint:', error);
+    }
+  }, [fetchRules]);
+
+  const deleteRule = useCallback(async (rule) => {
+    let confirmed = true;
+    if (showConfirm) {
+      try {
+        confirmed = await showConfirm(
+          'Remove breakpoint',
+          `Stop pausing requests matching ${rule.url}? Requests that are already paused stay paused until resolved.`
+        );
+      } catch (error) {
+        console.error('Error showing confirmation modal:', error);
+        confirmed = false;
+      }
+    }
+    if (!confirmed) return;
+
+    try {
+      setDeletingId(rule.id);
+      const response = await fetch(`${API_BASE}/breakpoints/${encodeURIComponent(rule.id)}`, {
+        method: 'DELETE'
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error deleting breakpoint:', error);
+    } finally {
+      setDeletingId(null);
+    }
+  }, [fetchRules, showConfirm]);
+
+  const toggleNewMethod = (method) => {
+    setNewMethods(prev => (prev.includes(method) ? prev.filter(m => m !== method) : [...prev, method]));
+  };
+
+  const activePhase = PHASE_OPTIONS.find(option => option.value === newPhase) || PHASE_OPTIONS[0];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a]">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <div className="relative group/breakpoints-mode">
+              <button
+                type="button"
+                onClick={() => onModeChange && onModeChange(!enabled)}
+                className={`inline-flex items-center gap-1.5 px-3 h-8 rounded-lg border transition-colors ${
+                  enabled
+                    ? 'bg-amber-600/20 border-amber-500/40 text-amber-200'
+                    : 'bg-slate-700/40 border-slate-600/50 text-slate-400'
+                }`}
+                aria-pressed={!!enabled}
+              >
+                <OctagonPause className="w-4 h-4" />
+                <span className="text-xs font-medium tracking-wide">{enabled ? 'ON' : 'OFF'}</span>
+              </button>
+              <div
+                className="invisible group-hover/breakpoints-mode:visible absolute left-full bottom-full ml-2 mb-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+                style={{ zIndex: 99999 }}
+              >
+                <div className="font-semibold mb-1 text-slate-200">Breakpoints</div>
+                <p>
+                  {enabled
+                    ? 'Matching requests and responses are paused until you continue, edit or drop them.'
+                    : 'Breakpoints are disabled. Turning them off releases everything that is paused.'}
+                </p>
+              </div>
+            </div>
+            <div>
+              <h3 className="text-base font-semibold text-white">Breakpoints</h3>
+              <p className="text-xs text-slate-400">
+                {rules.length} {rules.length === 1 ? 'rule' : 'rules'} · {pending.length} paused
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <form onSubmit={addRule} className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newUrl}
+            onChange={(e) => setNewUrl(e.target.value)}
+            placeholder="URL contains, e.g. /api/checkout or api.example.com/v1/orders"
+            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <select
+            value={newPhase}
+            onChange={(e) => setNewPhase(e.target.value)}
+            className="px-2 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+            title={activePhase.hint}
+          >
+            {PHASE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 h-8 rounded-lg bg-amber-600/20 border border-amber-500/40 text-amber-200 hover:bg-amber-600/30 disabled:opacity-50 transition-colors text-xs font-medium"
+          >
+            {saving ? <Spinner size="sm" /> : <Plus className="w-4 h-4" />}
+            <span>Add breakpoint</span>
+          </button>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="flex flex-wrap gap-1">
+            {METHOD_OPTIONS.map(method => {
+              const isSelected = newMethods.includes(method);
+              return (
+                <button
+                  key={method}
+                  type="button"
+                  onClick={() => toggleNewMethod(method)}
+                  className={`px-2 h-6 rounded border text-[10px] font-medium transition-colors ${
+                    isSelected
+                      ? 'border-amber-500/60 bg-amber-600/20 text-amber-200'
+                      : 'border-[#2a2a2a] bg-[#0a0a0a] text-slate-400 hover:border-amber-500/60 hover:text-amber-200'
+                  }`}
+                  aria-pressed={isSelected}
+                >
+                  {method}
+                </button>
+              );
+            })}
+          </div>
+          <p className="text-[11px] text-slate-500">
+            {newMethods.length ? `Only ${newMethods.join(', ')}` : 'Any method'} · {activePhase.hint}
+          </p>
+        </div>
+        {formError && (
+          <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <p className="text-xs">{formError}</p>
+          </div>
+        )}
+      </form>
+
+      {pending.length > 0 && (
+        <div className="space-y-3">
+          <h4 className="text-xs font-semibold uppercase tracking-wide text-amber-300">
+            Paused ({pending.length})
+          </h4>
+          {pending.map(item => (
+            <PausedItem key={item.id} item={item} onResolved={fetchPending} />
+          ))}
+        </div>
+      )}
+
+      <div>
+        {loading && rules.length === 0 ? (
+          <div className="bg-[#1a1a1a] rounded-lg p-12 border border-[#2a2a2a] flex flex-col items-center justify-center text-center">
+            <Spinner size="md" />
+            <p className="mt-3 text-sm text-slate-400">Loading breakpoints...</p>
+          </div>
+        ) : rules.length === 0 ? (
+          <div className="bg-[#1a1a1a] rounded-lg p-12 border border-[#2a2a2a] text-center">
+            <OctagonPause className="w-16 h-16 text-slate-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-white mb-2">No breakpoints</h3>
+            <p className="text-slate-400 mb-6">
+              Add a URL pattern to pause matching traffic for inspection
+            </p>
+          </div>
+        ) : (
+          <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+            {rules.map(rule => (
+              <div
+                key={rule.id}
+                className="bg-[#0a0a0a] rounded-lg border border-[#2a2a2a] p-4 hover:border-amber-500/60 transition-colors"
+              >
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className={`px-2 py-0.5 rounded text-[10px] font-medium border uppercase ${getPhaseBadge(rule.phase)}`}>
+                        {rule.phase}
+                      </span>
+                      {rule.methods.length > 0 && (
+                        <span className="text-[10px] text-slate-400">{rule.methods.join(', ')}</span>
+                      )}
+                      {rule.name && (
+                        <span className="text-xs text-slate-500">{rule.name}</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-slate-200 font-mono truncate" title={rule.url}>
+                      {rule.url}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => toggleRuleEnabled(rule)}
+                      className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                        rule.enabled
+                          ? 'bg-amber-500/20 border border-amber-500/60 text-amber-200 hover:bg-amber-500/30'
+                          : 'bg-slate-700/20 border border-slate-600/50 text-slate-400 hover:bg-slate-700/30'
+                      }`}
+                      title={rule.enabled ? 'Disable' : 'Enable'}
+                    >
+                      <Power className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => deleteRule(rule)}
+                      disabled={deletingId === rule.id}
+                      className="flex items-center gap-2 px-3 py-2 bg-red-600/20 hover:bg-red-600/30 text-red-400 border border-red-600/30 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Remove"
+                    >
+                      {deletingId === rule.id ? <Spinner size="sm" /> : <Trash2 className="w-4 h-4" />}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Breakpoints;
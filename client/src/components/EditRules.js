@@ -14,12 +14,54 @@ import {
 import axios from 'axios';
 import Spinner from './Spinner';
 
+const JSON_PATH_OPERATIONS = [
+  { key: 'set', label: 'Set', description: 'Replace the selected value' },
+  { key: 'delete', label: 'Delete', description: 'Remove the selected keys or array elements' },
+  { key: 'insert', label: 'Insert', description: 'Insert the value into the selected arrays at an index' },
+  { key: 'append', label: 'Append', description: 'Append the value to the selected arrays' },
+  { key: 'merge', label: 'Merge', description: 'Deep-merge a JSON object into the selected objects' },
+  { key: 'rename', label: 'Rename', description: 'Rename the selected keys' }
+];
+
+const HEADER_RULE_OPERATIONS = [
+  { key: 'add', label: 'Add', description: 'Add a value, keeping any existing ones' },
+  { key: 'set', label: 'Set', description: 'Replace the header, creating it when missing' },
+  { key: 'remove', label: 'Remove', description: 'Remove the header' },
+  { key: 'rename', label: 'Rename', description: 'Rename the header, keeping its value' }
+];
+
+function getRulePreviewLabel(rule) {
+  if (rule.kind === 'script') return 'Script:';
+  if (rule.kind === 'header') {
+    if (rule.operation === 'add') return 'Add:';
+    if (rule.operation === 'rename') return 'Rename to:';
+    return 'Set:';
+  }
+  if (rule.kind !== 'jsonPath') return 'Replace:';
+  switch (rule.operation) {
+    case 'insert':
+      return `Insert at ${Number.isInteger(rule.index) ? rule.index : 0}:`;
+    case 'append':
+      return 'Append:';
+    case 'merge':
+      return 'Merge:';
+    case 'rename':
+      return 'Rename to:';
+    default:
+      return 'Replace:';
+  }
+}
+
 function getRulePreviewText(rule) {
   if (!rule || typeof rule !== 'object') return '(empty)';
 
   let rawValue;
   if (rule.kind === 'jsonPath') {
     rawValue = Object.prototype.hasOwnProperty.call(rule, 'value') ? rule.value : '';
+  } else if (rule.kind === 'script') {
+    rawValue = rule.script;
+  } else if (rule.kind === 'header') {
+    rawValue = rule.operation === 'rename' ? rule.newName : rule.value;
   } else {
     rawValue = Object.prototype.hasOwnProperty.call(rule, 'replacement') ? rule.replacement : '';
   }
@@ -31,12 +73,254 @@ function getRulePreviewText(rule) {
   return text.slice(0, 300) + '…';
 }
 
+const EMPTY_CONDITIONS = { match: 'all', items: [] };
+
+const CONDITION_TYPES = [
+  { key: 'method', label: 'Method' },
+  { key: 'status', label: 'Status' },
+  { key: 'header', label: 'Header' },
+  { key: 'contentType', label: 'Content type' },
+  { key: 'body', label: 'Body' }
+];
+
+const CONDITION_OPERATORS = [
+  { key: 'exists', label: 'exists', headerOnly: true },
+  { key: 'missing', label: 'is missing', headerOnly: true },
+  { key: 'equals', label: 'equals' },
+  { key: 'contains', label: 'contains' },
+  { key: 'matches', label: 'matches regex' }
+];
+
+function createCondition(type) {
+  switch (type) {
+    case 'method':
+      return { type, values: '' };
+    case 'status':
+      return { type, min: '200', max: '299' };
+    case 'header':
+      return { type, name: '', operator: 'exists', value: '' };
+    default:
+      return { type, operator: 'contains', value: '' };
+  }
+}
+
+// Stored conditions keep methods as an array and status bounds as numbers;
+// the form edits them as strings.
+function toConditionsForm(conditions) {
+  if (!conditions || !Array.isArray(conditions.items)) return EMPTY_CONDITIONS;
+  return {
+    match: conditions.match === 'any' ? 'any' : 'all',
+    items: conditions.items.map(item => {
+      if (item.type === 'method') {
+        return { ...item, values: Array.isArray(item.values) ? item.values.join(', ') : '' };
+      }
+      if (item.type === 'status') {
+        return { ...item, min: String(item.min ?? ''), max: String(item.max ?? '') };
+      }
+      return { ...item };
+    })
+  };
+}
+
+function describeCondition(item) {
+  let text;
+  if (item.type === 'method') {
+    text = `method is ${(item.values || []).join(' or ')}`;
+  } else if (item.type === 'status') {
+    text = item.min === item.max ? `status ${item.min}` : `status ${item.min}-${item.max}`;
+  } else {
+    const subject = item.type === 'header' ? item.name : item.type === 'contentType' ? 'content type' : 'body';
+    const operator = CONDITION_OPERATORS.find(option => option.key === item.operator);
+    text = `${subject} ${operator ? operator.label : item.operator}`;
+    if (item.operator !== 'exists' && item.operator !== 'missing') {
+      text += ` "${item.value}"`;
+    }
+  }
+  return item.negate ? `not (${text})` : text;
+}
+
+function describeRuleConditions(conditions) {
+  if (!conditions || !Array.isArray(conditions.items) || conditions.items.length === 0) return '';
+  return conditions.items.map(describeCondition).join(conditions.match === 'any' ? ' OR ' : ' AND ');
+}
+
+/**
+ * Editor for the optional conditions of an edit rule: a list of tests on the
+ * method, status, headers, content type or body, combined with AND or OR.
+ *
+ * @param {Object} props
+ * @param {{ match: 'all'|'any', items: Array<Object> }} props.value Conditions being edited.
+ * @param {(value: Object) => void} props.onChange Called with the updated conditions.
+ */
+function RuleConditionsEditor({ value, onChange }) {
+  const updateItem = (index, patch) => {
+    onChange({
+      ...value,
+      items: value.items.map((item, i) => (i === index ? { ...item, ...patch } : item))
+    });
+  };
+
+  const removeItem = (index) => {
+    onChange({ ...value, items: value.items.filter((_, i) => i !== index) });
+  };
+
+  const inputClasses = 'px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-cyan-500';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400">
+          Conditions (optional)
+        </label>
+        {value.items.length > 1 && (
+          <div className="flex gap-2">
+            {[{ key: 'all', label: 'Match all (AND)' }, { key: 'any', label: 'Match any (OR)' }].map(option => {
+              const isActive = value.match === option.key;
+              return (
+                <button
+                  key={option.key}
+                  type="button"
+                  onClick={() => onChange({ ...value, match: option.key })}
+                  className={`inline-flex items-center justify-center px-3 h-7 rounded-md border text-[11px] font-medium transition-colors ${
+                    isActive
+                      ? 'bg-cyan-600/20 border-cyan-500/60 text-cyan-300'
+                      : 'bg-[#0a0a0a] border-[#2a2a2a] text-slate-300 hover:border-cyan-500 hover:text-cyan-300'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {value.items.map((item, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={() => updateItem(index, { negate: !item.negate })}
+              className={`inline-flex items-center justify-center px-2 h-8 rounded-md border text-xs font-medium transition-colors ${
+                item.negate
+                  ? 'bg-red-600/20 border-red-500/60 text-red-300'
+                  : 'bg-[#0a0a0a] border-[#2a2a2a] text-slate-500 hover:border-red-500 hover:text-red-300'
+              }`}
+              aria-pressed={item.negate === true}
+              title="Negate this condition"
+            >
+              NOT
+            </button>
+            <select
+              value={item.type}
+              onChange={(e) => updateItem(index, { ...createCondition(e.target.value), negate: item.negate })}
+              className="px-2 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-cyan-500"
+            >
+              {CONDITION_TYPES.map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+
+            {item.type === 'method' && (
+              <input
+                type="text"
+                value={item.values}
+                onChange={(e) => updateItem(index, { values: e.target.value })}
+                placeholder="e.g. POST, PUT"
+                className={`flex-1 ${inputClasses}`}
+              />
+            )}
+
+            {item.type === 'status' && (
+              <>
+                <input
+                  type="number"
+                  value={item.min}
+                  onChange={(e) => updateItem(index, { min: e.target.value })}
+                  placeholder="from"
+                  className={`w-24 ${inputClasses}`}
+                />
+                <span className="text-xs text-slate-500">to</span>
+                <input
+                  type="number"
+                  value={item.max}
+                  onChange={(e) => updateItem(index, { max: e.target.value })}
+                  placeholder="to"
+                  className={`w-24 ${inputClasses}`}
+                />
+              </>
+            )}
+
+            {item.type === 'header' && (
+              <input
+                type="text"
+                value={item.name}
+                onChange={(e) => updateItem(index, { name: e.target.value })}
+                placeholder="Header name"
+                className={`w-40 ${inputClasses}`}
+              />
+            )}
+
+            {(item.type === 'header' || item.type === 'contentType' || item.type === 'body') && (
+              <>
+                <select
+                  value={item.operator}
+                  onChange={(e) => updateItem(index, { operator: e.target.value })}
+                  className="px-2 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-cyan-500"
+                >
+                  {CONDITION_OPERATORS.filter(option => item.type === 'header' || !option.headerOnly).map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
+                </select>
+                {item.operator !== 'exists' && item.operator !== 'missing' && (
+                  <input
+                    type="text"
+                    value={item.value}
+                    onChange={(e) => updateItem(index, { value: e.target.value })}
+                    placeholder={item.operator === 'matches' ? 'e.g. /^appl.*json/i' : item.type === 'contentType' ? 'e.g. json' : 'Value'}
+                    className={`flex-1 ${inputClasses}`}
+                  />
+                )}
+              </>
+            )}
+
+            <button
+              type="button"
+              onClick={() => removeItem(index)}
+              className="inline-flex items-center justify-center w-8 h-8 rounded-md border border-[#2a2a2a] bg-[#0a0a0a] text-slate-400 hover:border-red-500 hover:text-red-300"
+              title="Remove condition"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+
+        <button
+          type="button"
+          onClick={() => onChange({ ...value, items: [...value.items, createCondition('method')] })}
+          className="inline-flex items-center justify-center gap-2 px-3 h-8 rounded-md border border-[#2a2a2a] bg-[#0a0a0a] text-xs font-medium text-slate-300 hover:border-cyan-500 hover:text-cyan-300"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add condition</span>
+        </button>
+        {value.items.length === 0 && (
+          <p className="text-[11px] text-slate-500">
+            Without conditions the rule applies to every matching URL. Status conditions only hold for responses.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
 /**
  * Live edit rules configuration panel.
  *
- * This component lets the user view, create and edit both text-based and JSONPath-based
- * live edit rules. Text rules operate on raw text content (headers, bodies, frames), while
- * JSONPath rules target structured fields inside JSON/Protobuf payloads.
+ * This component lets the user view, create and edit text-based, JSONPath-based, header and
+ * script live edit rules. Text rules operate on raw text content (headers, bodies, frames),
+ * JSONPath rules target structured fields inside JSON/Protobuf payloads, header rules add, set,
+ * remove or rename individual headers, and script rules run a user-supplied JavaScript function
+ * over the whole request or response.
  *
  * @param {Object} props
  * @param {() => void} [props.onRulesChanged] Optional callback invoked after rules are created, updated or deleted.
@@ -74,8 +358,15 @@ function EditRules({
     path: '',
     value: '',
     valueType: 'string',
+    operation: 'set',
+    index: 0,
     url: '',
-    target: 'request'
+    target: 'request',
+    script: '',
+    header: '',
+    newName: '',
+    methods: '',
+    conditions: EMPTY_CONDITIONS
   });
 
   const formRef = useRef(null);
@@ -109,6 +400,8 @@ function EditRules({
       path: initialJsonPathSeed.path || '',
       value: initialJsonPathSeed.value ?? '',
       valueType: initialJsonPathSeed.valueType || 'string',
+      operation: 'set',
+      index: 0,
       url: initialJsonPathSeed.url || '',
       target:
         initialJsonPathSeed.target === 'response' || initialJsonPathSeed.target === 'both'
@@ -119,7 +412,12 @@ function EditRules({
       end: '',
       replacement: '',
       useRegex: false,
-      caseSensitive: false
+      caseSensitive: false,
+      script: '',
+      header: '',
+      newName: '',
+      methods: '',
+      conditions: EMPTY_CONDITIONS
     }));
 
     if (onConsumeJsonPathSeed) {
@@ -203,11 +501,66 @@ function EditRules({
         path: rule.path || '',
         value: Object.prototype.hasOwnProperty.call(rule, 'value') ? rule.value : '',
         valueType: rule.valueType || 'string',
+        operation: rule.operation || 'set',
+        index: Number.isInteger(rule.index) ? rule.index : 0,
         url: rule.url || '',
         target:
           rule.target === 'response' || rule.target === 'both'
             ? rule.target
-            : 'request'
+            : 'request',
+        script: '',
+        header: '',
+        newName: '',
+        methods: '',
+        conditions: toConditionsForm(rule.conditions)
+      });
+    } else if (rule.kind === 'header') {
+      setIsCreating(false);
+      setFormData({
+        kind: 'header',
+        name: rule.name || '',
+        start: '',
+        end: '',
+        replacement: '',
+        enabled: rule.enabled !== false,
+        useRegex: false,
+        caseSensitive: false,
+        path: '',
+        value: rule.value || '',
+        valueType: 'string',
+        operation: rule.operation || 'set',
+        index: 0,
+        url: rule.url || '',
+        target: rule.target === 'request' || rule.target === 'response' ? rule.target : 'both',
+        script: '',
+        header: rule.header || '',
+        newName: rule.newName || '',
+        methods: Array.isArray(rule.methods) ? rule.methods.join(', ') : '',
+        conditions: toConditionsForm(rule.conditions)
+      });
+    } else if (rule.kind === 'script') {
+      setIsCreating(false);
+      setFormData({
+        kind: 'script',
+        name: rule.name || '',
+        start: '',
+        end: '',
+        replacement: '',
+        enabled: rule.enabled !== false,
+        useRegex: false,
+        caseSensitive: false,
+        path: '',
+        value: '',
+        valueType: 'string',
+        operation: 'set',
+        index: 0,
+        url: rule.url || '',
+        target: rule.target === 'request' || rule.target === 'response' ? rule.target : 'both',
+        script: rule.script || '',
+        header: '',
+        newName: '',
+        methods: '',
+        conditions: toConditionsForm(rule.conditions)
       });
     } else {
       setIsCreating(false);
@@ -223,13 +576,20 @@ function EditRules({
         path: '',
         value: '',
         valueType: 'string',
+        operation: 'set',
+        index: 0,
         // For text rules, URL/target are optional; when missing, they are
         // treated as global and "both" respectively.
         url: rule.url || '',
         target:
           rule.target === 'request' || rule.target === 'response' || rule.target === 'both'
             ? rule.target
-            : 'both'
+            : 'both',
+        script: '',
+        header: '',
+        newName: '',
+        methods: '',
+        conditions: toConditionsForm(rule.conditions)
       });
     }
   };
@@ -248,10 +608,17 @@ function EditRules({
       path: '',
       value: '',
       valueType: 'string',
+      operation: 'set',
+      index: 0,
       url: '',
       // For new text rules, default to both request and response to preserve
       // the legacy behaviour where text rules applied in all phases.
-      target: 'both'
+      target: 'both',
+      script: '',
+      header: '',
+      newName: '',
+      methods: '',
+      conditions: EMPTY_CONDITIONS
     });
   };
 
@@ -270,8 +637,15 @@ function EditRules({
       path: '',
       value: '',
       valueType: 'string',
+      operation: 'set',
+      index: 0,
       url: '',
-      target: 'request'
+      target: 'request',
+      script: '',
+      header: '',
+      newName: '',
+      methods: '',
+      conditions: EMPTY_CONDITIONS
     });
   };
 
@@ -286,6 +660,37 @@ function EditRules({
         }
         return;
       }
+      if (formData.operation === 'rename' && !String(formData.value).trim()) {
+        const msg = 'A rename rule needs the new key name as its value.';
+        if (showAlert) {
+          showAlert('Missing fields', msg, 'warning');
+        } else {
+          alert(msg);
+        }
+        return;
+      }
+    } else if (formData.kind === 'header') {
+      if (!formData.header.trim() || (formData.operation === 'rename' && !formData.newName.trim())) {
+        const msg = formData.operation === 'rename'
+          ? 'For a header rename you must specify both the header and its new name.'
+          : 'Please provide the name of the header this rule changes.';
+        if (showAlert) {
+          showAlert('Missing fields', msg, 'warning');
+        } else {
+          alert(msg);
+        }
+        return;
+      }
+    } else if (formData.kind === 'script') {
+      if (!formData.script.trim()) {
+        const msg = 'Please provide the script function that should run for matching traffic.';
+        if (showAlert) {
+          showAlert('Missing script', msg, 'warning');
+        } else {
+          alert(msg);
+        }
+        return;
+      }
     } else {
       if (!formData.start && !formData.end) {
         if (showAlert) {
@@ -301,35 +706,65 @@ function EditRules({
       }
     }
 
-    const payload =
-      formData.kind === 'jsonPath'
-        ? {
-            kind: 'jsonPath',
-            name: formData.name,
-            path: formData.path,
-            value: formData.value,
-            valueType: formData.valueType || 'string',
-            url: formData.url,
-            target: formData.target || 'request',
-            enabled: formData.enabled !== false
-          }
-        : {
-            kind: 'text',
-            name: formData.name,
-            start: formData.start,
-            end: formData.end,
-            replacement: formData.replacement,
-            enabled: formData.enabled !== false,
-            useRegex: formData.useRegex === true,
-            caseSensitive: formData.caseSensitive === true,
-            // Optional URL/target fields for text rules; when url is empty the
-            // rule is global, and when target is omitted it defaults to both.
-            url: formData.url || '',
-            target:
-              formData.target === 'request' || formData.target === 'response' || formData.target === 'both'
-                ? formData.target
-                : 'both'
-          };
+    let payload;
+    if (formData.kind === 'header') {
+      payload = {
+        kind: 'header',
+        name: formData.name,
+        operation: formData.operation || 'set',
+        header: formData.header.trim(),
+        value: formData.operation === 'add' || formData.operation === 'set' ? formData.value : '',
+        newName: formData.operation === 'rename' ? formData.newName.trim() : '',
+        methods: formData.methods.split(',').map(method => method.trim().toUpperCase()).filter(Boolean),
+        url: formData.url || '',
+        target: formData.target === 'request' || formData.target === 'response' ? formData.target : 'both',
+        enabled: formData.enabled !== false
+      };
+    } else if (formData.kind === 'script') {
+      payload = {
+        kind: 'script',
+        name: formData.name,
+        script: formData.script,
+        url: formData.url || '',
+        target: formData.target === 'request' || formData.target === 'response' ? formData.target : 'both',
+        enabled: formData.enabled !== false
+      };
+    } else if (formData.kind === 'jsonPath') {
+      payload = {
+        kind: 'jsonPath',
+        name: formData.name,
+        path: formData.path,
+        operation: formData.operation || 'set',
+        value: formData.value,
+        valueType: formData.valueType || 'string',
+        url: formData.url,
+        target: formData.target || 'request',
+        enabled: formData.enabled !== false
+      };
+      if (formData.operation === 'insert') {
+        payload.index = Number.parseInt(formData.index, 10) || 0;
+      }
+    } else {
+      payload = {
+        kind: 'text',
+        name: formData.name,
+        start: formData.start,
+        end: formData.end,
+        replacement: formData.replacement,
+        enabled: formData.enabled !== false,
+        useRegex: formData.useRegex === true,
+        caseSensitive: formData.caseSensitive === true,
+        // Optional URL/target fields for text rules; when url is empty the
+        // rule is global, and when target is omitted it defaults to both.
+        url: formData.url || '',
+        target:
+          formData.target === 'request' || formData.target === 'response' || formData.target === 'both'
+            ? formData.target
+            : 'both'
+      };
+    }
+
+    payload.conditions = formData.conditions.items.length > 0 ? formData.conditions : null;
 
     try {
       if (isCreating) {
@@ -422,7 +857,9 @@ function EditRules({
             <p>
               Rules are applied universally across all contexts (headers, bodies, Connect frames, WebSocket messages).
               Text rules use start/end strings to match text patterns: everything from the start marker through the end marker (inclusive) is replaced with your value.
-              JSON Path rules let you target structured fields (for example in JSON or protobuf payloads) and overwrite them using a path and value type.
+              JSON Path rules let you target structured fields (for example in JSON or protobuf payloads) and set, delete, insert, append, merge or rename them using a path and an operation.
+              Header rules add, set, remove or rename a header, optionally only for some URLs and HTTP methods.
+              Script rules run your own JavaScript function over matching requests and responses to change headers, status codes, bodies or Connect frames.
               Only traffic that passes through the proxy pipeline is affected.
             </p>
             <p className="mt-2 text-xs text-slate-400">
@@ -516,6 +953,37 @@ function EditRules({
           </div>
 
             <div className="space-y-4">
+            {isCreating && (
+              <div>
+                <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                  Rule type
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {[{ key: 'text', label: 'Text', target: 'both' }, { key: 'jsonPath', label: 'JSON Path', target: 'request' }, { key: 'header', label: 'Header', target: 'both' }, { key: 'script', label: 'Script', target: 'both' }].map(option => {
+                    const isActive = formData.kind === option.key;
+                    return (
+                      <button
+                        key={option.key}
+                        type="button"
+                        onClick={() => {
+                          if (!isActive) {
+                            setFormData({ ...formData, kind: option.key, target: option.target, operation: 'set' });
+                          }
+                        }}
+                        className={`inline-flex items-center justify-center px-3 h-8 rounded-md border text-xs font-medium transition-colors ${
+                          isActive
+                            ? 'bg-cyan-600/20 border-cyan-500/60 text-cyan-300'
+                            : 'bg-[#0a0a0a] border-[#2a2a2a] text-slate-300 hover:border-cyan-500 hover:text-cyan-300'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
             <div>
               <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
                 Rule name
@@ -593,7 +1061,7 @@ function EditRules({
                       type="text"
                       value={formData.path}
                       onChange={(e) => setFormData({ ...formData, path: e.target.value })}
-                      placeholder="es: root.data[0].user.name"
+                      placeholder="es: root.data[0].user.name oppure $.items[?(@.id==7)].price"
                       className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
                     />
                   </div>
@@ -602,16 +1070,22 @@ function EditRules({
                 <div className="flex flex-col sm:flex-row gap-4 items-end">
                   <div className="sm:w-auto">
                     <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
-                      Value type
+                      Operation
                     </label>
                     <div className="flex flex-wrap gap-2">
-                      {[{ key: 'string', label: 'String' }, { key: 'number', label: 'Number' }, { key: 'boolean', label: 'Boolean' }].map(option => {
-                        const isActive = formData.valueType === option.key;
+                      {JSON_PATH_OPERATIONS.map(option => {
+                        const isActive = formData.operation === option.key;
                         return (
                           <button
                             key={option.key}
                             type="button"
-                            onClick={() => setFormData({ ...formData, valueType: option.key })}
+                            onClick={() => setFormData({
+                              ...formData,
+                              operation: option.key,
+                              // Merges only accept JSON objects
+                              valueType: option.key === 'merge' ? 'json' : formData.valueType
+                            })}
+                            title={option.description}
                             className={`inline-flex items-center justify-center px-3 h-8 rounded-md border text-xs font-medium transition-colors ${
                               isActive
                                 ? 'bg-amber-600/20 border-amber-500/60 text-amber-200'
@@ -625,31 +1099,104 @@ function EditRules({
                     </div>
                   </div>
 
-                  <div className="flex-1">
-                    <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
-                      Value
-                    </label>
-                    <div className="flex items-center gap-2">
+                  {formData.operation === 'insert' && (
+                    <div className="sm:w-32">
+                      <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                        Index
+                      </label>
                       <input
-                        type="text"
-                        value={formData.value}
-                        onChange={(e) => setFormData({ ...formData, value: e.target.value })}
-                        placeholder={formData.valueType === 'string' ? 'Nuovo valore stringa' : 'Valore letterale'}
-                        disabled={formData.valueType === 'null'}
-                        className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-amber-500 disabled:text-slate-500"
+                        type="number"
+                        step="1"
+                        value={formData.index}
+                        onChange={(e) => setFormData({ ...formData, index: e.target.value })}
+                        title="Position in the array; negative values count from the end"
+                        className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
                       />
-                      <button
-                        type="button"
-                        onClick={handleCopyJsonValue}
-                        disabled={!formData.value}
-                        className="inline-flex items-center justify-center w-8 h-8 rounded-md border border-[#2a2a2a] bg-[#0a0a0a] text-slate-400 hover:border-amber-500 hover:text-amber-300 disabled:opacity-40 disabled:cursor-not-allowed"
-                        title="Copy current value"
-                      >
-                        <Copy className="w-4 h-4" />
-                      </button>
                     </div>
-                  </div>
+                  )}
                 </div>
+
+                {formData.operation === 'rename' && (
+                  <div>
+                    <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                      New key name
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.value}
+                      onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+                      placeholder="es: userName"
+                      className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
+                    />
+                  </div>
+                )}
+
+                {formData.operation !== 'delete' && formData.operation !== 'rename' && (
+                  <div className="flex flex-col sm:flex-row gap-4 items-end">
+                    <div className="sm:w-auto">
+                      <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                        Value type
+                      </label>
+                      <div className="flex flex-wrap gap-2">
+                        {[{ key: 'string', label: 'String' }, { key: 'number', label: 'Number' }, { key: 'boolean', label: 'Boolean' }, { key: 'json', label: 'JSON' }].map(option => {
+                          const isActive = formData.valueType === option.key;
+                          const isDisabled = formData.operation === 'merge' && option.key !== 'json';
+                          return (
+                            <button
+                              key={option.key}
+                              type="button"
+                              onClick={() => setFormData({ ...formData, valueType: option.key })}
+                              disabled={isDisabled}
+                              className={`inline-flex items-center justify-center px-3 h-8 rounded-md border text-xs font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                                isActive
+                                  ? 'bg-amber-600/20 border-amber-500/60 text-amber-200'
+                                  : 'bg-[#0a0a0a] border-[#2a2a2a] text-slate-300 hover:border-amber-500 hover:text-amber-200'
+                              }`}
+                            >
+                              {option.label}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </div>
+
+                    <div className="flex-1">
+                      <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                        Value
+                      </label>
+                      <div className="flex items-center gap-2">
+                        {formData.valueType === 'json' ? (
+                          <textarea
+                            value={formData.value}
+                            onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+                            placeholder={formData.operation === 'merge' ? '{ "enabled": true }' : 'Valore JSON, es: { "id": 1, "tags": [] }'}
+                            rows={4}
+                            spellCheck={false}
+                            className="flex-1 px-3 py-2 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs font-mono text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
+                          />
+                        ) : (
+                          <input
+                            type="text"
+                            value={formData.value}
+                            onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+                            placeholder={formData.valueType === 'string' ? 'Nuovo valore stringa' : 'Valore letterale'}
+                            disabled={formData.valueType === 'null'}
+                            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-amber-500 disabled:text-slate-500"
+                          />
+                        )}
+                        <button
+                          type="button"
+                          onClick={handleCopyJsonValue}
+                          disabled={!formData.value}
+                          className="inline-flex items-center justify-center w-8 h-8 rounded-md border border-[#2a2a2a] bg-[#0a0a0a] text-slate-400 hover:border-amber-500 hover:text-amber-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                          title="Copy current value"
+                        >
+                          <Copy className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                )}
               </>
             )}
 
@@ -753,6 +1300,231 @@ function EditRules({
               </>
             )}
 
+            {formData.kind === 'header' && (
+              <>
+                <div className="flex flex-col sm:flex-row gap-4 items-end">
+                  <div className="sm:w-auto">
+                    <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                      Apply to
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                      {[{ key: 'request', label: 'Request' }, { key: 'response', label: 'Response' }, { key: 'both', label: 'Both' }].map(option => {
+                        const isActive = formData.target === option.key;
+
+                        let activeClasses = '';
+                        let hoverClasses = '';
+                        if (option.key === 'request') {
+                          activeClasses = 'bg-blue-600/20 border-blue-500/60 text-blue-300';
+                          hoverClasses = 'hover:border-blue-500 hover:text-blue-300';
+                        } else if (option.key === 'response') {
+                          activeClasses = 'bg-green-600/20 border-green-500/60 text-green-300';
+                          hoverClasses = 'hover:border-green-500 hover:text-green-300';
+                        } else {
+                          // both
+                          activeClasses = 'bg-yellow-500/20 border-yellow-400/60 text-yellow-300';
+                          hoverClasses = 'hover:border-yellow-400 hover:text-yellow-300';
+                        }
+
+                        return (
+                          <button
+                            key={option.key}
+                            type="button"
+                            onClick={() => setFormData({ ...formData, target: option.key })}
+                            className={`inline-flex items-center justify-center px-3 h-8 rounded-md border text-xs font-medium transition-colors ${
+                              isActive
+                                ? activeClasses
+                                : `bg-[#0a0a0a] border-[#2a2a2a] text-slate-300 ${hoverClasses}`
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+
+                  <div className="flex-1">
+                    <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                      URL pattern (optional)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.url}
+                      onChange={(e) => setFormData({ ...formData, url: e.target.value })}
+                      placeholder="e.g. /api/v1/users or https://example.com/api"
+                      className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-sky-500"
+                    />
+                  </div>
+
+                  <div className="sm:w-40">
+                    <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                      Methods (optional)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.methods}
+                      onChange={(e) => setFormData({ ...formData, methods: e.target.value })}
+                      placeholder="e.g. GET, POST"
+                      className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-sky-500"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                    Operation
+                  </label>
+                  <div className="flex flex-wrap gap-2">
+                    {HEADER_RULE_OPERATIONS.map(option => {
+                      const isActive = formData.operation === option.key;
+                      return (
+                        <button
+                          key={option.key}
+                          type="button"
+                          onClick={() => setFormData({ ...formData, operation: option.key })}
+                          title={option.description}
+                          className={`inline-flex items-center justify-center px-3 h-8 rounded-md border text-xs font-medium transition-colors ${
+                            isActive
+                              ? 'bg-sky-600/20 border-sky-500/60 text-sky-200'
+                              : 'bg-[#0a0a0a] border-[#2a2a2a] text-slate-300 hover:border-sky-500 hover:text-sky-200'
+                          }`}
+                        >
+                          {option.label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                <div className="flex flex-col sm:flex-row gap-4">
+                  <div className="flex-1">
+                    <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                      Header
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.header}
+                      onChange={(e) => setFormData({ ...formData, header: e.target.value })}
+                      placeholder="e.g. Authorization"
+                      className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-sky-500"
+                    />
+                  </div>
+
+                  {(formData.operation === 'add' || formData.operation === 'set') && (
+                    <div className="flex-1">
+                      <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                        Value
+                      </label>
+                      <input
+                        type="text"
+                        value={formData.value}
+                        onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+                        placeholder="e.g. no-cache"
+                        className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-sky-500"
+                      />
+                    </div>
+                  )}
+
+                  {formData.operation === 'rename' && (
+                    <div className="flex-1">
+                      <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                        New name
+                      </label>
+                      <input
+                        type="text"
+                        value={formData.newName}
+                        onChange={(e) => setFormData({ ...formData, newName: e.target.value })}
+                        placeholder="e.g. X-Original-Authorization"
+                        className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-sky-500"
+                      />
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+
+            {formData.kind === 'script' && (
+              <>
+                <div className="flex flex-col sm:flex-row gap-4 items-end">
+                  <div className="sm:w-auto">
+                    <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                      Apply to
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                      {[{ key: 'request', label: 'Request' }, { key: 'response', label: 'Response' }, { key: 'both', label: 'Both' }].map(option => {
+                        const isActive = formData.target === option.key;
+
+                        let activeClasses = '';
+                        let hoverClasses = '';
+                        if (option.key === 'request') {
+                          activeClasses = 'bg-blue-600/20 border-blue-500/60 text-blue-300';
+                          hoverClasses = 'hover:border-blue-500 hover:text-blue-300';
+                        } else if (option.key === 'response') {
+                          activeClasses = 'bg-green-600/20 border-green-500/60 text-green-300';
+                          hoverClasses = 'hover:border-green-500 hover:text-green-300';
+                        } else {
+                          // both
+                          activeClasses = 'bg-yellow-500/20 border-yellow-400/60 text-yellow-300';
+                          hoverClasses = 'hover:border-yellow-400 hover:text-yellow-300';
+                        }
+
+                        return (
+                          <button
+                            key={option.key}
+                            type="button"
+                            onClick={() => setFormData({ ...formData, target: option.key })}
+                            className={`inline-flex items-center justify-center px-3 h-8 rounded-md border text-xs font-medium transition-colors ${
+                              isActive
+                                ? activeClasses
+                                : `bg-[#0a0a0a] border-[#2a2a2a] text-slate-300 ${hoverClasses}`
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+
+                  <div className="flex-1">
+                    <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                      URL pattern (optional)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.url}
+                      onChange={(e) => setFormData({ ...formData, url: e.target.value })}
+                      placeholder="e.g. /api/v1/users or https://example.com/api"
+                      className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-violet-500"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                    Script
+                  </label>
+                  <textarea
+                    value={formData.script}
+                    onChange={(e) => setFormData({ ...formData, script: e.target.value })}
+                    placeholder={'(message) => {\n  if (message.phase === \'response\' && message.json) {\n    message.json.debug = true;\n  }\n  return message;\n}'}
+                    rows={10}
+                    spellCheck={false}
+                    className="w-full px-3 py-2 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs font-mono text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-violet-500 resize-y"
+                  />
+                  <p className="mt-1 text-[11px] text-slate-500">
+                    A function receiving <code>{'{ phase, method, url, statusCode, headers, body, json, frames }'}</code>.
+                    Change the message in place or return a new one; returning nothing keeps your in-place changes.
+                  </p>
+                </div>
+              </>
+            )}
+
+            <RuleConditionsEditor
+              value={formData.conditions}
+              onChange={(conditions) => setFormData({ ...formData, conditions })}
+            />
+
             <div className="flex items-center gap-3 pt-4 border-t border-[#2a2a2a]">
               <button
                 onClick={handleSave}
@@ -804,7 +1576,7 @@ function EditRules({
                     <h4 className="text-white font-medium truncate">
                       {rule.name || 'Unnamed Rule'}
                     </h4>
-                    {rule.kind === 'jsonPath' && (
+                    {(rule.kind === 'jsonPath' || rule.kind === 'script' || rule.kind === 'header') && (
                       <div className="flex items-center gap-1">
                         {(!rule.target || rule.target === 'request') && (
                           <span className="px-2 py-0.5 rounded-full text-[10px] font-semibold tracking-wide uppercase bg-blue-500/20 border border-blue-500/40 text-blue-300">
@@ -882,14 +1654,34 @@ function EditRules({
                   )}
                   {rule.kind === 'jsonPath' && rule.path && (
                     <div className="flex items-start gap-2">
-                      <span className="text-slate-500 shrink-0">Path:</span>
+                      <span className="text-slate-500 shrink-0">{rule.operation === 'delete' ? 'Delete:' : 'Path:'}</span>
                       <code className="text-slate-300 break-all">{rule.path}</code>
                     </div>
                   )}
-                  <div className="flex items-start gap-2">
-                    <span className="text-slate-500 shrink-0">Replace:</span>
-                    <code className="text-cyan-300 break-all">{getRulePreviewText(rule)}</code>
-                  </div>
+                  {rule.kind === 'header' && rule.header && (
+                    <div className="flex items-start gap-2">
+                      <span className="text-slate-500 shrink-0">{rule.operation === 'remove' ? 'Remove:' : 'Header:'}</span>
+                      <code className="text-slate-300 break-all">{rule.header}</code>
+                    </div>
+                  )}
+                  {rule.conditions && (
+                    <div className="flex items-start gap-2">
+                      <span className="text-slate-500 shrink-0">When:</span>
+                      <code className="text-slate-300 break-all">{describeRuleConditions(rule.conditions)}</code>
+                    </div>
+                  )}
+                  {rule.kind === 'header' && Array.isArray(rule.methods) && rule.methods.length > 0 && (
+                    <div className="flex items-start gap-2">
+                      <span className="text-slate-500 shrink-0">Methods:</span>
+                      <code className="text-slate-300 break-all">{rule.methods.join(', ')}</code>
+                    </div>
+                  )}
+                  {!(rule.kind === 'jsonPath' && rule.operation === 'delete') && !(rule.kind === 'header' && rule.operation === 'remove') && (
+                    <div className="flex items-start gap-2">
+                      <span className="text-slate-500 shrink-0">{getRulePreviewLabel(rule)}</span>
+                      <code className="text-cyan-300 break-all">{getRulePreviewText(rule)}</code>
+                    </div>
+                  )}
                   {(rule.useRegex || rule.caseSensitive) && (
                     <div className="flex items-center gap-3 mt-2">
                       {rule.useRegex && (
@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Zap,
+  Trash2,
+  Power,
+  Plus,
+  AlertCircle
+} from 'lucide-react';
+import Spinner from './Spinner';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+
+const API_BASE = 'http://localhost:8080/api';
+
+const TYPE_HINTS = {
+  reset: 'The connection is reset without a response.',
+  timeout: 'No response is sent; the connection is closed after the timeout (0 waits until the client gives up).',
+  truncate: 'The real upstream response, cut off halfway through its declared Content-Length.',
+  status: 'A 5xx error response. Leave the status empty to pick 500, 502, 503 or 504 at random.',
+  'malformed-json': 'A 200 response with Content-Type application/json and a body that does not parse.',
+  'websocket-drop': 'The WebSocket connection is cut without a close frame after the given number of messages.'
+};
+
+const EMPTY_FORM = {
+  url: '',
+  type: 'status',
+  methods: '',
+  probability: '100',
+  statusCode: '',
+  timeoutMs: '0',
+  afterMessages: '1'
+};
+
+// One-line description of the failure a rule injects.
+const describeFault = (rule, labels) => {
+  const parts = [labels[rule.type] || rule.type];
+  if (rule.type === 'status') parts[0] += ` ${rule.statusCode || '5xx'}`;
+  if (rule.type === 'timeout' && rule.timeoutMs) parts[0] += ` (${rule.timeoutMs} ms)`;
+  if (rule.type === 'websocket-drop') parts[0] += ` after ${rule.afterMessages} ${rule.afterMessages === 1 ? 'message' : 'messages'}`;
+  parts.push(rule.probability >= 100 ? 'always' : `${rule.probability}% of requests`);
+  return parts.join(' · ');
+};
+
+/**
+ * Panel for managing fault injection rules used for chaos testing.
+ *
+ * Matching requests are failed on purpose instead of being forwarded:
+ * connection resets, timeouts, truncated or malformed bodies and 5xx
+ * responses, or WebSocket connections dropped mid-stream. Each rule fires
+ * always or for a configurable percentage of matching requests.
+ *
+ * @param {Object} props
+ * @param {boolean} [props.enabled]
+ * @param {(enabled: boolean) => void} [props.onModeChange]
+ * @param {(title: string, message: string, kind: string) => Promise<boolean>} [props.showConfirm]
+ */
+function FaultRules({ enabled = true, onModeChange, showConfirm }) {
+  const [rules, setRules] = useState([]);
+  const [labels, setLabels] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_BASE}/faults`);
+      const data = await response.json();
+      setRules(Array.isArray(data.rules) ? data.rules : []);
+      const nextLabels = {};
+      (Array.isArray(data.types) ? data.types : []).forEach(type => {
+        nextLabels[type.id] = type.label;
+      });
+      setLabels(nextLabels);
+    } catch (error) {
+      console.error('Error fetching fault rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind === 'faults') fetchRules();
+    }
+  });
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!form.url.trim()) {
+      setFormError('URL is required');
+      return;
+    }
+
+    const payload = {
+      url: form.url.trim(),
+      type: form.type,
+      probability: Number(form.probability)
+    };
+    if (form.type !== 'websocket-drop') {
+      payload.methods = form.methods.split(',').map(method => method.trim()).filter(Boolean);
+    }
+    if (form.type === 'status' && form.statusCode.trim()) payload.statusCode = Number(form.statusCode);
+    if (form.type === 'timeout') payload.timeoutMs = Number(form.timeoutMs) || 0;
+    if (form.type === 'websocket-drop') payload.afterMessages = Number(form.afterMessages);
+
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE}/faults`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setFormError(data.error || 'Error adding fault rule');
+        return;
+      }
+      setForm(prev => ({ ...EMPTY_FORM, type: prev.type }));
+      await fetchRules();
+    } catch (error) {
+      console.error('Error adding fault rule:', error);
+      setFormError('Error adding fault rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRuleEnabled = useCallback(async (rule) => {
+    try {
+      const response = await fetch(`${API_BASE}/faults/${encodeURIComponent(rule.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !rule.enabled })
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error updating fault rule:', error);
+    }
+  }, [fetchRules]);
+
+  const deleteRule = useCallback(async (rule) => {
+    let confirmed = true;
+    if (showConfirm) {
+      try {
+        confirmed = await showConfirm(
+          'Remove fault rule',
+          `Stop injecting "${labels[rule.type] || rule.type}" on ${rule.url}?`
+        );
+      } catch (error) {
+        console.error('Error showing confirmation modal:', error);
+        confirmed = false;
+      }
+    }
+    if (!confirmed) return;
+
+    try {
+      setDeletingId(rule.id);
+      const response = await fetch(`${API_BASE}/faults/${encodeURIComponent(rule.id)}`, {
+        method: 'DELETE'
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error deleting fault rule:', error);
+    } finally {
+      setDeletingId(null);
+    }
+  }, [fetchRules, showConfirm, labels]);
+
+  const inputClassName = 'w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a]">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <div className="relative group/faults-mode">
+              <button
+                type="button"
+                onClick={() => onModeChange && onModeChange(!enabled)}
+                className={`inline-flex items-center gap-1.5 px-3 h-8 rounded-lg border transition-colors ${
+                  enabled
+                    ? 'bg-fuchsia-600/20 border-fuchsia-500/40 text-fuchsia-200'
+                    : 'bg-slate-700/40 border-slate-600/50 text-slate-400'
+                }`}
+                aria-pressed={!!enabled}
+              >
+                <Zap className="w-4 h-4" />
+                <span className="text-xs font-medium tracking-wide">{enabled ? 'ON' : 'OFF'}</span>
+              </button>
+              <div
+                className="invisible group-hover/faults-mode:visible absolute left-full bottom-full ml-2 mb-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+                style={{ zIndex: 99999 }}
+              >
+                <div className="font-semibold mb-1 text-slate-200">Fault injection</div>
+                <p>
+                  {enabled
+                    ? 'Matching requests fail as configured instead of being forwarded. They show up as FAULT in the Request Logs.'
+                    : 'Fault injection is off: all requests are handled normally.'}
+                </p>
+              </div>
+            </div>
+            <div>
+              <h3 className="text-base font-semibold text-white">Fault injection</h3>
+              <p className="text-xs text-slate-400">
+                {rules.length} {rules.length === 1 ? 'rule' : 'rules'} · first enabled match applies
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <form onSubmit={addRule} className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={form.url}
+            onChange={(e) => updateForm('url', e.target.value)}
+            placeholder="URL contains, e.g. /api/orders"
+            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <select
+            value={form.type}
+            onChange={(e) => updateForm('type', e.target.value)}
+            className="px-2 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+          >
+            {Object.keys(TYPE_HINTS).map(type => (
+              <option key={type} value={type}>{labels[type] || type}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 h-8 rounded-lg bg-fuchsia-600/20 border border-fuchsia-500/40 text-fuchsia-200 hover:bg-fuchsia-600/30 disabled:opacity-50 transition-colors text-xs font-medium"
+          >
+            {saving ? <Spinner size="sm" /> : <Plus className="w-4 h-4" />}
+            <span>Add fault</span>
+          </button>
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          {form.type !== 'websocket-drop' && (
+            <label className="block">
+              <span className="block text-[11px] text-slate-400 mb-1">Methods <span className="text-slate-500">(empty: all)</span></span>
+              <input
+                type="text"
+                value={form.methods}
+                onChange={(e) => updateForm('methods', e.target.value)}
+                placeholder="GET, POST"
+                className={inputClassName}
+              />
+            </label>
+          )}
+          <label className="block">
+            <span className="block text-[11px] text-slate-400 mb-1">Probability <span className="text-slate-500">(%)</span></span>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              step={1}
+              value={form.probability}
+              onChange={(e) => updateForm('probability', e.target.value)}
+              className={inputClassName}
+            />
+          </label>
+          {form.type === 'status' && (
+            <label className="block">
+              <span className="block text-[11px] text-slate-400 mb-1">Status <span className="text-slate-500">(empty: random 5xx)</span></span>
+              <input
+                type="number"
+                min={500}
+                max={599}
+                value={form.statusCode}
+                onChange={(e) => updateForm('statusCode', e.target.value)}
+                placeholder="503"
+                className={inputClassName}
+              />
+            </label>
+          )}
+          {form.type === 'timeout' && (
+            <label className="block">
+              <span className="block text-[11px] text-slate-400 mb-1">Close after <span className="text-slate-500">(ms)</span></span>
+              <input
+                type="number"
+                min={0}
+                value={form.timeoutMs}
+                onChange={(e) => updateForm('timeoutMs', e.target.value)}
+                className={inputClassName}
+              />
+            </label>
+          )}
+          {form.type === 'websocket-drop' && (
+            <label className="block">
+              <span className="block text-[11px] text-slate-400 mb-1">Drop after <span className="text-slate-500">(messages)</span></span>
+              <input
+                type="number"
+                min={0}
+                step={1}
+                value={form.afterMessages}
+                onChange={(e) => updateForm('afterMessages', e.target.value)}
+                className={inputClassName}
+              />
+            </label>
+          )}
+        </div>
+        <p className="text-[11px] text-slate-500">{TYPE_HINTS[form.type]}</p>
+        {formError && (
+          <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <p className="text-xs">{formError}</p>
+          </div>
+        )}
+      </form>
+
+      <div>
+        {loading && rules.length === 0 ? (
+          <div className="bg-[#1a1a1a] rounded-lg p-12 border border-[#2a2a2a] flex flex-col items-center justify-center text-center">
+            <Spinner size="md" />
+            <p className="mt-3 text-sm text-slate-400">Loading fault rules...</p>
+          </div>
+        ) : rules.length === 0 ? (
+          <div className="bg-[#1a1a1a] rounded-lg p-12 border border-[#2a2a2a] text-center">
+            <Zap className="w-16 h-16 text-slate-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-white mb-2">No fault rules</h3>
+            <p className="text-slate-400 mb-6">
+              Add a fault to see how clients cope with failing endpoints
+            </p>
+          </div>
+        ) : (
+          <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+            {rules.map(rule => (
+              <div
+                key={rule.id}
+                className="bg-[#0a0a0a] rounded-lg border border-[#2a2a2a] p-4 hover:border-fuchsia-500/60 transition-colors"
+              >
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className="px-2 py-0.5 rounded text-[10px] font-medium border uppercase bg-fuchsia-500/10 text-fuchsia-300 border-fuchsia-500/30">
+                        {labels[rule.type] || rule.type}
+                      </span>
+                      {rule.methods.length > 0 && (
+                        <span className="px-2 py-0.5 rounded text-[10px] font-medium border bg-slate-700/40 text-slate-300 border-slate-600/50">
+                          {rule.methods.join(', ')}
+                        </span>
+                      )}
+                      <span className="text-[11px] text-slate-400">{describeFault(rule, labels)}</span>
+                    </div>
+                    <p className="text-sm text-slate-200 font-mono truncate" title={rule.url}>
+                      {rule.url}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => toggleRuleEnabled(rule)}
+                      className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                        rule.enabled
+                          ? 'bg-fuchsia-500/20 border border-fuchsia-500/60 text-fuchsia-200 hover:bg-fuchsia-500/30'
+                          : 'bg-slate-700/20 border border-slate-600/50 text-slate-400 hover:bg-slate-700/30'
+                      }`}
+                      title={rule.enabled ? 'Disable' : 'Enable'}
+                    >
+                      <Power className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => deleteRule(rule)}
+                      disabled={deletingId === rule.id}
+                      className="flex items-center gap-2 px-3 py-2 bg-red-600/20 hover:bg-red-600/30 text-red-400 border border-red-600/30 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Remove"
+                    >
+                      {deletingId === rule.id ? <Spinner size="sm" /> : <Trash2 className="w-4 h-4" />}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default FaultRules;
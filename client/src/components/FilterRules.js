@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { SkipForward, Trash2, PlusCircle, Lightbulb, AlertCircle, Power, CircuitBoard, CornerDownRight } from 'lucide-react';
 import Spinner from './Spinner';
+import { useLiveEvents } from '../hooks/useLiveEvents';
 
 /**
  * Filter rules configuration panel (Redirect/Process modes).
@@ -74,15 +75,24 @@ function FilterRules({ onRulesChanged, filterMode = 'ignore', onFilterModeChange
     }
   }, [fetchBypassPatterns, fetchSuggestions, bypassMode]);
 
+  // Suggestions and rule changes (e.g. a pattern added from the logs view) are
+  // pushed by the server; polling only runs while the live stream is down.
+  const liveConnected = useLiveEvents(bypassMode === 'focus' ? ['rules'] : ['suggestions', 'rules'], {
+    suggestions: (data) => setSuggestions(Array.isArray(data.suggestions) ? data.suggestions : []),
+    'rules-changed': ({ kind }) => {
+      if (kind === 'filters') fetchBypassPatterns();
+    }
+  });
+
   useEffect(() => {
-    if (bypassMode === 'focus') return;
+    if (bypassMode === 'focus' || liveConnected) return;
 
     const interval = setInterval(() => {
       fetchSuggestions();
     }, 1000);
 
     return () => clearInterval(interval);
-  }, [fetchSuggestions, bypassMode]);
+  }, [fetchSuggestions, bypassMode, liveConnected]);
 
   const submitPattern = useCallback(async (pattern) => {
     const trimmed = pattern.trim();
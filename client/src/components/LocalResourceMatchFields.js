@@ -0,0 +1,108 @@
+import React from 'react';
+
+export const MATCH_MODE_OPTIONS = [
+  { value: 'substring', label: 'Contains', hint: 'URL contains the pattern (default)' },
+  { value: 'exact', label: 'Exact', hint: 'Path, path with query or full URL equals the pattern' },
+  { value: 'prefix', label: 'Prefix', hint: 'Path or full URL starts with the pattern' },
+  { value: 'glob', label: 'Glob', hint: '* matches any characters, ? matches one character' },
+  { value: 'regex', label: 'Regex', hint: 'JavaScript regular expression tested against the URL' }
+];
+
+const METHOD_OPTIONS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+export const getMatchModeLabel = (mode) => {
+  const option = MATCH_MODE_OPTIONS.find(entry => entry.value === mode);
+  return option ? option.label : 'Contains';
+};
+
+/**
+ * Shared inputs for how a local resource matches requests: URL match mode
+ * plus optional HTTP method and host constraints.
+ *
+ * @param {Object} props
+ * @param {{ matchMode: string, methods: string[], host: string }} props.value Current match settings.
+ * @param {(value: { matchMode: string, methods: string[], host: string }) => void} props.onChange Called with the updated settings.
+ */
+function LocalResourceMatchFields({ value, onChange }) {
+  const matchMode = value?.matchMode || 'substring';
+  const methods = Array.isArray(value?.methods) ? value.methods : [];
+  const host = value?.host || '';
+  const activeOption = MATCH_MODE_OPTIONS.find(option => option.value === matchMode) || MATCH_MODE_OPTIONS[0];
+
+  const update = (patch) => onChange({ matchMode, methods, host, ...patch });
+
+  const toggleMethod = (method) => {
+    update({
+      methods: methods.includes(method)
+        ? methods.filter(m => m !== method)
+        : [...methods, method]
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          Match mode
+        </label>
+        <select
+          value={matchMode}
+          onChange={(e) => update({ matchMode: e.target.value })}
+          className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+        >
+          {MATCH_MODE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <p className="mt-1 text-[11px] text-slate-500">{activeOption.hint}</p>
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          Methods
+        </label>
+        <div className="flex flex-wrap gap-1">
+          {METHOD_OPTIONS.map(method => {
+            const isSelected = methods.includes(method);
+            return (
+              <button
+                key={method}
+                type="button"
+                onClick={() => toggleMethod(method)}
+                className={`px-2 h-6 rounded border text-[10px] font-medium transition-colors ${
+                  isSelected
+                    ? 'border-emerald-500/60 bg-emerald-600/20 text-emerald-200'
+                    : 'border-[#2a2a2a] bg-[#0a0a0a] text-slate-400 hover:border-emerald-500/60 hover:text-emerald-200'
+                }`}
+                aria-pressed={isSelected}
+              >
+                {method}
+              </button>
+            );
+          })}
+        </div>
+        <p className="mt-1 text-[11px] text-slate-500">
+          {methods.length ? `Only ${methods.join(', ')}` : 'Any method'}
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          Host
+        </label>
+        <input
+          type="text"
+          value={host}
+          onChange={(e) => update({ host: e.target.value })}
+          placeholder="e.g. api.example.com or *.example.com"
+          className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-400 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+        <p className="mt-1 text-[11px] text-slate-500">
+          {!host ? 'Any host' : host.includes('*') ? 'Hosts matching the glob' : 'Host and its subdomains'}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default LocalResourceMatchFields;
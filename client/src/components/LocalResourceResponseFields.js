@@ -0,0 +1,122 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+
+export const DEFAULT_RESPONSE_SETTINGS = { templated: false, statusCode: 200, headers: '', delayMs: 0 };
+
+// Render stored response headers (arrays for repeated names such as
+// Set-Cookie) as editable "Name: value" lines.
+export const formatResponseHeaders = (headers) => {
+  if (!headers || typeof headers !== 'object') return '';
+  return Object.entries(headers)
+    .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => `${name}: ${item}`))
+    .join('\n');
+};
+
+// Convert a stored resource into the editable response settings.
+export const getResponseSettings = (resource) => ({
+  templated: !!resource?.templated,
+  statusCode: resource?.statusCode ?? 200,
+  headers: formatResponseHeaders(resource?.headers),
+  delayMs: resource?.delayMs ?? 0
+});
+
+/**
+ * Shared inputs for how a local resource is served once it matches a
+ * request: template rendering, status code, extra headers and delay.
+ *
+ * @param {Object} props
+ * @param {{ templated: boolean, statusCode: number|string, headers: string, delayMs: number|string }} props.value Current response settings.
+ * @param {(value: Object) => void} props.onChange Called with the updated settings.
+ */
+function LocalResourceResponseFields({ value, onChange }) {
+  const templated = !!value?.templated;
+  const statusCode = value?.statusCode ?? 200;
+  const headers = value?.headers || '';
+  const delayMs = value?.delayMs ?? 0;
+
+  const update = (patch) => onChange({ templated, statusCode, headers, delayMs, ...patch });
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+            Status code
+          </label>
+          <input
+            type="number"
+            min={100}
+            max={599}
+            value={statusCode}
+            onChange={(e) => update({ statusCode: e.target.value })}
+            className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+            Delay (ms)
+          </label>
+          <input
+            type="number"
+            min={0}
+            step={100}
+            value={delayMs}
+            onChange={(e) => update({ delayMs: e.target.value })}
+            className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          Response headers
+        </label>
+        <textarea
+          value={headers}
+          onChange={(e) => update({ headers: e.target.value })}
+          rows={3}
+          spellCheck={false}
+          placeholder={'Cache-Control: no-store\nRetry-After: 120\nSet-Cookie: session=abc; Path=/'}
+          className="w-full px-3 py-2 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500 resize-y"
+        />
+        <p className="mt-1 text-[11px] text-slate-500">
+          One "Name: value" per line. Repeat a name to send it more than once.
+        </p>
+      </div>
+
+      <div>
+        <label className="group inline-flex items-center gap-2 cursor-pointer text-xs text-slate-300">
+          <span
+            className={`w-4 h-4 rounded-md border flex items-center justify-center text-[10px] transition-colors ${
+              templated
+                ? 'bg-slate-100/10 border-slate-300 text-slate-100'
+                : 'bg-[#050508] border-[#2a2a2a] text-slate-500 group-hover:text-slate-200 group-hover:border-slate-400'
+            }`}
+          >
+            {templated && <Check className="w-3 h-3" />}
+          </span>
+          <input
+            type="checkbox"
+            checked={templated}
+            onChange={(e) => update({ templated: e.target.checked })}
+            className="sr-only"
+          />
+          <span className="font-medium">Render as template</span>
+        </label>
+        <p className="mt-1 text-[11px] text-slate-500">
+          Placeholders such as <code className="font-mono text-slate-400">{'{{request.params.id}}'}</code>,{' '}
+          <code className="font-mono text-slate-400">{'{{request.query.page}}'}</code>,{' '}
+          <code className="font-mono text-slate-400">{'{{request.headers.authorization}}'}</code>,{' '}
+          <code className="font-mono text-slate-400">{'{{request.body.userId}}'}</code>,{' '}
+          <code className="font-mono text-slate-400">{'{{uuid}}'}</code>,{' '}
+          <code className="font-mono text-slate-400">{'{{timestamp}}'}</code> and{' '}
+          <code className="font-mono text-slate-400">{'{{randomInt 1 100}}'}</code> are filled in from each request,
+          in the body and in header values.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default LocalResourceResponseFields;
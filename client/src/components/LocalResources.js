@@ -10,10 +10,19 @@ import {
   Upload,
   CheckCircle,
   AlertCircle,
-  Power
+  Power,
+  SlidersHorizontal,
+  FolderOpen
 } from 'lucide-react';
 import axios from 'axios';
 import Spinner from './Spinner';
+import LocalResourceMatchFields, { getMatchModeLabel } from './LocalResourceMatchFields';
+import LocalResourceResponseFields, {
+  DEFAULT_RESPONSE_SETTINGS,
+  getResponseSettings
+} from './LocalResourceResponseFields';
+
+const DEFAULT_MATCH = { matchMode: 'substring', methods: [], host: '' };
 
 /**
  * Panel for listing and managing local resource overrides.
@@ -31,9 +40,10 @@ import Spinner from './Spinner';
  */
 function LocalResources({ resources, onDelete, onRefresh, enabled = true, onModeChange }) {
   const [showAddForm, setShowAddForm] = useState(false);
-  const [mode, setMode] = useState('file'); // 'file' or 'text'
+  const [mode, setMode] = useState('file'); // 'file', 'path' or 'text'
   const [url, setUrl] = useState('');
   const [file, setFile] = useState(null);
+  const [sourcePath, setSourcePath] = useState('');
   const [textContent, setTextContent] = useState('');
   const [contentType, setContentType] = useState('text/plain');
   const [loading, setLoading] = useState(false);
@@ -41,6 +51,12 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
   const [success, setSuccess] = useState('');
   const [deletingUrl, setDeletingUrl] = useState(null);
   const [togglingUrl, setTogglingUrl] = useState(null);
+  const [match, setMatch] = useState(DEFAULT_MATCH);
+  const [editingUrl, setEditingUrl] = useState(null);
+  const [responseSettings, setResponseSettings] = useState(DEFAULT_RESPONSE_SETTINGS);
+  const [editSettings, setEditSettings] = useState({ ...DEFAULT_MATCH, ...DEFAULT_RESPONSE_SETTINGS });
+  const [editError, setEditError] = useState('');
+  const [savingSettings, setSavingSettings] = useState(false);
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
@@ -81,6 +97,32 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
     }
   };
 
+  const startEditing = (resource) => {
+    setEditingUrl(resource.url);
+    setEditError('');
+    setEditSettings({
+      matchMode: resource.matchMode || 'substring',
+      methods: Array.isArray(resource.methods) ? resource.methods : [],
+      host: resource.host || '',
+      ...getResponseSettings(resource)
+    });
+  };
+
+  const handleSaveSettings = async () => {
+    if (!editingUrl) return;
+    setEditError('');
+    try {
+      setSavingSettings(true);
+      await axios.put(`/api/resources/${encodeURIComponent(editingUrl)}`, editSettings);
+      setEditingUrl(null);
+      if (onRefresh) onRefresh();
+    } catch (err) {
+      setEditError(err.response?.data?.error || 'Error updating resource');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -96,6 +138,11 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
       return;
     }
 
+    if (mode === 'path' && !sourcePath.trim()) {
+      setError('Enter the path of the file to serve');
+      return;
+    }
+
     if (mode === 'text' && !textContent) {
       setError('Please enter text content');
       return;
@@ -107,9 +154,18 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
       const formData = new FormData();
       formData.append('url', url);
       formData.append('contentType', contentType);
+      formData.append('matchMode', match.matchMode);
+      formData.append('methods', match.methods.join(','));
+      formData.append('host', match.host);
+      formData.append('templated', responseSettings.templated ? 'true' : 'false');
+      formData.append('statusCode', String(responseSettings.statusCode));
+      formData.append('headers', responseSettings.headers);
+      formData.append('delayMs', String(responseSettings.delayMs));
 
       if (mode === 'file') {
         formData.append('file', file);
+      } else if (mode === 'path') {
+        formData.append('sourcePath', sourcePath.trim());
       } else {
         formData.append('content', textContent);
       }
@@ -125,8 +181,11 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
       setTimeout(() => {
         setUrl('');
         setFile(null);
+        setSourcePath('');
         setTextContent('');
         setContentType('text/plain');
+        setMatch(DEFAULT_MATCH);
+        setResponseSettings(DEFAULT_RESPONSE_SETTINGS);
         setSuccess('');
         setShowAddForm(false);
         if (onRefresh) onRefresh();
@@ -227,7 +286,10 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
             <p className="font-medium text-emerald-400 mb-1">How it works</p>
             <p>
               Local resources intercept matching URLs and serve your custom content instead of forwarding the request.
-              When a request URL contains your specified pattern, the proxy returns your local file or text content immediately.
+              When a request URL matches your pattern (contains, exact, prefix, glob or regex, optionally limited to
+              specific methods and hosts), the proxy returns your local file or text content immediately. When several
+              resources match, exact patterns win over prefix, glob, regex and contains patterns, and longer patterns win
+              within the same mode.
               This is useful for testing, mocking APIs, or replacing remote assets with local versions.
             </p>
           </div>
@@ -257,6 +319,20 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
               >
                 File
               </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setMode('path');
+                  if (contentType === 'text/plain') setContentType('');
+                }}
+                className={`px-3 h-8 text-xs font-medium tracking-wide rounded-full transform transition-all duration-150 ml-0.5 ${
+                  mode === 'path'
+                    ? 'bg-slate-800 text-slate-100 scale-100'
+                    : 'bg-transparent text-slate-400 hover:bg-[#161616] hover:text-slate-100 scale-95'
+                }`}
+              >
+                Path
+              </button>
               <button
                 type="button"
                 onClick={() => setMode('text')}
@@ -281,12 +357,20 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
                 type="text"
                 value={url}
                 onChange={(e) => setUrl(e.target.value)}
-                placeholder="e.g. /api/data.json or https://example.com/api/data.json"
+                placeholder={match.matchMode === 'regex'
+                  ? 'e.g. ^/api/users/\\d+$'
+                  : match.matchMode === 'glob'
+                    ? 'e.g. /api/users/*/settings'
+                    : 'e.g. /api/data.json or https://example.com/api/data.json'}
                 className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white placeholder-slate-400 focus:outline-none focus:ring-1 focus:ring-blue-500"
                 required
               />
             </div>
 
+            <LocalResourceMatchFields value={match} onChange={setMatch} />
+
+            <LocalResourceResponseFields value={responseSettings} onChange={setResponseSettings} />
+
             {/* Content Type */}
             <div>
               <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
@@ -297,6 +381,7 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
                 onChange={(e) => setContentType(e.target.value)}
                 className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
               >
+                {mode === 'path' && <option value="">From file extension</option>}
                 <option value="text/plain">text/plain</option>
                 <option value="text/html">text/html</option>
                 <option value="application/json">application/json</option>
@@ -340,6 +425,26 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
               </div>
             )}
 
+            {/* External File Mode */}
+            {mode === 'path' && (
+              <div>
+                <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+                  File on disk
+                </label>
+                <input
+                  type="text"
+                  value={sourcePath}
+                  onChange={(e) => setSourcePath(e.target.value)}
+                  placeholder="e.g. ~/work/app/mocks/users.json"
+                  className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-400 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  required
+                />
+                <p className="mt-2 text-xs text-slate-400">
+                  The file is served in place and watched, so edits apply immediately without uploading again.
+                </p>
+              </div>
+            )}
+
             {/* Text Content Mode */}
             {mode === 'text' && (
               <div>
@@ -438,6 +543,47 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
                       <span className="px-2 py-1 rounded text-xs font-medium border bg-slate-500/20 text-slate-400 border-slate-500/30">
                         {formatBytes(resource.size)}
                       </span>
+                      <span className="px-2 py-1 rounded text-xs font-medium border bg-emerald-500/10 text-emerald-300 border-emerald-500/30">
+                        {getMatchModeLabel(resource.matchMode)}
+                      </span>
+                      {Array.isArray(resource.methods) && resource.methods.length > 0 && (
+                        <span className="px-2 py-1 rounded text-xs font-medium border bg-blue-500/10 text-blue-300 border-blue-500/30">
+                          {resource.methods.join(', ')}
+                        </span>
+                      )}
+                      {resource.host && (
+                        <span className="px-2 py-1 rounded text-xs font-medium border bg-slate-500/20 text-slate-300 border-slate-500/30 font-mono">
+                          {resource.host}
+                        </span>
+                      )}
+                      {resource.statusCode && resource.statusCode !== 200 && (
+                        <span className={`px-2 py-1 rounded text-xs font-medium border ${
+                          resource.statusCode >= 400
+                            ? 'bg-red-500/10 text-red-300 border-red-500/30'
+                            : 'bg-amber-500/10 text-amber-300 border-amber-500/30'
+                        }`}>
+                          {resource.statusCode}
+                        </span>
+                      )}
+                      {resource.delayMs > 0 && (
+                        <span className="px-2 py-1 rounded text-xs font-medium border bg-slate-500/20 text-slate-300 border-slate-500/30">
+                          +{resource.delayMs} ms
+                        </span>
+                      )}
+                      {resource.templated && (
+                        <span className="px-2 py-1 rounded text-xs font-medium border bg-purple-500/10 text-purple-300 border-purple-500/30">
+                          Template
+                        </span>
+                      )}
+                      {resource.type === 'path' && resource.missing && (
+                        <span
+                          className="inline-flex items-center gap-1 px-2 py-1 rounded text-xs font-medium border bg-red-500/10 text-red-300 border-red-500/30"
+                          title="The file on disk no longer exists; matching requests answer 404"
+                        >
+                          <AlertCircle className="w-3 h-3" />
+                          File missing
+                        </span>
+                      )}
                     </div>
                     
                     <div className="flex items-start space-x-2 mb-2">
@@ -447,12 +593,73 @@ function LocalResources({ resources, onDelete, onRefresh, enabled = true, onMode
                       </p>
                     </div>
                     
-                    <p className="text-slate-400 text-xs mb-1">
-                      File: {resource.originalName || resource.filename}
-                    </p>
+                    {resource.type === 'path' ? (
+                      <p className="text-slate-400 text-xs mb-1 flex items-center gap-1 min-w-0">
+                        <FolderOpen className="w-3 h-3 flex-shrink-0" />
+                        <span className="font-mono truncate" title={resource.sourcePath}>{resource.sourcePath}</span>
+                        {resource.lastModified && (
+                          <span className="flex-shrink-0 text-slate-500">
+                            · modified {new Date(resource.lastModified).toLocaleString('it-IT')}
+                          </span>
+                        )}
+                      </p>
+                    ) : (
+                      <p className="text-slate-400 text-xs mb-1">
+                        File: {resource.originalName || resource.filename}
+                      </p>
+                    )}
+
+                    {editingUrl === resource.url && (
+                      <div className="mt-3 space-y-3 border-t border-[#2a2a2a] pt-3">
+                        <LocalResourceMatchFields
+                          value={editSettings}
+                          onChange={(value) => setEditSettings(prev => ({ ...prev, ...value }))}
+                        />
+                        <LocalResourceResponseFields
+                          value={editSettings}
+                          onChange={(value) => setEditSettings(prev => ({ ...prev, ...value }))}
+                        />
+                        {editError && (
+                          <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+                            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                            <p className="text-xs">{editError}</p>
+                          </div>
+                        )}
+                        <div className="flex items-center gap-2">
+                          <button
+                            type="button"
+                            onClick={handleSaveSettings}
+                            disabled={savingSettings}
+                            className="inline-flex items-center justify-center gap-2 px-4 h-8 rounded-lg bg-emerald-600/20 border border-emerald-500/40 text-emerald-300 hover:bg-emerald-600/30 hover:text-white disabled:bg-slate-700 disabled:text-slate-500 disabled:border-slate-600/50 transition-colors text-xs font-medium"
+                          >
+                            {savingSettings ? <Spinner size="sm" /> : <CheckCircle className="w-4 h-4" />}
+                            <span>Save</span>
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setEditingUrl(null)}
+                            className="inline-flex items-center justify-center px-4 h-8 rounded-lg bg-[#0a0a0a] border border-[#2a2a2a] text-xs font-medium text-slate-300 hover:bg-[#1a1a1a] hover:text-white transition-colors"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    )}
                   </div>
                   
                   <div className="ml-4 flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => (editingUrl === resource.url ? setEditingUrl(null) : startEditing(resource))}
+                      className={`inline-flex items-center justify-center gap-2 px-3 h-8 rounded-lg transition-colors border text-xs font-medium ${
+                        editingUrl === resource.url
+                          ? 'bg-blue-600/30 border-blue-400 text-white'
+                          : 'bg-blue-600/15 border-blue-500/60 text-blue-200 hover:bg-blue-600/30'
+                      }`}
+                      title="Edit resource settings"
+                    >
+                      <SlidersHorizontal className="w-4 h-4" />
+                    </button>
+
                     <button
                       onClick={() => handleToggleEnabled(resource)}
                       disabled={togglingUrl === resource.url}
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  FolderOpen,
+  ArrowLeft,
+  Trash2,
+  Power,
+  Plus,
+  AlertCircle
+} from 'lucide-react';
+import Spinner from './Spinner';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+
+const API_BASE = 'http://localhost:8080/api';
+
+/**
+ * Panel for managing map local directory rules, which serve the files of a
+ * folder on disk for every URL below a prefix. The rules follow the global
+ * local resources switch, so this panel has no toggle of its own.
+ *
+ * @param {Object} props
+ * @param {boolean} [props.enabled] Whether local resources are globally enabled.
+ * @param {(title: string, message: string, kind: string) => Promise<boolean>} [props.showConfirm]
+ */
+function MapLocal({ enabled = true, showConfirm }) {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [newUrl, setNewUrl] = useState('');
+  const [newDirectory, setNewDirectory] = useState('');
+  const [newIndexFiles, setNewIndexFiles] = useState('index.html');
+  const [fallThrough, setFallThrough] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_BASE}/map-local`);
+      const data = await response.json();
+      setRules(Array.isArray(data.rules) ? data.rules : []);
+    } catch (error) {
+      console.error('Error fetching map local rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind === 'map-local') fetchRules();
+    }
+  });
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!newUrl.trim() || !newDirectory.trim()) {
+      setFormError('Both the URL prefix and the directory are required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE}/map-local`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          url: newUrl.trim(),
+          directory: newDirectory.trim(),
+          indexFiles: newIndexFiles.split(',').map(name => name.trim()).filter(Boolean),
+          fallThrough
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setFormError(data.error || 'Error adding map local rule');
+        return;
+      }
+      setNewUrl('');
+      setNewDirectory('');
+      setNewIndexFiles('index.html');
+      setFallThrough(false);
+      await fetchRules();
+    } catch (error) {
+      console.error('Error adding map local rule:', error);
+      setFormError('Error adding map local rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateRule = useCallback(async (rule, changes) => {
+    try {
+      const response = await fetch(`${API_BASE}/map-local/${encodeURIComponent(rule.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error updating map local rule:', error);
+    }
+  }, [fetchRules]);
+
+  const deleteRule = useCallback(async (rule) => {
+    let confirmed = true;
+    if (showConfirm) {
+      try {
+        confirmed = await showConfirm(
+          'Remove map local rule',
+          `Stop serving ${rule.url} from ${rule.directory}?`
+        );
+      } catch (error) {
+        console.error('Error showing confirmation modal:', error);
+        confirmed = false;
+      }
+    }
+    if (!confirmed) return;
+
+    try {
+      setDeletingId(rule.id);
+      const response = await fetch(`${API_BASE}/map-local/${encodeURIComponent(rule.id)}`, {
+        method: 'DELETE'
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error deleting map local rule:', error);
+    } finally {
+      setDeletingId(null);
+    }
+  }, [fetchRules, showConfirm]);
+
+  return (
+    <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-4">
+      <div className="flex items-center space-x-3">
+        <FolderOpen className="w-5 h-5 text-emerald-400" />
+        <div>
+          <h3 className="text-base font-semibold text-white">Directory mappings</h3>
+          <p className="text-xs text-slate-400">
+            Serve a whole folder for a URL prefix, with content types, index files, ranges and caching headers.
+            {!enabled && ' Local resources are off, so these rules are inactive.'}
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={addRule} className="space-y-3">
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newUrl}
+            onChange={(e) => setNewUrl(e.target.value)}
+            placeholder="URL prefix, e.g. https://cdn.example.com/static/*"
+            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <ArrowLeft className="w-4 h-4 text-slate-500 flex-shrink-0" />
+          <input
+            type="text"
+            value={newDirectory}
+            onChange={(e) => setNewDirectory(e.target.value)}
+            placeholder="Directory, e.g. ~/work/app/build/static"
+            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 h-8 rounded-lg bg-emerald-600/20 border border-emerald-500/40 text-emerald-300 hover:bg-emerald-600/30 disabled:opacity-50 transition-colors text-xs font-medium"
+          >
+            {saving ? <Spinner size="sm" /> : <Plus className="w-4 h-4" />}
+            <span>Add directory</span>
+          </button>
+        </div>
+        <div className="flex items-center gap-4">
+          <label className="inline-flex items-center gap-2 text-xs text-slate-300">
+            Index files
+            <input
+              type="text"
+              value={newIndexFiles}
+              onChange={(e) => setNewIndexFiles(e.target.value)}
+              placeholder="index.html, index.htm"
+              className="w-48 px-2 h-7 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+          </label>
+          <label className="inline-flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={fallThrough}
+              onChange={(e) => setFallThrough(e.target.checked)}
+              className="rounded border-[#2a2a2a] bg-[#0a0a0a]"
+            />
+            Fall through to upstream when a file is missing
+          </label>
+        </div>
+        {formError && (
+          <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <p className="text-xs">{formError}</p>
+          </div>
+        )}
+      </form>
+
+      {loading && rules.length === 0 ? (
+        <div className="flex items-center justify-center py-6">
+          <Spinner size="md" />
+        </div>
+      ) : rules.length > 0 && (
+        <div className="space-y-3">
+          {rules.map(rule => (
+            <div
+              key={rule.id}
+              className={`bg-[#0a0a0a] rounded-lg border border-[#2a2a2a] p-4 hover:border-emerald-500/60 transition-colors ${
+                rule.enabled ? '' : 'opacity-60'
+              }`}
+            >
+              <div className="flex items-center justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  {rule.name !== rule.url && (
+                    <p className="text-xs text-slate-400 mb-1 truncate">{rule.name}</p>
+                  )}
+                  <p className="text-sm font-mono text-slate-200 truncate" title={rule.url}>{rule.url}</p>
+                  <p className="text-xs font-mono text-emerald-300 truncate" title={rule.directory}>{rule.directory}</p>
+                  {rule.indexFiles.length > 0 && (
+                    <p className="text-[11px] text-slate-500 truncate">Index: {rule.indexFiles.join(', ')}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => updateRule(rule, { fallThrough: !rule.fallThrough })}
+                    className={`px-2 py-1 rounded text-[10px] font-medium border transition-colors ${
+                      rule.fallThrough
+                        ? 'bg-emerald-500/10 text-emerald-300 border-emerald-500/40'
+                        : 'bg-slate-700/20 text-slate-400 border-slate-600/50 hover:text-slate-200'
+                    }`}
+                    title={rule.fallThrough
+                      ? 'Missing files are fetched from the upstream'
+                      : 'Missing files answer 404'}
+                  >
+                    {rule.fallThrough ? 'FALL THROUGH' : '404 IF MISSING'}
+                  </button>
+                  <button
+                    onClick={() => updateRule(rule, { enabled: !rule.enabled })}
+                    className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                      rule.enabled
+                        ? 'bg-emerald-500/20 border border-emerald-500/60 text-emerald-200 hover:bg-emerald-500/30'
+                        : 'bg-slate-700/20 border border-slate-600/50 text-slate-400 hover:bg-slate-700/30'
+                    }`}
+                    title={rule.enabled ? 'Disable' : 'Enable'}
+                  >
+                    <Power className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => deleteRule(rule)}
+                    disabled={deletingId === rule.id}
+                    className="flex items-center gap-2 px-3 py-2 bg-red-600/20 hover:bg-red-600/30 text-red-400 border border-red-600/30 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Remove"
+                  >
+                    {deletingId === rule.id ? <Spinner size="sm" /> : <Trash2 className="w-4 h-4" />}
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MapLocal;
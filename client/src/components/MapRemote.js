@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Route,
+  ArrowRight,
+  Trash2,
+  Power,
+  Plus,
+  AlertCircle
+} from 'lucide-react';
+import Spinner from './Spinner';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+
+const API_BASE = 'http://localhost:8080/api';
+
+/**
+ * Panel for managing map remote rules, which send matching requests to a
+ * different upstream than the one the client asked for (for example a
+ * production API host to a backend running on localhost).
+ *
+ * Patterns look like `[scheme://]host[:port][/path[*]]`. A trailing `*` in
+ * the source path carries the rest of the path over to the `*` of the target.
+ *
+ * @param {Object} props
+ * @param {boolean} [props.enabled]
+ * @param {(enabled: boolean) => void} [props.onModeChange]
+ * @param {(title: string, message: string, kind: string) => Promise<boolean>} [props.showConfirm]
+ */
+function MapRemote({ enabled = true, onModeChange, showConfirm }) {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [newFrom, setNewFrom] = useState('');
+  const [newTo, setNewTo] = useState('');
+  const [preserveHost, setPreserveHost] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_BASE}/map-remote`);
+      const data = await response.json();
+      setRules(Array.isArray(data.rules) ? data.rules : []);
+    } catch (error) {
+      console.error('Error fetching map remote rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind === 'map-remote') fetchRules();
+    }
+  });
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!newFrom.trim() || !newTo.trim()) {
+      setFormError('Both the source and the target pattern are required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE}/map-remote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from: newFrom.trim(), to: newTo.trim(), preserveHost })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setFormError(data.error || 'Error adding map remote rule');
+        return;
+      }
+      setNewFrom('');
+      setNewTo('');
+      setPreserveHost(false);
+      await fetchRules();
+    } catch (error) {
+      console.error('Error adding map remote rule:', error);
+      setFormError('Error adding map remote rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateRule = useCallback(async (rule, changes) => {
+    try {
+      const response = await fetch(`${API_BASE}/map-remote/${encodeURIComponent(rule.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error updating map remote rule:', error);
+    }
+  }, [fetchRules]);
+
+  const deleteRule = useCallback(async (rule) => {
+    let confirmed = true;
+    if (showConfirm) {
+      try {
+        confirmed = await showConfirm(
+          'Remove map remote rule',
+          `Stop sending ${rule.from} to ${rule.to}?`
+        );
+      } catch (error) {
+        console.error('Error showing confirmation modal:', error);
+        confirmed = false;
+      }
+    }
+    if (!confirmed) return;
+
+    try {
+      setDeletingId(rule.id);
+      const response = await fetch(`${API_BASE}/map-remote/${encodeURIComponent(rule.id)}`, {
+        method: 'DELETE'
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error deleting map remote rule:', error);
+    } finally {
+      setDeletingId(null);
+    }
+  }, [fetchRules, showConfirm]);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a]">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <div className="relative group/map-remote-mode">
+              <button
+                type="button"
+                onClick={() => onModeChange && onModeChange(!enabled)}
+                className={`inline-flex items-center gap-1.5 px-3 h-8 rounded-lg border transition-colors ${
+                  enabled
+                    ? 'bg-sky-600/20 border-sky-500/40 text-sky-200'
+                    : 'bg-slate-700/40 border-slate-600/50 text-slate-400'
+                }`}
+                aria-pressed={!!enabled}
+              >
+                <Route className="w-4 h-4" />
+                <span className="text-xs font-medium tracking-wide">{enabled ? 'ON' : 'OFF'}</span>
+              </button>
+              <div
+                className="invisible group-hover/map-remote-mode:visible absolute left-full bottom-full ml-2 mb-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+                style={{ zIndex: 99999 }}
+              >
+                <div className="font-semibold mb-1 text-slate-200">Map remote</div>
+                <p>
+                  {enabled
+                    ? 'Matching HTTP(S) requests and WebSocket connections are sent to the mapped upstream instead.'
+                    : 'Map remote is off: every request goes to the host it was sent to.'}
+                </p>
+              </div>
+            </div>
+            <div>
+              <h3 className="text-base font-semibold text-white">Map remote</h3>
+              <p className="text-xs text-slate-400">
+                {rules.length} {rules.length === 1 ? 'rule' : 'rules'} · first enabled match applies
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <form onSubmit={addRule} className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newFrom}
+            onChange={(e) => setNewFrom(e.target.value)}
+            placeholder="From, e.g. api.prod.example.com/v2/*"
+            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <ArrowRight className="w-4 h-4 text-slate-500 flex-shrink-0" />
+          <input
+            type="text"
+            value={newTo}
+            onChange={(e) => setNewTo(e.target.value)}
+            placeholder="To, e.g. http://localhost:5000/v2/*"
+            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 h-8 rounded-lg bg-sky-600/20 border border-sky-500/40 text-sky-200 hover:bg-sky-600/30 disabled:opacity-50 transition-colors text-xs font-medium"
+          >
+            {saving ? <Spinner size="sm" /> : <Plus className="w-4 h-4" />}
+            <span>Add mapping</span>
+          </button>
+        </div>
+        <label className="inline-flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={preserveHost}
+            onChange={(e) => setPreserveHost(e.target.checked)}
+            className="rounded border-[#2a2a2a] bg-[#0a0a0a]"
+          />
+          Keep the original Host header
+        </label>
+        <p className="text-[11px] text-slate-500">
+          Empty parts of the target keep the original value. A host like <span className="font-mono">*.example.com</span> matches
+          all subdomains; the query string is always kept.
+        </p>
+        {formError && (
+          <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <p className="text-xs">{formError}</p>
+          </div>
+        )}
+      </form>
+
+      <div>
+        {loading && rules.length === 0 ? (
+          <div className="bg-[#1a1a1a] rounded-lg p-12 border border-[#2a2a2a] flex flex-col items-center justify-center text-center">
+            <Spinner size="md" />
+            <p className="mt-3 text-sm text-slate-400">Loading map remote rules...</p>
+          </div>
+        ) : rules.length === 0 ? (
+          <div className="bg-[#1a1a1a] rounded-lg p-12 border border-[#2a2a2a] text-center">
+            <Route className="w-16 h-16 text-slate-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-white mb-2">No map remote rules</h3>
+            <p className="text-slate-400 mb-6">
+              Point a host or path at another upstream, such as a locally running backend
+            </p>
+          </div>
+        ) : (
+          <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+            {rules.map(rule => (
+              <div
+                key={rule.id}
+                className="bg-[#0a0a0a] rounded-lg border border-[#2a2a2a] p-4 hover:border-sky-500/60 transition-colors"
+              >
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex-1 min-w-0">
+                    {rule.name !== rule.from && (
+                      <p className="text-xs text-slate-400 mb-1 truncate">{rule.name}</p>
+                    )}
+                    <div className="flex items-center gap-2 min-w-0 text-sm font-mono">
+                      <span className="text-slate-200 truncate" title={rule.from}>{rule.from}</span>
+                      <ArrowRight className="w-4 h-4 text-sky-400 flex-shrink-0" />
+                      <span className="text-sky-300 truncate" title={rule.to}>{rule.to}</span>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => updateRule(rule, { preserveHost: !rule.preserveHost })}
+                      className={`px-2 py-1 rounded text-[10px] font-medium border transition-colors ${
+                        rule.preserveHost
+                          ? 'bg-sky-500/10 text-sky-300 border-sky-500/40'
+                          : 'bg-slate-700/20 text-slate-400 border-slate-600/50 hover:text-slate-200'
+                      }`}
+                      title={rule.preserveHost
+                        ? 'The original Host header is sent to the target'
+                        : 'The Host header is set to the target host'}
+                    >
+                      {rule.preserveHost ? 'ORIGINAL HOST' : 'TARGET HOST'}
+                    </button>
+                    <button
+                      onClick={() => updateRule(rule, { enabled: !rule.enabled })}
+                      className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                        rule.enabled
+                          ? 'bg-sky-500/20 border border-sky-500/60 text-sky-200 hover:bg-sky-500/30'
+                          : 'bg-slate-700/20 border border-slate-600/50 text-slate-400 hover:bg-slate-700/30'
+                      }`}
+                      title={rule.enabled ? 'Disable' : 'Enable'}
+                    >
+                      <Power className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => deleteRule(rule)}
+                      disabled={deletingId === rule.id}
+                      className="flex items-center gap-2 px-3 py-2 bg-red-600/20 hover:bg-red-600/30 text-red-400 border border-red-600/30 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Remove"
+                    >
+                      {deletingId === rule.id ? <Spinner size="sm" /> : <Trash2 className="w-4 h-4" />}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MapRemote;
@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  SignalLow,
+  Trash2,
+  Power,
+  Plus,
+  AlertCircle
+} from 'lucide-react';
+import Spinner from './Spinner';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+
+const API_BASE = 'http://localhost:8080/api';
+
+const CUSTOM_FIELDS = [
+  { key: 'latencyMs', label: 'Latency', unit: 'ms RTT' },
+  { key: 'jitterMs', label: 'Jitter', unit: 'ms' },
+  { key: 'downloadKbps', label: 'Download', unit: 'kbit/s' },
+  { key: 'uploadKbps', label: 'Upload', unit: 'kbit/s' },
+  { key: 'packetLoss', label: 'Loss', unit: '%' }
+];
+
+const EMPTY_CUSTOM = { latencyMs: '300', jitterMs: '0', downloadKbps: '1000', uploadKbps: '500', packetLoss: '0' };
+
+const formatKbps = (kbps) => {
+  if (!kbps) return 'unlimited';
+  return kbps >= 1000 ? `${(kbps / 1000).toFixed(kbps % 1000 === 0 ? 0 : 1)} Mbit/s` : `${kbps} kbit/s`;
+};
+
+// One-line description of what a rule does to traffic.
+const describeConditions = (rule) => {
+  const parts = [`${rule.latencyMs} ms`];
+  if (rule.jitterMs) parts[0] += ` ±${rule.jitterMs}`;
+  parts.push(`↓ ${formatKbps(rule.downloadKbps)}`);
+  parts.push(`↑ ${formatKbps(rule.uploadKbps)}`);
+  if (rule.packetLoss) parts.push(`${rule.packetLoss}% loss`);
+  return parts.join(' · ');
+};
+
+const fetchNetworkConditions = async () => {
+  const response = await fetch(`${API_BASE}/network-conditions`);
+  return response.json();
+};
+
+/**
+ * Header pill naming the network conditions currently applied. Hidden when
+ * simulation is off or no rule is enabled.
+ *
+ * @param {Object} props
+ * @param {boolean} props.enabled Global network condition flag from /api/config.
+ * @param {() => void} [props.onClick] Opens the network conditions tab.
+ */
+export function NetworkConditionBadge({ enabled, onClick }) {
+  const [activeRules, setActiveRules] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await fetchNetworkConditions();
+      setActiveRules(Array.isArray(data.rules) ? data.rules.filter(rule => rule.enabled) : []);
+    } catch (error) {
+      console.error('Error fetching network conditions:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind === 'network') refresh();
+    }
+  });
+
+  if (!enabled || activeRules.length === 0) return null;
+
+  const label = activeRules.length === 1 ? activeRules[0].name : `${activeRules[0].name} +${activeRules.length - 1}`;
+
+  return (
+    <div className="relative group/network-badge">
+      <button
+        type="button"
+        onClick={onClick}
+        className="inline-flex items-center gap-1.5 px-3 h-8 rounded-lg bg-rose-600/20 border border-rose-500/40 text-rose-200 hover:bg-rose-600/30 transition-colors text-xs font-medium"
+      >
+        <SignalLow className="w-4 h-4" />
+        <span className="max-w-[8rem] truncate">{label}</span>
+      </button>
+      <div
+        className="invisible group-hover/network-badge:visible absolute right-0 top-full mt-2 w-72 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl space-y-1.5"
+        style={{ zIndex: 99999 }}
+      >
+        <div className="font-semibold text-slate-200">Network conditions active</div>
+        {activeRules.map(rule => (
+          <p key={rule.id}>
+            <span className="text-slate-200">{rule.name}</span>
+            <span className="text-slate-500"> on {rule.url || 'all traffic'}</span>
+            <br />
+            <span className="text-slate-400">{describeConditions(rule)}</span>
+          </p>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Panel for managing network condition rules (throttling, latency, jitter
+ * and packet loss per host or URL pattern).
+ *
+ * The first enabled rule whose pattern matches a request, tunnel or
+ * WebSocket connection applies to it; an empty pattern matches all traffic.
+ *
+ * @param {Object} props
+ * @param {boolean} [props.enabled]
+ * @param {(enabled: boolean) => void} [props.onModeChange]
+ * @param {(title: string, message: string, kind: string) => Promise<boolean>} [props.showConfirm]
+ */
+function NetworkConditions({ enabled = true, onModeChange, showConfirm }) {
+  const [rules, setRules] = useState([]);
+  const [presets, setPresets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [newUrl, setNewUrl] = useState('');
+  const [newPreset, setNewPreset] = useState('3g');
+  const [custom, setCustom] = useState(EMPTY_CUSTOM);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await fetchNetworkConditions();
+      setRules(Array.isArray(data.rules) ? data.rules : []);
+      setPresets(Array.isArray(data.presets) ? data.presets : []);
+    } catch (error) {
+      console.error('Error fetching network conditions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind === 'network') fetchRules();
+    }
+  });
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    const payload = { url: newUrl.trim(), preset: newPreset };
+    if (newPreset === 'custom') {
+      CUSTOM_FIELDS.forEach(({ key }) => {
+        payload[key] = Number(custom[key]) || 0;
+      });
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(`${API_BASE}/network-conditions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setFormError(data.error || 'Error adding network condition');
+        return;
+      }
+      setNewUrl('');
+      await fetchRules();
+    } catch (error) {
+      console.error('Error adding network condition:', error);
+      setFormError('Error adding network condition');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRuleEnabled = useCallback(async (rule) => {
+    try {
+      const response = await fetch(`${API_BASE}/network-conditions/${encodeURIComponent(rule.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !rule.enabled })
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error updating network condition:', error);
+    }
+  }, [fetchRules]);
+
+  const deleteRule = useCallback(async (rule) => {
+    let confirmed = true;
+    if (showConfirm) {
+      try {
+        confirmed = await showConfirm(
+          'Remove network condition',
+          `Stop applying "${rule.name}" to ${rule.url || 'all traffic'}?`
+        );
+      } catch (error) {
+        console.error('Error showing confirmation modal:', error);
+        confirmed = false;
+      }
+    }
+    if (!confirmed) return;
+
+    try {
+      setDeletingId(rule.id);
+      const response = await fetch(`${API_BASE}/network-conditions/${encodeURIComponent(rule.id)}`, {
+        method: 'DELETE'
+      });
+      if (response.ok) {
+        await fetchRules();
+      }
+    } catch (error) {
+      console.error('Error deleting network condition:', error);
+    } finally {
+      setDeletingId(null);
+    }
+  }, [fetchRules, showConfirm]);
+
+  const selectedPreset = presets.find(preset => preset.id === newPreset) || null;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a]">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <div className="relative group/network-mode">
+              <button
+                type="button"
+                onClick={() => onModeChange && onModeChange(!enabled)}
+                className={`inline-flex items-center gap-1.5 px-3 h-8 rounded-lg border transition-colors ${
+                  enabled
+                    ? 'bg-rose-600/20 border-rose-500/40 text-rose-200'
+                    : 'bg-slate-700/40 border-slate-600/50 text-slate-400'
+                }`}
+                aria-pressed={!!enabled}
+              >
+                <SignalLow className="w-4 h-4" />
+                <span className="text-xs font-medium tracking-wide">{enabled ? 'ON' : 'OFF'}</span>
+              </button>
+              <div
+                className="invisible group-hover/network-mode:visible absolute left-full bottom-full ml-2 mb-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+                style={{ zIndex: 99999 }}
+              >
+                <div className="font-semibold mb-1 text-slate-200">Network conditions</div>
+                <p>
+                  {enabled
+                    ? 'Matching HTTP(S) responses, tunnels and WebSocket frames are slowed down by the enabled rules.'
+                    : 'Network simulation is off: all traffic runs at full speed.'}
+                </p>
+              </div>
+            </div>
+            <div>
+              <h3 className="text-base font-semibold text-white">Network conditions</h3>
+              <p className="text-xs text-slate-400">
+                {rules.length} {rules.length === 1 ? 'rule' : 'rules'} · first enabled match applies
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <form onSubmit={addRule} className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newUrl}
+            onChange={(e) => setNewUrl(e.target.value)}
+            placeholder="Host or URL contains, e.g. api.example.com (empty: all traffic)"
+            className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <select
+            value={newPreset}
+            onChange={(e) => setNewPreset(e.target.value)}
+            className="px-2 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+          >
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.label}</option>
+            ))}
+            <option value="custom">Custom</option>
+          </select>
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 h-8 rounded-lg bg-rose-600/20 border border-rose-500/40 text-rose-200 hover:bg-rose-600/30 disabled:opacity-50 transition-colors text-xs font-medium"
+          >
+            {saving ? <Spinner size="sm" /> : <Plus className="w-4 h-4" />}
+            <span>Add condition</span>
+          </button>
+        </div>
+        {newPreset === 'custom' ? (
+          <div className="grid grid-cols-5 gap-2">
+            {CUSTOM_FIELDS.map(field => (
+              <label key={field.key} className="block">
+                <span className="block text-[11px] text-slate-400 mb-1">
+                  {field.label} <span className="text-slate-500">({field.unit})</span>
+                </span>
+                <input
+                  type="number"
+                  min={0}
+                  step={field.key === 'packetLoss' ? 0.1 : 1}
+                  value={custom[field.key]}
+                  onChange={(e) => setCustom(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+                />
+              </label>
+            ))}
+          </div>
+        ) : selectedPreset && (
+          <p className="text-[11px] text-slate-500">{describeConditions(selectedPreset)}</p>
+        )}
+        <p className="text-[11px] text-slate-500">
+          Bandwidth 0 means unlimited. Packet loss shows up as retransmission stalls, the way TCP traffic experiences it.
+        </p>
+        {formError && (
+          <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <p className="text-xs">{formError}</p>
+          </div>
+        )}
+      </form>
+
+      <div>
+        {loading && rules.length === 0 ? (
+          <div className="bg-[#1a1a1a] rounded-lg p-12 border border-[#2a2a2a] flex flex-col items-center justify-center text-center">
+            <Spinner size="md" />
+            <p className="mt-3 text-sm text-slate-400">Loading network conditions...</p>
+          </div>
+        ) : rules.length === 0 ? (
+          <div className="bg-[#1a1a1a] rounded-lg p-12 border border-[#2a2a2a] text-center">
+            <SignalLow className="w-16 h-16 text-slate-600 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-white mb-2">No network conditions</h3>
+            <p className="text-slate-400 mb-6">
+              Add a preset or custom profile to reproduce slow or flaky networks
+            </p>
+          </div>
+        ) : (
+          <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+            {rules.map(rule => (
+              <div
+                key={rule.id}
+                className="bg-[#0a0a0a] rounded-lg border border-[#2a2a2a] p-4 hover:border-rose-500/60 transition-colors"
+              >
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className="px-2 py-0.5 rounded text-[10px] font-medium border uppercase bg-rose-500/10 text-rose-300 border-rose-500/30">
+                        {rule.name}
+                      </span>
+                      <span className="text-[11px] text-slate-400">{describeConditions(rule)}</span>
+                    </div>
+                    <p className="text-sm text-slate-200 font-mono truncate" title={rule.url}>
+                      {rule.url || <span className="text-slate-500 font-sans">All traffic</span>}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => toggleRuleEnabled(rule)}
+                      className={`flex items-center space-x-2 px-3 py-2 rounded-lg transition-colors ${
+                        rule.enabled
+                          ? 'bg-rose-500/20 border border-rose-500/60 text-rose-200 hover:bg-rose-500/30'
+                          : 'bg-slate-700/20 border border-slate-600/50 text-slate-400 hover:bg-slate-700/30'
+                      }`}
+                      title={rule.enabled ? 'Disable' : 'Enable'}
+                    >
+                      <Power className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => deleteRule(rule)}
+                      disabled={deletingId === rule.id}
+                      className="flex items-center gap-2 px-3 py-2 bg-red-600/20 hover:bg-red-600/30 text-red-400 border border-red-600/30 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Remove"
+                    >
+                      {deletingId === rule.id ? <Spinner size="sm" /> : <Trash2 className="w-4 h-4" />}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default NetworkConditions;
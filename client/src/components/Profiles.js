@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Layers,
+  Plus,
+  Save,
+  Trash2
+} from 'lucide-react';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+
+const API_BASE = 'http://localhost:8080/api';
+
+/**
+ * Profile switcher shown in the header.
+ *
+ * A profile bundles which edit, filter and blocked rules and which local
+ * resources are enabled, plus the global mode flags. Picking one activates it
+ * on the server in a single step; the current state can be saved as a new
+ * profile or written back into the active one.
+ *
+ * @param {Object} props
+ * @param {() => void} [props.onProfileActivated] Called after a profile was activated.
+ * @param {(title: string, message: string) => Promise<boolean>} [props.showConfirm]
+ * @param {(title: string, message: string, defaultValue?: string, placeholder?: string) => Promise<string|false>} [props.showPrompt]
+ * @param {(title: string, message: string, type?: string) => void} [props.showAlert]
+ */
+function Profiles({ onProfileActivated, showConfirm, showPrompt, showAlert }) {
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchProfiles = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/profiles`);
+      const data = await response.json();
+      setProfiles(Array.isArray(data.profiles) ? data.profiles : []);
+      setActiveProfileId(data.activeProfileId || null);
+    } catch (err) {
+      console.error('Error fetching profiles:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProfiles();
+  }, [fetchProfiles]);
+
+  // Any rule, resource or mode change may make the active profile "modified"
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind !== 'sessions' && kind !== 'recordings' && kind !== 'schemas') fetchProfiles();
+    }
+  });
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId) || null;
+
+  const request = async (path, options) => {
+    setBusy(true);
+    try {
+      const response = await fetch(`${API_BASE}${path}`, options);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const message = data.error || `Request failed with status ${response.status}`;
+        if (showAlert) {
+          showAlert('Profile error', message, 'error');
+        } else {
+          alert(message);
+        }
+        return null;
+      }
+      return response.status === 204 ? {} : await response.json();
+    } catch (err) {
+      console.error('Error updating profiles:', err);
+      if (showAlert) showAlert('Profile error', 'Error updating profiles', 'error');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const activateProfile = async (profileId) => {
+    if (!profileId) return;
+    const data = await request(`/profiles/${encodeURIComponent(profileId)}/activate`, { method: 'POST' });
+    if (data) {
+      fetchProfiles();
+      if (onProfileActivated) onProfileActivated();
+    }
+  };
+
+  const createProfile = async () => {
+    if (!showPrompt) return;
+    const name = await showPrompt(
+      'New Profile',
+      'Save the currently enabled rules, resources and modes as a profile named:',
+      '',
+      'e.g. staging-mocks'
+    );
+    if (!name || !name.trim()) return;
+
+    const data = await request('/profiles', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name.trim() })
+    });
+    if (data) fetchProfiles();
+  };
+
+  const updateProfile = async () => {
+    if (!activeProfile) return;
+    const confirmed = showConfirm
+      ? await showConfirm(
+        'Update Profile',
+        `Replace the contents of "${activeProfile.name}" with the rules, resources and modes that are enabled right now?`
+      )
+      : true;
+    if (!confirmed) return;
+
+    const data = await request(`/profiles/${encodeURIComponent(activeProfile.id)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ capture: true })
+    });
+    if (data) fetchProfiles();
+  };
+
+  const deleteProfile = async () => {
+    if (!activeProfile) return;
+    const confirmed = showConfirm
+      ? await showConfirm(
+        'Delete Profile',
+        `Delete the profile "${activeProfile.name}"? Rules and resources themselves are kept.`
+      )
+      : true;
+    if (!confirmed) return;
+
+    const data = await request(`/profiles/${encodeURIComponent(activeProfile.id)}`, { method: 'DELETE' });
+    if (data) fetchProfiles();
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      <div className="relative flex items-center">
+        <Layers className={`absolute left-2.5 w-4 h-4 pointer-events-none ${activeProfile ? 'text-purple-300' : 'text-slate-500'}`} />
+        <select
+          value={activeProfileId || ''}
+          onChange={(event) => activateProfile(event.target.value)}
+          onFocus={fetchProfiles}
+          disabled={busy}
+          title={activeProfile?.modified
+            ? 'Rules or modes changed since this profile was activated'
+            : 'Switch profile: enables its rules and resources and disables everything else'}
+          className="pl-8 pr-2 h-8 max-w-[12rem] bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50"
+        >
+          <option value="" disabled>
+            {profiles.length > 0 ? 'No profile' : 'No profiles yet'}
+          </option>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>
+              {profile.modified ? `${profile.name} (modified)` : profile.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <button
+        type="button"
+        onClick={createProfile}
+        disabled={busy}
+        title="Save current rules and modes as a new profile"
+        className="p-2 rounded-lg bg-slate-700/30 border border-slate-600/40 text-slate-300 hover:bg-slate-700/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        <Plus className="w-4 h-4" />
+      </button>
+      <button
+        type="button"
+        onClick={updateProfile}
+        disabled={busy || !activeProfile || !activeProfile.modified}
+        title={activeProfile ? `Update "${activeProfile.name}" from the current state` : 'Activate a profile to update it'}
+        className="p-2 rounded-lg bg-slate-700/30 border border-slate-600/40 text-slate-300 hover:bg-slate-700/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        <Save className="w-4 h-4" />
+      </button>
+      <button
+        type="button"
+        onClick={deleteProfile}
+        disabled={busy || !activeProfile}
+        title={activeProfile ? `Delete "${activeProfile.name}"` : 'Activate a profile to delete it'}
+        className="p-2 rounded-lg bg-red-600/20 border border-red-600/30 text-red-400 hover:bg-red-600/30 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+export default Profiles;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { FileCode, Upload, Trash2, AlertCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+import Spinner from './Spinner';
+
+const API_BASE = 'http://localhost:8080/api';
+
+/**
+ * Protobuf schema panel shown below the edit rules.
+ *
+ * Uploaded .proto files and FileDescriptorSets let the proxy decode Connect
+ * and gRPC bodies with real field names, and JSONPath rules address those
+ * fields by name (e.g. `$.user.email`). The service and method are taken from
+ * the request path (`/package.Service/Method`).
+ *
+ * @param {Object} props
+ * @param {(title: string, message: string) => Promise<boolean>} [props.showConfirm]
+ */
+function ProtoSchemas({ showConfirm }) {
+  const [schemas, setSchemas] = useState([]);
+  const [services, setServices] = useState([]);
+  const [showServices, setShowServices] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const fetchSchemas = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/proto-schemas`);
+      const data = await response.json();
+      setSchemas(Array.isArray(data.schemas) ? data.schemas : []);
+      setServices(Array.isArray(data.services) ? data.services : []);
+    } catch (err) {
+      console.error('Error fetching protobuf schemas:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchemas();
+  }, [fetchSchemas]);
+
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind === 'schemas') fetchSchemas();
+    }
+  });
+
+  const handleUpload = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    setUploading(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/proto-schemas`, { method: 'POST', body: formData });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || `Upload failed with status ${response.status}`);
+        return;
+      }
+      fetchSchemas();
+    } catch (err) {
+      console.error('Error uploading protobuf schemas:', err);
+      setError('Error uploading protobuf schemas');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (schema) => {
+    const confirmed = showConfirm
+      ? await showConfirm('Remove Schema', `Remove "${schema.name}"? Messages it describes are decoded without field names again.`)
+      : true;
+    if (!confirmed) return;
+
+    setDeletingId(schema.id);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/proto-schemas/${encodeURIComponent(schema.id)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || `Delete failed with status ${response.status}`);
+        return;
+      }
+      fetchSchemas();
+    } catch (err) {
+      console.error('Error deleting protobuf schema:', err);
+      setError('Error deleting protobuf schema');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const methodCount = services.reduce((total, service) => total + service.methods.length, 0);
+
+  return (
+    <div className="bg-[#1a1a1a] rounded-lg p-4 border border-[#2a2a2a] space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center space-x-3">
+          <FileCode className="w-5 h-5 text-cyan-400" />
+          <div>
+            <h3 className="text-base font-semibold text-white">Protobuf Schemas</h3>
+            <p className="text-xs text-slate-400">
+              {schemas.length === 0
+                ? 'Upload .proto files or a descriptor set to decode Connect/gRPC bodies with field names'
+                : `${schemas.length} ${schemas.length === 1 ? 'file' : 'files'} · ${services.length} ${services.length === 1 ? 'service' : 'services'} · ${methodCount} ${methodCount === 1 ? 'method' : 'methods'}`}
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          disabled={uploading}
+          className="inline-flex items-center gap-1.5 px-3 h-8 rounded-lg bg-cyan-600/20 border border-cyan-500/40 text-cyan-300 hover:bg-cyan-600/30 hover:text-white disabled:bg-slate-700 disabled:text-slate-500 disabled:border-slate-600/50 transition-colors text-xs font-medium"
+        >
+          {uploading ? <Spinner size="sm" /> : <Upload className="w-4 h-4" />}
+          <span>Upload</span>
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept=".proto,.desc,.pb,.binpb,.protoset"
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 p-2 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <p className="text-xs break-all">{error}</p>
+        </div>
+      )}
+
+      {schemas.length > 0 && (
+        <div className="space-y-2">
+          {schemas.map(schema => (
+            <div
+              key={schema.id}
+              className="flex items-center justify-between gap-3 bg-[#0a0a0a] rounded-lg border border-[#2a2a2a] px-3 py-2"
+            >
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <code className="text-sm text-slate-200 truncate">{schema.name}</code>
+                  <span className="px-2 py-0.5 rounded-full text-[10px] font-semibold tracking-wide uppercase bg-slate-500/20 border border-slate-500/40 text-slate-300">
+                    {schema.kind === 'descriptorSet' ? 'Descriptor set' : 'Proto'}
+                  </span>
+                </div>
+                {schema.error && (
+                  <p className="text-xs text-red-300 break-all">{schema.error}</p>
+                )}
+              </div>
+              <button
+                type="button"
+                onClick={() => handleDelete(schema)}
+                disabled={deletingId === schema.id}
+                className="inline-flex items-center justify-center px-3 h-8 bg-red-600/20 hover:bg-red-600/30 text-red-400 border border-red-600/30 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Remove"
+              >
+                {deletingId === schema.id ? <Spinner size="sm" /> : <Trash2 className="w-4 h-4" />}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {services.length > 0 && (
+        <div>
+          <button
+            type="button"
+            onClick={() => setShowServices(value => !value)}
+            className="inline-flex items-center gap-1 text-xs text-slate-400 hover:text-slate-200"
+          >
+            {showServices ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+            <span>Services and methods</span>
+          </button>
+          {showServices && (
+            <div className="mt-2 space-y-1 text-xs font-mono">
+              {services.map(service => service.methods.map(method => (
+                <div key={method.path} className="flex items-center gap-2 text-slate-300">
+                  <span className="text-cyan-300 truncate">{method.path}</span>
+                  <span className="text-slate-500 truncate">
+                    {method.requestType} → {method.responseType}
+                  </span>
+                </div>
+              )))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProtoSchemas;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Disc, Trash2, AlertCircle } from 'lucide-react';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+
+const API_BASE = 'http://localhost:8080/api';
+
+const MODES = [
+  { value: 'off', label: 'Off' },
+  { value: 'record', label: 'Record' },
+  { value: 'playback', label: 'Playback' }
+];
+
+const MISS_MODES = [
+  { value: 'fail', label: 'Fail with 502' },
+  { value: 'notFound', label: 'Answer 404' },
+  { value: 'passthrough', label: 'Forward upstream' }
+];
+
+const MODE_DESCRIPTIONS = {
+  off: 'Requests go upstream as usual.',
+  record: 'Every response fetched upstream is stored, keyed by method, URL and request body.',
+  playback: 'Recorded responses are served without contacting upstream.'
+};
+
+/**
+ * Record & playback bar shown above the request logs.
+ *
+ * Switches the proxy between recording upstream responses and answering from
+ * the recording (for offline development), chooses what happens to requests
+ * that were never recorded and clears the recording.
+ *
+ * @param {Object} props
+ * @param {(title: string, message: string) => Promise<boolean>} [props.showConfirm]
+ */
+function Recording({ showConfirm }) {
+  const [mode, setMode] = useState('off');
+  const [missMode, setMissMode] = useState('fail');
+  const [count, setCount] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchRecordings = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/recordings`);
+      const data = await response.json();
+      setMode(data.recordingMode || 'off');
+      setMissMode(data.playbackMissMode || 'fail');
+      setCount(typeof data.count === 'number' ? data.count : 0);
+    } catch (err) {
+      console.error('Error fetching recordings:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRecordings();
+  }, [fetchRecordings]);
+
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind === 'recordings' || kind === 'config') fetchRecordings();
+    }
+  });
+
+  const request = async (path, options) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}${path}`, options);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || `Request failed with status ${response.status}`);
+        return null;
+      }
+      return response.status === 204 ? {} : await response.json();
+    } catch (err) {
+      console.error('Error updating recording:', err);
+      setError('Error updating recording');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateMode = async (changes) => {
+    const data = await request('/recording-mode', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    if (data) {
+      setMode(data.recordingMode);
+      setMissMode(data.playbackMissMode);
+    }
+  };
+
+  const clearRecordings = async () => {
+    const confirmed = showConfirm
+      ? await showConfirm('Clear Recording', `Delete all ${count} recorded responses? This cannot be undone.`)
+      : true;
+    if (!confirmed) return;
+
+    const data = await request('/recordings', { method: 'DELETE' });
+    if (data) setCount(0);
+  };
+
+  const accent = mode === 'record'
+    ? 'border-red-500/40'
+    : mode === 'playback' ? 'border-violet-500/40' : 'border-[#2a2a2a]';
+
+  return (
+    <div className={`bg-[#1a1a1a] rounded-lg p-3 border space-y-2 ${accent}`}>
+      <div className="flex items-center gap-3">
+        <Disc className={`w-4 h-4 flex-shrink-0 ${
+          mode === 'record' ? 'text-red-400' : mode === 'playback' ? 'text-violet-300' : 'text-slate-400'
+        }`}
+        />
+        <div className="inline-flex items-center rounded-full bg-[#050508] border border-[#252525] p-0.5">
+          {MODES.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => option.value !== mode && updateMode({ mode: option.value })}
+              disabled={busy}
+              className={`px-3 h-7 text-[11px] font-medium tracking-wide rounded-full transition-all duration-150 ${
+                mode === option.value
+                  ? 'bg-[#18181b] border border-slate-500/70 text-slate-100'
+                  : 'bg-transparent text-slate-400 hover:bg-[#161616] hover:text-slate-100'
+              }`}
+              aria-pressed={mode === option.value}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'playback' && (
+          <label className="inline-flex items-center gap-2 text-xs text-slate-400">
+            <span>On a miss</span>
+            <select
+              value={missMode}
+              onChange={(event) => updateMode({ missMode: event.target.value })}
+              disabled={busy}
+              className="px-2 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+            >
+              {MISS_MODES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <p className="flex-1 min-w-0 text-xs text-slate-400 truncate">
+          {MODE_DESCRIPTIONS[mode]} {count} {count === 1 ? 'response' : 'responses'} recorded.
+        </p>
+
+        <button
+          type="button"
+          onClick={clearRecordings}
+          disabled={busy || count === 0}
+          title="Delete all recorded responses"
+          className="p-2 rounded-lg bg-red-600/20 border border-red-600/30 text-red-400 hover:bg-red-600/30 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 p-2 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <p className="text-xs">{error}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Recording;
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { Send, RotateCcw, AlertCircle, CheckCircle } from 'lucide-react';
+import Spinner from './Spinner';
+
+const REPLAY_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+// Render a headers object as editable "Name: value" lines.
+export const formatHeadersForEditing = (headers) => {
+  if (!headers || typeof headers !== 'object') return '';
+  return Object.entries(headers)
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : String(value)}`)
+    .join('\n');
+};
+
+// Parse "Name: value" lines back into a headers object. Blank lines are
+// ignored; lines without a colon are reported as errors.
+export const parseEditedHeaders = (text) => {
+  const headers = {};
+  const lines = String(text || '').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      return { headers: null, error: `Invalid header on line ${i + 1}: expected "Name: value".` };
+    }
+    headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+
+  return { headers, error: '' };
+};
+
+// Build the editable body text from what the backend exposes for a log.
+const getInitialBodyText = (log) => {
+  if (!log) return '';
+  if (typeof log.body === 'string') return log.body;
+  if (log.body && typeof log.body === 'object' && !Array.isArray(log.body)) {
+    try {
+      return JSON.stringify(log.body, null, 2);
+    } catch {
+      return '';
+    }
+  }
+  return log.rawRequestBodyPreview || '';
+};
+
+/**
+ * Inline "edit & resend" form for a captured request.
+ *
+ * The body is only sent as an override when the user edits it, so untouched
+ * replays reuse the exact bytes captured by the proxy (including binary and
+ * Connect payloads that cannot be represented faithfully as text).
+ *
+ * @param {Object} props
+ * @param {Object} props.log Client view of the log entry to replay.
+ * @param {(result: Object) => void} [props.onReplayed] Called with the API response after a replay.
+ * @param {() => void} [props.onClose] Called when the panel is dismissed.
+ */
+function ReplayRequestPanel({ log, onReplayed, onClose }) {
+  const initialUrl = log?.targetUrl || log?.fullUrl || log?.url || '';
+  const initialHeaders = formatHeadersForEditing(log?.headers);
+  const initialBody = getInitialBodyText(log);
+  const isBinaryBody = !!log?.connectRequest;
+
+  const [method, setMethod] = useState(log?.method || 'GET');
+  const [url, setUrl] = useState(initialUrl);
+  const [headersText, setHeadersText] = useState(initialHeaders);
+  const [bodyText, setBodyText] = useState(initialBody);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleReset = () => {
+    setMethod(log?.method || 'GET');
+    setUrl(initialUrl);
+    setHeadersText(initialHeaders);
+    setBodyText(initialBody);
+    setError('');
+    setResult(null);
+  };
+
+  const handleSend = async () => {
+    setError('');
+    setResult(null);
+
+    const { headers, error: headersError } = parseEditedHeaders(headersText);
+    if (headersError) {
+      setError(headersError);
+      return;
+    }
+
+    const payload = { method, url: url.trim(), headers };
+    if (!isBinaryBody && bodyText !== initialBody) {
+      payload.body = bodyText;
+    }
+
+    setSending(true);
+    try {
+      const response = await fetch(`http://localhost:8080/api/logs/${encodeURIComponent(String(log.id))}/replay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        setError(data.error || `Replay failed with status ${response.status}`);
+        return;
+      }
+
+      setResult(data);
+      if (onReplayed) onReplayed(data);
+    } catch (err) {
+      console.error('Error replaying request:', err);
+      setError('Error replaying request');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const methodOptions = REPLAY_METHODS.includes(method) ? REPLAY_METHODS : [method, ...REPLAY_METHODS];
+
+  return (
+    <div className="border border-blue-500/40 rounded-lg bg-[#0f0f0f] p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-semibold text-white">Edit &amp; resend</h4>
+          <p className="text-xs text-slate-400">
+            The response is logged as a new entry linked to this request.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleReset}
+          className="inline-flex items-center gap-1.5 px-3 h-8 rounded-lg bg-[#0a0a0a] border border-[#2a2a2a] text-xs font-medium text-slate-300 hover:bg-[#1a1a1a] hover:text-white transition-colors"
+        >
+          <RotateCcw className="w-3.5 h-3.5" />
+          <span>Reset</span>
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <select
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          className="px-2 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+        >
+          {methodOptions.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://example.com/api/resource"
+          className="flex-1 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          Headers
+        </label>
+        <textarea
+          value={headersText}
+          onChange={(e) => setHeadersText(e.target.value)}
+          rows={6}
+          spellCheck={false}
+          className="w-full px-3 py-2 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500 resize-y"
+        />
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          Body
+        </label>
+        <textarea
+          value={bodyText}
+          onChange={(e) => setBodyText(e.target.value)}
+          rows={8}
+          spellCheck={false}
+          readOnly={isBinaryBody}
+          placeholder={method === 'GET' || method === 'HEAD' ? 'GET and HEAD requests are sent without a body.' : ''}
+          className={`w-full px-3 py-2 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500 resize-y ${
+            isBinaryBody ? 'text-slate-500' : 'text-white'
+          }`}
+        />
+        {isBinaryBody && (
+          <p className="mt-1 text-[11px] text-slate-500">
+            Binary Connect payloads are resent unchanged.
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <p className="text-xs">{error}</p>
+        </div>
+      )}
+
+      {result && (
+        <div className={`flex items-center space-x-2 p-3 rounded-lg border ${
+          result.success
+            ? 'bg-emerald-900/40 border-emerald-700 text-emerald-200'
+            : 'bg-red-900/40 border-red-800 text-red-200'
+        }`}>
+          {result.success ? (
+            <CheckCircle className="w-4 h-4 flex-shrink-0" />
+          ) : (
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          )}
+          <p className="text-xs">
+            {result.success
+              ? `Replayed with status ${result.statusCode}.`
+              : `Replay failed: ${result.error || 'upstream error'}`}
+            {!result.log && ' Interactive mode is off, so the result was not logged.'}
+          </p>
+        </div>
+      )}
+
+      <div className="flex items-center gap-3 pt-3 border-t border-[#2a2a2a]">
+        <button
+          type="button"
+          onClick={handleSend}
+          disabled={sending || !url.trim()}
+          className="flex-1 inline-flex items-center justify-center gap-2 px-4 h-8 rounded-lg bg-blue-600/20 border border-blue-500/40 text-blue-300 hover:bg-blue-600/30 hover:text-white disabled:bg-slate-700 disabled:text-slate-500 disabled:border-slate-600/50 transition-colors text-xs font-medium"
+        >
+          {sending ? (
+            <>
+              <Spinner size="sm" />
+              <span>Sending...</span>
+            </>
+          ) : (
+            <>
+              <Send className="w-4 h-4" />
+              <span>Send</span>
+            </>
+          )}
+        </button>
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="inline-flex items-center justify-center px-4 h-8 rounded-lg bg-[#0a0a0a] border border-[#2a2a2a] text-xs font-medium text-slate-300 hover:bg-[#1a1a1a] hover:text-white transition-colors"
+          >
+            Close
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReplayRequestPanel;
@@ -2,7 +2,10 @@ import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react'
 import { createPortal } from 'react-dom';
 import Modal from './Modal';
 import Spinner from './Spinner';
+import ReplayRequestPanel from './ReplayRequestPanel';
+import SaveResourcePanel from './SaveResourcePanel';
 import { useModal } from '../hooks/useModal';
+import { useLiveEvents } from '../hooks/useLiveEvents';
 import {
   Search,
   Filter,
@@ -23,7 +26,11 @@ import {
   ShieldAlert,
   HelpCircle,
   Info,
-  Check
+  Check,
+  Send,
+  Zap,
+  Route,
+  FolderOpen
 } from 'lucide-react';
 import { JSONTree } from 'react-json-tree';
 
@@ -347,6 +354,18 @@ const extractBlockedPatterns = (payload) => {
     .filter((value, index, arr) => value && arr.indexOf(value) === index);
 };
 
+// Only plain HTTP(S) requests can be re-issued through /api/logs/:id/replay;
+// WebSocket messages and CONNECT tunnels have no request to resend.
+const isReplayableLog = (log) => {
+  if (!log || log.source === 'websocket' || log.source === 'tunnel') return false;
+  return log.method !== 'WS' && log.method !== 'CONNECT';
+};
+
+// Entries with a captured HTTP response can be saved as a local resource.
+const canSaveAsResource = (log) => (
+  isReplayableLog(log) && !log.isConnectionLog && Number.isInteger(log.statusCode)
+);
+
 const HeaderList = ({ headers }) => {
   if (!headers || typeof headers !== 'object') {
     return (
@@ -715,8 +734,9 @@ const ConnectFramesSection = ({ title, frames, defaultCollapsed = true, log, onC
  * @param {(exportFn: () => Promise<void>) => void} [props.onExportLogs] Receives a function the parent can call to export logs.
  * @param {number|string} [props.refreshToken] Changing this value forces an immediate refetch of logs.
  * @param {(seed: Object) => void} [props.onCreateJsonPathRule] Invoked when the user creates a JSONPath edit rule from a JSON tree.
+ * @param {string|null} [props.sessionId] Saved capture session to show instead of the live logs.
  */
-function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCreateJsonPathRule }) {
+function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCreateJsonPathRule, sessionId = null }) {
   const { modalState, closeModal, showPrompt, showAlert } = useModal();
   const [logs, setLogs] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -754,16 +774,22 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
     if (saved) {
       const parsed = JSON.parse(saved);
       // Migrate old filters: replace 'tunnel' and 'direct' with 'websocket', keep only protocols
-      const protocols = ['proxied', 'mitm', 'websocket'];
+      const protocols = ['proxied', 'mitm', 'websocket', 'replay'];
       const filtered = parsed.filter(s => protocols.includes(s));
       // Ensure websocket is included if tunnel or direct were present
       if ((parsed.includes('tunnel') || parsed.includes('direct')) && !filtered.includes('websocket')) {
         filtered.push('websocket');
       }
+      // Filters saved as the defaults from before replays had their own source
+      // would otherwise hide replays
+      const previousDefaults = ['proxied', 'mitm', 'websocket'];
+      if (filtered.length === previousDefaults.length && previousDefaults.every(s => filtered.includes(s))) {
+        filtered.push('replay');
+      }
       // If empty after migration, use defaults
-      return filtered.length > 0 ? filtered : ['proxied', 'mitm', 'websocket'];
+      return filtered.length > 0 ? filtered : ['proxied', 'mitm', 'websocket', 'replay'];
     }
-    return ['proxied', 'mitm', 'websocket'];
+    return ['proxied', 'mitm', 'websocket', 'replay'];
   });
   
   const [selectedMethods, setSelectedMethods] = useState(() => {
@@ -777,6 +803,8 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
   });
   
   const [expandedLog, setExpandedLog] = useState(null);
+  const [replayLogId, setReplayLogId] = useState(null);
+  const [resourceLogId, setResourceLogId] = useState(null);
   const [showSourcesDropdown, setShowSourcesDropdown] = useState(false);
   const [showMethodsDropdown, setShowMethodsDropdown] = useState(false);
   const [showFileTypesDropdown, setShowFileTypesDropdown] = useState(false);
@@ -788,6 +816,9 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
   const observerTarget = React.useRef(null);
   const activeFetchControllerRef = useRef(null);
   const activeRequestIdRef = useRef(0);
+  // Entries pushed while a fetch is in flight; merged once it completes so
+  // they are not lost when the fetched page replaces the list.
+  const liveAddedDuringFetchRef = useRef([]);
 
   const [showSearchHelp, setShowSearchHelp] = useState(false);
   const [searchHelpPosition, setSearchHelpPosition] = useState({ top: 0, left: 0 });
@@ -856,6 +887,9 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
     activeFetchControllerRef.current = controller;
 
     const requestId = ++activeRequestIdRef.current;
+    if (!append) {
+      liveAddedDuringFetchRef.current = [];
+    }
     setLoading(true);
 
     try {
@@ -872,6 +906,7 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
       if (selectedMethods.length) params.set('methods', selectedMethods.join(','));
       if (selectedFileTypes.length) params.set('fileTypes', selectedFileTypes.join(','));
       params.set('showWsConnections', String(showWsConnections));
+      if (sessionId) params.set('session', sessionId);
 
       const response = await fetch(`http://localhost:8080/api/logs?${params.toString()}` , {
         signal: controller.signal
@@ -888,13 +923,20 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
         return;
       }
 
+      const items = data.items || [];
+      const fetchedIds = new Set(items.map(item => item.id));
+      const missedLive = data.hasMore
+        ? []
+        : liveAddedDuringFetchRef.current.filter(item => !fetchedIds.has(item.id));
+      liveAddedDuringFetchRef.current = [];
+
       if (append) {
-        setLogs(prev => [...prev, ...(data.items || [])]);
+        setLogs(prev => [...prev, ...items, ...missedLive]);
       } else {
-        setLogs(data.items || []);
+        setLogs([...items, ...missedLive]);
       }
 
-      setTotal(data.total || 0);
+      setTotal((data.total || 0) + missedLive.length);
       setHasMore(data.hasMore || false);
 
       if (!append && offset === 0) {
@@ -917,7 +959,7 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
         setLoading(false);
       }
     }
-  }, [searchTerm, requestBodySearch, responseSearchTerm, selectedSources, selectedMethods, selectedFileTypes, showWsConnections, requestRewrittenOnly, responseRewrittenOnly]);
+  }, [searchTerm, requestBodySearch, responseSearchTerm, selectedSources, selectedMethods, selectedFileTypes, showWsConnections, requestRewrittenOnly, responseRewrittenOnly, sessionId]);
 
   const loadMore = useCallback(() => {
     if (loading) return;
@@ -1099,7 +1141,53 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
   // Logs are already filtered server-side, just use them directly
   const filteredLogs = logs;
 
+  // Same filters as the last applied fetch, so pushed entries match the list
+  const liveQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    if (appliedSearchTerm) params.set('search', appliedSearchTerm);
+    if (appliedRequestBodySearch) params.set('requestSearch', appliedRequestBodySearch);
+    if (appliedResponseSearchTerm) params.set('responseSearch', appliedResponseSearchTerm);
+    if (requestRewrittenOnly) params.set('requestRewrittenOnly', 'true');
+    if (responseRewrittenOnly) params.set('responseRewrittenOnly', 'true');
+    if (selectedSources.length) params.set('sources', selectedSources.join(','));
+    if (selectedMethods.length) params.set('methods', selectedMethods.join(','));
+    if (selectedFileTypes.length) params.set('fileTypes', selectedFileTypes.join(','));
+    params.set('showWsConnections', String(showWsConnections));
+    return params;
+  }, [appliedSearchTerm, appliedRequestBodySearch, appliedResponseSearchTerm, requestRewrittenOnly, responseRewrittenOnly, selectedSources, selectedMethods, selectedFileTypes, showWsConnections]);
+
+  // New entries are appended (the list is oldest-first) only once every page
+  // has been loaded; otherwise infinite scroll picks them up. A saved session
+  // never changes, so it is not subscribed to.
+  const liveConnected = useLiveEvents(['logs'], {
+    'log-added': ({ log }) => {
+      if (activeFetchControllerRef.current) {
+        liveAddedDuringFetchRef.current.push(log);
+        return;
+      }
+      setTotal(prev => prev + 1);
+      if (!hasMore) {
+        setLogs(prev => (prev.some(item => item.id === log.id) ? prev : [...prev, log]));
+      }
+    },
+    'log-updated': ({ log }) => {
+      setLogs(prev => prev.map(item => (item.id === log.id ? log : item)));
+    },
+    'log-removed': ({ id }) => {
+      if (!logs.some(item => item.id === id)) return;
+      setLogs(prev => prev.filter(item => item.id !== id));
+      setTotal(prev => Math.max(0, prev - 1));
+    },
+    'logs-cleared': () => {
+      setIsRefetchingFilters(true);
+      setLogs([]);
+      fetchLogs(0, false);
+    }
+  }, { query: liveQuery, enabled: !sessionId });
+
+  // Fallback polling while the live stream is disconnected
   useEffect(() => {
+    if (liveConnected || sessionId) return;
     if (isDebouncingFilters) return;
     if (loading) return;
     if (filteredLogs.length >= PAGE_SIZE) return;
@@ -1111,11 +1199,13 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
     }, 2000);
 
     return () => clearInterval(intervalId);
-  }, [filteredLogs.length, loading, isDebouncingFilters, fetchLogs]);
+  }, [filteredLogs.length, loading, isDebouncingFilters, liveConnected, sessionId, fetchLogs]);
 
-  const exportLogs = useCallback(async () => {
+  // Export the filtered view as our JSON log format or as a HAR 1.2 archive
+  const exportLogs = useCallback(async (format = 'json') => {
+    const isHar = format === 'har';
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `proxy-logs-${timestamp}.json`;
+    const filename = `proxy-logs-${timestamp}.${isHar ? 'har' : 'json'}`;
 
     try {
       const params = new URLSearchParams();
@@ -1131,16 +1221,16 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
       if (selectedMethods.length) params.set('methods', selectedMethods.join(','));
       if (selectedFileTypes.length) params.set('fileTypes', selectedFileTypes.join(','));
       params.set('showWsConnections', String(showWsConnections));
+      if (sessionId) params.set('session', sessionId);
 
-      const response = await fetch(`http://localhost:8080/api/logs/export?${params.toString()}`);
+      const exportPath = isHar ? 'export/har' : 'export';
+      const response = await fetch(`http://localhost:8080/api/logs/${exportPath}?${params.toString()}`);
       if (!response.ok) {
         throw new Error(`Export failed with status ${response.status}`);
       }
 
       const data = await response.json();
-      const items = data.items || [];
-
-      const dataStr = JSON.stringify(items, null, 2);
+      const dataStr = JSON.stringify(isHar ? data : (data.items || []), null, 2);
       const dataBlob = new Blob([dataStr], { type: 'application/json' });
       const url = URL.createObjectURL(dataBlob);
 
@@ -1161,7 +1251,8 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
     selectedSources,
     selectedMethods,
     selectedFileTypes,
-    showWsConnections
+    showWsConnections,
+    sessionId
   ]);
 
   // Notify parent of filtered count (use total from server)
@@ -1190,6 +1281,10 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
         return <Globe className="w-4 h-4 text-blue-400" />;
       case 'blocked':
         return <ShieldAlert className="w-4 h-4 text-orange-400" />;
+      case 'fault':
+        return <Zap className="w-4 h-4 text-fuchsia-400" />;
+      case 'replay':
+        return <Send className="w-4 h-4 text-blue-300" />;
       case 'error':
         return <AlertCircle className="w-4 h-4 text-red-400" />;
       default:
@@ -1204,6 +1299,8 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
       mitm: 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30',
       tunnel: 'bg-blue-500/20 text-blue-400 border-blue-500/30',
       blocked: 'bg-orange-500/20 text-orange-400 border-orange-500/30',
+      fault: 'bg-fuchsia-500/20 text-fuchsia-400 border-fuchsia-500/30',
+      replay: 'bg-blue-500/10 text-blue-300 border-blue-500/40',
       error: 'bg-red-500/20 text-red-400 border-red-500/30',
       websocket: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30'
     };
@@ -1336,6 +1433,12 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
 
     return (
       <div className="space-y-2">
+        {connectData.messageType && (
+          <div className="text-xs text-slate-400">
+            <span className="text-slate-500">Schema:</span>{' '}
+            <code className="text-cyan-300">{connectData.messageType}</code>
+          </div>
+        )}
         <ConnectFramesSection
           title="Timeline (after rewrite)"
           frames={afterFrames}
@@ -1573,7 +1676,8 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
                 {[
                   { key: 'proxied', label: 'HTTP' },
                   { key: 'mitm', label: 'HTTPS' },
-                  { key: 'websocket', label: 'WebSocket' }
+                  { key: 'websocket', label: 'WebSocket' },
+                  { key: 'replay', label: 'Replays' }
                 ].map(source => {
                   const isSelected = selectedSources.includes(source.key);
                   return (
@@ -1795,6 +1899,55 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
                             </span>
                           );
                         })()}
+                        {log.replayOf !== undefined && log.replayOf !== null && log.source !== 'replay' && (
+                          <span className="px-2 py-1 rounded text-xs font-medium border bg-blue-500/10 text-blue-300 border-blue-500/40">
+                            REPLAY
+                          </span>
+                        )}
+                        {log.imported && (
+                          <span
+                            className="px-2 py-1 rounded text-xs font-medium border bg-teal-500/10 text-teal-300 border-teal-500/40"
+                            title="Imported from a HAR file"
+                          >
+                            HAR
+                          </span>
+                        )}
+                        {log.playback && (
+                          <span
+                            className="px-2 py-1 rounded text-xs font-medium border bg-violet-500/10 text-violet-300 border-violet-500/40"
+                            title="Answered from the recording without contacting upstream"
+                          >
+                            PLAYBACK
+                          </span>
+                        )}
+                        {log.breakpoint && (
+                          <span
+                            className="px-2 py-1 rounded text-xs font-medium border bg-amber-500/10 text-amber-300 border-amber-500/40"
+                            title={Object.entries(log.breakpoint)
+                              .map(([phase, info]) => `${phase}: ${info.action}${info.edited ? ' (edited)' : ''}`)
+                              .join(', ')}
+                          >
+                            BREAKPOINT
+                          </span>
+                        )}
+                        {log.fault && (
+                          <span
+                            className="px-2 py-1 rounded text-xs font-medium border bg-fuchsia-500/10 text-fuchsia-300 border-fuchsia-500/40"
+                            title={`Injected by fault rule "${log.fault.ruleName || log.fault.ruleId}"`}
+                          >
+                            {log.fault.type.replace('-', ' ').toUpperCase()}
+                          </span>
+                        )}
+                        {Array.isArray(log.scriptErrors) && log.scriptErrors.length > 0 && (
+                          <span
+                            className="px-2 py-1 rounded text-xs font-medium border bg-red-500/10 text-red-300 border-red-500/40"
+                            title={log.scriptErrors
+                              .map(entry => `${entry.name || entry.id} (${entry.phase}): ${entry.message}`)
+                              .join('\n')}
+                          >
+                            SCRIPT ERROR
+                          </span>
+                        )}
                         {Array.isArray(log.rewrites) && log.rewrites.length > 0 && (
                           <div className="relative inline-flex items-center group/rewrites">
                             <button
@@ -1828,7 +1981,11 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
                                       ? 'JSONPath'
                                       : rawKind === 'text'
                                         ? 'Text'
-                                        : rawKind || 'Rule';
+                                        : rawKind === 'script'
+                                          ? 'Script'
+                                          : rawKind === 'header'
+                                            ? 'Header'
+                                            : rawKind || 'Rule';
 
                                   return (
                                     <li
@@ -1862,6 +2019,64 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
                         )}
                       </div>
                       <div className="flex items-center gap-1.5">
+                        {isReplayableLog(log) && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              if (replayLogId === log.id) {
+                                setReplayLogId(null);
+                              } else {
+                                setReplayLogId(log.id);
+                                setExpandedLog(log.id);
+                              }
+                            }}
+                            className={`relative group/replay-action inline-flex items-center justify-center w-8 h-8 rounded-md border text-xs transition-colors ${
+                              replayLogId === log.id
+                                ? 'bg-blue-600/30 border-blue-400 text-white'
+                                : 'bg-blue-600/15 border-blue-500/60 text-blue-200 hover:bg-blue-600/30 hover:text-white'
+                            }`}
+                          >
+                            <span className="sr-only">Edit and resend request</span>
+                            <Send className="w-4 h-4" />
+                            <div
+                              className="invisible group-hover/replay-action:visible absolute right-0 top-full mt-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+                              style={{ zIndex: 99999 }}
+                            >
+                              <div className="font-semibold mb-1 text-slate-200">Edit &amp; resend</div>
+                              <p>Replay this request, optionally changing method, URL, headers or body.</p>
+                            </div>
+                          </button>
+                        )}
+                        {canSaveAsResource(log) && (
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              if (resourceLogId === log.id) {
+                                setResourceLogId(null);
+                              } else {
+                                setResourceLogId(log.id);
+                                setExpandedLog(log.id);
+                              }
+                            }}
+                            className={`relative group/save-resource-action inline-flex items-center justify-center w-8 h-8 rounded-md border text-xs transition-colors ${
+                              resourceLogId === log.id
+                                ? 'bg-emerald-600/30 border-emerald-400 text-white'
+                                : 'bg-emerald-600/15 border-emerald-500/60 text-emerald-200 hover:bg-emerald-600/30 hover:text-white'
+                            }`}
+                          >
+                            <span className="sr-only">Save response as local resource</span>
+                            <HardDrive className="w-4 h-4" />
+                            <div
+                              className="invisible group-hover/save-resource-action:visible absolute right-0 top-full mt-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+                              style={{ zIndex: 99999 }}
+                            >
+                              <div className="font-semibold mb-1 text-slate-200">Save as local resource</div>
+                              <p>Mock this URL with the captured response: body, content type, status and chosen headers.</p>
+                            </div>
+                          </button>
+                        )}
                         <label
                           className="relative group/replace-action inline-flex items-center justify-center w-8 h-8 rounded-md bg-blue-600/15 border border-blue-500/60 text-blue-200 hover:bg-blue-600/30 hover:text-white cursor-pointer transition-colors"
                           onClick={(e) => e.stopPropagation()}
@@ -1997,6 +2212,30 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
                         Served from local resource: {log.localResource}
                       </p>
                     )}
+
+                    {log.mapLocal && (
+                      <p
+                        className="text-green-400 text-xs flex items-center gap-1 min-w-0"
+                        title={`Map local rule "${log.mapLocal.ruleName}"`}
+                      >
+                        <FolderOpen className="w-3 h-3 flex-shrink-0" />
+                        <span className="flex-shrink-0">File:</span>
+                        <span className="font-mono truncate">
+                          {`${log.mapLocal.directory.replace(/\/$/, '')}${log.mapLocal.path}`}
+                        </span>
+                      </p>
+                    )}
+
+                    {log.mapRemote && (
+                      <p
+                        className="text-sky-400 text-xs flex items-center gap-1 min-w-0"
+                        title={`Map remote rule "${log.mapRemote.ruleName}"`}
+                      >
+                        <Route className="w-3 h-3 flex-shrink-0" />
+                        <span className="flex-shrink-0">Mapped to:</span>
+                        <span className="font-mono truncate">{log.mapRemote.mappedUrl}</span>
+                      </p>
+                    )}
                     
                     <div className="flex items-center space-x-2 mt-2 text-xs text-slate-400">
                       <Clock className="w-3 h-3" />
@@ -2009,11 +2248,42 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
               {expandedLog === log.id && (
                 <div className="border-t border-[#2a2a2a] p-4 bg-[#0a0a0a]">
                   <div className="space-y-4">
+                    {replayLogId === log.id && (
+                      <ReplayRequestPanel
+                        log={log}
+                        onReplayed={() => fetchLogs(0, false)}
+                        onClose={() => setReplayLogId(null)}
+                      />
+                    )}
+
+                    {resourceLogId === log.id && (
+                      <SaveResourcePanel
+                        log={log}
+                        sessionId={sessionId}
+                        onClose={() => setResourceLogId(null)}
+                      />
+                    )}
+
                     {/* Request Section */}
                     <div className="border-b border-slate-700 pb-4">
                       <h3 className="text-base font-bold text-blue-400 mb-3">📤 Request</h3>
-                      
+
                       <div className="space-y-3">
+                        {(log.httpVersion || log.upstreamHttpVersion) && (
+                          <div className="flex flex-wrap gap-4 text-xs text-slate-400">
+                            {log.httpVersion && (
+                              <span>
+                                Client protocol: <code className="text-slate-200">{log.httpVersion}</code>
+                              </span>
+                            )}
+                            {log.upstreamHttpVersion && (
+                              <span>
+                                Upstream protocol: <code className="text-slate-200">{log.upstreamHttpVersion}</code>
+                              </span>
+                            )}
+                          </div>
+                        )}
+
                         <div>
                           <h4 className="text-sm font-semibold text-slate-300 mb-2">Request Headers</h4>
                           <HeaderList headers={log.headers} />
@@ -2134,7 +2404,14 @@ function RequestLogs({ onFilteredCountChange, onExportLogs, refreshToken, onCrea
                               <HeaderList headers={log.responseHeaders} />
                             </div>
                           )}
-                          
+
+                          {log.responseTrailers && (
+                            <div>
+                              <h4 className="text-sm font-semibold text-slate-300 mb-2">Response Trailers</h4>
+                              <HeaderList headers={log.responseTrailers} />
+                            </div>
+                          )}
+
                           {/* Show responseBody OR body for WebSocket messages */}
                           {(() => {
                             const isWebSocket = log.source === 'websocket';
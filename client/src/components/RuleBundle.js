@@ -0,0 +1,348 @@
+import React, { useState, useRef } from 'react';
+import { Package, PackageOpen, X, AlertCircle } from 'lucide-react';
+
+const API_BASE = 'http://localhost:8080/api';
+
+const SECTION_LABELS = {
+  editRules: 'Edit rules',
+  filterRules: 'Filter rules',
+  blockedRules: 'Blocked rules',
+  resources: 'Local resources'
+};
+
+const CONFLICT_OPTIONS = [
+  { value: 'skip', label: 'Skip', description: 'Keep existing items' },
+  { value: 'overwrite', label: 'Overwrite', description: 'Replace existing items' },
+  { value: 'rename', label: 'Rename', description: 'Import rules as copies' }
+];
+
+const ACTION_STYLES = {
+  add: 'text-emerald-300',
+  overwrite: 'text-amber-300',
+  rename: 'text-blue-300',
+  unchanged: 'text-slate-500',
+  skip: 'text-slate-400',
+  invalid: 'text-red-400'
+};
+
+const countActions = (plan) => {
+  const counts = {};
+  Object.values(plan || {}).forEach(items => {
+    items.forEach(item => {
+      counts[item.action] = (counts[item.action] || 0) + 1;
+    });
+  });
+  return counts;
+};
+
+/**
+ * Export and import of rule bundles shown in the header.
+ *
+ * Export downloads every edit, filter and blocked rule plus all local
+ * resources (files included) as one JSON bundle. Import loads a bundle,
+ * previews per item what would be added, overwritten, renamed or skipped for
+ * the selected conflict strategy, and applies it on confirmation. Script
+ * rules are flagged and imported disabled unless the user opts in.
+ *
+ * @param {Object} props
+ * @param {() => void} [props.onImported] Called after a bundle was imported.
+ * @param {(title: string, message: string, type?: string) => void} [props.showAlert]
+ */
+function RuleBundle({ onImported, showAlert }) {
+  const [bundle, setBundle] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [conflict, setConflict] = useState('skip');
+  const [allowScripts, setAllowScripts] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const postImport = async (path, nextBundle, nextConflict, nextAllowScripts) => {
+    const response = await fetch(`${API_BASE}/bundle/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ bundle: nextBundle, conflict: nextConflict, allowScripts: nextAllowScripts })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed with status ${response.status}`);
+    }
+    return data;
+  };
+
+  const loadPreview = async (nextBundle, nextConflict, nextAllowScripts) => {
+    setBusy(true);
+    setError('');
+    try {
+      const data = await postImport('import/preview', nextBundle, nextConflict, nextAllowScripts);
+      setPlan(data.plan || null);
+    } catch (err) {
+      setPlan(null);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportBundle = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/bundle/export`);
+      if (!response.ok) {
+        throw new Error(`Export failed with status ${response.status}`);
+      }
+      const data = await response.json();
+      const dataBlob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(dataBlob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `proxy-bundle-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting bundle:', err);
+      if (showAlert) showAlert('Export failed', err.message, 'error');
+    }
+  };
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch {
+      if (showAlert) showAlert('Import failed', 'The file is not valid JSON.', 'error');
+      return;
+    }
+    setBundle(parsed);
+    setFileName(file.name);
+    setAllowScripts(false);
+    loadPreview(parsed, conflict, false);
+  };
+
+  const handleConflictChange = (value) => {
+    setConflict(value);
+    if (bundle) loadPreview(bundle, value, allowScripts);
+  };
+
+  const handleAllowScriptsChange = (checked) => {
+    setAllowScripts(checked);
+    if (bundle) loadPreview(bundle, conflict, checked);
+  };
+
+  const closeDialog = () => {
+    setBundle(null);
+    setPlan(null);
+    setError('');
+    setAllowScripts(false);
+  };
+
+  const applyImport = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const data = await postImport('import', bundle, conflict, allowScripts);
+      const counts = countActions(data.plan);
+      closeDialog();
+      if (onImported) onImported();
+      if (showAlert) {
+        showAlert(
+          'Bundle imported',
+          `Added ${(counts.add || 0) + (counts.rename || 0)}, overwrote ${counts.overwrite || 0}, skipped ${(counts.skip || 0) + (counts.invalid || 0)} from ${fileName}.`,
+          'success'
+        );
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const counts = countActions(plan);
+  const changes = (counts.add || 0) + (counts.overwrite || 0) + (counts.rename || 0);
+  const codeRuleCount = plan && plan.editRules
+    ? plan.editRules.filter(item => item.executesCode).length
+    : 0;
+
+  return (
+    <>
+      <div className="relative group/export-bundle">
+        <button
+          type="button"
+          onClick={exportBundle}
+          className="p-2 bg-slate-700/30 hover:bg-slate-700/50 text-slate-300 border border-slate-600/40 rounded-lg transition-colors"
+        >
+          <Package className="w-4 h-4" />
+        </button>
+        <div
+          className="invisible group-hover/export-bundle:visible absolute right-0 top-full mt-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+          style={{ zIndex: 99999 }}
+        >
+          <div className="font-semibold mb-1 text-slate-200">Export rules</div>
+          <p>Download all edit, filter and blocked rules and local resources (with their files) as one bundle.</p>
+        </div>
+      </div>
+
+      <div className="relative group/import-bundle">
+        <button
+          type="button"
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          className="p-2 bg-slate-700/30 hover:bg-slate-700/50 text-slate-300 border border-slate-600/40 rounded-lg transition-colors"
+        >
+          <PackageOpen className="w-4 h-4" />
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileSelected}
+          className="hidden"
+        />
+        <div
+          className="invisible group-hover/import-bundle:visible absolute right-0 top-full mt-2 w-64 bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg p-3 text-xs text-slate-300 shadow-2xl"
+          style={{ zIndex: 99999 }}
+        >
+          <div className="font-semibold mb-1 text-slate-200">Import rules</div>
+          <p>Load a rule bundle exported from another machine. You can review the changes before they are applied.</p>
+        </div>
+      </div>
+
+      {bundle && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+          <div className="bg-[#1a1a1a] border border-[#2a2a2a] rounded-lg shadow-2xl max-w-2xl w-full max-h-[85vh] flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-[#2a2a2a]">
+              <div className="flex items-center gap-3 min-w-0">
+                <PackageOpen className="w-6 h-6 text-blue-400 flex-shrink-0" />
+                <h3 className="text-lg font-semibold text-white truncate">Import {fileName}</h3>
+              </div>
+              <button
+                type="button"
+                onClick={closeDialog}
+                className="p-1 hover:bg-[#2a2a2a] rounded transition-colors"
+              >
+                <X className="w-5 h-5 text-slate-400" />
+              </button>
+            </div>
+
+            <div className="p-4 space-y-4 overflow-y-auto">
+              <div className="space-y-1.5">
+                <p className="text-xs font-semibold text-slate-400">When an item already exists</p>
+                <div className="grid grid-cols-3 gap-2">
+                  {CONFLICT_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => handleConflictChange(option.value)}
+                      disabled={busy}
+                      className={`px-3 py-2 rounded-lg border text-left transition-colors disabled:opacity-50 ${
+                        conflict === option.value
+                          ? 'bg-blue-600/15 border-blue-500/70 text-blue-100'
+                          : 'bg-[#0a0a0a] border-[#2a2a2a] text-slate-400 hover:text-slate-200'
+                      }`}
+                    >
+                      <div className="text-xs font-medium">{option.label}</div>
+                      <div className="text-[11px] text-slate-500">{option.description}</div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {plan && Object.keys(SECTION_LABELS).map(section => (
+                plan[section] && plan[section].length > 0 && (
+                  <div key={section} className="space-y-1">
+                    <p className="text-xs font-semibold text-slate-400">
+                      {SECTION_LABELS[section]} ({plan[section].length})
+                    </p>
+                    <div className="bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg divide-y divide-[#1f1f1f]">
+                      {plan[section].map((item, index) => (
+                        <div key={`${item.key}-${index}`} className="flex items-center gap-3 px-3 py-1.5 text-xs">
+                          <span className={`w-20 flex-shrink-0 font-medium uppercase tracking-wide text-[10px] ${ACTION_STYLES[item.action] || 'text-slate-400'}`}>
+                            {item.action}
+                          </span>
+                          <span className="flex-1 min-w-0 truncate text-slate-200 font-mono" title={item.key}>{item.name}</span>
+                          {item.executesCode && (
+                            <span
+                              className="flex-shrink-0 px-1.5 py-0.5 rounded border text-[10px] font-medium bg-red-500/10 text-red-300 border-red-500/40"
+                              title={item.importedDisabled
+                                ? 'Runs code from the bundle; imported disabled'
+                                : 'Runs code from the bundle'}
+                            >
+                              {item.importedDisabled ? 'RUNS CODE · DISABLED' : 'RUNS CODE'}
+                            </span>
+                          )}
+                          {item.reason && (
+                            <span className="flex-shrink-0 max-w-[45%] truncate text-slate-500" title={item.reason}>{item.reason}</span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )
+              ))}
+
+              {codeRuleCount > 0 && (
+                <div className="p-3 rounded-lg border bg-amber-900/30 border-amber-700 text-amber-200 space-y-2">
+                  <div className="flex items-center space-x-2">
+                    <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                    <p className="text-xs">
+                      {codeRuleCount} {codeRuleCount === 1 ? 'script rule runs' : 'script rules run'} code from this
+                      bundle. Only enable them if you trust where the bundle came from.
+                    </p>
+                  </div>
+                  <label className="inline-flex items-center gap-2 text-xs cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={allowScripts}
+                      onChange={(e) => handleAllowScriptsChange(e.target.checked)}
+                      disabled={busy}
+                      className="accent-amber-500"
+                    />
+                    <span>Enable rules that run code</span>
+                  </label>
+                </div>
+              )}
+
+              {plan && Object.values(plan).every(items => items.length === 0) && (
+                <p className="text-xs text-slate-400">The bundle is empty.</p>
+              )}
+
+              {error && (
+                <div className="flex items-center space-x-2 p-2 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                  <p className="text-xs">{error}</p>
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center justify-end gap-2 p-4 border-t border-[#2a2a2a]">
+              <button
+                type="button"
+                onClick={closeDialog}
+                className="inline-flex items-center justify-center px-4 h-8 text-xs font-medium text-slate-400 hover:text-white hover:bg-[#2a2a2a] rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={applyImport}
+                disabled={busy || !plan || changes === 0}
+                className="inline-flex items-center justify-center px-4 h-8 text-xs font-medium text-white rounded-lg transition-colors bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {changes > 0 ? `Import ${changes} ${changes === 1 ? 'change' : 'changes'}` : 'Nothing to import'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default RuleBundle;
@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import { HardDrive, AlertCircle, CheckCircle } from 'lucide-react';
+import Spinner from './Spinner';
+
+// Headers the server never copies: the body is stored decoded and its type
+// is set separately, the rest describe the original connection.
+const SKIPPED_HEADERS = new Set([
+  'content-type',
+  'content-encoding',
+  'content-length',
+  'transfer-encoding',
+  'connection',
+  'keep-alive',
+  'date',
+  'x-proxy-source'
+]);
+
+const getPathWithoutQuery = (url) => {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url || '').split('?')[0];
+  }
+};
+
+const getHeaderValue = (headers, name) => {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key ? String(headers[key]) : '';
+};
+
+/**
+ * Inline form that turns a captured response into a local resource.
+ *
+ * The server copies the decoded response body; the form only chooses how the
+ * resource matches (URL pattern, exact URL, method) and which response
+ * headers, status code and content type it serves.
+ *
+ * @param {Object} props
+ * @param {Object} props.log Client view of the log entry.
+ * @param {string|null} [props.sessionId] Saved session the entry belongs to.
+ * @param {(resource: Object) => void} [props.onSaved] Called with the created resource.
+ * @param {() => void} [props.onClose] Called when the panel is dismissed.
+ */
+function SaveResourcePanel({ log, sessionId = null, onSaved, onClose }) {
+  const fullUrl = log?.fullUrl || log?.url || '';
+  const copyableHeaders = Object.keys(log?.responseHeaders || {})
+    .filter(name => !SKIPPED_HEADERS.has(name.toLowerCase()));
+
+  const [exactUrl, setExactUrl] = useState(false);
+  const [url, setUrl] = useState(getPathWithoutQuery(fullUrl));
+  const [methodOnly, setMethodOnly] = useState(false);
+  const [contentType, setContentType] = useState(getHeaderValue(log?.responseHeaders, 'content-type'));
+  const [statusCode, setStatusCode] = useState(String(log?.statusCode || 200));
+  const [selectedHeaders, setSelectedHeaders] = useState(copyableHeaders);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [bodyMissing, setBodyMissing] = useState(false);
+  const [saved, setSaved] = useState(null);
+
+  const toggleExactUrl = (checked) => {
+    setExactUrl(checked);
+    setUrl(checked ? fullUrl : getPathWithoutQuery(fullUrl));
+  };
+
+  const toggleHeader = (name) => {
+    setSelectedHeaders(prev => (
+      prev.includes(name) ? prev.filter(header => header !== name) : [...prev, name]
+    ));
+  };
+
+  const handleSave = async (allowEmptyBody = false) => {
+    setError('');
+    setSaved(null);
+
+    const payload = {
+      url: url.trim(),
+      matchMode: exactUrl ? 'exact' : 'substring',
+      methods: methodOnly && log?.method ? [log.method] : [],
+      contentType: contentType.trim(),
+      statusCode: Number(statusCode),
+      copyHeaders: selectedHeaders,
+      allowEmptyBody
+    };
+
+    const query = sessionId ? `?session=${encodeURIComponent(sessionId)}` : '';
+
+    setSaving(true);
+    try {
+      const response = await fetch(`http://localhost:8080/api/logs/${encodeURIComponent(String(log.id))}/resource${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 422) {
+        // The body was streamed or never captured; ask before saving an empty mock.
+        setBodyMissing(true);
+        return;
+      }
+      if (!response.ok) {
+        setError(data.error || `Saving failed with status ${response.status}`);
+        return;
+      }
+
+      setBodyMissing(false);
+      setSaved(data.resource);
+      if (onSaved) onSaved(data.resource);
+    } catch (err) {
+      console.error('Error saving local resource:', err);
+      setError('Error saving local resource');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="border border-emerald-500/40 rounded-lg bg-[#0f0f0f] p-4 space-y-3">
+      <div>
+        <h4 className="text-sm font-semibold text-white">Save as local resource</h4>
+        <p className="text-xs text-slate-400">
+          The decoded response body is served locally for matching requests from now on.
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+          URL to intercept
+        </label>
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+        <div className="flex flex-wrap items-center gap-4 mt-2">
+          <label className="inline-flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={exactUrl}
+              onChange={(e) => toggleExactUrl(e.target.checked)}
+              className="accent-emerald-500"
+            />
+            <span>Match this exact URL only</span>
+          </label>
+          {log?.method && (
+            <label className="inline-flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={methodOnly}
+                onChange={(e) => setMethodOnly(e.target.checked)}
+                className="accent-emerald-500"
+              />
+              <span>Only {log.method} requests</span>
+            </label>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <div className="col-span-2">
+          <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+            Content type
+          </label>
+          <input
+            type="text"
+            value={contentType}
+            onChange={(e) => setContentType(e.target.value)}
+            placeholder="application/json"
+            className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+            Status
+          </label>
+          <input
+            type="number"
+            min={100}
+            max={599}
+            value={statusCode}
+            onChange={(e) => setStatusCode(e.target.value)}
+            className="w-full px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white font-mono focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      {copyableHeaders.length > 0 && (
+        <div>
+          <label className="block text-xs font-semibold uppercase tracking-wide text-slate-400 mb-2">
+            Response headers to copy
+          </label>
+          <div className="grid grid-cols-2 gap-1">
+            {copyableHeaders.map(name => (
+              <label key={name} className="inline-flex items-center gap-2 text-xs text-slate-300 font-mono cursor-pointer truncate">
+                <input
+                  type="checkbox"
+                  checked={selectedHeaders.includes(name)}
+                  onChange={() => toggleHeader(name)}
+                  className="accent-emerald-500"
+                />
+                <span className="truncate" title={getHeaderValue(log.responseHeaders, name.toLowerCase())}>{name}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 p-3 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <p className="text-xs">{error}</p>
+        </div>
+      )}
+
+      {bodyMissing && (
+        <div className="p-3 rounded-lg border bg-amber-900/30 border-amber-700 text-amber-200 space-y-2">
+          <div className="flex items-center space-x-2">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            <p className="text-xs">
+              The response body of this request was not captured (it was streamed or only logged as a placeholder),
+              so the resource would serve an empty body.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => handleSave(true)}
+            disabled={saving}
+            className="inline-flex items-center px-3 h-7 rounded-lg bg-amber-600/20 border border-amber-500/40 text-amber-200 hover:bg-amber-600/30 disabled:opacity-50 transition-colors text-xs font-medium"
+          >
+            Save with an empty body
+          </button>
+        </div>
+      )}
+
+      {saved && (
+        <div className="flex items-center space-x-2 p-3 rounded-lg border bg-emerald-900/40 border-emerald-700 text-emerald-200">
+          <CheckCircle className="w-4 h-4 flex-shrink-0" />
+          <p className="text-xs">
+            Requests matching <span className="font-mono">{saved.url}</span> are now served locally.
+          </p>
+        </div>
+      )}
+
+      <div className="flex items-center gap-3 pt-3 border-t border-[#2a2a2a]">
+        <button
+          type="button"
+          onClick={() => handleSave()}
+          disabled={saving || !url.trim()}
+          className="flex-1 inline-flex items-center justify-center gap-2 px-4 h-8 rounded-lg bg-emerald-600/20 border border-emerald-500/40 text-emerald-300 hover:bg-emerald-600/30 hover:text-white disabled:bg-slate-700 disabled:text-slate-500 disabled:border-slate-600/50 transition-colors text-xs font-medium"
+        >
+          {saving ? (
+            <>
+              <Spinner size="sm" />
+              <span>Saving...</span>
+            </>
+          ) : (
+            <>
+              <HardDrive className="w-4 h-4" />
+              <span>Save resource</span>
+            </>
+          )}
+        </button>
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="inline-flex items-center justify-center px-4 h-8 rounded-lg bg-[#0a0a0a] border border-[#2a2a2a] text-xs font-medium text-slate-300 hover:bg-[#1a1a1a] hover:text-white transition-colors"
+          >
+            Close
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SaveResourcePanel;
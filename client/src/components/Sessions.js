@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  History,
+  Plus,
+  Pencil,
+  Trash2,
+  Radio,
+  AlertCircle
+} from 'lucide-react';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+
+const API_BASE = 'http://localhost:8080/api';
+
+const formatSessionDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toLocaleString() : '';
+};
+
+const formatSessionLabel = (session) => {
+  const count = `${session.entryCount} ${session.entryCount === 1 ? 'request' : 'requests'}`;
+  return session.active
+    ? `${session.name} (recording · ${count})`
+    : `${session.name} (${count})`;
+};
+
+/**
+ * Session bar shown above the request logs.
+ *
+ * Traffic is recorded into the active session on disk. Selecting a saved
+ * session shows its requests instead of the live view; new sessions, renames
+ * and deletions go through /api/sessions.
+ *
+ * @param {Object} props
+ * @param {string|null} props.viewedSessionId Saved session being viewed, or null for the live view.
+ * @param {(sessionId: string|null) => void} props.onViewSession Switch between the live view and a saved session.
+ * @param {() => void} [props.onSessionStarted] Called after a new session replaced the live view.
+ * @param {(title: string, message: string) => Promise<boolean>} [props.showConfirm]
+ * @param {(title: string, message: string, defaultValue?: string, placeholder?: string) => Promise<string|false>} [props.showPrompt]
+ */
+function Sessions({ viewedSessionId, onViewSession, onSessionStarted, showConfirm, showPrompt }) {
+  const [sessions, setSessions] = useState([]);
+  const [enabled, setEnabled] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/sessions`);
+      const data = await response.json();
+      setSessions(Array.isArray(data.sessions) ? data.sessions : []);
+      setEnabled(data.enabled !== false);
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  useLiveEvents(['rules'], {
+    'rules-changed': ({ kind }) => {
+      if (kind === 'sessions') fetchSessions();
+    }
+  });
+
+  // Fall back to the live view when the viewed session disappears
+  useEffect(() => {
+    if (viewedSessionId && sessions.length > 0 && !sessions.some(session => session.id === viewedSessionId)) {
+      onViewSession(null);
+    }
+  }, [viewedSessionId, sessions, onViewSession]);
+
+  const activeSession = sessions.find(session => session.active) || null;
+  const viewedSession = viewedSessionId
+    ? sessions.find(session => session.id === viewedSessionId) || null
+    : activeSession;
+
+  const request = async (path, options) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}${path}`, options);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || `Request failed with status ${response.status}`);
+        return null;
+      }
+      return response.status === 204 ? {} : await response.json();
+    } catch (err) {
+      console.error('Error updating sessions:', err);
+      setError('Error updating sessions');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSession = async () => {
+    const name = showPrompt
+      ? await showPrompt('New Session', 'Name for the new capture session (leave empty to use the date):', '', 'e.g. Checkout bug')
+      : '';
+    if (name === false) return;
+
+    const data = await request('/sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name.trim() })
+    });
+    if (data) {
+      onViewSession(null);
+      if (onSessionStarted) onSessionStarted();
+      fetchSessions();
+    }
+  };
+
+  const renameSession = async () => {
+    if (!viewedSession || !showPrompt) return;
+    const name = await showPrompt('Rename Session', 'New name for this session:', viewedSession.name);
+    if (!name || !name.trim()) return;
+
+    const data = await request(`/sessions/${encodeURIComponent(viewedSession.id)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: name.trim() })
+    });
+    if (data) fetchSessions();
+  };
+
+  const deleteSession = async () => {
+    if (!viewedSession || viewedSession.active) return;
+    const confirmed = showConfirm
+      ? await showConfirm(
+        'Delete Session',
+        `Delete "${viewedSession.name}" and the ${viewedSession.entryCount} requests recorded in it? This cannot be undone.`
+      )
+      : true;
+    if (!confirmed) return;
+
+    const data = await request(`/sessions/${encodeURIComponent(viewedSession.id)}`, { method: 'DELETE' });
+    if (data) {
+      onViewSession(null);
+      fetchSessions();
+    }
+  };
+
+  const isViewingSaved = !!viewedSessionId;
+
+  return (
+    <div className={`bg-[#1a1a1a] rounded-lg p-3 border space-y-2 ${
+      isViewingSaved ? 'border-amber-500/40' : 'border-[#2a2a2a]'
+    }`}
+    >
+      <div className="flex items-center gap-3">
+        <History className={`w-4 h-4 flex-shrink-0 ${isViewingSaved ? 'text-amber-300' : 'text-slate-400'}`} />
+        <select
+          value={viewedSessionId || ''}
+          onChange={(event) => onViewSession(event.target.value || null)}
+          onFocus={fetchSessions}
+          className="flex-1 min-w-0 px-3 h-8 bg-[#0a0a0a] border border-[#2a2a2a] rounded-lg text-xs text-white focus:outline-none focus:ring-1 focus:ring-blue-500"
+        >
+          <option value="">
+            {activeSession ? `Live · ${formatSessionLabel(activeSession)}` : 'Live (not recorded to disk)'}
+          </option>
+          {sessions.filter(session => !session.active).map(session => (
+            <option key={session.id} value={session.id}>
+              {formatSessionLabel(session)} · {formatSessionDate(session.createdAt)}
+            </option>
+          ))}
+        </select>
+
+        {isViewingSaved && (
+          <button
+            type="button"
+            onClick={() => onViewSession(null)}
+            className="inline-flex items-center gap-1.5 px-3 h-8 rounded-lg bg-emerald-600/20 border border-emerald-500/40 text-emerald-300 hover:bg-emerald-600/30 transition-colors text-xs font-medium"
+          >
+            <Radio className="w-4 h-4" />
+            <span>Back to live</span>
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={startSession}
+          disabled={busy || !enabled}
+          title={enabled ? 'Record from now on into a new session; the current one stays saved' : 'Session persistence is disabled (PROXY_PERSIST_SESSIONS=false)'}
+          className="inline-flex items-center gap-1.5 px-3 h-8 rounded-lg bg-blue-600/20 border border-blue-500/40 text-blue-300 hover:bg-blue-600/30 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-xs font-medium"
+        >
+          <Plus className="w-4 h-4" />
+          <span>New session</span>
+        </button>
+        <button
+          type="button"
+          onClick={renameSession}
+          disabled={busy || !viewedSession}
+          title="Rename session"
+          className="p-2 rounded-lg bg-slate-700/30 border border-slate-600/40 text-slate-300 hover:bg-slate-700/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Pencil className="w-4 h-4" />
+        </button>
+        <button
+          type="button"
+          onClick={deleteSession}
+          disabled={busy || !isViewingSaved || !viewedSession}
+          title={isViewingSaved ? 'Delete this saved session' : 'Open a saved session to delete it'}
+          className="p-2 rounded-lg bg-red-600/20 border border-red-600/30 text-red-400 hover:bg-red-600/30 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {isViewingSaved && viewedSession && (
+        <p className="text-xs text-amber-200/80">
+          Viewing the saved session "{viewedSession.name}" from {formatSessionDate(viewedSession.createdAt)}. Live updates are paused;
+          new traffic keeps being recorded into the active session.
+        </p>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 p-2 bg-red-900/40 border border-red-800 rounded-lg text-red-200">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <p className="text-xs">{error}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Sessions;
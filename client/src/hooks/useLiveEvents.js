@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef } from 'react';
+
+const EVENTS_URL = 'http://localhost:8080/api/events';
+
+/**
+ * Subscribe to the proxy's live event stream (Server-Sent Events).
+ *
+ * `handlers` maps event names (e.g. `log-added`, `dashboard`,
+ * `rules-changed`) to callbacks receiving the parsed payload. Handlers may
+ * change on every render without reconnecting; only `topics` and `query`
+ * (serialised) open a new stream. EventSource reconnects on its own, and the
+ * returned flag lets callers fall back to polling while the stream is down.
+ *
+ * @param {string[]} topics Any of logs, dashboard, suggestions, rules, breakpoints.
+ * @param {Object<string, (payload: Object) => void>} handlers
+ * @param {{ query?: URLSearchParams|string, enabled?: boolean }} [options]
+ * @returns {boolean} Whether the stream is currently connected.
+ */
+export function useLiveEvents(topics, handlers, { query, enabled = true } = {}) {
+  const [connected, setConnected] = useState(false);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const topicsKey = topics.join(',');
+  const queryKey = query ? query.toString() : '';
+  const eventNamesKey = Object.keys(handlers).sort().join(',');
+
+  useEffect(() => {
+    if (!enabled || typeof window === 'undefined' || !window.EventSource) {
+      setConnected(false);
+      return undefined;
+    }
+
+    const params = new URLSearchParams(queryKey);
+    params.set('topics', topicsKey);
+    const source = new EventSource(`${EVENTS_URL}?${params.toString()}`);
+
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+
+    const listeners = eventNamesKey.split(',').filter(Boolean).map(eventName => {
+      const listener = (event) => {
+        const handler = handlersRef.current[eventName];
+        if (!handler) return;
+        try {
+          handler(JSON.parse(event.data));
+        } catch (error) {
+          console.error(`Error handling live event "${eventName}":`, error);
+        }
+      };
+      source.addEventListener(eventName, listener);
+      return [eventName, listener];
+    });
+
+    return () => {
+      listeners.forEach(([eventName, listener]) => source.removeEventListener(eventName, listener));
+      source.close();
+      setConnected(false);
+    };
+  }, [topicsKey, queryKey, eventNamesKey, enabled]);
+
+  return connected;
+}
@@ -19,6 +19,12 @@ const CERTS_DIR = process.env.PROXY_CERTS_DIR
   ? path.resolve(process.env.PROXY_CERTS_DIR)
   : path.join(ROOT_DIR, 'certs')
 
+// When set, local resources served from a file on disk and map local
+// directories must lie inside this directory (unset = anywhere).
+const LOCAL_FILES_ROOT = process.env.PROXY_LOCAL_FILES_ROOT
+  ? path.resolve(process.env.PROXY_LOCAL_FILES_ROOT)
+  : null
+
 // Logging & limits
 const MAX_LOG_ENTRIES = Number.isFinite(Number(process.env.PROXY_MAX_LOG_ENTRIES))
   ? Math.max(1, Number(process.env.PROXY_MAX_LOG_ENTRIES))
@@ -111,6 +117,47 @@ const STRICT_TLS_CA_FILE = typeof process.env.PROXY_STRICT_TLS_CA_FILE === 'stri
   ? process.env.PROXY_STRICT_TLS_CA_FILE
   : ''
 
+// HTTP/2: offer h2 via ALPN on the per-host MITM TLS server and negotiate it
+// with HTTPS upstreams (enabled by default). When disabled, MITM traffic is
+// handled as HTTP/1.1 only, which also rules out native gRPC.
+const HTTP2_ENABLED = typeof process.env.PROXY_HTTP2 === 'string'
+  ? ['1', 'true', 'yes'].includes(process.env.PROXY_HTTP2.toLowerCase())
+  : true
+
+// How long a request or response may stay paused at a breakpoint before it is
+// released unchanged (default 5 minutes, 0 = wait indefinitely).
+const BREAKPOINT_TIMEOUT_MS = Number.isFinite(Number(process.env.PROXY_BREAKPOINT_TIMEOUT_MS))
+  ? Math.max(0, Number(process.env.PROXY_BREAKPOINT_TIMEOUT_MS))
+  : 5 * 60 * 1000
+
+// Upper bound for a single run of a script edit rule; scripts that exceed it
+// are aborted and the message is forwarded without that rule's changes.
+const SCRIPT_RULE_TIMEOUT_MS = Number.isFinite(Number(process.env.PROXY_SCRIPT_RULE_TIMEOUT_MS))
+  ? Math.max(1, Number(process.env.PROXY_SCRIPT_RULE_TIMEOUT_MS))
+  : 100
+
+// Persist captured traffic as named sessions under LOGS_DIR/sessions so it
+// survives restarts and clearing the log view (enabled by default).
+const SESSION_PERSISTENCE_ENABLED = typeof process.env.PROXY_PERSIST_SESSIONS === 'string'
+  ? ['1', 'true', 'yes'].includes(process.env.PROXY_PERSIST_SESSIONS.toLowerCase())
+  : true
+
+// A capture session that reaches either limit is closed and a new one is
+// started, so no single session grows without bound (0 = no limit).
+const SESSION_MAX_ENTRIES = Number.isFinite(Number(process.env.PROXY_SESSION_MAX_ENTRIES))
+  ? Math.max(0, Number(process.env.PROXY_SESSION_MAX_ENTRIES))
+  : 20000
+
+const SESSION_MAX_BYTES = Number.isFinite(Number(process.env.PROXY_SESSION_MAX_BYTES))
+  ? Math.max(0, Number(process.env.PROXY_SESSION_MAX_BYTES))
+  : 256 * 1024 * 1024
+
+// Saved sessions last written to more than this many days ago are deleted
+// at startup and whenever a new session is started (0 = keep forever).
+const SESSION_RETENTION_DAYS = Number.isFinite(Number(process.env.PROXY_SESSION_RETENTION_DAYS))
+  ? Math.max(0, Number(process.env.PROXY_SESSION_RETENTION_DAYS))
+  : 14
+
 // Body size limit for parsers (Express bodyParser & raw)
 // Keep default at 50mb to match current behavior.
 const BODY_LIMIT = process.env.PROXY_BODY_LIMIT || '10mb'
@@ -121,6 +168,7 @@ module.exports = {
   STORAGE_DIR,
   LOGS_DIR,
   CERTS_DIR,
+  LOCAL_FILES_ROOT,
   MAX_LOG_ENTRIES,
   LOG_PREVIEW_MAX_BYTES,
   LOG_DECOMPRESS_MAX_BYTES,
@@ -128,6 +176,7 @@ module.exports = {
   DEBUG_LOG_ENABLED,
   STRICT_TLS_ENABLED,
   STRICT_TLS_CA_FILE,
+  HTTP2_ENABLED,
   PROTOBUF_MAX_FIELDS,
   PROTOBUF_MAX_BYTES,
   CONNECT_MAX_FRAMES,
@@ -137,5 +186,11 @@ module.exports = {
   UPSTREAM_BODY_TIMEOUT_MS,
   STREAM_UNINSPECTED_RESPONSES,
   WS_LOG_BODY_ENABLED,
+  BREAKPOINT_TIMEOUT_MS,
+  SCRIPT_RULE_TIMEOUT_MS,
+  SESSION_PERSISTENCE_ENABLED,
+  SESSION_MAX_ENTRIES,
+  SESSION_MAX_BYTES,
+  SESSION_RETENTION_DAYS,
   BODY_LIMIT
 }
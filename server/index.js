@@ -1,7 +1,9 @@
 const http = require('http')
 const https = require('https')
+const http2 = require('http2')
 const net = require('net')
 const tls = require('tls')
+const os = require('os')
 const express = require('express')
 const cors = require('cors')
 const bodyParser = require('body-parser')
@@ -9,13 +11,20 @@ const multer = require('multer')
 const path = require('path')
 const fs = require('fs')
 const fsPromises = fs.promises
+const readline = require('readline')
+const { PassThrough, Transform } = require('stream')
 const crypto = require('crypto')
+const vm = require('vm')
 const { URL } = require('url')
+const diagnosticsChannel = require('diagnostics_channel')
 const WebSocket = require('ws')
 const zlib = require('zlib')
 const { decompress: zstdDecompress } = require('fzstd')
 const forge = require('node-forge')
 const { request, Agent } = require('undici')
+const protobuf = require('protobufjs')
+// Registers Root.fromDescriptor for FileDescriptorSet uploads
+require('protobufjs/ext/descriptor')
 const {
   PORT,
   STORAGE_DIR,
@@ -28,6 +37,7 @@ const {
   DEBUG_LOG_ENABLED,
   STRICT_TLS_ENABLED,
   STRICT_TLS_CA_FILE,
+  HTTP2_ENABLED,
   BODY_LIMIT,
   PROTOBUF_MAX_FIELDS,
   PROTOBUF_MAX_BYTES,
@@ -37,7 +47,14 @@ const {
   UPSTREAM_HEADERS_TIMEOUT_MS,
   UPSTREAM_BODY_TIMEOUT_MS,
   STREAM_UNINSPECTED_RESPONSES,
-  WS_LOG_BODY_ENABLED
+  WS_LOG_BODY_ENABLED,
+  BREAKPOINT_TIMEOUT_MS,
+  SCRIPT_RULE_TIMEOUT_MS,
+  SESSION_PERSISTENCE_ENABLED,
+  SESSION_MAX_ENTRIES,
+  SESSION_MAX_BYTES,
+  SESSION_RETENTION_DAYS,
+  LOCAL_FILES_ROOT
 } = require('./config')
 
 // Normalised protobuf/Connect limits computed once at startup to avoid
@@ -132,14 +149,33 @@ const httpsDispatcher = new Agent({
   connections: 128,
   keepAliveTimeout: 60_000,
   keepAliveMaxTimeout: 600_000,
+  allowH2: HTTP2_ENABLED,
   connect: httpsConnectOptions
 })
 
+// Undici does not report the protocol of a response, so remember what was
+// negotiated (via ALPN) for each upstream origin as connections are opened.
+/** @type {Map<string, string>} */
+const upstreamHttpVersions = new Map()
+diagnosticsChannel.channel('undici:client:connected').subscribe(({ connectParams }) => {
+  if (!connectParams || !connectParams.host) return
+  upstreamHttpVersions.set(
+    `${connectParams.protocol}//${connectParams.host}`,
+    connectParams.version === 'h2' ? 'HTTP/2' : 'HTTP/1.1'
+  )
+})
+
 // Directories
 const BLOCKED_URLS_FILE = path.join(STORAGE_DIR, 'blocked-urls.json')
 const FILTER_URLS_FILE = path.join(STORAGE_DIR, 'filter-urls.json')
 const LEGACY_BYPASS_URLS_FILE = path.join(STORAGE_DIR, 'bypass-urls.json')
 const EDIT_RULES_FILE = path.join(STORAGE_DIR, 'edit-rules.json')
+const BREAKPOINTS_FILE = path.join(STORAGE_DIR, 'breakpoints.json')
+const PROFILES_FILE = path.join(STORAGE_DIR, 'profiles.json')
+const NETWORK_CONDITIONS_FILE = path.join(STORAGE_DIR, 'network-conditions.json')
+const FAULT_RULES_FILE = path.join(STORAGE_DIR, 'fault-rules.json')
+const MAP_REMOTE_FILE = path.join(STORAGE_DIR, 'map-remote.json')
+const MAP_LOCAL_FILE = path.join(STORAGE_DIR, 'map-local.json')
 
 // Certificate paths (inlined from cert-manager.js)
 const CA_KEY_PATH = path.join(CERTS_DIR, 'ca-key.pem')
@@ -470,6 +506,7 @@ async function saveBlockedUrls () {
     blockedUrls = blockedRules.filter(rule => rule.enabled).map(rule => rule.url)
     // Keep the log filtering patterns in sync with the latest blocked rules.
     recomputeBlockedUrlSubstringsForFilter()
+    notifyRulesChanged('blocked')
   } catch (error) {
     console.error('[proxy] Error saving blocked URLs:', error)
   }
@@ -518,6 +555,7 @@ function saveBypassUrlsSync () {
   try {
     const payload = buildBypassRulesSnapshot()
     fs.writeFileSync(FILTER_URLS_FILE, payload)
+    notifyRulesChanged('filters')
   } catch (error) {
     console.error('[proxy] Error saving bypass URLs (sync):', error)
   }
@@ -527,6 +565,7 @@ async function saveBypassUrls () {
   try {
     const payload = buildBypassRulesSnapshot()
     await fsPromises.writeFile(FILTER_URLS_FILE, payload)
+    notifyRulesChanged('filters')
   } catch (error) {
     console.error('[proxy] Error saving bypass URLs:', error)
   }
@@ -635,26 +674,93 @@ function rebuildBypassUrlsForCurrentMode () {
   buildBypassMatchers()
 }
 
+// Operations a JSONPath rule can perform on the nodes its path selects, and
+// the value types it accepts ("json" holds arbitrary JSON text).
+const JSON_PATH_OPERATIONS = ['set', 'delete', 'insert', 'append', 'merge', 'rename']
+const JSON_PATH_VALUE_TYPES = ['string', 'number', 'boolean', 'null', 'json']
+
+// Operations a header rule can perform on the header it names.
+const HEADER_RULE_OPERATIONS = ['add', 'set', 'remove', 'rename']
+
 function normalizeEditRule (rule = {}) {
-  const kind = rule.kind === 'jsonPath' ? 'jsonPath' : 'text'
+  const normalized = normalizeEditRuleFields(rule)
+  const conditions = normalizeRuleConditions(rule.conditions)
+  if (conditions) {
+    normalized.conditions = conditions
+  }
+  return normalized
+}
 
-  if (kind === 'jsonPath') {
-    let valueType = 'string'
-    if (rule.valueType === 'number' || rule.valueType === 'boolean' || rule.valueType === 'null') {
-      valueType = rule.valueType
+function normalizeEditRuleFields (rule = {}) {
+  const kind = ['jsonPath', 'script', 'header'].includes(rule.kind) ? rule.kind : 'text'
+
+  if (kind === 'header') {
+    // Header rules are scoped like text rules (empty URL = every request,
+    // target defaults to both phases) and can be narrowed to HTTP methods.
+    let normalizedTarget = 'both'
+    if (rule.target === 'request' || rule.target === 'response') {
+      normalizedTarget = rule.target
+    }
+
+    const rawMethods = Array.isArray(rule.methods)
+      ? rule.methods
+      : (typeof rule.methods === 'string' ? rule.methods.split(',') : [])
+    const methods = Array.from(new Set(
+      rawMethods
+        .map(method => (typeof method === 'string' ? method.trim().toUpperCase() : ''))
+        .filter(Boolean)
+    ))
+
+    return {
+      id: rule.id || crypto.randomUUID(),
+      enabled: rule.enabled !== false,
+      kind,
+      name: rule.name || '',
+      url: typeof rule.url === 'string' ? rule.url : '',
+      methods,
+      target: normalizedTarget,
+      operation: HEADER_RULE_OPERATIONS.includes(rule.operation) ? rule.operation : 'set',
+      header: typeof rule.header === 'string' ? rule.header.trim() : '',
+      value: rule.value != null ? String(rule.value) : '',
+      newName: typeof rule.newName === 'string' ? rule.newName.trim() : ''
+    }
+  }
+
+  if (kind === 'script') {
+    // Script rules share the text rule scoping semantics: an empty URL
+    // matches every request and the target defaults to both phases.
+    let normalizedTarget = 'both'
+    if (rule.target === 'request' || rule.target === 'response') {
+      normalizedTarget = rule.target
+    }
+
+    return {
+      id: rule.id || crypto.randomUUID(),
+      enabled: rule.enabled !== false,
+      kind,
+      name: rule.name || '',
+      url: typeof rule.url === 'string' ? rule.url : '',
+      target: normalizedTarget,
+      script: typeof rule.script === 'string' ? rule.script : ''
     }
+  }
+
+  if (kind === 'jsonPath') {
+    const valueType = JSON_PATH_VALUE_TYPES.includes(rule.valueType) ? rule.valueType : 'string'
+    const operation = JSON_PATH_OPERATIONS.includes(rule.operation) ? rule.operation : 'set'
 
     const normalizedTarget =
       rule.target === 'response' || rule.target === 'both'
         ? rule.target
         : 'request'
 
-    return {
+    const normalized = {
       id: rule.id || crypto.randomUUID(),
       enabled: rule.enabled !== false,
       kind,
       name: rule.name || '',
       path: typeof rule.path === 'string' ? rule.path : '',
+      operation,
       value: Object.prototype.hasOwnProperty.call(rule, 'value') ? rule.value : '',
       valueType,
       // URL pattern su cui applicare la regola jsonPath; se vuoto la regola
@@ -665,6 +771,14 @@ function normalizeEditRule (rule = {}) {
       // vengono trattate come 'request'.
       target: normalizedTarget
     }
+
+    if (operation === 'insert') {
+      // Array position for inserted elements; negative values count from the end.
+      const index = Number(rule.index)
+      normalized.index = Number.isInteger(index) ? index : 0
+    }
+
+    return normalized
   }
 
   // Default/legacy text rule. Text rules now support optional URL scoping and
@@ -712,6 +826,7 @@ async function saveEditRules () {
   try {
     const payload = JSON.stringify(editRules, null, 2)
     await fsPromises.writeFile(EDIT_RULES_FILE, payload)
+    notifyRulesChanged('edit-rules')
   } catch (error) {
     console.error('[proxy] Error saving edit rules:', error)
   }
@@ -719,74 +834,593 @@ async function saveEditRules () {
 
 let compiledEditRules = []
 let compiledJsonPathRules = []
+let compiledScriptRules = []
+let compiledHeaderRules = []
 
+/**
+ * Parse a JSONPath expression into selector segments.
+ *
+ * Supported syntax, with an optional leading `$` or `root`:
+ * - keys: `user.name`, `['first name']`, `["a.b"]`
+ * - indices, negative ones counting from the end: `items[0]`, `items[-1]`
+ * - wildcards: `items[*]`, `user.*`
+ * - recursive descent: `$..price`, `$..[0]`, `$..*`
+ * - slices with an optional step: `items[1:3]`, `items[-2:]`, `items[::2]`
+ * - unions: `items[0,2]`, `['id','name']`
+ * - filters: `items[?(@.id == 7)]`, `[?(@.price > 10 && !@.hidden)]`,
+ *   `[?(@.name =~ /^a/i)]`
+ *
+ * Every segment has a `type` and a `descendant` flag; descendant segments
+ * select from the current node and everything below it.
+ *
+ * @param {string} path
+ * @returns {Array<object>} Segments, or an empty array for empty or invalid paths.
+ */
 function parseJsonPath (path) {
+  try {
+    return parseJsonPathStrict(path)
+  } catch (error) {
+    logDebug('parseJsonPath', `Invalid JSON path "${path}": ${error.message}`)
+    return []
+  }
+}
+
+/**
+ * Like parseJsonPath, but throws a SyntaxError describing the first problem
+ * in an invalid path.
+ *
+ * @param {string} path
+ * @returns {Array<object>}
+ */
+function parseJsonPathStrict (path) {
   if (!path || typeof path !== 'string') return []
 
-  const trimmed = path.trim()
-  if (!trimmed) return []
+  const source = path.trim()
+  if (!source) return []
 
-  let s = trimmed
+  let pos = 0
 
-  // Support optional leading symbols like "root" or "$" (e.g. "root.f1.f2" or "$.f1[0]")
-  if (s === 'root' || s === '$') {
-    return []
+  const fail = message => {
+    throw new SyntaxError(`${message} at position ${pos}`)
+  }
+  const skipSpaces = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos += 1
+  }
+  const expect = char => {
+    skipSpaces()
+    if (source[pos] !== char) fail(`Expected "${char}"`)
+    pos += 1
   }
 
-  if (s.startsWith('root.')) {
-    s = s.slice(5)
-  } else if (s.startsWith('root[')) {
-    s = s.slice(4)
-  } else if (s.startsWith('$.')) {
-    s = s.slice(2)
-  } else if (s.startsWith('$[')) {
-    s = s.slice(1)
+  const readIdentifier = (inFilter) => {
+    const stop = inFilter ? /[.[\]\s()=!<>&|,~]/ : /[.[\]]/
+    const start = pos
+    while (pos < source.length && !stop.test(source[pos])) pos += 1
+    const key = source.slice(start, pos).trim()
+    if (!key) fail('Expected a key')
+    return key
   }
 
-  const segments = []
-  let i = 0
+  const readQuoted = () => {
+    const quote = source[pos]
+    pos += 1
+    let value = ''
+    while (pos < source.length && source[pos] !== quote) {
+      if (source[pos] === '\\' && pos + 1 < source.length) pos += 1
+      value += source[pos]
+      pos += 1
+    }
+    if (source[pos] !== quote) fail('Unterminated string')
+    pos += 1
+    return value
+  }
+
+  const readInteger = () => {
+    const match = /^-?\d+/.exec(source.slice(pos))
+    if (!match) return null
+    pos += match[0].length
+    return Number.parseInt(match[0], 10)
+  }
+
+  // Relative path inside a filter: `@.a.b`, `@['a']`, `@[0]`.
+  const parseFilterPath = () => {
+    const keys = []
+    for (;;) {
+      if (source[pos] === '.' && source[pos + 1] !== '.') {
+        pos += 1
+        keys.push(readIdentifier(true))
+      } else if (source[pos] === '[') {
+        pos += 1
+        skipSpaces()
+        if (source[pos] === '\'' || source[pos] === '"') {
+          keys.push(readQuoted())
+        } else {
+          const index = readInteger()
+          if (index === null) fail('Expected an index or quoted key')
+          keys.push(index)
+        }
+        expect(']')
+      } else {
+        return keys
+      }
+    }
+  }
 
-  while (i < s.length) {
-    const ch = s[i]
+  const parseOperand = () => {
+    skipSpaces()
+    const ch = source[pos]
 
-    if (ch === '.') {
-      i += 1
-      continue
+    if (ch === '@' || ch === '$') {
+      pos += 1
+      const keys = parseFilterPath()
+      const fromRoot = ch === '$'
+      return (node, root) => getJsonPathFilterValue(fromRoot ? root : node, keys)
     }
 
-    if (ch === '[') {
-      const end = s.indexOf(']', i + 1)
-      if (end === -1) return []
+    if (ch === '\'' || ch === '"') {
+      const value = readQuoted()
+      return () => value
+    }
+
+    const number = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(source.slice(pos))
+    if (number) {
+      pos += number[0].length
+      const value = Number(number[0])
+      return () => value
+    }
 
-      const inside = s.slice(i + 1, end).trim()
-      if (!inside) return []
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (source.startsWith(word, pos)) {
+        pos += word.length
+        return () => value
+      }
+    }
 
-      // Only support numeric indices for now: root.items[3].name
-      if (!/^\d+$/.test(inside)) return []
-      const index = Number.parseInt(inside, 10)
-      if (!Number.isFinite(index) || index < 0) return []
+    return fail('Expected a filter operand')
+  }
 
-      segments.push({ type: 'index', index })
-      i = end + 1
-      continue
+  const parseRegexLiteral = () => {
+    skipSpaces()
+    if (source[pos] !== '/') fail('Expected a /regex/ literal')
+    pos += 1
+    let body = ''
+    while (pos < source.length && source[pos] !== '/') {
+      if (source[pos] === '\\' && pos + 1 < source.length) {
+        body += source[pos]
+        pos += 1
+      }
+      body += source[pos]
+      pos += 1
+    }
+    if (source[pos] !== '/') fail('Unterminated regex')
+    pos += 1
+    const flags = /^[a-z]*/.exec(source.slice(pos))[0]
+    pos += flags.length
+    return new RegExp(body, flags.replace(/[gy]/g, ''))
+  }
+
+  let parseOr
+
+  const parsePrimary = () => {
+    skipSpaces()
+    if (source[pos] === '(') {
+      pos += 1
+      const inner = parseOr()
+      expect(')')
+      return inner
+    }
+
+    const left = parseOperand()
+    skipSpaces()
+
+    if (source.startsWith('=~', pos)) {
+      pos += 2
+      const regex = parseRegexLiteral()
+      return (node, root) => {
+        const value = left(node, root)
+        return typeof value === 'string' && regex.test(value)
+      }
+    }
+
+    const op = ['==', '!=', '<=', '>=', '<', '>'].find(candidate => source.startsWith(candidate, pos))
+    if (!op) {
+      // Existence test, e.g. [?(@.email)]
+      return (node, root) => left(node, root) !== undefined
+    }
+    pos += op.length
+    const right = parseOperand()
+    return (node, root) => compareJsonPathValues(op, left(node, root), right(node, root))
+  }
+
+  const parseUnary = () => {
+    skipSpaces()
+    if (source[pos] === '!' && source[pos + 1] !== '=') {
+      pos += 1
+      const inner = parseUnary()
+      return (node, root) => !inner(node, root)
+    }
+    return parsePrimary()
+  }
+
+  const parseAnd = () => {
+    let left = parseUnary()
+    for (;;) {
+      skipSpaces()
+      if (!source.startsWith('&&', pos)) return left
+      pos += 2
+      const a = left
+      const b = parseUnary()
+      left = (node, root) => a(node, root) && b(node, root)
+    }
+  }
+
+  parseOr = () => {
+    let left = parseAnd()
+    for (;;) {
+      skipSpaces()
+      if (!source.startsWith('||', pos)) return left
+      pos += 2
+      const a = left
+      const b = parseAnd()
+      left = (node, root) => a(node, root) || b(node, root)
+    }
+  }
+
+  // Parses the inside of [...] after the opening bracket.
+  const parseBracket = () => {
+    skipSpaces()
+
+    if (source[pos] === '*') {
+      pos += 1
+      expect(']')
+      return { type: 'wildcard' }
+    }
+
+    if (source[pos] === '?') {
+      pos += 1
+      skipSpaces()
+      let test
+      if (source[pos] === '(') {
+        pos += 1
+        test = parseOr()
+        expect(')')
+      } else {
+        test = parseOr()
+      }
+      expect(']')
+      return { type: 'filter', test }
+    }
+
+    const selectors = []
+    for (;;) {
+      skipSpaces()
+      if (source[pos] === '\'' || source[pos] === '"') {
+        selectors.push({ type: 'key', key: readQuoted() })
+      } else {
+        const start = readInteger()
+        skipSpaces()
+        if (source[pos] === ':') {
+          pos += 1
+          skipSpaces()
+          const end = readInteger()
+          let step = null
+          skipSpaces()
+          if (source[pos] === ':') {
+            pos += 1
+            skipSpaces()
+            step = readInteger()
+          }
+          if (step === 0) fail('Slice step cannot be 0')
+          selectors.push({ type: 'slice', start, end, step: step === null ? 1 : step })
+        } else if (start !== null) {
+          selectors.push({ type: 'index', index: start })
+        } else {
+          fail('Expected an index, slice, quoted key, * or filter')
+        }
+      }
+
+      skipSpaces()
+      if (source[pos] === ',') {
+        pos += 1
+        continue
+      }
+      expect(']')
+      break
     }
 
-    // Parse identifier segment until next '.', '[' or ']' (dot-notation key)
-    let j = i
-    while (j < s.length && s[j] !== '.' && s[j] !== '[' && s[j] !== ']') {
-      j += 1
+    if (selectors.length === 1) return selectors[0]
+    if (selectors.some(selector => selector.type === 'slice')) fail('Slices cannot be combined in a union')
+    return { type: 'union', selectors }
+  }
+
+  if (source === '$' || source.startsWith('$.') || source.startsWith('$[')) {
+    pos = 1
+  } else if (source === 'root' || source.startsWith('root.') || source.startsWith('root[')) {
+    pos = 4
+  }
+
+  const segments = []
+  while (pos < source.length) {
+    let segment
+    let descendant = false
+
+    if (source.startsWith('..', pos)) {
+      pos += 2
+      descendant = true
+    } else if (source[pos] === '.') {
+      pos += 1
     }
 
-    const key = s.slice(i, j).trim()
-    if (!key) return []
+    if (source[pos] === '[') {
+      pos += 1
+      segment = parseBracket()
+    } else if (source[pos] === '*') {
+      pos += 1
+      segment = { type: 'wildcard' }
+    } else {
+      segment = { type: 'key', key: readIdentifier(false) }
+    }
 
-    segments.push({ type: 'key', key })
-    i = j
+    segment.descendant = descendant
+    segments.push(segment)
   }
 
   return segments
 }
 
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/
+
+/**
+ * Validate the header name, new name and value of a header edit rule payload.
+ *
+ * @param {object} rule - Normalised edit rule.
+ * @returns {string|null} Error message, or null when the rule is usable.
+ */
+function validateHeaderEditRule (rule) {
+  if (!rule || rule.kind !== 'header') return null
+  if (!HEADER_NAME_PATTERN.test(rule.header)) {
+    return 'Invalid header rule: a valid header name is required'
+  }
+  if (rule.operation === 'rename' && !HEADER_NAME_PATTERN.test(rule.newName)) {
+    return 'Invalid header rule: a rename needs a valid new header name'
+  }
+  if ((rule.operation === 'add' || rule.operation === 'set') && /[\r\n]/.test(rule.value)) {
+    return 'Invalid header rule: the value must not contain line breaks'
+  }
+  return null
+}
+
+/**
+ * Validate an edit rule payload before it is stored.
+ *
+ * @param {object} rule - Normalised edit rule.
+ * @returns {string|null} Error message, or null when the rule is usable.
+ */
+function validateEditRule (rule) {
+  return validateJsonPathEditRule(rule) || validateHeaderEditRule(rule) || validateRuleConditions(rule)
+}
+
+/**
+ * Validate the path and value of a jsonPath edit rule payload.
+ *
+ * @param {object} rule - Normalised edit rule.
+ * @returns {string|null} Error message, or null when the rule is usable.
+ */
+function validateJsonPathEditRule (rule) {
+  if (!rule || rule.kind !== 'jsonPath') return null
+  if (rule.path.trim()) {
+    try {
+      if (parseJsonPathStrict(rule.path).length === 0) {
+        return 'Invalid JSON path: it must select at least one field below the root'
+      }
+    } catch (error) {
+      return `Invalid JSON path: ${error.message}`
+    }
+  }
+  if (rule.operation !== 'set' || rule.valueType === 'json') {
+    const resolved = resolveJsonPathRuleValue(rule)
+    if (!resolved.ok) return resolved.error
+  }
+  return null
+}
+
+/**
+ * Read a value below a filter node (`@.a[0]`); missing values are undefined.
+ *
+ * @param {any} value
+ * @param {Array<string|number>} keys
+ * @returns {any}
+ */
+function getJsonPathFilterValue (value, keys) {
+  let current = value
+  for (const key of keys) {
+    if (!current || typeof current !== 'object') return undefined
+    if (typeof key === 'number') {
+      if (!Array.isArray(current)) return undefined
+      const index = key < 0 ? current.length + key : key
+      current = current[index]
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(current, key)) return undefined
+      current = current[key]
+    }
+  }
+  return current
+}
+
+/**
+ * Compare two filter operands. Numbers also match numeric strings, since
+ * 64-bit protobuf integers are decoded as strings; ordering operators only
+ * apply to two numbers or two strings.
+ *
+ * @param {string} op
+ * @param {any} left
+ * @param {any} right
+ * @returns {boolean}
+ */
+function compareJsonPathValues (op, left, right) {
+  if (left === undefined || right === undefined) {
+    return op === '!=' && left !== right
+  }
+
+  let a = left
+  let b = right
+  const isNumericString = value => typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))
+  if (typeof a === 'number' && isNumericString(b)) b = Number(b)
+  if (typeof b === 'number' && isNumericString(a)) a = Number(a)
+
+  if (op === '==' || op === '!=') {
+    const equal = (a !== null && typeof a === 'object') || (b !== null && typeof b === 'object')
+      ? JSON.stringify(a) === JSON.stringify(b)
+      : a === b
+    return op === '==' ? equal : !equal
+  }
+
+  const comparable = (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string')
+  if (!comparable) return false
+  if (op === '<') return a < b
+  if (op === '<=') return a <= b
+  if (op === '>') return a > b
+  return a >= b
+}
+
+/**
+ * Add the children of `value` selected by one (non-descendant) segment.
+ *
+ * @param {any} value
+ * @param {object} segment
+ * @param {any} root - Document root, for `$` references in filters.
+ * @param {(container: object, key: string|number) => void} add
+ */
+function selectJsonPathChildren (value, segment, root, add) {
+  if (!value || typeof value !== 'object') return
+  const isArray = Array.isArray(value)
+
+  switch (segment.type) {
+    case 'key':
+      // Arrays only expose their elements, never "length" or other props.
+      if (isArray && !/^\d+$/.test(segment.key)) return
+      if (Object.prototype.hasOwnProperty.call(value, segment.key)) add(value, segment.key)
+      return
+    case 'index': {
+      if (!isArray) return
+      const index = segment.index < 0 ? value.length + segment.index : segment.index
+      if (index >= 0 && index < value.length) add(value, index)
+      return
+    }
+    case 'wildcard':
+      if (isArray) {
+        value.forEach((_, index) => add(value, index))
+      } else {
+        Object.keys(value).forEach(key => add(value, key))
+      }
+      return
+    case 'slice': {
+      if (!isArray) return
+      const length = value.length
+      const { step } = segment
+      const normalize = (index, fallback) => {
+        if (index === null) return fallback
+        return index < 0 ? index + length : index
+      }
+      if (step > 0) {
+        const start = Math.max(0, Math.min(length, normalize(segment.start, 0)))
+        const end = Math.max(0, Math.min(length, normalize(segment.end, length)))
+        for (let i = start; i < end; i += step) add(value, i)
+      } else {
+        const start = Math.max(-1, Math.min(length - 1, normalize(segment.start, length - 1)))
+        const end = Math.max(-1, Math.min(length - 1, normalize(segment.end, -1 - length)))
+        for (let i = start; i > end; i += step) add(value, i)
+      }
+      return
+    }
+    case 'union':
+      for (const selector of segment.selectors) {
+        selectJsonPathChildren(value, selector, root, add)
+      }
+      return
+    case 'filter': {
+      const keys = isArray ? value.map((_, index) => index) : Object.keys(value)
+      for (const key of keys) {
+        let matches = false
+        try {
+          matches = segment.test(value[key], root)
+        } catch (error) {
+          logDebug('selectJsonPathChildren', 'Filter expression failed', error)
+        }
+        if (matches) add(value, key)
+      }
+    }
+  }
+}
+
+/**
+ * Call `visit` for a value and every object/array nested below it, parents
+ * before their children. Walks with an explicit stack so deeply nested
+ * documents cannot overflow the call stack.
+ *
+ * @param {any} value
+ * @param {(value: any) => void} visit
+ */
+function forEachJsonPathDescendant (value, visit) {
+  const stack = [value]
+  while (stack.length > 0) {
+    const current = stack.pop()
+    visit(current)
+    if (!current || typeof current !== 'object') continue
+    const children = Array.isArray(current) ? current : Object.values(current)
+    // Pushed in reverse so the first child is visited first.
+    for (let index = children.length - 1; index >= 0; index--) {
+      const child = children[index]
+      if (child && typeof child === 'object') stack.push(child)
+    }
+  }
+}
+
+/**
+ * Resolve every node selected by parsed JSONPath segments.
+ *
+ * @param {any} root
+ * @param {Array<object>} segments - Result of parseJsonPath.
+ * @returns {Array<{ container: object, key: string|number }>} Matches without
+ *   duplicates. A descendant segment (`..`) lists the children it selects
+ *   from a node before those it selects from the node's descendants, so
+ *   `$..*` yields `a, b, a.x` for `{ a: { x: 1 }, b: 2 }` rather than
+ *   document order.
+ */
+function resolveJsonPathMatches (root, segments) {
+  let nodes = [{ container: null, key: null, value: root }]
+
+  for (const segment of segments) {
+    const next = []
+    const seen = new Map()
+    const add = (container, key) => {
+      let keys = seen.get(container)
+      if (!keys) {
+        keys = new Set()
+        seen.set(container, keys)
+      }
+      if (keys.has(String(key))) return
+      keys.add(String(key))
+      next.push({ container, key, value: container[key] })
+    }
+
+    for (const node of nodes) {
+      if (segment.descendant) {
+        forEachJsonPathDescendant(node.value, value => selectJsonPathChildren(value, segment, root, add))
+      } else {
+        selectJsonPathChildren(node.value, segment, root, add)
+      }
+    }
+
+    nodes = next
+    if (nodes.length === 0) break
+  }
+
+  return nodes
+    .filter(node => node.container !== null)
+    .map(({ container, key }) => ({ container, key }))
+}
+
 function getCompiledJsonPathRules () {
   if (!editRulesEnabled) return []
   return compiledJsonPathRules
@@ -936,10 +1570,35 @@ function compileEditRule (rule) {
 function rebuildEditRuleCache () {
   compiledEditRules = []
   compiledJsonPathRules = []
+  compiledScriptRules = []
+  compiledHeaderRules = []
 
   for (const rule of editRules) {
     if (!rule || rule.enabled === false) continue
 
+    if (rule.kind === 'header') {
+      if (!rule.header || validateHeaderEditRule(rule)) continue
+      compiledHeaderRules.push({
+        ...rule,
+        headerLower: rule.header.toLowerCase(),
+        conditions: compileRuleConditions(rule.conditions)
+      })
+      continue
+    }
+
+    if (rule.kind === 'script') {
+      try {
+        const compiled = compileScriptRule(rule)
+        if (compiled) {
+          compiled.conditions = compileRuleConditions(rule.conditions)
+          compiledScriptRules.push(compiled)
+        }
+      } catch (error) {
+        logWarn('script-rules', `Rule "${rule.name || rule.id}" failed to compile: ${error && error.message}`)
+      }
+      continue
+    }
+
     if (rule.kind === 'jsonPath') {
       // Pre-parse the path into structured segments for fast traversal at runtime.
       // Le regole jsonPath richiedono anche un URL non vuoto per essere attive.
@@ -950,10 +1609,13 @@ function rebuildEditRuleCache () {
       const segments = parseJsonPath(rule.path)
       if (!segments || !segments.length) continue
 
-      let valueType = 'string'
-      if (rule.valueType === 'number' || rule.valueType === 'boolean' || rule.valueType === 'null') {
-        valueType = rule.valueType
-      }
+      const valueType = JSON_PATH_VALUE_TYPES.includes(rule.valueType) ? rule.valueType : 'string'
+      const operation = JSON_PATH_OPERATIONS.includes(rule.operation) ? rule.operation : 'set'
+
+      // Resolve the written value once; rules whose value does not fit the
+      // operation are skipped rather than failing on every message.
+      const resolved = resolveJsonPathRuleValue({ ...rule, valueType, operation })
+      if (!resolved.ok) continue
 
       const normalizedTarget =
         rule.target === 'response' || rule.target === 'both'
@@ -966,16 +1628,21 @@ function rebuildEditRuleCache () {
         name: rule.name || '',
         path: rule.path,
         segments,
+        operation,
         value: rule.value,
         valueType,
+        resolvedValue: resolved.value,
+        index: Number.isInteger(rule.index) ? rule.index : 0,
         url: urlPattern,
-        target: normalizedTarget
+        target: normalizedTarget,
+        conditions: compileRuleConditions(rule.conditions)
       })
       continue
     }
 
     const compiled = compileEditRule(rule)
     if (compiled) {
+      compiled.conditions = compileRuleConditions(rule.conditions)
       compiledEditRules.push(compiled)
     }
   }
@@ -986,6 +1653,16 @@ function getCompiledRules () {
   return compiledEditRules
 }
 
+function getCompiledScriptRules () {
+  if (!editRulesEnabled) return []
+  return compiledScriptRules
+}
+
+function getCompiledHeaderRules () {
+  if (!editRulesEnabled) return []
+  return compiledHeaderRules
+}
+
 function jsonPathRuleMatchesUrl (rule, context = {}) {
   const rawPattern = typeof rule.url === 'string' ? rule.url : ''
   const trimmed = rawPattern.trim()
@@ -1045,143 +1722,488 @@ function textRuleMatchesUrl (rule, context = {}) {
   return candidates.some(url => url.includes(pattern) || pattern.includes(url))
 }
 
-function applyJsonPathRulesToObject (root, context = {}) {
-  if (!root || typeof root !== 'object') {
-    return { object: root, appliedRuleIds: [], changed: false, changedTopLevelKeys: [] }
-  }
-
-  const rules = getCompiledJsonPathRules()
-  if (!Array.isArray(rules) || rules.length === 0) {
-    return { object: root, appliedRuleIds: [], changed: false }
-  }
+// Conditions narrow an edit rule beyond its URL and target. Each condition
+// tests one property of the message being rewritten; a rule's conditions are
+// combined with AND (`match: 'all'`) or OR (`match: 'any'`).
+const RULE_CONDITION_TYPES = ['method', 'status', 'header', 'contentType', 'body']
+const RULE_CONDITION_OPERATORS = ['exists', 'missing', 'equals', 'contains', 'matches']
 
-  const phase = context && context.phase === 'response' ? 'response' : 'request'
+/**
+ * Normalise the optional `conditions` block of an edit rule payload.
+ *
+ * @param {any} raw - `{ match?: 'all'|'any', items: object[] }`
+ * @returns {{ match: 'all'|'any', items: object[] }|null} null when no usable condition is left.
+ */
+function normalizeRuleConditions (raw) {
+  if (!raw || typeof raw !== 'object') return null
+  const items = (Array.isArray(raw.items) ? raw.items : [])
+    .map(normalizeRuleCondition)
+    .filter(Boolean)
+  if (items.length === 0) return null
+  return { match: raw.match === 'any' ? 'any' : 'all', items }
+}
 
-  const appliedSet = new Set()
-  const changedRootKeys = new Set()
-  let changed = false
+function normalizeRuleCondition (item) {
+  if (!item || typeof item !== 'object' || !RULE_CONDITION_TYPES.includes(item.type)) return null
 
-  for (const rule of rules) {
-    if (!rule || !Array.isArray(rule.segments) || rule.segments.length === 0) continue
+  const condition = { type: item.type }
+  if (item.negate === true) condition.negate = true
 
-    const target = rule.target === 'response' || rule.target === 'both' ? rule.target : 'request'
+  if (item.type === 'method') {
+    const rawValues = Array.isArray(item.values)
+      ? item.values
+      : (typeof item.values === 'string' ? item.values.split(',') : [])
+    condition.values = Array.from(new Set(
+      rawValues
+        .map(value => (typeof value === 'string' ? value.trim().toUpperCase() : ''))
+        .filter(Boolean)
+    ))
+    return condition.values.length ? condition : null
+  }
 
-    if (target === 'request' && phase !== 'request') continue
-    if (target === 'response' && phase !== 'response') continue
+  if (item.type === 'status') {
+    const min = Number.parseInt(item.min, 10)
+    const max = Number.parseInt(item.max, 10)
+    if (!Number.isFinite(min) && !Number.isFinite(max)) return null
+    condition.min = Number.isFinite(min) ? min : 100
+    condition.max = Number.isFinite(max) ? max : 599
+    return condition
+  }
 
-    // Le regole jsonPath vengono applicate solo se l'URL corrente matcha il
-    // pattern associato alla regola.
-    if (!jsonPathRuleMatchesUrl(rule, context)) continue
+  if (item.type === 'header') {
+    condition.name = typeof item.name === 'string' ? item.name.trim() : ''
+    if (!condition.name) return null
+  }
 
-    const segments = rule.segments
-    let parent = root
-    let validPath = true
+  const defaultOperator = item.type === 'header' ? 'exists' : 'contains'
+  condition.operator = RULE_CONDITION_OPERATORS.includes(item.operator) ? item.operator : defaultOperator
+  condition.value = item.value != null ? String(item.value) : ''
+  if (item.type !== 'header' && (condition.operator === 'exists' || condition.operator === 'missing')) {
+    condition.operator = 'contains'
+  }
+  return condition
+}
 
-    // Traverse all but the last segment to find the parent container
-    for (let i = 0; i < segments.length - 1; i++) {
-      const seg = segments[i]
-      if (!parent || typeof parent !== 'object') {
-        validPath = false
-        break
-      }
+/**
+ * Turn a condition value into a RegExp. `/pattern/flags` keeps its flags,
+ * anything else is used as the pattern source.
+ *
+ * @param {string} value
+ * @returns {RegExp}
+ */
+function parseConditionRegex (value) {
+  const literal = /^\/(.*)\/([a-z]*)$/s.exec(value)
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value)
+}
 
-      if (seg.type === 'key') {
-        if (!Object.prototype.hasOwnProperty.call(parent, seg.key)) {
-          validPath = false
-          break
-        }
-        parent = parent[seg.key]
-      } else if (seg.type === 'index') {
-        if (!Array.isArray(parent)) {
-          validPath = false
-          break
-        }
-        const idx = seg.index
-        if (idx < 0 || idx >= parent.length) {
-          validPath = false
-          break
-        }
-        parent = parent[idx]
-      } else {
-        validPath = false
-        break
+/**
+ * Validate the conditions of an edit rule payload.
+ *
+ * @param {object} rule - Normalised edit rule.
+ * @returns {string|null} Error message, or null when the conditions are usable.
+ */
+function validateRuleConditions (rule) {
+  if (!rule || !rule.conditions) return null
+  // Response headers are rewritten before the response body is read.
+  const appliesToResponseHeaders = rule.kind === 'header' && (rule.target === 'response' || rule.target === 'both')
+  for (const condition of rule.conditions.items) {
+    if (condition.type === 'body' && appliesToResponseHeaders) {
+      return 'Invalid condition: header rules for responses cannot have a body condition'
+    }
+    if (condition.type === 'status' && condition.min > condition.max) {
+      return `Invalid condition: status range ${condition.min}-${condition.max} is empty`
+    }
+    if (condition.operator === 'matches') {
+      try {
+        parseConditionRegex(condition.value)
+      } catch (error) {
+        return `Invalid condition regex: ${error.message}`
       }
     }
+  }
+  return null
+}
+
+/**
+ * Prepare normalised conditions for matching (regexes are built once).
+ * Conditions that cannot be compiled never match.
+ *
+ * @param {{ match: string, items: object[] }|undefined} conditions
+ * @returns {{ match: string, items: object[] }|null}
+ */
+function compileRuleConditions (conditions) {
+  if (!conditions || !Array.isArray(conditions.items) || conditions.items.length === 0) return null
+  const items = conditions.items.map(condition => {
+    if (condition.operator !== 'matches') return condition
+    try {
+      return { ...condition, regex: parseConditionRegex(condition.value) }
+    } catch {
+      return { ...condition, invalid: true }
+    }
+  })
+  return { match: conditions.match, items }
+}
 
-    if (!validPath) continue
+// Decoded body text per rule context, so several conditional rules share one
+// decompression of the same message.
+const conditionBodyTextCache = new WeakMap()
 
-    const lastSeg = segments[segments.length - 1]
-    let container = parent
-    let keyOrIndex
-    let currentValue
+function getConditionBodyText (context) {
+  if (conditionBodyTextCache.has(context)) return conditionBodyTextCache.get(context)
 
-    if (lastSeg.type === 'key') {
-      if (!container || typeof container !== 'object' || !Object.prototype.hasOwnProperty.call(container, lastSeg.key)) {
-        continue
+  let text = ''
+  const body = context.body
+  if (typeof body === 'string') {
+    text = body
+  } else if (Buffer.isBuffer(body) && body.length > 0) {
+    const headers = context.headers || {}
+    const encoding = String(getHeaderCaseInsensitive(headers, 'content-encoding') || '').toLowerCase()
+    const contentType = String(getHeaderCaseInsensitive(headers, 'content-type') || '')
+    text = decompressData(body, encoding, contentType).toString('utf8')
+  }
+
+  conditionBodyTextCache.set(context, text)
+  return text
+}
+
+function matchConditionValue (condition, actual, caseSensitive) {
+  if (condition.operator === 'exists') return actual != null
+  if (condition.operator === 'missing') return actual == null
+  if (actual == null) return false
+  if (condition.operator === 'matches') return !condition.invalid && condition.regex.test(actual)
+
+  const left = caseSensitive ? actual : actual.toLowerCase()
+  const right = caseSensitive ? condition.value : condition.value.toLowerCase()
+  return condition.operator === 'equals' ? left === right : left.includes(right)
+}
+
+function evaluateRuleCondition (condition, context) {
+  let result = false
+  switch (condition.type) {
+    case 'method':
+      result = condition.values.includes(String(context.method || '').toUpperCase())
+      break
+    case 'status': {
+      const code = Number(context.statusCode)
+      result = context.phase === 'response' && Number.isFinite(code) &&
+        code >= condition.min && code <= condition.max
+      break
+    }
+    case 'header':
+    case 'contentType': {
+      const name = condition.type === 'header' ? condition.name : 'content-type'
+      const value = getHeaderCaseInsensitive(context.headers || {}, name)
+      const actual = value == null ? null : (Array.isArray(value) ? value.join(', ') : String(value))
+      result = matchConditionValue(condition, actual, false)
+      break
+    }
+    case 'body':
+      result = matchConditionValue(condition, getConditionBodyText(context), true)
+      break
+  }
+  return condition.negate ? !result : result
+}
+
+/**
+ * Determine whether a rule's compiled conditions hold for a message.
+ *
+ * The context describes the message being rewritten: `phase`, `method`,
+ * `statusCode` (responses), `headers` and `body` (Buffer or string, decoded
+ * with the headers' content-encoding). Rules without conditions always match;
+ * a condition on something the context does not carry does not hold.
+ *
+ * @param {{ match: string, items: object[] }|null} conditions
+ * @param {object} [context]
+ * @returns {boolean}
+ */
+function ruleConditionsMatch (conditions, context) {
+  if (!conditions) return true
+  const ctx = context && typeof context === 'object' ? context : {}
+  return conditions.match === 'any'
+    ? conditions.items.some(condition => evaluateRuleCondition(condition, ctx))
+    : conditions.items.every(condition => evaluateRuleCondition(condition, ctx))
+}
+
+// Keys that reach an object's prototype rather than its data. JSON.parse
+// creates them as ordinary own properties, but assigning them or merging into
+// them would change prototypes, so merge and rename values may not use them.
+const UNSAFE_JSON_KEYS = new Set(['__proto__', 'constructor', 'prototype'])
+
+/**
+ * Find the first unsafe key at any depth of a parsed JSON value.
+ *
+ * @param {any} value
+ * @returns {string|null}
+ */
+function findUnsafeJsonKey (value) {
+  if (!value || typeof value !== 'object') return null
+  for (const [key, child] of Object.entries(value)) {
+    if (UNSAFE_JSON_KEYS.has(key)) return key
+    const nested = findUnsafeJsonKey(child)
+    if (nested) return nested
+  }
+  return null
+}
+
+/**
+ * Convert the stored value of a JSONPath rule into the value it writes.
+ *
+ * `json` values are parsed from JSON text, `merge` needs a JSON object and
+ * `rename` a non-empty key name; `delete` ignores the value. Neither may use
+ * `__proto__`, `constructor` or `prototype` as a key.
+ *
+ * @param {{ operation?: string, value?: any, valueType?: string }} rule
+ * @returns {{ ok: boolean, value?: any, error?: string }}
+ */
+function resolveJsonPathRuleValue (rule) {
+  const operation = rule.operation || 'set'
+  const raw = rule.value
+
+  if (operation === 'delete') return { ok: true, value: null }
+
+  if (operation === 'rename') {
+    const name = raw != null ? String(raw).trim() : ''
+    if (!name) return { ok: false, error: 'A rename needs the new key name as its value' }
+    if (UNSAFE_JSON_KEYS.has(name)) return { ok: false, error: `"${name}" cannot be used as a key name` }
+    return { ok: true, value: name }
+  }
+
+  let value
+  if (rule.valueType === 'json') {
+    if (typeof raw === 'string') {
+      try {
+        value = JSON.parse(raw)
+      } catch (error) {
+        return { ok: false, error: `Invalid JSON value: ${error.message}` }
       }
-      keyOrIndex = lastSeg.key
-      currentValue = container[lastSeg.key]
-    } else if (lastSeg.type === 'index') {
-      if (!Array.isArray(container)) continue
-      const idx = lastSeg.index
-      if (idx < 0 || idx >= container.length) continue
-      keyOrIndex = idx
-      currentValue = container[idx]
     } else {
-      continue
+      value = raw === undefined ? null : raw
     }
+  } else if (rule.valueType === 'number') {
+    const parsed = typeof raw === 'number' ? raw : (typeof raw === 'string' ? Number(raw.trim()) : NaN)
+    if (!Number.isFinite(parsed)) return { ok: false, error: 'The value is not a number' }
+    value = parsed
+  } else if (rule.valueType === 'boolean') {
+    const lower = typeof raw === 'boolean' ? String(raw) : (typeof raw === 'string' ? raw.trim().toLowerCase() : '')
+    if (lower !== 'true' && lower !== 'false') return { ok: false, error: 'The value must be true or false' }
+    value = lower === 'true'
+  } else if (rule.valueType === 'null') {
+    value = null
+  } else {
+    // Default: treat as string
+    value = raw != null ? String(raw) : ''
+  }
 
-    // Compute the new value based on valueType
-    let newValue
-    if (rule.valueType === 'number') {
-      if (typeof rule.value === 'number') {
-        newValue = rule.value
-      } else if (typeof rule.value === 'string') {
-        const parsed = Number(rule.value.trim())
-        if (!Number.isFinite(parsed)) continue
-        newValue = parsed
-      } else {
-        continue
+  if (operation === 'merge') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { ok: false, error: 'A merge needs a JSON object as its value' }
+    }
+    const unsafeKey = findUnsafeJsonKey(value)
+    if (unsafeKey) return { ok: false, error: `"${unsafeKey}" cannot be used as a key name` }
+  }
+
+  return { ok: true, value }
+}
+
+function isPlainJsonObject (value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+function cloneJsonValue (value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value
+}
+
+/**
+ * Set an own data property, including a literal `__proto__` key that plain
+ * assignment would treat as the prototype.
+ *
+ * @param {object} target
+ * @param {string} key
+ * @param {any} value
+ */
+function defineJsonProperty (target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true })
+}
+
+/**
+ * Deep-merge `source` into `target`: nested objects are merged, every other
+ * value (including arrays) replaces the existing one. Unsafe keys
+ * (`__proto__`, `constructor`, `prototype`) in `source` are skipped.
+ *
+ * @param {object} target
+ * @param {object} source
+ */
+function deepMergeJson (target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (UNSAFE_JSON_KEYS.has(key)) continue
+    if (isPlainJsonObject(value) && isPlainJsonObject(target[key])) {
+      deepMergeJson(target[key], value)
+    } else {
+      target[key] = cloneJsonValue(value)
+    }
+  }
+}
+
+/**
+ * Apply one compiled JSONPath rule to the nodes its path selected.
+ *
+ * - `set` writes the value at each node;
+ * - `delete` removes each node from its object or array;
+ * - `insert` / `append` add the value to each selected array, at `rule.index`
+ *   (negative counts from the end) or at the end;
+ * - `merge` deep-merges the value into each selected object;
+ * - `rename` renames each selected key, keeping its position.
+ *
+ * @param {object} rule - Compiled JSONPath rule.
+ * @param {Array<{ container: object, key: string|number }>} matches
+ * @param {object} root
+ * @returns {{ changed: boolean, changedRootKeys: string[] }}
+ *   `changedRootKeys` lists top-level `fN` keys set to strings, which is what
+ *   schemaless protobuf rewrites can patch.
+ */
+function applyJsonPathOperation (rule, matches, root) {
+  const value = rule.resolvedValue
+  const changedRootKeys = []
+  let changed = false
+
+  switch (rule.operation) {
+    case 'delete': {
+      // Remove array elements from the highest index down so earlier
+      // deletions do not shift the ones still pending.
+      const arrayIndices = new Map()
+      for (const { container, key } of matches) {
+        if (Array.isArray(container)) {
+          if (!arrayIndices.has(container)) arrayIndices.set(container, [])
+          arrayIndices.get(container).push(Number(key))
+        } else if (Object.prototype.hasOwnProperty.call(container, key)) {
+          delete container[key]
+          changed = true
+        }
       }
-    } else if (rule.valueType === 'boolean') {
-      if (typeof rule.value === 'boolean') {
-        newValue = rule.value
-      } else if (typeof rule.value === 'string') {
-        const lower = rule.value.trim().toLowerCase()
-        if (lower === 'true') newValue = true
-        else if (lower === 'false') newValue = false
-        else continue
-      } else {
-        continue
+      for (const [array, indices] of arrayIndices) {
+        for (const index of [...new Set(indices)].sort((a, b) => b - a)) {
+          array.splice(index, 1)
+          changed = true
+        }
       }
-    } else if (rule.valueType === 'null') {
-      newValue = null
-    } else {
-      // Default: treat as string
-      newValue = rule.value != null ? String(rule.value) : ''
+      break
     }
+    case 'insert':
+    case 'append':
+      for (const { container, key } of matches) {
+        const array = container[key]
+        if (!Array.isArray(array)) continue
+        if (rule.operation === 'append') {
+          array.push(cloneJsonValue(value))
+        } else {
+          const index = rule.index < 0 ? Math.max(0, array.length + rule.index) : Math.min(array.length, rule.index)
+          array.splice(index, 0, cloneJsonValue(value))
+        }
+        changed = true
+      }
+      break
+    case 'merge':
+      for (const { container, key } of matches) {
+        const target = container[key]
+        if (!isPlainJsonObject(target)) continue
+        const before = JSON.stringify(target)
+        deepMergeJson(target, value)
+        if (JSON.stringify(target) !== before) changed = true
+      }
+      break
+    case 'rename':
+      if (UNSAFE_JSON_KEYS.has(value)) break
+      for (const { container, key } of matches) {
+        if (Array.isArray(container) || key === value || !Object.prototype.hasOwnProperty.call(container, key)) continue
+        const entries = Object.entries(container)
+        for (const [name] of entries) {
+          delete container[name]
+        }
+        // Re-create the keys as own properties: the object may carry a
+        // literal "__proto__" key from JSON.parse.
+        for (const [name, entryValue] of entries) {
+          if (name === value) continue
+          defineJsonProperty(container, name === key ? value : name, entryValue)
+        }
+        changed = true
+      }
+      break
+    default:
+      for (const { container, key } of matches) {
+        const currentValue = container[key]
+        const isSame = value !== null && typeof value === 'object'
+          ? JSON.stringify(value) === JSON.stringify(currentValue)
+          : value === currentValue
+        if (isSame) continue
+
+        container[key] = cloneJsonValue(value)
+        changed = true
+
+        // Track changed top-level fN keys to avoid deep clones in protobuf paths.
+        if (
+          container === root &&
+          typeof key === 'string' &&
+          /^f\d+$/.test(key) &&
+          typeof value === 'string'
+        ) {
+          changedRootKeys.push(key)
+        }
+      }
+  }
+
+  return { changed, changedRootKeys }
+}
+
+function applyJsonPathRulesToObject (root, context = {}) {
+  if (!root || typeof root !== 'object') {
+    return { object: root, appliedRuleIds: [], changed: false, changedTopLevelKeys: [] }
+  }
+
+  const rules = getCompiledJsonPathRules()
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return { object: root, appliedRuleIds: [], changed: false }
+  }
 
-    const isSame =
-      (newValue === currentValue) ||
-      (typeof newValue === 'number' && Number.isNaN(newValue) && typeof currentValue === 'number' && Number.isNaN(currentValue))
+  const phase = context && context.phase === 'response' ? 'response' : 'request'
+
+  const appliedSet = new Set()
+  const changedRootKeys = new Set()
+  let changed = false
+
+  for (const rule of rules) {
+    if (!rule || !Array.isArray(rule.segments) || rule.segments.length === 0) continue
+
+    const target = rule.target === 'response' || rule.target === 'both' ? rule.target : 'request'
+
+    if (target === 'request' && phase !== 'request') continue
+    if (target === 'response' && phase !== 'response') continue
+
+    // Le regole jsonPath vengono applicate solo se l'URL corrente matcha il
+    // pattern associato alla regola.
+    if (!jsonPathRuleMatchesUrl(rule, context)) continue
+    if (!ruleConditionsMatch(rule.conditions, context)) continue
+
+    let matches = resolveJsonPathMatches(root, rule.segments)
+    if (context.schemalessProtobuf) {
+      // Without a schema only top-level string fields can be written back
+      // to the frame, so every other change is skipped instead of being
+      // reported as applied.
+      if (rule.operation !== 'set' || typeof rule.resolvedValue !== 'string') continue
+      matches = matches.filter(({ container, key }) =>
+        container === root && typeof key === 'string' && /^f\d+$/.test(key))
+    }
+    if (matches.length === 0) continue
 
-    if (isSame) continue
+    // Wildcards, filters and recursive descent may select several nodes;
+    // the rule applies to each of them.
+    const result = applyJsonPathOperation(rule, matches, root)
+    if (!result.changed) continue
 
-    container[keyOrIndex] = newValue
     changed = true
     if (rule.id) {
       appliedSet.add(rule.id)
     }
-
-    // Track changed top-level fN keys to avoid deep clones in protobuf paths.
-    if (
-      container === root &&
-      typeof keyOrIndex === 'string' &&
-      /^f\d+$/.test(keyOrIndex) &&
-      typeof newValue === 'string'
-    ) {
-      changedRootKeys.add(keyOrIndex)
-    }
+    result.changedRootKeys.forEach(key => changedRootKeys.add(key))
   }
 
   return {
@@ -1523,6 +2545,10 @@ function encodeProtobufFromFields (fields) {
  *   rules are present;
  * - re-encodes the protobuf message when top-level string fields are changed.
  *
+ * Without a schema only `set` rules writing a string to a top-level field can
+ * reach the wire, so other rules are skipped, and rules are only reported as
+ * applied when the re-encoded frame carries their change.
+ *
  * This keeps behaviour identical while avoiding expensive protobuf parsing
  * when no JSONPath rules are applicable to the current Connect payload.
  *
@@ -1549,6 +2575,10 @@ function applyJsonPathRulesToProtobufBuffer (buffer, initialJson, context = {})
     return { buffer, json: initialJson, appliedRuleIds: [], changed: false }
   }
 
+  if (jsonPathContext.messageType) {
+    return applyJsonPathRulesWithSchema(buffer, jsonPathContext.messageType, context)
+  }
+
   let json = initialJson
   if (!json || typeof json !== 'object') {
     json = extractJsonFromProtobufBuffer(buffer)
@@ -1557,12 +2587,12 @@ function applyJsonPathRulesToProtobufBuffer (buffer, initialJson, context = {})
     }
   }
 
-  const result = applyJsonPathRulesToObject(json, context)
+  const result = applyJsonPathRulesToObject(json, { ...jsonPathContext, schemalessProtobuf: true })
   if (!result || !result.changed) {
     return {
       buffer,
       json: result ? result.object : json,
-      appliedRuleIds: result ? (result.appliedRuleIds || []) : [],
+      appliedRuleIds: [],
       changed: false
     }
   }
@@ -1590,7 +2620,7 @@ function applyJsonPathRulesToProtobufBuffer (buffer, initialJson, context = {})
     return {
       buffer,
       json: after,
-      appliedRuleIds: result.appliedRuleIds || [],
+      appliedRuleIds: [],
       changed: false
     }
   }
@@ -1602,7 +2632,7 @@ function applyJsonPathRulesToProtobufBuffer (buffer, initialJson, context = {})
     return {
       buffer,
       json: after,
-      appliedRuleIds: result.appliedRuleIds || [],
+      appliedRuleIds: [],
       changed: false
     }
   }
@@ -1611,7 +2641,7 @@ function applyJsonPathRulesToProtobufBuffer (buffer, initialJson, context = {})
     return {
       buffer,
       json: after,
-      appliedRuleIds: result.appliedRuleIds || [],
+      appliedRuleIds: [],
       changed: false
     }
   }
@@ -1634,7 +2664,7 @@ function applyJsonPathRulesToProtobufBuffer (buffer, initialJson, context = {})
     return {
       buffer,
       json: after,
-      appliedRuleIds: result.appliedRuleIds || [],
+      appliedRuleIds: [],
       changed: false
     }
   }
@@ -1649,6 +2679,41 @@ function applyJsonPathRulesToProtobufBuffer (buffer, initialJson, context = {})
   }
 }
 
+/**
+ * Schema-aware variant of applyJsonPathRulesToProtobufBuffer: the message is
+ * decoded with its type (including fields left at their default value, so
+ * rules can set them), rewritten by field name and re-encoded. Fields that
+ * are not part of the schema are dropped when the message changes.
+ *
+ * @param {Buffer} buffer
+ * @param {import('protobufjs').Type} messageType
+ * @param {object} context
+ * @returns {{buffer: Buffer, json: any, appliedRuleIds: string[], changed: boolean}}
+ */
+function applyJsonPathRulesWithSchema (buffer, messageType, context) {
+  const decoded = decodeProtobufWithSchema(messageType, buffer, { defaults: true })
+  if (!decoded) {
+    return { buffer, json: null, appliedRuleIds: [], changed: false }
+  }
+
+  const result = applyJsonPathRulesToObject(decoded, context)
+  if (!result.changed) {
+    return { buffer, json: result.object, appliedRuleIds: result.appliedRuleIds || [], changed: false }
+  }
+
+  try {
+    return {
+      buffer: encodeProtobufWithSchema(messageType, result.object),
+      json: result.object,
+      appliedRuleIds: result.appliedRuleIds || [],
+      changed: true
+    }
+  } catch (error) {
+    logDebug('applyJsonPathRulesWithSchema', `Failed to re-encode ${messageType.fullName}`, error)
+    return { buffer, json: result.object, appliedRuleIds: [], changed: false }
+  }
+}
+
 function applyCompiledRuleToText (compiled, text, appliedSet, context) {
   const { rule, mode, useRegex, caseSensitive } = compiled
 
@@ -1674,6 +2739,10 @@ function applyCompiledRuleToText (compiled, text, appliedSet, context) {
     }
   }
 
+  if (!ruleConditionsMatch(compiled.conditions, context)) {
+    return { text, changed: false }
+  }
+
   if (useRegex) {
     if (!compiled.regex) {
       return { text, changed: false }
@@ -1761,11 +2830,18 @@ function applyEditRulesToText (text) {
  */
 function applyEditRulesToHeaders (headers = {}, context) {
   const compiledRules = getCompiledRules()
-  if (!compiledRules.length) {
-    return { headers, appliedRuleIds: [], changed: false }
+  const headerRules = getCompiledHeaderRules()
+  if (!compiledRules.length && !headerRules.length) {
+    return { headers, appliedRuleIds: [], changed: false, ruleHeaderNames: [] }
+  }
+
+  // Conditions on headers or content type test the headers being rewritten.
+  if (context && typeof context === 'object' && !context.headers) {
+    context = { ...context, headers }
   }
 
   const appliedSet = new Set()
+  const ruleHeaderNames = new Set()
   const resultHeaders = {}
   let changed = false
 
@@ -1803,11 +2879,118 @@ function applyEditRulesToHeaders (headers = {}, context) {
     }
   }
 
+  // Header rules run after text rules so they see (and win over) the
+  // rewritten values.
+  if (applyHeaderRules(resultHeaders, headerRules, appliedSet, context, ruleHeaderNames)) {
+    changed = true
+  }
+
   return {
     headers: resultHeaders,
     appliedRuleIds: Array.from(appliedSet),
-    changed
+    changed,
+    // Lower-cased names changed by header rules; cache-busting headers added
+    // later must not override them.
+    ruleHeaderNames: Array.from(ruleHeaderNames)
+  }
+}
+
+/**
+ * Determine whether a header rule applies to the given phase, URL and method.
+ *
+ * @param {object} rule - Compiled header rule.
+ * @param {{ phase?: string, method?: string, requestUrl?: string, fullUrl?: string }} [context]
+ * @returns {boolean}
+ */
+function headerRuleMatchesContext (rule, context = {}) {
+  const phase = context.phase === 'response' ? 'response' : 'request'
+  if (rule.target !== 'both' && rule.target !== phase) return false
+  if (!textRuleMatchesUrl(rule, context)) return false
+  if (rule.methods.length > 0) {
+    const method = typeof context.method === 'string' ? context.method.toUpperCase() : ''
+    if (!rule.methods.includes(method)) return false
+  }
+  return ruleConditionsMatch(rule.conditions, context)
+}
+
+/**
+ * Apply header rules to a headers object in place. Header names are matched
+ * case-insensitively; `set` keeps the casing of an existing header.
+ *
+ * - `add` appends a value, keeping any existing values of the header;
+ * - `set` replaces every value of the header, creating it when missing;
+ * - `remove` deletes the header;
+ * - `rename` moves the header's values to `newName`, replacing that header.
+ *
+ * @param {Record<string, any>} headers
+ * @param {Array<object>} rules - Compiled header rules.
+ * @param {Set<string>} appliedSet - Receives the ids of rules that changed something.
+ * @param {object} [context]
+ * @param {Set<string>} [touchedNames] - Receives the lower-cased names of changed headers.
+ * @returns {boolean} Whether any header changed.
+ */
+function applyHeaderRules (headers, rules, appliedSet, context = {}, touchedNames = new Set()) {
+  let changed = false
+
+  for (const rule of rules) {
+    if (!headerRuleMatchesContext(rule, context)) continue
+
+    const existingKeys = Object.keys(headers).filter(key => key.toLowerCase() === rule.headerLower)
+    let ruleChanged = false
+
+    switch (rule.operation) {
+      case 'add': {
+        const key = existingKeys[0] || rule.header
+        const current = headers[key]
+        if (current === undefined) {
+          headers[key] = rule.value
+        } else {
+          headers[key] = [...(Array.isArray(current) ? current : [current]), rule.value]
+        }
+        ruleChanged = true
+        break
+      }
+      case 'set': {
+        const key = existingKeys[0] || rule.header
+        const current = existingKeys.length === 1 ? headers[key] : undefined
+        if (current === rule.value || String(current) === rule.value) break
+        existingKeys.forEach(existing => delete headers[existing])
+        headers[key] = rule.value
+        ruleChanged = true
+        break
+      }
+      case 'remove':
+        existingKeys.forEach(existing => delete headers[existing])
+        ruleChanged = existingKeys.length > 0
+        // Also keeps the proxy from adding the header back later on.
+        touchedNames.add(rule.headerLower)
+        break
+      case 'rename': {
+        const targetLower = rule.newName.toLowerCase()
+        if (existingKeys.length === 0 || targetLower === rule.headerLower) break
+        const values = existingKeys.flatMap(existing => {
+          const value = headers[existing]
+          delete headers[existing]
+          return Array.isArray(value) ? value : [value]
+        })
+        Object.keys(headers)
+          .filter(key => key.toLowerCase() === targetLower)
+          .forEach(key => delete headers[key])
+        headers[rule.newName] = values.length === 1 ? values[0] : values
+        ruleChanged = true
+        break
+      }
+    }
+
+    if (ruleChanged) {
+      changed = true
+      if (rule.id) appliedSet.add(rule.id)
+      touchedNames.add(rule.headerLower)
+      if (rule.operation === 'rename') touchedNames.add(rule.newName.toLowerCase())
+    }
   }
+
+  return changed
 }
 
 function applyEditRulesToBuffer (buffer, context) {
@@ -1894,31 +3077,481 @@ function attachRewriteMetadata (logEntry, appliedRuleIds) {
   }
 }
 
-// Cache for case-insensitive header lookups to avoid repeated full scans
-const headerLookupCache = new WeakMap()
+// Names of the sandbox globals used to pass a message into a script rule and
+// run its handler; they are defined non-writable inside each rule context.
+const SCRIPT_RULE_ENTRY = '__proxyScriptRuleEntry'
+const SCRIPT_RULE_INPUT = '__proxyScriptRuleInput'
+
+// Runs first in every script rule context: freezes the context's own
+// built-ins (and their prototypes) so a rule cannot patch them, and keeps
+// JSON.parse/stringify for the entry point before rule code can replace them.
+// describeError turns whatever a rule throws into a plain string inside the
+// sandbox, so getters on thrown objects run under the vm timeout and never
+// in the proxy.
+const SCRIPT_RULE_PRELUDE = `const freezeIntrinsic = value => {
+  while (value && (typeof value === 'object' || typeof value === 'function') && !Object.isFrozen(value)) {
+    Object.freeze(value)
+    if (typeof value === 'function' && value.prototype) freezeIntrinsic(value.prototype)
+    value = Object.getPrototypeOf(value)
+  }
+}
+for (const name of Object.getOwnPropertyNames(globalThis)) {
+  if (name !== 'globalThis') freezeIntrinsic(globalThis[name])
+}
+const { parse: parseJson, stringify: stringifyJson } = JSON
+const toText = String
+const describeError = error => {
+  try {
+    const message = error !== null && typeof error === 'object' ? error.message : error
+    return toText(message)
+  } catch {
+    return 'Script threw an error that cannot be read'
+  }
+}`
 
-function getHeaderCaseInsensitive (headers, name) {
-  if (!headers || typeof headers !== 'object') return undefined
-  let cache = headerLookupCache.get(headers)
+/**
+ * Compile a script edit rule into its own vm context.
+ *
+ * The rule source must evaluate to a function. The context is created from a
+ * null-prototype object, so nothing reachable from the script (including
+ * `globalThis.constructor`) belongs to the proxy's realm, and string code
+ * generation is disabled, so the context's own Function cannot compile code
+ * either. Its built-ins are frozen before the rule is evaluated. There is no
+ * require, process or timers; the rule only exchanges JSON strings with the
+ * proxy. This is a vm context rather than a separate isolate: it keeps rule
+ * code away from the proxy's objects, not from the proxy's CPU and memory
+ * beyond the per-run timeout. Globals assigned by the script persist between
+ * runs until the rule is saved again.
+ *
+ * @param {object} rule - Normalised script edit rule.
+ * @returns {{ id: string, name: string, url: string, target: string, run: (message: object) => any }|null}
+ */
+function compileScriptRule (rule) {
+  const source = typeof rule.script === 'string' ? rule.script.trim() : ''
+  if (!source) return null
+
+  const context = vm.createContext(Object.create(null), {
+    name: `edit-rule:${rule.id}`,
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  })
 
-  if (!cache) {
-    cache = {}
-    for (const [key, value] of Object.entries(headers)) {
-      const lower = key.toLowerCase()
-      // Preserve the first occurrence for a given lower-cased key
-      if (!Object.prototype.hasOwnProperty.call(cache, lower)) {
-        cache[lower] = Array.isArray(value) ? value[0] : value
-      }
+  const preludeLines = SCRIPT_RULE_PRELUDE.split('\n').length
+  // Both the setup and the entry point report failures as `{ error }` JSON
+  // built inside the sandbox instead of throwing sandbox objects at the host.
+  const setup = new vm.Script(`(() => {
+${SCRIPT_RULE_PRELUDE}
+try {
+const handler = (${source}
+)
+if (typeof handler !== 'function') throw new TypeError('Script must evaluate to a function')
+Object.defineProperty(globalThis, '${SCRIPT_RULE_ENTRY}', {
+  value: input => {
+    try {
+      const message = parseJson(input)
+      const result = handler(message)
+      if (result && typeof result.then === 'function') throw new TypeError('Script must return synchronously')
+      return stringifyJson({ value: result === undefined ? message : result })
+    } catch (error) {
+      return stringifyJson({ error: describeError(error) })
     }
-    headerLookupCache.set(headers, cache)
   }
-
-  const target = name.toLowerCase()
-  return cache[target]
+})
+} catch (error) {
+  return describeError(error)
 }
+})()`, { filename: `edit-rule-${rule.id}.js`, lineOffset: -1 - preludeLines })
+  const setupError = setup.runInContext(context, { timeout: SCRIPT_RULE_TIMEOUT_MS })
+  if (typeof setupError === 'string') throw new Error(setupError)
 
-function looksLikeConnectEnvelope (buffer) {
-  if (!buffer || buffer.length < 5 || !Buffer.isBuffer(buffer)) return false
+  const invoke = new vm.Script(`${SCRIPT_RULE_ENTRY}(${SCRIPT_RULE_INPUT})`)
+
+  return {
+    id: rule.id,
+    name: rule.name || '',
+    url: rule.url,
+    target: rule.target,
+    run (message) {
+      context[SCRIPT_RULE_INPUT] = JSON.stringify(message)
+      try {
+        const output = invoke.runInContext(context, { timeout: SCRIPT_RULE_TIMEOUT_MS })
+        const outcome = typeof output === 'string' ? JSON.parse(output) : {}
+        if (typeof outcome.error === 'string') throw new Error(outcome.error)
+        return outcome.value
+      } finally {
+        delete context[SCRIPT_RULE_INPUT]
+      }
+    }
+  }
+}
+
+function isSameJson (a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Build the body views handed to script rules: the body after HTTP
+ * decompression as text, as JSON (JSON bodies, or unary protobuf with an
+ * uploaded schema) and as Connect/gRPC frames for enveloped bodies.
+ *
+ * Views that cannot be produced (unsupported encodings, binary payloads) are
+ * left null, and script changes to them are ignored.
+ *
+ * @param {object} headers
+ * @param {Buffer|string|undefined} body
+ * @param {{ requestUrl?: string, fullUrl?: string, phase: string }} context
+ * @returns {object}
+ */
+function decodeBodyForScript (headers, body, context) {
+  const view = {
+    text: null,
+    json: null,
+    jsonEditable: false,
+    frames: null,
+    envelope: null,
+    isJson: false,
+    messageType: null,
+    codec: null,
+    frameCodec: null,
+    decodedBuffer: null
+  }
+
+  const buffer = (body === undefined || body === null)
+    ? Buffer.alloc(0)
+    : (Buffer.isBuffer(body) ? body : Buffer.from(String(body)))
+  const contentType = String(getHeaderCaseInsensitive(headers, 'content-type') || '').toLowerCase()
+  const encoding = String(getHeaderCaseInsensitive(headers, 'content-encoding') || '').toLowerCase()
+
+  let decoded = buffer
+  if (encoding && encoding !== 'identity' && buffer.length > 0) {
+    const codec = getCompressionCodec(encoding)
+    if (!codec) return view
+    try {
+      decoded = codec.decompress(buffer)
+    } catch (error) {
+      logDebug('script-rules', `Failed to decompress ${encoding} body`, error)
+      return view
+    }
+    view.codec = codec
+  }
+
+  view.decodedBuffer = decoded
+  view.isJson = contentType.includes('json')
+  view.messageType = view.isJson ? null : resolveProtoMessageType(context)
+
+  const isEnvelopeType = isProtoContentType(contentType) || contentType.includes('connect+json')
+  if (isEnvelopeType && looksLikeConnectEnvelope(decoded)) {
+    const connectEncoding =
+      getHeaderCaseInsensitive(headers, 'connect-content-encoding') ||
+      getHeaderCaseInsensitive(headers, 'connect-encoding') ||
+      getHeaderCaseInsensitive(headers, 'grpc-encoding') ||
+      ''
+    view.frameCodec = getCompressionCodec(String(connectEncoding))
+    view.envelope = []
+    view.frames = []
+
+    let offset = 0
+    while (offset + 5 <= decoded.length) {
+      const flags = decoded.readUInt8(offset)
+      const length = decoded.readUInt32BE(offset + 1)
+      const data = decoded.slice(offset + 5, offset + 5 + length)
+      offset += 5 + length
+
+      const compressed = (flags & 0x01) === 0x01
+      const endStream = (flags & 0x02) === 0x02
+      let payload = data
+      if (compressed) {
+        try {
+          payload = view.frameCodec ? view.frameCodec.decompress(data) : null
+        } catch {
+          payload = null
+        }
+      }
+
+      let json = null
+      if (payload) {
+        if (endStream || view.isJson) {
+          json = tryParseJsonString(payload.toString('utf8'))
+        } else if (view.messageType) {
+          json = decodeProtobufWithSchema(view.messageType, payload)
+        } else {
+          json = extractJsonFromProtobufBuffer(payload)
+        }
+      }
+
+      view.envelope.push({ flags, data, compressed })
+      view.frames.push({ endStream, json })
+    }
+    return view
+  }
+
+  if (isProtoContentType(contentType)) {
+    if (view.messageType) {
+      view.json = decodeProtobufWithSchema(view.messageType, decoded)
+      view.jsonEditable = view.json !== null
+    }
+    return view
+  }
+
+  if (isClearlyBinaryContentType(contentType)) return view
+
+  view.text = decoded.toString('utf8')
+  if (view.isJson) {
+    view.json = tryParseJsonString(view.text)
+    view.jsonEditable = true
+  }
+  return view
+}
+
+/**
+ * Re-encode frames returned by a script rule into a Connect/gRPC envelope.
+ * Unchanged frames keep their original bytes; changed message frames are
+ * encoded as JSON for JSON codecs or with the uploaded protobuf schema.
+ *
+ * @param {object} view - Result of decodeBodyForScript.
+ * @param {Array<{ endStream?: boolean, json?: any }>} frames
+ * @returns {Buffer}
+ */
+function encodeScriptFrames (view, frames) {
+  const rebuilt = frames.map((frame, index) => {
+    const original = view.envelope[index]
+    const json = frame && typeof frame === 'object' ? frame.json : null
+    const endStream = !!(frame && frame.endStream === true)
+
+    if (original && view.frames[index].endStream === endStream && isSameJson(json, view.frames[index].json)) {
+      return { flags: original.flags, data: original.data }
+    }
+
+    let payload
+    if (endStream || view.isJson) {
+      payload = Buffer.from(JSON.stringify(json === undefined ? null : json), 'utf8')
+    } else if (view.messageType) {
+      payload = encodeProtobufWithSchema(view.messageType, json || {})
+    } else {
+      throw new Error(`Frame ${index} cannot be re-encoded without an uploaded protobuf schema`)
+    }
+
+    const compress = !!(original && original.compressed && view.frameCodec)
+    return {
+      flags: (endStream ? 0x02 : 0) | (compress ? 0x01 : 0),
+      data: compress ? view.frameCodec.compress(payload) : payload
+    }
+  })
+
+  return rebuildConnectEnvelope(rebuilt)
+}
+
+/**
+ * Keep only header values a script may set (strings, numbers and arrays of
+ * them), converted to strings.
+ *
+ * @param {object} headers
+ * @returns {object}
+ */
+function normalizeScriptHeaders (headers) {
+  const result = {}
+  for (const [name, value] of Object.entries(headers)) {
+    if (!name) continue
+    if (Array.isArray(value)) {
+      const values = value.filter(item => typeof item === 'string' || typeof item === 'number').map(String)
+      if (values.length > 0) result[name] = values
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      result[name] = String(value)
+    }
+  }
+  return result
+}
+
+function recordScriptRuleError (logEntry, rule, phase, error) {
+  const message = error && error.message ? String(error.message) : String(error)
+  logWarn('script-rules', `Rule "${rule.name || rule.id}" failed during ${phase}: ${message}`)
+  if (!logEntry) return
+  if (!Array.isArray(logEntry.scriptErrors)) {
+    logEntry.scriptErrors = []
+  }
+  logEntry.scriptErrors.push({ id: rule.id, name: rule.name, phase, message })
+}
+
+/**
+ * Run the script edit rules that match a request or response.
+ *
+ * Each script receives a message `{ phase, method, url, statusCode, headers,
+ * body, json, frames }` and may mutate it in place or return a replacement
+ * object. Rules run in order and each one sees the previous rule's output.
+ * When several body views change, frames win over json and json over body;
+ * the winning view is re-encoded and recompressed with the original
+ * Content-Encoding. Scripts that throw or time out are skipped and recorded
+ * on `logEntry.scriptErrors`.
+ *
+ * @param {object} options
+ * @param {('request'|'response')} options.phase
+ * @param {string} options.method
+ * @param {string} options.url - Absolute upstream URL.
+ * @param {string} [options.requestUrl]
+ * @param {number} [options.statusCode] - Response phase only.
+ * @param {object} options.headers
+ * @param {Buffer|string|undefined} options.body
+ * @param {object|null} [options.logEntry]
+ * @returns {{ headers: object, body: Buffer|string|undefined, statusCode?: number, changed: boolean, bodyChanged: boolean }}
+ */
+function applyScriptRules ({ phase, method, url, requestUrl, statusCode, headers, body, logEntry = null }) {
+  const result = { headers, body, statusCode, changed: false, bodyChanged: false }
+
+  const urlContext = { requestUrl, fullUrl: url, phase }
+  const conditionContext = { phase, method, statusCode, headers, body }
+  const rules = getCompiledScriptRules().filter(rule =>
+    (rule.target === 'both' || rule.target === phase) &&
+    textRuleMatchesUrl(rule, urlContext) &&
+    ruleConditionsMatch(rule.conditions, conditionContext)
+  )
+  if (rules.length === 0) return result
+
+  const view = decodeBodyForScript(headers, body, urlContext)
+  const message = {
+    phase,
+    method,
+    url,
+    headers: { ...headers },
+    body: view.text,
+    json: view.json,
+    frames: view.frames
+  }
+  if (phase === 'response') {
+    message.statusCode = statusCode
+  }
+
+  const appliedRuleIds = []
+  let bodyView = null
+  let bodyRule = null
+
+  for (const rule of rules) {
+    let output
+    try {
+      output = rule.run(message)
+    } catch (error) {
+      recordScriptRuleError(logEntry, rule, phase, error)
+      continue
+    }
+
+    if (!output || typeof output !== 'object' || Array.isArray(output)) continue
+
+    let ruleChanged = false
+
+    if (output.headers && typeof output.headers === 'object' && !Array.isArray(output.headers) &&
+      !isSameJson(output.headers, message.headers)) {
+      message.headers = normalizeScriptHeaders(output.headers)
+      ruleChanged = true
+    }
+
+    if (phase === 'response' && Number.isInteger(output.statusCode) &&
+      output.statusCode >= 100 && output.statusCode <= 599 && output.statusCode !== message.statusCode) {
+      message.statusCode = output.statusCode
+      ruleChanged = true
+    }
+
+    if (view.frames && Array.isArray(output.frames) && !isSameJson(output.frames, message.frames)) {
+      message.frames = output.frames
+      bodyView = 'frames'
+      ruleChanged = true
+    } else if (view.jsonEditable && Object.prototype.hasOwnProperty.call(output, 'json') &&
+      !isSameJson(output.json, message.json)) {
+      message.json = output.json
+      if (view.text !== null) {
+        message.body = JSON.stringify(output.json)
+      }
+      bodyView = 'json'
+      ruleChanged = true
+    } else if (view.text !== null && typeof output.body === 'string' && output.body !== message.body) {
+      message.body = output.body
+      if (view.isJson) {
+        message.json = tryParseJsonString(output.body)
+      }
+      bodyView = 'text'
+      ruleChanged = true
+    }
+
+    if (ruleChanged) {
+      appliedRuleIds.push(rule.id)
+      if (bodyView && !bodyRule) bodyRule = rule
+    }
+  }
+
+  if (appliedRuleIds.length === 0) return result
+
+  result.changed = true
+  result.headers = message.headers
+  if (phase === 'response') {
+    result.statusCode = message.statusCode
+  }
+
+  if (bodyView) {
+    try {
+      let raw
+      if (bodyView === 'frames') {
+        raw = encodeScriptFrames(view, message.frames)
+      } else if (bodyView === 'json' && view.text === null) {
+        raw = encodeProtobufWithSchema(view.messageType, message.json || {})
+      } else {
+        raw = Buffer.from(message.body, 'utf8')
+      }
+      result.body = view.codec ? view.codec.compress(raw) : raw
+      result.bodyChanged = true
+      result.headers = applyBreakpointHeaderEdits(result.headers, { headers: null, body: result.body }, result.body)
+    } catch (error) {
+      recordScriptRuleError(logEntry, bodyRule, phase, error)
+    }
+  }
+
+  attachRewriteMetadata(logEntry, appliedRuleIds)
+  return result
+}
+
+/**
+ * Refresh the logged request body after script rules replaced it, so the
+ * log shows what was actually forwarded upstream.
+ *
+ * @param {object|null} logEntry
+ * @param {Buffer} body
+ * @param {object} headers
+ * @param {{ requestUrl?: string, fullUrl?: string }} urlContext
+ */
+function recordScriptRequestBodyOnLog (logEntry, body, headers, urlContext) {
+  if (!logEntry || !Buffer.isBuffer(body)) return
+  recordRequestBodyOnLog(logEntry, body, headers)
+  if (logEntry.connectRequest) {
+    const contentType = String(getHeaderCaseInsensitive(headers, 'content-type') || '').toLowerCase()
+    const messageType = contentType.includes('json')
+      ? null
+      : resolveProtoMessageType({ ...urlContext, phase: 'request' })
+    logEntry.connectRequest = decodeConnectPayload(body, headers, { messageType }) || null
+  }
+}
+
+// Cache for case-insensitive header lookups to avoid repeated full scans
+const headerLookupCache = new WeakMap()
+
+function getHeaderCaseInsensitive (headers, name) {
+  if (!headers || typeof headers !== 'object') return undefined
+  let cache = headerLookupCache.get(headers)
+
+  if (!cache) {
+    cache = {}
+    for (const [key, value] of Object.entries(headers)) {
+      const lower = key.toLowerCase()
+      // Preserve the first occurrence for a given lower-cased key
+      if (!Object.prototype.hasOwnProperty.call(cache, lower)) {
+        cache[lower] = Array.isArray(value) ? value[0] : value
+      }
+    }
+    headerLookupCache.set(headers, cache)
+  }
+
+  const target = name.toLowerCase()
+  return cache[target]
+}
+
+function looksLikeConnectEnvelope (buffer) {
+  if (!buffer || buffer.length < 5 || !Buffer.isBuffer(buffer)) return false
   try {
     let offset = 0
     while (offset + 5 <= buffer.length) {
@@ -2208,7 +3841,7 @@ function applyConnectFrameRewrites (buffer, headers = {}, decodedConnect = null,
       const jsonPathResult = applyJsonPathRulesToProtobufBuffer(
         baseBuffer,
         null,
-        jsonPathContext || {}
+        isEndStream ? { ...jsonPathContext, messageType: null } : (jsonPathContext || {})
       )
 
       const finalBufferUncompressed = jsonPathResult.changed ? jsonPathResult.buffer : baseBuffer
@@ -2227,10 +3860,11 @@ function applyConnectFrameRewrites (buffer, headers = {}, decodedConnect = null,
       // can skip this extra decoding/parsing work.
       if (loggingEnabled) {
         preview = bufferToTextPreview(finalBufferUncompressed)
-        parsedJson = tryParseJsonString(preview)
-        if (parsedJson === null) {
-          parsedJson = extractJsonFromProtobufBuffer(finalBufferUncompressed)
-        }
+        parsedJson = buildProtobufFrameJson(
+          finalBufferUncompressed,
+          preview,
+          isEndStream ? null : jsonPathContext?.messageType
+        )
       }
 
       if (rewriteResult.changed && Array.isArray(rewriteResult.appliedRuleIds)) {
@@ -2279,7 +3913,7 @@ function applyConnectFrameRewrites (buffer, headers = {}, decodedConnect = null,
   const envelopeResult = attemptEnvelopeRewrite(decodedBuffer)
   let workingBuffer = envelopeResult.buffer
   const appliedSet = new Set(envelopeResult.appliedRuleIds || [])
-  const updatedFrames = envelopeResult.updatedFrames
+  let updatedFrames = envelopeResult.updatedFrames
   let changed = envelopeResult.changed
 
   if (!changed) {
@@ -2296,7 +3930,24 @@ function applyConnectFrameRewrites (buffer, headers = {}, decodedConnect = null,
       }
     }
 
-    const fallbackResult = applyEditRulesToBuffer(unaryBuffer, jsonPathContext || {})
+    // Unary protobuf bodies are only addressable by JSONPath with a schema.
+    let fallbackResult = { buffer: unaryBuffer, appliedRuleIds: [], changed: false }
+    if (!envelopeResult.success && jsonPathContext?.messageType && hasJsonPathRules) {
+      fallbackResult = applyJsonPathRulesToProtobufBuffer(unaryBuffer, null, jsonPathContext)
+      if (fallbackResult.changed && loggingEnabled) {
+        updatedFrames = [{
+          index: 0,
+          flags: 0,
+          data: fallbackResult.buffer,
+          length: fallbackResult.buffer.length,
+          preview: bufferToTextPreview(fallbackResult.buffer),
+          json: buildProtobufFrameJson(fallbackResult.buffer, '', jsonPathContext.messageType)
+        }]
+      }
+    }
+    if (!fallbackResult.changed) {
+      fallbackResult = applyEditRulesToBuffer(unaryBuffer, jsonPathContext || {})
+    }
     if (fallbackResult.changed) {
       let updatedBuffer = fallbackResult.buffer
 
@@ -2823,7 +4474,7 @@ function getCompressionCodec (encoding = '') {
  * @param {Buffer} params.buffer - Raw HTTP body buffer (compressed or not).
  * @param {string} [params.encoding] - Content-Encoding header value.
  * @param {string} [params.contentType] - Content-Type header value.
- * @param {{requestUrl?: string, fullUrl?: string}} [params.urlContext] - URL context.
+ * @param {{requestUrl?: string, fullUrl?: string, method?: string, headers?: object}} [params.urlContext] - URL context, plus the method and headers tested by rule conditions.
  * @param {('request'|'response')} [params.phase] - JSONPath phase, defaults to 'request'.
  * @returns {{
  *   buffer: Buffer,
@@ -2868,6 +4519,7 @@ function rewriteJsonHttpBody ({
 
   const jsonPathContext = {
     ...(urlContext || {}),
+    body: bufferForJson,
     phase
   }
 
@@ -2948,7 +4600,7 @@ function applyJsonRequestRewritesForLog ({
     buffer,
     encoding,
     contentType,
-    urlContext: { requestUrl, fullUrl },
+    urlContext: { requestUrl, fullUrl, method: logEntry ? logEntry.method : undefined, headers },
     phase: 'request'
   })
 
@@ -3402,14 +5054,16 @@ function buildHttpResponseLoggingView ({
  * - transparently decompresses the HTTP body when needed;
  * - splits Connect envelopes into frames while enforcing CONNECT_MAX_FRAMES
  *   and CONNECT_MAX_FRAME_BYTES;
- * - extracts a small text preview and a best-effort JSON representation for
- *   each frame via extractJsonFromProtobufBuffer.
+ * - extracts a small text preview and a JSON representation for each frame,
+ *   decoded with the uploaded schema when the message type is known and via
+ *   extractJsonFromProtobufBuffer otherwise.
  *
  * All size limits are enforced before attempting expensive protobuf/JSON
  * work to keep CPU usage under control on large payloads.
  *
  * @param {Buffer} buffer - Raw HTTP body buffer.
  * @param {object} headers - HTTP headers associated with the body.
+ * @param {{ messageType?: import('protobufjs').Type|null }} [options] - Schema used to decode protobuf frames.
  * @returns {null|{
  *   contentType: string,
  *   envelope: boolean,
@@ -3428,11 +5082,12 @@ function buildHttpResponseLoggingView ({
  *   httpDecompressed: boolean,
  *   httpEncoding: string,
  *   rawBase64: string,
+ *   messageType?: string,
  *   httpDecodedBuffer?: Buffer
  * }>} Decoded Connect payload suitable for logging, or null if the payload
  * is not recognised as Connect/gRPC.
  */
-function decodeConnectPayload (buffer, headers = {}) {
+function decodeConnectPayload (buffer, headers = {}, options = {}) {
   if (isEmptyBuffer(buffer)) return null
 
   const contentType = getHeaderCaseInsensitive(headers, 'content-type') || ''
@@ -3465,6 +5120,7 @@ function decodeConnectPayload (buffer, headers = {}) {
 
   const maxFrames = CONNECT_MAX_FRAMES_LIMIT
   const maxFrameBytes = CONNECT_MAX_FRAME_BYTES_LIMIT
+  const messageType = options.messageType || null
 
   const frames = []
   let envelope = false
@@ -3512,10 +5168,11 @@ function decodeConnectPayload (buffer, headers = {}) {
         }
 
         preview = bufferToTextPreview(framePayload)
-        json = tryParseJsonString(preview)
-        if (json === null) {
-          json = extractJsonFromProtobufBuffer(framePayload)
-        }
+        json = buildProtobufFrameJson(
+          framePayload,
+          preview,
+          endStream || (flags & 0x80) === 0x80 ? null : messageType
+        )
       } else {
         if (!withinFrameLimit) {
           note = 'skipped by CONNECT_MAX_FRAMES'
@@ -3553,10 +5210,7 @@ function decodeConnectPayload (buffer, headers = {}) {
 
     if (withinSizeLimit) {
       preview = bufferToTextPreview(payload)
-      json = tryParseJsonString(preview)
-      if (json === null) {
-        json = extractJsonFromProtobufBuffer(payload)
-      }
+      json = buildProtobufFrameJson(payload, preview, messageType)
     } else {
       note = 'skipped by CONNECT_MAX_FRAME_BYTES'
     }
@@ -3586,6 +5240,10 @@ function decodeConnectPayload (buffer, headers = {}) {
     rawBase64
   }
 
+  if (messageType) {
+    result.messageType = messageType.fullName.replace(/^\./, '')
+  }
+
   // Expose the HTTP-decompressed buffer on a non-enumerable property so that
   // rewrite paths can reuse it without going through an expensive
   // base64 encode/decode round-trip. This keeps existing JSON behaviour
@@ -3600,6 +5258,25 @@ function decodeConnectPayload (buffer, headers = {}) {
   return result
 }
 
+/**
+ * Build the JSON view of a Connect/protobuf frame: decoded with its schema
+ * when the message type is known, otherwise JSON text found in the payload
+ * or the schemaless f1/f2 view.
+ *
+ * @param {Buffer} payload
+ * @param {string} preview - Text preview of the payload.
+ * @param {import('protobufjs').Type|null} messageType
+ * @returns {object|null}
+ */
+function buildProtobufFrameJson (payload, preview, messageType) {
+  if (messageType) {
+    const decoded = decodeProtobufWithSchema(messageType, payload)
+    if (decoded) return decoded
+  }
+  const json = tryParseJsonString(preview)
+  return json !== null ? json : extractJsonFromProtobufBuffer(payload)
+}
+
 function extractJsonFromProtobufBuffer (buffer, maxDepth = 4) {
   if (isEmptyBuffer(buffer)) return null
 
@@ -3705,84 +5382,305 @@ function extractJsonFromProtobufBuffer (buffer, maxDepth = 4) {
   return toJsonFromFields(root.fields, 0)
 }
 
+// Protobuf schemas: uploaded .proto files and FileDescriptorSets are merged
+// into one protobufjs Root. Connect/gRPC URLs ("/package.Service/Method")
+// select the request or response message type, which replaces the
+// schemaless f1/f2 view with real field names, enums and types and lets
+// JSONPath rules address fields by name. Field names use the proto3 JSON
+// (lowerCamelCase) form, as produced by protobufjs.
+const PROTO_SCHEMAS_DIR = path.join(STORAGE_DIR, 'proto-schemas')
+const PROTO_SCHEMAS_FILE = path.join(STORAGE_DIR, 'proto-schemas.json')
+const DESCRIPTOR_SET_EXTENSIONS = ['.desc', '.pb', '.binpb', '.protoset']
+
+let protoSchemas = []
+let protoRoot = new protobuf.Root()
+/** @type {Map<string, import('protobufjs').Method|null>} */
+const protoMethodCache = new Map()
+
 /**
- * Apply Connect/gRPC/protobuf-aware body rewrites and optionally decode a
- * structured logging view of the payload for the UI.
- *
- * This helper:
- * - optionally decodes a Connect payload into frames for logging when
- *   interactiveModeEnabled is true and a log entry is provided;
- * - runs Connect-aware frame rewrites and JSONPath protobuf rewrites when
- *   edit/JSONPath rules are active;
- * - can fall back to plain text body rewrites when allowed and the content
- *   type looks textual;
- * - stores raw/preview/base64 fields on the provided logEntry.
- *
- * Behaviour is preserved compared to the previous inlined logic; the
- * implementation only gates expensive decoding work when it would not have
- * been observable (for example, when interactive logging is disabled).
+ * Add the bundled google/protobuf/*.proto definitions a parsed file imports,
+ * since uploaded files are parsed without a filesystem to resolve against.
  *
- * @param {object|null} logEntry - Mutable log entry object to enrich, or null.
- * @param {Buffer} buffer - Raw HTTP body buffer.
- * @param {object} headers - Mutable headers object for the HTTP message.
- * @param {object} [options]
- * @param {('request'|'response')} [options.role] - Whether this is a request or response body.
- * @param {boolean} [options.allowBodyRewriteFallback] - Allow fallback to text rewrites.
- * @param {boolean} [options.updateContentEncoding] - Update content-encoding after rewrites.
- * @param {{requestUrl?: string, fullUrl?: string}} [options.urlContext] - Optional URL context used for JSONPath rules when no log entry is present.
- * @returns {{buffer: Buffer, connect: object|null}} Final body buffer and optional Connect view.
+ * @param {import('protobufjs').Root} root
+ * @param {string[]} imports
+ * @param {Set<string>} added - Well-known files already added to root.
  */
-function applyConnectRewritesAndDecode (logEntry, buffer, headers, options = {}) {
-  const role = options.role === 'response' ? 'response' : 'request'
-  const allowBodyRewriteFallback = options.allowBodyRewriteFallback === true
-  const updateContentEncoding = options.updateContentEncoding === true
-  const urlContext = options && typeof options.urlContext === 'object' ? options.urlContext : null
-
-  if (!buffer || !Buffer.isBuffer(buffer) || buffer.length === 0) {
-    return { buffer, connect: null }
+function addWellKnownProtoImports (root, imports, added) {
+  for (const name of imports || []) {
+    if (added.has(name)) continue
+    const common = protobuf.common.get(name)
+    if (!common) continue
+    added.add(name)
+    try {
+      root.addJSON(common.nested)
+    } catch (error) {
+      // Already defined by an uploaded descriptor set
+      logDebug('addWellKnownProtoImports', `Skipping ${name}`, error)
+    }
   }
+}
 
-  const isResponse = role === 'response'
-  const base64Field = isResponse ? 'rawResponseBodyBase64' : 'rawRequestBodyBase64'
-  const previewField = isResponse ? 'rawResponseBodyPreview' : 'rawRequestBodyPreview'
-  const connectField = isResponse ? 'connectResponse' : 'connectRequest'
-  const summaryField = isResponse ? 'responseBodySummary' : 'requestBodySummary'
-  const bodyField = isResponse ? 'responseBody' : 'body'
+/**
+ * Rebuild the merged schema root from the stored schema files. Errors are
+ * recorded per schema so one broken upload does not disable the others.
+ */
+function rebuildProtoRoot () {
+  const root = new protobuf.Root()
+  const addedImports = new Set()
 
-  // Determine whether there are any active edit/JSONPath rules that may
-  // require Connect/protobuf handling for rewriting.
-  const compiledRules = getCompiledRules()
-  const compiledJsonPathRules = getCompiledJsonPathRules()
-  const hasRulesForConnect =
-    (Array.isArray(compiledRules) && compiledRules.length > 0) ||
-    (Array.isArray(compiledJsonPathRules) && compiledJsonPathRules.length > 0)
+  for (const schema of protoSchemas) {
+    try {
+      const content = fs.readFileSync(path.join(PROTO_SCHEMAS_DIR, schema.filename))
+      if (schema.kind === 'descriptorSet') {
+        const descriptorRoot = protobuf.Root.fromDescriptor(content)
+        root.addJSON(descriptorRoot.toJSON().nested || {})
+      } else {
+        const parsed = protobuf.parse(content.toString('utf8'), root)
+        addWellKnownProtoImports(root, [...(parsed.imports || []), ...(parsed.weakImports || [])], addedImports)
+      }
+      schema.error = null
+    } catch (error) {
+      schema.error = error.message
+    }
+  }
 
-  // Heavy Connect/protobuf *logging* is only needed when we have interactive
-  // logging enabled and a real log entry to enrich. When interactive mode is
-  // disabled we still perform rewrites, but we skip the extra Connect decode
-  // pass used purely for logging.
-  const wantsLogging = interactiveModeEnabled && !!logEntry
+  protoRoot = root
+  protoMethodCache.clear()
+}
 
-  let jsonPathContext = { phase: role }
-  if (urlContext && (urlContext.requestUrl || urlContext.fullUrl)) {
-    jsonPathContext = {
-      requestUrl: urlContext.requestUrl,
-      fullUrl: urlContext.fullUrl,
-      phase: role
-    }
-  } else if (logEntry && (logEntry.url || logEntry.fullUrl)) {
-    jsonPathContext = {
-      requestUrl: logEntry.url,
-      fullUrl: logEntry.fullUrl,
-      phase: role
+/**
+ * List the services and methods known from the uploaded schemas.
+ *
+ * @returns {Array<{ name: string, methods: Array<{ name: string, path: string, requestType: string, responseType: string }> }>}
+ */
+function listProtoServices () {
+  const services = []
+  const visit = (namespace) => {
+    for (const nested of namespace.nestedArray) {
+      if (nested instanceof protobuf.Service) {
+        const name = nested.fullName.replace(/^\./, '')
+        services.push({
+          name,
+          methods: nested.methodsArray.map(method => ({
+            name: method.name,
+            path: `/${name}/${method.name}`,
+            requestType: method.requestType,
+            responseType: method.responseType
+          }))
+        })
+      } else if (nested instanceof protobuf.Namespace) {
+        visit(nested)
+      }
     }
   }
+  visit(protoRoot)
+  return services
+}
 
-  // Decode the original payload once to build a true "before rewrite" view,
+/**
+ * Find the RPC method addressed by a Connect/gRPC URL. The last two path
+ * segments name the fully-qualified service and the method, so prefixes in
+ * front of them (e.g. "/api/demo.v1.UserService/GetUser") are allowed.
+ *
+ * @param {string} url
+ * @returns {import('protobufjs').Method|null}
+ */
+function findProtoMethodForUrl (url) {
+  if (!url || protoSchemas.length === 0) return null
+
+  let pathname = url
+  try {
+    pathname = new URL(url, 'http://localhost').pathname
+  } catch {
+    return null
+  }
+
+  if (protoMethodCache.has(pathname)) return protoMethodCache.get(pathname)
+
+  let method = null
+  const segments = pathname.split('/').filter(Boolean)
+  if (segments.length >= 2) {
+    const [serviceName, methodName] = segments.slice(-2)
+    try {
+      const service = protoRoot.lookup(serviceName)
+      const candidate = service instanceof protobuf.Service ? service.methods[methodName] : null
+      if (candidate) {
+        candidate.resolve()
+        method = candidate
+      }
+    } catch (error) {
+      logDebug('findProtoMethodForUrl', `Failed to resolve ${pathname}`, error)
+    }
+  }
+
+  protoMethodCache.set(pathname, method)
+  return method
+}
+
+/**
+ * Resolve the message type of a request or response body from its URL.
+ *
+ * @param {{ requestUrl?: string, fullUrl?: string, phase?: string }} context
+ * @returns {import('protobufjs').Type|null}
+ */
+function resolveProtoMessageType (context = {}) {
+  const method = findProtoMethodForUrl(context.fullUrl) || findProtoMethodForUrl(context.requestUrl)
+  if (!method) return null
+  return context.phase === 'response' ? method.resolvedResponseType : method.resolvedRequestType
+}
+
+/**
+ * Decode a protobuf message with a schema into a JSON-friendly object
+ * (enums as names, 64-bit integers as strings, bytes as base64).
+ *
+ * @param {import('protobufjs').Type} messageType
+ * @param {Buffer} buffer
+ * @param {{ defaults?: boolean }} [options] - Include fields left at their default value.
+ * @returns {object|null} Decoded object, or null when the bytes do not match the schema.
+ */
+function decodeProtobufWithSchema (messageType, buffer, options = {}) {
+  if (!messageType || !Buffer.isBuffer(buffer) || buffer.length > PROTOBUF_MAX_BYTES_LIMIT) return null
+  try {
+    return messageType.toObject(messageType.decode(buffer), {
+      enums: String,
+      longs: String,
+      bytes: String,
+      json: true,
+      defaults: options.defaults === true
+    })
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {import('protobufjs').Type} messageType
+ * @param {object} object - Object in the shape produced by decodeProtobufWithSchema.
+ * @returns {Buffer}
+ */
+function encodeProtobufWithSchema (messageType, object) {
+  return Buffer.from(messageType.encode(messageType.fromObject(object)).finish())
+}
+
+function loadProtoSchemas () {
+  try {
+    if (fs.existsSync(PROTO_SCHEMAS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(PROTO_SCHEMAS_FILE, 'utf8'))
+      if (Array.isArray(data)) {
+        protoSchemas = data.filter(schema => schema && typeof schema.filename === 'string')
+      }
+    }
+  } catch (error) {
+    console.error('[proxy] Error loading protobuf schemas:', error)
+    protoSchemas = []
+  }
+  rebuildProtoRoot()
+}
+
+async function saveProtoSchemas () {
+  try {
+    const payload = protoSchemas.map(({ id, name, kind, filename, uploadedAt }) => ({ id, name, kind, filename, uploadedAt }))
+    await fsPromises.writeFile(PROTO_SCHEMAS_FILE, JSON.stringify(payload, null, 2))
+    notifyRulesChanged('schemas')
+  } catch (error) {
+    console.error('[proxy] Error saving protobuf schemas:', error)
+  }
+}
+
+/**
+ * Apply Connect/gRPC/protobuf-aware body rewrites and optionally decode a
+ * structured logging view of the payload for the UI.
+ *
+ * This helper:
+ * - optionally decodes a Connect payload into frames for logging when
+ *   interactiveModeEnabled is true and a log entry is provided;
+ * - runs Connect-aware frame rewrites and JSONPath protobuf rewrites when
+ *   edit/JSONPath rules are active;
+ * - can fall back to plain text body rewrites when allowed and the content
+ *   type looks textual;
+ * - stores raw/preview/base64 fields on the provided logEntry.
+ *
+ * Behaviour is preserved compared to the previous inlined logic; the
+ * implementation only gates expensive decoding work when it would not have
+ * been observable (for example, when interactive logging is disabled).
+ *
+ * @param {object|null} logEntry - Mutable log entry object to enrich, or null.
+ * @param {Buffer} buffer - Raw HTTP body buffer.
+ * @param {object} headers - Mutable headers object for the HTTP message.
+ * @param {object} [options]
+ * @param {('request'|'response')} [options.role] - Whether this is a request or response body.
+ * @param {boolean} [options.allowBodyRewriteFallback] - Allow fallback to text rewrites.
+ * @param {boolean} [options.updateContentEncoding] - Update content-encoding after rewrites.
+ * @param {{requestUrl?: string, fullUrl?: string, method?: string, statusCode?: number}} [options.urlContext] - Optional URL context used for JSONPath rules when no log entry is present.
+ * @param {number} [options.statusCode] - Upstream status code, tested by rule conditions on responses.
+ * @returns {{buffer: Buffer, connect: object|null}} Final body buffer and optional Connect view.
+ */
+function applyConnectRewritesAndDecode (logEntry, buffer, headers, options = {}) {
+  const role = options.role === 'response' ? 'response' : 'request'
+  const allowBodyRewriteFallback = options.allowBodyRewriteFallback === true
+  const updateContentEncoding = options.updateContentEncoding === true
+  const urlContext = options && typeof options.urlContext === 'object' ? options.urlContext : null
+
+  if (!buffer || !Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { buffer, connect: null }
+  }
+
+  const isResponse = role === 'response'
+  const base64Field = isResponse ? 'rawResponseBodyBase64' : 'rawRequestBodyBase64'
+  const previewField = isResponse ? 'rawResponseBodyPreview' : 'rawRequestBodyPreview'
+  const connectField = isResponse ? 'connectResponse' : 'connectRequest'
+  const summaryField = isResponse ? 'responseBodySummary' : 'requestBodySummary'
+  const bodyField = isResponse ? 'responseBody' : 'body'
+
+  // Determine whether there are any active edit/JSONPath rules that may
+  // require Connect/protobuf handling for rewriting.
+  const compiledRules = getCompiledRules()
+  const compiledJsonPathRules = getCompiledJsonPathRules()
+  const hasRulesForConnect =
+    (Array.isArray(compiledRules) && compiledRules.length > 0) ||
+    (Array.isArray(compiledJsonPathRules) && compiledJsonPathRules.length > 0)
+
+  // Heavy Connect/protobuf *logging* is only needed when we have interactive
+  // logging enabled and a real log entry to enrich. When interactive mode is
+  // disabled we still perform rewrites, but we skip the extra Connect decode
+  // pass used purely for logging.
+  const wantsLogging = interactiveModeEnabled && !!logEntry
+
+  let jsonPathContext = { phase: role }
+  if (urlContext && (urlContext.requestUrl || urlContext.fullUrl)) {
+    jsonPathContext = {
+      requestUrl: urlContext.requestUrl,
+      fullUrl: urlContext.fullUrl,
+      phase: role
+    }
+  } else if (logEntry && (logEntry.url || logEntry.fullUrl)) {
+    jsonPathContext = {
+      requestUrl: logEntry.url,
+      fullUrl: logEntry.fullUrl,
+      phase: role
+    }
+  }
+
+  // Rule conditions test the method, status, headers and body of this message.
+  jsonPathContext.method = (urlContext && urlContext.method) || (logEntry ? logEntry.method : undefined)
+  jsonPathContext.statusCode = options.statusCode !== undefined
+    ? options.statusCode
+    : (urlContext ? urlContext.statusCode : undefined)
+  jsonPathContext.headers = headers
+  jsonPathContext.body = buffer
+
+  // Uploaded protobuf schemas name the fields of binary Connect/gRPC bodies;
+  // JSON-encoded Connect bodies already carry their field names.
+  const bodyContentType = String(getHeaderCaseInsensitive(headers, 'content-type') || '').toLowerCase()
+  if (!bodyContentType.includes('json')) {
+    jsonPathContext.messageType = resolveProtoMessageType(jsonPathContext)
+  }
+
+  // Decode the original payload once to build a true "before rewrite" view,
   // but only when required for logging. Rewrites operate on the raw HTTP
   // buffer and may optionally reuse decoded frames when logging is enabled.
   const originalConnect = wantsLogging
-    ? decodeConnectPayload(buffer, headers)
+    ? decodeConnectPayload(buffer, headers, { messageType: jsonPathContext.messageType })
     : null
 
   // Apply binary/protobuf rewrites to the HTTP body buffer.
@@ -3829,7 +5727,7 @@ function applyConnectRewritesAndDecode (logEntry, buffer, headers, options = {})
         lowerContentType.includes('x-www-form-urlencoded')
 
       if (looksTextual) {
-        const bodyRewriteResult = applyEditRulesToBuffer(workingBuffer)
+        const bodyRewriteResult = applyEditRulesToBuffer(workingBuffer, jsonPathContext)
         if (bodyRewriteResult.changed) {
           workingBuffer = bodyRewriteResult.buffer
           if (logEntry && Array.isArray(bodyRewriteResult.appliedRuleIds) && bodyRewriteResult.appliedRuleIds.length) {
@@ -3931,6 +5829,9 @@ function applyConnectRewritesAndDecode (logEntry, buffer, headers, options = {})
         'Connect proto',
         connect.envelope ? `frames=${connect.frameCount}` : 'unary'
       ]
+      if (connect.messageType) {
+        summaryParts.push(`schema=${connect.messageType}`)
+      }
       if (connect.frames?.some(frame => frame.json)) {
         summaryParts.push('json')
       }
@@ -3962,7 +5863,7 @@ function applyConnectRewritesAndDecode (logEntry, buffer, headers, options = {})
  *
  * @param {Buffer} buffer - Raw HTTP response body buffer.
  * @param {object} headers - Response headers object, mutated when encoding changes.
- * @param {{requestUrl?: string, fullUrl?: string}} [urlContext] - URL context for JSONPath rules.
+ * @param {{requestUrl?: string, fullUrl?: string, method?: string, statusCode?: number}} [urlContext] - URL context for JSONPath rules and rule conditions.
  * @returns {{buffer: Buffer}} Object containing the final response buffer.
  */
 function applyConnectRewritesForBypass (buffer, headers, urlContext) {
@@ -4010,7 +5911,8 @@ let bypassMode = 'ignore' // bypass mode: 'ignore' (default) or 'focus'
 
 /**
  * Proxied sources considered "proxied" in dashboard statistics.
- * Kept in sync with the /api/dashboard logic.
+ * Kept in sync with the /api/dashboard logic. Replays ('replay') are sent by
+ * the proxy itself and are not counted as proxied client traffic.
  * @type {Set<string>}
  */
 const DASHBOARD_PROXIED_SOURCES = new Set(['proxied', 'tunnel', 'mitm', 'websocket', 'direct'])
@@ -4027,7 +5929,7 @@ const DASHBOARD_PROXIED_SOURCES = new Set(['proxied', 'tunnel', 'mitm', 'websock
  * audit route statistics via applyDashboardStatsDelta/routeStats.
  * @type {Set<string>}
  */
-const ALWAYS_INCLUDED_SOURCES = new Set(['local', 'blocked', 'error'])
+const ALWAYS_INCLUDED_SOURCES = new Set(['local', 'blocked', 'fault', 'error'])
 
 /**
  * Aggregate statistics for the dashboard derived from request logs.
@@ -4039,6 +5941,7 @@ const ALWAYS_INCLUDED_SOURCES = new Set(['local', 'blocked', 'error'])
  * @property {number} served
  * @property {number} proxied
  * @property {number} blocked
+ * @property {number} faults
  * @property {number} processed
  * @property {number} errors
  * @property {number} editedRequests
@@ -4055,6 +5958,7 @@ function createEmptyDashboardStats () {
     served: 0,
     proxied: 0,
     blocked: 0,
+    faults: 0,
     processed: 0,
     errors: 0,
     editedRequests: 0
@@ -4139,6 +6043,8 @@ let routeStats = new Map()
 function applyDashboardStatsDelta (logEntry, direction) {
   if (!logEntry || typeof logEntry !== 'object') return
   if (direction !== 1 && direction !== -1) return
+  // HAR imports describe traffic captured elsewhere, not through this proxy.
+  if (logEntry.imported) return
 
   const source = logEntry.source
   dashboardStats.total += direction
@@ -4146,12 +6052,13 @@ function applyDashboardStatsDelta (logEntry, direction) {
   if (source === 'local') dashboardStats.served += direction
   if (DASHBOARD_PROXIED_SOURCES.has(source)) dashboardStats.proxied += direction
   if (source === 'blocked') dashboardStats.blocked += direction
+  if (source === 'fault') dashboardStats.faults += direction
   if (source === 'error') dashboardStats.errors += direction
   // "processed" tracks traffic that flowed through the proxy internals and
-  // was neither blocked nor redirected via the direct/bypass engine. Raw
-  // CONNECT tunnels (source === 'tunnel') and explicit direct/bypass flows
-  // (source === 'direct') are excluded.
-  if (source !== 'blocked' && source !== 'direct' && source !== 'tunnel') {
+  // was neither blocked, failed by a fault rule nor redirected via the
+  // direct/bypass engine. Raw CONNECT tunnels (source === 'tunnel') and
+  // explicit direct/bypass flows (source === 'direct') are excluded.
+  if (source !== 'blocked' && source !== 'fault' && source !== 'direct' && source !== 'tunnel') {
     dashboardStats.processed += direction
   }
 
@@ -4263,130 +6170,670 @@ function incrementBypassedCount (increment = 1) {
   const value = Number(increment)
   if (!Number.isFinite(value) || value <= 0) return
   bypassedRequestCount += value
+  scheduleLiveSnapshot('dashboard')
 }
 
-function findMatchingLocalResource (requestUrl, fullUrl) {
-  if (!localResourcesEnabled || localResources.size === 0) return null
+// Supported local resource match modes, in priority order: when several
+// resources match the same request, the most specific mode wins.
+const LOCAL_RESOURCE_MATCH_MODES = ['exact', 'prefix', 'glob', 'regex', 'substring']
 
-  const req = typeof requestUrl === 'string' ? requestUrl : ''
-  const full = typeof fullUrl === 'string' ? fullUrl : ''
+// Compiled, priority-sorted matchers for localResources (see
+// rebuildLocalResourceMatchers). Kept in sync with the map on every change.
+let localResourceMatchers = []
 
-  for (const [resourceUrl, resourceData] of localResources.entries()) {
-    if (!resourceData || resourceData.enabled === false) continue
-    if ((req && req.includes(resourceUrl)) || (full && full.includes(resourceUrl))) {
-      return { url: resourceUrl, resource: resourceData }
+/**
+ * Convert a glob pattern into an anchored RegExp. `*` matches any run of
+ * characters (including `/`) and `?` matches a single character. A path
+ * segment written as `/:name` matches one segment and captures it as the
+ * named group `name`; each `*` is captured as a positional group.
+ *
+ * @param {string} pattern
+ * @param {string} [flags]
+ * @returns {RegExp}
+ */
+function globToRegExp (pattern, flags) {
+  const source = String(pattern).replace(
+    /\/:([A-Za-z_][A-Za-z0-9_]*)|\*+|\?|[.+^${}()|[\]\\]/g,
+    (token, name) => {
+      if (name) return `/(?<${name}>[^/?#]+)`
+      if (token[0] === '*') return '(.*)'
+      if (token === '?') return '.'
+      return `\\${token}`
+    }
+  )
+  return new RegExp(`^${source}$`, flags)
+}
+
+/**
+ * Normalise the match settings of a local resource (mode, method and host
+ * constraints). Invalid values produce an error message instead of a
+ * silently different match behaviour.
+ *
+ * @param {string} url - Resource URL pattern (map key).
+ * @param {any} input - Raw settings from the API or resources.json.
+ * @returns {{ ok: boolean, value?: { matchMode: string, methods: string[], host: string }, error?: string }}
+ */
+function normalizeLocalResourceMatch (url, input = {}) {
+  const source = (input && typeof input === 'object') ? input : {}
+
+  const rawMode = safeTrim(source.matchMode).toLowerCase()
+  const matchMode = rawMode || 'substring'
+  if (!LOCAL_RESOURCE_MATCH_MODES.includes(matchMode)) {
+    return { ok: false, error: `Invalid "matchMode": expected one of ${LOCAL_RESOURCE_MATCH_MODES.join(', ')}.` }
+  }
+
+  if (matchMode === 'regex' || matchMode === 'glob') {
+    try {
+      if (matchMode === 'regex') new RegExp(url)
+      else globToRegExp(url)
+    } catch (error) {
+      return { ok: false, error: error.message }
     }
   }
 
-  return null
+  // Methods arrive either as an array (JSON) or a comma-separated string
+  // (multipart form data).
+  const rawMethods = Array.isArray(source.methods)
+    ? source.methods
+    : (typeof source.methods === 'string' ? source.methods.split(',') : [])
+  const methods = Array.from(new Set(
+    rawMethods
+      .map(method => safeTrim(method).toUpperCase())
+      .filter(Boolean)
+  ))
+  if (methods.some(method => !/^[A-Z]+$/.test(method))) {
+    return { ok: false, error: 'Invalid "methods": expected HTTP method names.' }
+  }
+
+  const host = safeTrim(source.host).toLowerCase()
+
+  return { ok: true, value: { matchMode, methods, host } }
 }
 
-// Load interactive mode, filter mode, and global feature modes from disk
-const CONFIG_FILE = path.join(STORAGE_DIR, 'config.json')
-let interactiveModeEnabled = true // interactive mode flag
-let editRulesEnabled = true // global live edit rules flag
-let localResourcesEnabled = true // global local resources flag
-let filterRulesEnabled = true // global filter rules flag
-let blockedRulesEnabled = true // global blocked rules flag
-let persistConfigWritePromise = null
-let persistConfigQueued = false
-try {
-  if (fs.existsSync(CONFIG_FILE)) {
-    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
-    interactiveModeEnabled = config.interactiveModeEnabled !== false
-    if (typeof config.editRulesEnabled === 'boolean') {
-      editRulesEnabled = config.editRulesEnabled
+// Upper bound for the artificial latency of a local resource (5 minutes).
+const LOCAL_RESOURCE_MAX_DELAY_MS = 5 * 60 * 1000
+
+// Headers computed by the proxy when serving a local resource; they cannot
+// be overridden per resource.
+const LOCAL_RESOURCE_RESERVED_HEADERS = new Set(['content-length', 'transfer-encoding', 'connection'])
+
+/**
+ * Normalise custom response headers for a local resource. Accepts either an
+ * object (`{ "Cache-Control": "no-store" }`, array values for repeated
+ * headers such as Set-Cookie) or "Name: value" lines as sent by the UI form.
+ *
+ * @param {any} input
+ * @returns {{ ok: boolean, value?: Object<string, string|string[]>, error?: string }}
+ */
+function normalizeLocalResourceHeaders (input) {
+  if (input === undefined || input === null || input === '') return { ok: true, value: {} }
+
+  const entries = []
+  if (typeof input === 'string') {
+    const lines = input.split(/\r?\n/)
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim()
+      if (!line) continue
+      const separator = line.indexOf(':')
+      if (separator <= 0) {
+        return { ok: false, error: `Invalid header on line ${i + 1}: expected "Name: value".` }
+      }
+      entries.push([line.slice(0, separator).trim(), line.slice(separator + 1).trim()])
     }
-    if (typeof config.localResourcesEnabled === 'boolean') {
-      localResourcesEnabled = config.localResourcesEnabled
+  } else if (typeof input === 'object' && !Array.isArray(input)) {
+    for (const [name, value] of Object.entries(input)) {
+      const values = Array.isArray(value) ? value : [value]
+      values.forEach(item => entries.push([safeTrim(name), item === undefined || item === null ? '' : String(item)]))
     }
-    if (typeof config.filterRulesEnabled === 'boolean') {
-      filterRulesEnabled = config.filterRulesEnabled
+  } else {
+    return { ok: false, error: 'Invalid "headers": expected an object or "Name: value" lines.' }
+  }
+
+  const headers = {}
+  for (const [name, value] of entries) {
+    if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+      return { ok: false, error: `Invalid header name: ${name || '(empty)'}` }
     }
-    if (typeof config.blockedRulesEnabled === 'boolean') {
-      blockedRulesEnabled = config.blockedRulesEnabled
+    if (/[\r\n]/.test(value)) {
+      return { ok: false, error: `Invalid value for header ${name}.` }
     }
-
-    let rawMode = null
-    if (typeof config.filterMode === 'string') {
-      rawMode = config.filterMode
-    } else if (typeof config.bypassMode === 'string') {
-      // Legacy key, kept for backward compatibility
-      rawMode = config.bypassMode
+    if (LOCAL_RESOURCE_RESERVED_HEADERS.has(name.toLowerCase())) {
+      return { ok: false, error: `Header ${name} is managed by the proxy and cannot be set.` }
     }
 
-    if (typeof rawMode === 'string') {
-      const normalized = rawMode.toLowerCase()
-      if (normalized === 'focus' || normalized === 'ignore') {
-        bypassMode = normalized
-      }
+    // Repeated names (typically Set-Cookie) are kept as arrays.
+    const existingName = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase())
+    if (existingName === undefined) {
+      headers[name] = value
+    } else {
+      headers[existingName] = [].concat(headers[existingName], value)
     }
   }
-} catch (error) {
-  console.error('Error loading config:', error)
-}
 
-function getBypassMode () {
-  return bypassMode === 'focus' ? 'focus' : 'ignore'
+  return { ok: true, value: headers }
 }
 
-function persistConfig () {
-  if (persistConfigWritePromise) {
-    persistConfigQueued = true
-    return
+/**
+ * Normalise how a local resource is served: template rendering, status
+ * code, custom response headers and artificial delay. Form fields arrive as
+ * strings, so "true", "1" and "on" are accepted as true and numbers may be
+ * numeric strings.
+ *
+ * @param {any} input - Raw settings from the API or resources.json.
+ * @returns {{ ok: boolean, value?: { templated: boolean, statusCode: number, headers: Object, delayMs: number }, error?: string }}
+ */
+function normalizeLocalResourceOptions (input = {}) {
+  const source = (input && typeof input === 'object') ? input : {}
+  const rawTemplated = source.templated
+
+  let templated = false
+  if (typeof rawTemplated === 'boolean') {
+    templated = rawTemplated
+  } else if (rawTemplated !== undefined && rawTemplated !== null && rawTemplated !== '') {
+    const lower = String(rawTemplated).trim().toLowerCase()
+    if (['true', '1', 'on'].includes(lower)) templated = true
+    else if (['false', '0', 'off'].includes(lower)) templated = false
+    else return { ok: false, error: 'Invalid "templated": expected a boolean.' }
+  }
+
+  let statusCode = 200
+  if (source.statusCode !== undefined && source.statusCode !== null && source.statusCode !== '') {
+    statusCode = Number(source.statusCode)
+    if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+      return { ok: false, error: 'Invalid "statusCode": expected an integer between 100 and 599.' }
+    }
   }
 
-  persistConfigWritePromise = (async () => {
-    try {
-      let existing = {}
-      try {
-        const raw = await fsPromises.readFile(CONFIG_FILE, 'utf8')
-        existing = JSON.parse(raw) || {}
-      } catch (readError) {
-        if (readError && readError.code !== 'ENOENT') {
-          console.error('Error reading config file:', readError)
-        }
-        existing = {}
-      }
-
-      const updated = {
-        ...existing,
-        interactiveModeEnabled,
-        editRulesEnabled,
-        localResourcesEnabled,
-        filterRulesEnabled,
-        blockedRulesEnabled,
-        filterMode: getBypassMode()
-      }
-
-      // Drop legacy key if present
-      if (Object.prototype.hasOwnProperty.call(updated, 'bypassMode')) {
-        delete updated.bypassMode
-      }
-
-      await fsPromises.writeFile(CONFIG_FILE, JSON.stringify(updated, null, 2))
-    } catch (error) {
-      console.error('Error saving config:', error)
-    } finally {
-      persistConfigWritePromise = null
-      if (persistConfigQueued) {
-        persistConfigQueued = false
-        persistConfig()
-      }
+  let delayMs = 0
+  if (source.delayMs !== undefined && source.delayMs !== null && source.delayMs !== '') {
+    delayMs = Number(source.delayMs)
+    if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > LOCAL_RESOURCE_MAX_DELAY_MS) {
+      return { ok: false, error: `Invalid "delayMs": expected an integer between 0 and ${LOCAL_RESOURCE_MAX_DELAY_MS}.` }
     }
-  })()
-}
+  }
 
-function isIgnoreMode () {
-  return getBypassMode() === 'ignore'
-}
+  const headers = normalizeLocalResourceHeaders(source.headers)
+  if (!headers.ok) return headers
 
-function isFocusMode () {
-  return getBypassMode() === 'focus'
+  return { ok: true, value: { templated, statusCode, headers: headers.value, delayMs } }
 }
 
 /**
- * Create a base HTTP log entry with consistent identifiers and timestamps.
+ * Rebuild the compiled local resource matchers from the localResources map.
+ *
+ * Priority is deterministic and independent of insertion order:
+ * 1. match mode (exact, prefix, glob, regex, substring);
+ * 2. resources with a host constraint before unconstrained ones;
+ * 3. resources with a method constraint before unconstrained ones;
+ * 4. longer patterns before shorter ones;
+ * 5. pattern string (alphabetical) as the final tie-breaker.
+ */
+function rebuildLocalResourceMatchers () {
+  const matchers = []
+
+  for (const [resourceUrl, resourceData] of localResources.entries()) {
+    if (!resourceData) continue
+
+    const normalized = normalizeLocalResourceMatch(resourceUrl, resourceData)
+    const { matchMode, methods, host } = normalized.ok
+      ? normalized.value
+      : { matchMode: 'substring', methods: [], host: '' }
+
+    let regex = null
+    try {
+      if (matchMode === 'glob') regex = globToRegExp(resourceUrl)
+      if (matchMode === 'regex') regex = new RegExp(resourceUrl)
+    } catch (error) {
+      logWarn('localResources', `Skipping local resource with invalid pattern: ${resourceUrl}`, error)
+      continue
+    }
+
+    matchers.push({
+      url: resourceUrl,
+      matchMode,
+      regex,
+      methods: new Set(methods),
+      host,
+      hostRegex: host.includes('*') ? globToRegExp(host, 'i') : null,
+      rank: LOCAL_RESOURCE_MATCH_MODES.indexOf(matchMode)
+    })
+  }
+
+  matchers.sort((a, b) => {
+    if (a.rank !== b.rank) return a.rank - b.rank
+    if (!!a.host !== !!b.host) return a.host ? -1 : 1
+    if (!!a.methods.size !== !!b.methods.size) return a.methods.size ? -1 : 1
+    if (a.url.length !== b.url.length) return b.url.length - a.url.length
+    return a.url.localeCompare(b.url)
+  })
+
+  localResourceMatchers = matchers
+}
+
+/**
+ * Test a compiled matcher against the candidate URLs of a request.
+ *
+ * @returns {Object|null} Captured path parameters (empty for modes without
+ *   captures) when the matcher accepts one of the candidates, otherwise null.
+ */
+function localResourceMatcherAccepts (matcher, candidates) {
+  for (const candidate of candidates) {
+    switch (matcher.matchMode) {
+      case 'exact':
+        if (candidate === matcher.url) return {}
+        break
+      case 'prefix':
+        if (candidate.startsWith(matcher.url)) return {}
+        break
+      case 'glob':
+      case 'regex': {
+        const match = matcher.regex.exec(candidate)
+        if (match) {
+          // Positional captures are exposed as "0", "1", ... alongside any
+          // named groups (`/:id` in globs, `(?<id>...)` in regexes).
+          const params = {}
+          match.slice(1).forEach((value, index) => {
+            params[index] = value
+          })
+          return Object.assign(params, match.groups || {})
+        }
+        break
+      }
+      default:
+        if (candidate.includes(matcher.url)) return {}
+    }
+  }
+  return null
+}
+
+/**
+ * Find the enabled local resource that should serve a request.
+ *
+ * Patterns are tested against the request URL, the full URL and, when known,
+ * the resolved upstream target URL, each with and without its query string.
+ * Absolute URLs also contribute their path so path patterns keep working for
+ * forward-proxied and MITM traffic.
+ *
+ * @param {string} requestUrl
+ * @param {string} fullUrl
+ * @param {{ method?: string, host?: string|null, targetUrl?: string|null }} [options]
+ * @returns {{ url: string, resource: object, params: Object }|null}
+ */
+function findMatchingLocalResource (requestUrl, fullUrl, options = {}) {
+  if (!localResourcesEnabled || localResourceMatchers.length === 0) return null
+
+  const { method, host, targetUrl } = options || {}
+  const req = typeof requestUrl === 'string' ? requestUrl : ''
+  const full = typeof fullUrl === 'string' ? fullUrl : ''
+  const target = typeof targetUrl === 'string' ? targetUrl : ''
+
+  const candidates = new Set()
+  const addCandidate = (value) => {
+    candidates.add(value)
+    const queryIndex = value.indexOf('?')
+    if (queryIndex !== -1) candidates.add(value.slice(0, queryIndex))
+  }
+  for (const value of [req, full, target]) {
+    if (!value) continue
+    addCandidate(value)
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+      try {
+        const parsed = new URL(value)
+        addCandidate(`${parsed.pathname}${parsed.search}`)
+      } catch {
+        // Not a parseable URL: keep the raw candidates only.
+      }
+    }
+  }
+  if (candidates.size === 0) return null
+
+  const normalizedMethod = typeof method === 'string' ? method.toUpperCase() : ''
+  const normalizedHost = normalizeHostValue(host) || ''
+
+  for (const matcher of localResourceMatchers) {
+    const resourceData = localResources.get(matcher.url)
+    if (!resourceData || resourceData.enabled === false) continue
+
+    if (matcher.methods.size && !matcher.methods.has(normalizedMethod)) continue
+
+    if (matcher.host) {
+      if (!normalizedHost) continue
+      const hostMatches = matcher.hostRegex
+        ? matcher.hostRegex.test(normalizedHost)
+        : hostPatternMatches(matcher.host, normalizedHost)
+      if (!hostMatches) continue
+    }
+
+    const params = localResourceMatcherAccepts(matcher, candidates)
+    if (params) {
+      return { url: matcher.url, resource: resourceData, params }
+    }
+  }
+
+  return null
+}
+
+const LOCAL_TEMPLATE_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g
+const LOCAL_TEMPLATE_TOKEN_PATTERN = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g
+const RANDOM_STRING_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+
+// Helpers available inside local resource templates, e.g. `{{uuid}}` or
+// `{{randomInt 1 100}}`. Arguments are already resolved values.
+const LOCAL_TEMPLATE_HELPERS = {
+  uuid: () => crypto.randomUUID(),
+  timestamp: () => Date.now(),
+  now: () => new Date().toISOString(),
+  randomInt: (min = 0, max = 100) => {
+    const low = Math.ceil(Number(min) || 0)
+    const high = Math.floor(Number(max) || 0)
+    if (high <= low) return low
+    return crypto.randomInt(low, high + 1)
+  },
+  randomFloat: (min = 0, max = 1, decimals = 2) => {
+    const low = Number(min) || 0
+    const high = Number(max) || 0
+    const digits = Math.min(Math.max(Math.trunc(Number(decimals) || 0), 0), 10)
+    return Number((low + Math.random() * (high - low)).toFixed(digits))
+  },
+  randomString: (length = 8) => {
+    const size = Math.min(Math.max(Math.trunc(Number(length) || 0), 0), 1024)
+    let result = ''
+    for (let i = 0; i < size; i++) {
+      result += RANDOM_STRING_ALPHABET[crypto.randomInt(RANDOM_STRING_ALPHABET.length)]
+    }
+    return result
+  },
+  randomItem: (...items) => items.length ? items[crypto.randomInt(items.length)] : '',
+  json: value => JSON.stringify(value === undefined ? null : value),
+  default: (value, fallback) => (value === undefined || value === null || value === '') ? fallback : value
+}
+
+/**
+ * Resolve a dotted path such as `request.body.items[0].id` against the
+ * template context. Missing segments resolve to undefined.
+ */
+function resolveLocalTemplatePath (context, expression) {
+  const segments = String(expression)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+
+  let current = context
+  for (const segment of segments) {
+    if (current === null || current === undefined) return undefined
+    if (!Object.prototype.hasOwnProperty.call(Object(current), segment)) return undefined
+    current = current[segment]
+  }
+  return current
+}
+
+function resolveLocalTemplateArgument (context, token) {
+  const [, doubleQuoted, singleQuoted, bare] = token
+  if (doubleQuoted !== undefined) return doubleQuoted.replace(/\\(.)/g, '$1')
+  if (singleQuoted !== undefined) return singleQuoted
+  if (bare === 'true') return true
+  if (bare === 'false') return false
+  if (bare === 'null') return null
+  if (/^-?\d+(\.\d+)?$/.test(bare)) return Number(bare)
+  return resolveLocalTemplatePath(context, bare)
+}
+
+function stringifyLocalTemplateValue (value) {
+  if (value === undefined || value === null) return ''
+  if (typeof value === 'object') {
+    try {
+      return JSON.stringify(value)
+    } catch {
+      return ''
+    }
+  }
+  return String(value)
+}
+
+/**
+ * Render a local resource template. Each `{{ ... }}` placeholder is either a
+ * context path (`request.query.page`) or a helper call with space-separated
+ * arguments (`randomInt 1 10`, `default request.query.page 1`). Unknown paths
+ * render as an empty string; objects render as JSON.
+ *
+ * @param {string} template
+ * @param {Object} context - Usually built by buildLocalTemplateContext.
+ * @returns {string}
+ */
+function renderLocalResourceTemplate (template, context) {
+  return String(template).replace(LOCAL_TEMPLATE_PATTERN, (placeholder, expression) => {
+    const tokens = Array.from(expression.matchAll(LOCAL_TEMPLATE_TOKEN_PATTERN))
+    if (tokens.length === 0) return ''
+
+    const name = tokens[0][3]
+    if (name && Object.prototype.hasOwnProperty.call(LOCAL_TEMPLATE_HELPERS, name)) {
+      const args = tokens.slice(1).map(token => resolveLocalTemplateArgument(context, token))
+      try {
+        return stringifyLocalTemplateValue(LOCAL_TEMPLATE_HELPERS[name](...args))
+      } catch (error) {
+        logWarn('localResources', `Template helper "${name}" failed`, error)
+        return ''
+      }
+    }
+
+    return stringifyLocalTemplateValue(resolveLocalTemplateArgument(context, tokens[0]))
+  })
+}
+
+/**
+ * Parse a captured request body for template access: JSON and urlencoded
+ * bodies become objects, anything else is exposed as UTF-8 text.
+ */
+function parseLocalTemplateBody (body, headers) {
+  if (body === undefined || body === null) return null
+  if (!Buffer.isBuffer(body)) return body
+  if (body.length === 0) return null
+
+  const text = body.toString('utf8')
+  const contentType = String(getHeaderCaseInsensitive(headers, 'content-type') || '').toLowerCase()
+
+  if (contentType.includes('json') || /^\s*[[{]/.test(text)) {
+    try {
+      return JSON.parse(text)
+    } catch {}
+  }
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return searchParamsToObject(new URLSearchParams(text))
+  }
+  return text
+}
+
+// Repeated keys become arrays so `?tag=a&tag=b` is still reachable.
+function searchParamsToObject (searchParams) {
+  const result = {}
+  for (const [key, value] of searchParams) {
+    if (!Object.prototype.hasOwnProperty.call(result, key)) {
+      result[key] = value
+    } else if (Array.isArray(result[key])) {
+      result[key].push(value)
+    } else {
+      result[key] = [result[key], value]
+    }
+  }
+  return result
+}
+
+/**
+ * Build the data exposed to local resource templates as `request.*`.
+ *
+ * @param {{ method: string, url: string, headers: Object, body?: Buffer|Object|string|null, params?: Object }} request
+ * @returns {{ request: Object }}
+ */
+function buildLocalTemplateContext ({ method, url, headers, body, params }) {
+  let parsedUrl = null
+  try {
+    parsedUrl = new URL(url, 'http://localhost')
+  } catch {}
+
+  const lowerHeaders = {}
+  for (const [key, value] of Object.entries(headers || {})) {
+    lowerHeaders[key.toLowerCase()] = value
+  }
+
+  return {
+    request: {
+      method: method || 'GET',
+      url: url || '',
+      host: parsedUrl ? parsedUrl.host : '',
+      path: parsedUrl ? parsedUrl.pathname : '',
+      query: parsedUrl ? searchParamsToObject(parsedUrl.searchParams) : {},
+      headers: lowerHeaders,
+      params: params || {},
+      body: parseLocalTemplateBody(body, headers)
+    }
+  }
+}
+
+// Load interactive mode, filter mode, and global feature modes from disk
+const RECORDING_MODES = ['off', 'record', 'playback']
+const PLAYBACK_MISS_MODES = ['fail', 'passthrough', 'notFound']
+const CONFIG_FILE = path.join(STORAGE_DIR, 'config.json')
+let interactiveModeEnabled = true // interactive mode flag
+let editRulesEnabled = true // global live edit rules flag
+let localResourcesEnabled = true // global local resources flag
+let filterRulesEnabled = true // global filter rules flag
+let blockedRulesEnabled = true // global blocked rules flag
+let breakpointsEnabled = true // global breakpoints flag
+let networkConditionsEnabled = true // global network condition simulation flag
+let faultRulesEnabled = true // global fault injection flag
+let mapRemoteEnabled = true // global map remote flag
+let recordingMode = 'off' // record/playback mode: "off", "record" or "playback"
+let playbackMissMode = 'fail' // playback miss behaviour: "fail", "passthrough" or "notFound"
+let activeProfileId = null // id of the last activated profile, if any
+let persistConfigWritePromise = null
+let persistConfigQueued = false
+try {
+  if (fs.existsSync(CONFIG_FILE)) {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
+    interactiveModeEnabled = config.interactiveModeEnabled !== false
+    if (typeof config.editRulesEnabled === 'boolean') {
+      editRulesEnabled = config.editRulesEnabled
+    }
+    if (typeof config.localResourcesEnabled === 'boolean') {
+      localResourcesEnabled = config.localResourcesEnabled
+    }
+    if (typeof config.filterRulesEnabled === 'boolean') {
+      filterRulesEnabled = config.filterRulesEnabled
+    }
+    if (typeof config.blockedRulesEnabled === 'boolean') {
+      blockedRulesEnabled = config.blockedRulesEnabled
+    }
+    if (typeof config.breakpointsEnabled === 'boolean') {
+      breakpointsEnabled = config.breakpointsEnabled
+    }
+    if (typeof config.networkConditionsEnabled === 'boolean') {
+      networkConditionsEnabled = config.networkConditionsEnabled
+    }
+    if (typeof config.faultRulesEnabled === 'boolean') {
+      faultRulesEnabled = config.faultRulesEnabled
+    }
+    if (typeof config.mapRemoteEnabled === 'boolean') {
+      mapRemoteEnabled = config.mapRemoteEnabled
+    }
+    if (RECORDING_MODES.includes(config.recordingMode)) {
+      recordingMode = config.recordingMode
+    }
+    if (PLAYBACK_MISS_MODES.includes(config.playbackMissMode)) {
+      playbackMissMode = config.playbackMissMode
+    }
+    if (typeof config.activeProfileId === 'string' && config.activeProfileId) {
+      activeProfileId = config.activeProfileId
+    }
+
+    let rawMode = null
+    if (typeof config.filterMode === 'string') {
+      rawMode = config.filterMode
+    } else if (typeof config.bypassMode === 'string') {
+      // Legacy key, kept for backward compatibility
+      rawMode = config.bypassMode
+    }
+
+    if (typeof rawMode === 'string') {
+      const normalized = rawMode.toLowerCase()
+      if (normalized === 'focus' || normalized === 'ignore') {
+        bypassMode = normalized
+      }
+    }
+  }
+} catch (error) {
+  console.error('Error loading config:', error)
+}
+
+function getBypassMode () {
+  return bypassMode === 'focus' ? 'focus' : 'ignore'
+}
+
+function persistConfig () {
+  notifyRulesChanged('config')
+
+  if (persistConfigWritePromise) {
+    persistConfigQueued = true
+    return
+  }
+
+  persistConfigWritePromise = (async () => {
+    try {
+      let existing = {}
+      try {
+        const raw = await fsPromises.readFile(CONFIG_FILE, 'utf8')
+        existing = JSON.parse(raw) || {}
+      } catch (readError) {
+        if (readError && readError.code !== 'ENOENT') {
+          console.error('Error reading config file:', readError)
+        }
+        existing = {}
+      }
+
+      const updated = {
+        ...existing,
+        interactiveModeEnabled,
+        editRulesEnabled,
+        localResourcesEnabled,
+        filterRulesEnabled,
+        blockedRulesEnabled,
+        breakpointsEnabled,
+        networkConditionsEnabled,
+        faultRulesEnabled,
+        mapRemoteEnabled,
+        recordingMode,
+        playbackMissMode,
+        activeProfileId,
+        filterMode: getBypassMode()
+      }
+
+      // Drop legacy key if present
+      if (Object.prototype.hasOwnProperty.call(updated, 'bypassMode')) {
+        delete updated.bypassMode
+      }
+
+      await fsPromises.writeFile(CONFIG_FILE, JSON.stringify(updated, null, 2))
+    } catch (error) {
+      console.error('Error saving config:', error)
+    } finally {
+      persistConfigWritePromise = null
+      if (persistConfigQueued) {
+        persistConfigQueued = false
+        persistConfig()
+      }
+    }
+  })()
+}
+
+function isIgnoreMode () {
+  return getBypassMode() === 'ignore'
+}
+
+function isFocusMode () {
+  return getBypassMode() === 'focus'
+}
+
+/**
+ * Create a base HTTP log entry with consistent identifiers and timestamps.
  *
  * @param {Object} params
  * @param {number} params.requestStart
@@ -4396,12 +6843,13 @@ function isFocusMode () {
  * @param {Object} params.headers
  * @param {string} params.source
  * @param {string} [params.clientIp]
+ * @param {string} [params.httpVersion] - Client protocol as reported by Node ("1.1", "2.0").
  * @returns {Object}
  */
-function createBaseLogEntry ({ requestStart, method, url, fullUrl, headers, source, clientIp }) {
+function createBaseLogEntry ({ requestStart, method, url, fullUrl, headers, source, clientIp, httpVersion }) {
   const ts = Number.isFinite(requestStart) ? requestStart : Date.now()
 
-  return {
+  const entry = {
     id: ts + Math.random(),
     timestamp: new Date(ts).toISOString(),
     requestStartTs: ts,
@@ -4413,6 +6861,20 @@ function createBaseLogEntry ({ requestStart, method, url, fullUrl, headers, sour
     source,
     clientIp
   }
+  if (httpVersion) {
+    entry.httpVersion = formatHttpVersion(httpVersion)
+  }
+  return entry
+}
+
+/**
+ * Format a Node.js `httpVersion` ("1.1", "2.0") for display.
+ *
+ * @param {string} version
+ * @returns {string}
+ */
+function formatHttpVersion (version) {
+  return version === '2.0' ? 'HTTP/2' : `HTTP/${version}`
 }
 
 // Helper to add log only if interactive mode is enabled
@@ -4523,2292 +6985,7774 @@ function addLog (logEntry) {
     }
   }
   requestLogs.unshift(logEntry)
+  storedLogEntries.add(logEntry)
   updateSuggestionStatsOnAdd(logEntry)
   applyDashboardStatsDelta(logEntry, 1)
   if (requestLogs.length > MAX_LOG_ENTRIES) {
     const removed = requestLogs.pop()
     if (removed) {
+      storedLogEntries.delete(removed)
       updateSuggestionStatsOnRemove(removed)
       applyDashboardStatsDelta(removed, -1)
+      broadcastLiveEvent('logs', 'log-removed', { id: removed.id })
     }
   }
+  persistLogEntryToSession(logEntry)
+  broadcastLogEvent('log-added', logEntry)
+  scheduleLiveSnapshot('dashboard')
+  scheduleLiveSnapshot('suggestions')
 }
 
+// Live events: a Server-Sent Events stream (/api/events) that pushes new and
+// updated log entries, dashboard and filter-suggestion snapshots, rule
+// changes and requests paused at breakpoints to the UI, so it no longer has
+// to poll and re-filter the buffer.
+const LIVE_EVENT_TOPICS = ['logs', 'dashboard', 'suggestions', 'rules', 'breakpoints']
+const LIVE_EVENT_HEARTBEAT_MS = 15000
+const LIVE_EVENT_SNAPSHOT_INTERVAL_MS = 500
+
 /**
- * Classify an upstream error into a coarse category for diagnostics.
- * This is intentionally conservative and based on the error's code/name/
- * message without depending on Undici internals.
+ * Connected live event subscribers. `logFilter` holds the /api/logs filter
+ * the subscriber asked for, so it only receives entries it would display.
  *
- * @param {Error & { code?: string, name?: string, type?: string }} error
- * @returns {string} One of: 'timeout', 'aborted', 'connection', 'protocol', 'upstream', 'unknown'.
+ * @type {Set<{ res: import('http').ServerResponse, topics: Set<string>, logFilter: ((log: object) => boolean)|null }>}
  */
-function classifyUpstreamError (error) {
-  if (!error || typeof error !== 'object') return 'unknown'
+const liveEventClients = new Set()
 
-  const code = typeof error.code === 'string' ? error.code.toUpperCase() : ''
-  const name = typeof error.name === 'string' ? error.name.toUpperCase() : ''
-  const type = typeof error.type === 'string' ? error.type.toUpperCase() : ''
-  const message = typeof error.message === 'string' ? error.message.toUpperCase() : ''
+/**
+ * Entries currently held in requestLogs. Late updates to entries that were
+ * evicted or cleared in the meantime must not touch the aggregated stats.
+ *
+ * @type {WeakSet<object>}
+ */
+let storedLogEntries = new WeakSet()
 
-  const combined = `${code} ${name} ${type} ${message}`
+const pendingLiveSnapshots = new Set()
+let liveSnapshotTimer = null
+let liveEventHeartbeatTimer = null
 
-  if (combined.includes('TIMEOUT')) return 'timeout'
-  if (combined.includes('ABORT') || combined.includes('CANCEL')) return 'aborted'
+function hasLiveEventSubscribers (topic) {
+  for (const client of liveEventClients) {
+    if (client.topics.has(topic)) return true
+  }
+  return false
+}
 
-  if (code.startsWith('E') && (
-    code.includes('CONN') ||
-    code.includes('REFUSED') ||
-    code.includes('RESET') ||
-    code.includes('UNREACH') ||
-    code.includes('PIPE') ||
-    code.includes('ADDR')
-  )) {
-    return 'connection'
+function writeLiveEvent (res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`)
+}
+
+/**
+ * Send an event to every subscriber of a topic.
+ *
+ * @param {string} topic
+ * @param {string} event
+ * @param {object} payload
+ */
+function broadcastLiveEvent (topic, event, payload) {
+  for (const client of liveEventClients) {
+    if (client.topics.has(topic)) {
+      writeLiveEvent(client.res, event, payload)
+    }
   }
+}
 
-  if (combined.includes('PROTOCOL') || combined.includes('HTTP_PARSER') || combined.includes('UND_ERR')) {
-    return 'protocol'
+/**
+ * Push a log entry to the `logs` subscribers whose filter accepts it. The
+ * client view is only built when at least one subscriber wants the entry.
+ *
+ * @param {'log-added'|'log-updated'} event
+ * @param {object} logEntry
+ */
+function broadcastLogEvent (event, logEntry) {
+  let view = null
+  for (const client of liveEventClients) {
+    if (!client.topics.has('logs')) continue
+    if (client.logFilter && !client.logFilter(logEntry)) continue
+    if (!view) view = buildClientLogView(logEntry)
+    writeLiveEvent(client.res, event, { log: view })
   }
+}
 
-  // Default bucket for other upstream failures.
-  return 'upstream'
+function buildLiveSnapshot (topic) {
+  if (topic === 'suggestions') {
+    return { suggestions: computeBypassSuggestions() }
+  }
+  return buildDashboardSnapshot()
 }
 
 /**
- * Record an upstream error on a log entry in a consistent way.
+ * Schedule a dashboard or suggestions snapshot push. Bursts of traffic are
+ * coalesced into at most one push per LIVE_EVENT_SNAPSHOT_INTERVAL_MS.
  *
- * @param {object|null} logEntry
- * @param {Error & { code?: string, name?: string, type?: string }} error
+ * @param {'dashboard'|'suggestions'} topic
  */
-function recordUpstreamErrorOnLog (logEntry, error) {
-  if (!logEntry || typeof logEntry !== 'object') return
-
-  logEntry.source = 'error'
-  logEntry.error = error && error.message ? error.message : String(error)
+function scheduleLiveSnapshot (topic) {
+  if (!hasLiveEventSubscribers(topic)) return
+  pendingLiveSnapshots.add(topic)
+  if (liveSnapshotTimer) return
+
+  liveSnapshotTimer = setTimeout(() => {
+    liveSnapshotTimer = null
+    const topics = Array.from(pendingLiveSnapshots)
+    pendingLiveSnapshots.clear()
+    for (const pendingTopic of topics) {
+      try {
+        broadcastLiveEvent(pendingTopic, pendingTopic, buildLiveSnapshot(pendingTopic))
+      } catch (error) {
+        logDebug('liveEvents', `Failed to push ${pendingTopic} snapshot`, error)
+      }
+    }
+  }, LIVE_EVENT_SNAPSHOT_INTERVAL_MS)
+}
 
-  if (typeof logEntry.upstreamDurationMs !== 'number') {
-    const startTs =
-      typeof logEntry.requestStartTs === 'number'
-        ? logEntry.requestStartTs
-        : (logEntry.timestamp ? Date.parse(logEntry.timestamp) || Date.now() : Date.now())
-    logEntry.upstreamDurationMs = Date.now() - startTs
+/**
+ * Tell subscribers that a rule set (or the proxy config) changed so they can
+ * refetch it. The dashboard embeds rule summaries, so it is pushed as well.
+ *
+ * @param {'blocked'|'filters'|'edit-rules'|'resources'|'breakpoints'|'network'|'faults'|'map-remote'|'map-local'|'profiles'|'config'|'sessions'|'recordings'|'schemas'} kind
+ */
+function notifyRulesChanged (kind) {
+  broadcastLiveEvent('rules', 'rules-changed', { kind })
+  scheduleLiveSnapshot('dashboard')
+  if (kind === 'filters' || kind === 'config') {
+    scheduleLiveSnapshot('suggestions')
   }
+}
 
-  logEntry.upstreamErrorCategory = classifyUpstreamError(error)
-  addLog(logEntry)
+/**
+ * Apply a late change to a log entry that was already added (for example the
+ * final size of a streamed response), keeping the aggregated statistics in
+ * sync and pushing the new version to live subscribers.
+ *
+ * @param {object} logEntry
+ * @param {(logEntry: object) => void} mutate
+ */
+function updateLog (logEntry, mutate) {
+  if (!logEntry || !storedLogEntries.has(logEntry)) return
+  applyDashboardStatsDelta(logEntry, -1)
+  mutate(logEntry)
+  applyDashboardStatsDelta(logEntry, 1)
+  persistLogEntryToSession(logEntry, { isUpdate: true })
+  broadcastLogEvent('log-updated', logEntry)
+  scheduleLiveSnapshot('dashboard')
 }
 
-function extractHostInfoFromLog (logEntry) {
-  if (!logEntry || typeof logEntry !== 'object') return null
+/**
+ * Count the bytes of a response body that is piped straight to the client
+ * and record the final size on its log entry once the stream ends.
+ *
+ * @param {object|null} logEntry
+ * @param {import('stream').Readable} body
+ */
+function trackStreamedResponseSize (logEntry, body) {
+  if (!logEntry || !body || typeof body.on !== 'function') return
+  let size = 0
+  body.on('data', chunk => { size += chunk.length })
+  body.once('end', () => {
+    updateLog(logEntry, entry => {
+      entry.responseSize = size
+      entry.responseBytes = size
+    })
+  })
+}
 
-  if (logEntry._hostInfo && logEntry._hostInfo.host) {
-    return logEntry._hostInfo
-  }
+/**
+ * Empty the in-memory log buffer together with the statistics derived from
+ * it, and tell live subscribers to refetch.
+ */
+function clearLogBuffer () {
+  requestLogs = []
+  storedLogEntries = new WeakSet()
+  bypassedRequestCount = 0
+  bypassSuggestionStats.clear()
+  logSuggestionMetadata = new WeakMap()
+  dashboardStats = createEmptyDashboardStats()
+  performanceStats = createEmptyPerformanceStats()
+  routeStats = new Map()
+  broadcastLiveEvent('logs', 'logs-cleared', {})
+  scheduleLiveSnapshot('dashboard')
+  scheduleLiveSnapshot('suggestions')
+}
 
-  const headerHost = typeof logEntry.headers?.host === 'string'
-    ? logEntry.headers.host.toLowerCase()
-    : null
+// Capture sessions: every entry added to the log buffer is also appended to
+// the active session under LOGS_DIR/sessions, so captured traffic survives
+// restarts and clearing the log view. A session directory holds:
+//   session.json      metadata (name, creation time, entry count, size)
+//   entries.ndjson    one log entry per line, append-only; a later line for
+//                     the same id (e.g. the final size of a streamed
+//                     response) replaces the earlier one
+//   bodies/<id>.json  the body fields of each entry, kept out of line so
+//                     listing and filtering a session never reads them
+// A session that reaches SESSION_MAX_ENTRIES or SESSION_MAX_BYTES is closed
+// and recording continues in a new one; sessions older than
+// SESSION_RETENTION_DAYS are deleted. Credential headers are redacted
+// before an entry is written.
+const SESSIONS_DIR = path.join(LOGS_DIR, 'sessions')
+const SESSION_META_FILE = 'session.json'
+const SESSION_ENTRIES_FILE = 'entries.ndjson'
+const SESSION_BODIES_DIR = 'bodies'
+const SESSION_META_WRITE_DELAY_MS = 1000
+const SESSION_NAME_MAX_LENGTH = 120
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const SESSION_TAIL_CHUNK_BYTES = 64 * 1024
+const SESSION_REDACTED_VALUE = '[redacted]'
 
-  const normalizeHost = (host) => {
-    if (!host) return null
-    return host.toLowerCase().split(':')[0]
-  }
+/**
+ * Header names whose values are never written to a session file.
+ * @type {Set<string>}
+ */
+const SESSION_REDACTED_HEADERS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie'
+])
 
-  const tryParseUrl = (candidate) => {
-    if (!candidate || typeof candidate !== 'string') return null
-    const trimmed = candidate.trim()
-    if (!trimmed) return null
+/**
+ * Log entry fields holding header maps that are redacted before writing,
+ * with the search snapshot built from each (null when there is none).
+ * @type {Array<[string, string|null]>}
+ */
+const SESSION_HEADER_FIELDS = [
+  ['headers', 'headersSearch'],
+  ['responseHeaders', 'responseHeadersSearch'],
+  ['responseTrailers', null]
+]
 
-    try {
-      const parsed = new URL(trimmed)
-      return {
-        host: normalizeHost(parsed.hostname),
-        path: parsed.pathname || '/'
-      }
-    } catch (error) {
-      if (headerHost && trimmed.startsWith('/')) {
-        try {
-          const parsed = new URL(`http://${headerHost}${trimmed}`)
-          return {
-            host: normalizeHost(parsed.hostname),
-            path: parsed.pathname || '/'
-          }
-        } catch (innerError) {
-          return null
-        }
-      } else if (!trimmed.includes('://')) {
-        try {
-          const parsed = new URL(`http://${trimmed}`)
-          return {
-            host: normalizeHost(parsed.hostname),
-            path: parsed.pathname || '/'
-          }
-        } catch (innerError) {
-          return null
-        }
-      }
-    }
-    return null
+/**
+ * Log entry fields stored in the per-entry body file. Search snapshots stay
+ * on the entry line so a saved session can be filtered without its bodies.
+ * @type {Set<string>}
+ */
+const SESSION_BODY_FIELDS = new Set([
+  'body',
+  'responseBody',
+  'originalBody',
+  'requestBodyJson',
+  'responseBodyJson',
+  'rawRequestBodyBase64',
+  'rawResponseBodyBase64',
+  'rawRequestBodyPreview',
+  'rawResponseBodyPreview',
+  'connectRequest',
+  'connectResponse'
+])
+
+/**
+ * Session that new log entries are appended to (null when persistence is
+ * disabled).
+ * @type {{ id: string, name: string, createdAt: string, updatedAt: string, entryCount: number, sizeBytes: number }|null}
+ */
+let activeSession = null
+let sessionWriteChain = Promise.resolve()
+let sessionMetaWriteTimer = null
+
+/**
+ * Session each persisted log entry was written to, so a late update is
+ * appended next to the first line even after the active session rolled over.
+ * @type {WeakMap<object, string>}
+ */
+const sessionIdByLogEntry = new WeakMap()
+
+/**
+ * Entries of the last saved session opened through /api/logs, so paging
+ * through it does not re-read its entries file on every request.
+ * @type {{ id: string, logs: object[] }|null}
+ */
+let openedSessionCache = null
+
+function getSessionDir (sessionId) {
+  return path.join(SESSIONS_DIR, sessionId)
+}
+
+function getSessionBodyFileName (logEntry) {
+  return `${String(logEntry.id).replace(/[^0-9A-Za-z]/g, '_')}.json`
+}
+
+function formatDefaultSessionName (date) {
+  return `Session ${date.toISOString().slice(0, 16).replace('T', ' ')}`
+}
+
+/**
+ * Validate a session name from the API. An empty name falls back to the
+ * creation date when the session is created.
+ *
+ * @param {unknown} value
+ * @returns {{ ok: boolean, value?: string, error?: string }}
+ */
+function validateSessionName (value) {
+  if (value === undefined || value === null) {
+    return { ok: true, value: '' }
+  }
+  if (typeof value !== 'string') {
+    return { ok: false, error: 'Invalid "name": expected a string.' }
   }
+  const name = value.trim()
+  if (name.length > SESSION_NAME_MAX_LENGTH) {
+    return { ok: false, error: `Invalid "name": at most ${SESSION_NAME_MAX_LENGTH} characters.` }
+  }
+  return { ok: true, value: name }
+}
 
-  const candidates = [logEntry.fullUrl, logEntry.url]
-  for (const candidate of candidates) {
-    const parsed = tryParseUrl(candidate)
-    if (parsed?.host) {
-      try {
-        Object.defineProperty(logEntry, '_hostInfo', {
-          value: parsed,
-          writable: false,
-          configurable: false,
-          enumerable: false
-        })
-      } catch {}
-      return parsed
+/**
+ * Read the metadata of a saved session.
+ *
+ * @param {string} sessionId
+ * @returns {object|null} The metadata, or null when the session does not exist.
+ */
+function readSessionMeta (sessionId) {
+  if (!SESSION_ID_PATTERN.test(sessionId)) return null
+  if (activeSession && activeSession.id === sessionId) return activeSession
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(path.join(getSessionDir(sessionId), SESSION_META_FILE), 'utf8'))
+    if (!meta || typeof meta !== 'object') return null
+    return {
+      id: sessionId,
+      name: typeof meta.name === 'string' ? meta.name : '',
+      createdAt: typeof meta.createdAt === 'string' ? meta.createdAt : '',
+      updatedAt: typeof meta.updatedAt === 'string' ? meta.updatedAt : '',
+      entryCount: Number.isFinite(meta.entryCount) ? meta.entryCount : 0,
+      sizeBytes: Number.isFinite(meta.sizeBytes) ? meta.sizeBytes : 0
+    }
+  } catch (error) {
+    if (error && error.code !== 'ENOENT') {
+      console.error(`[proxy] Error reading session ${sessionId}:`, error)
     }
+    return null
   }
+}
 
-  if (headerHost) {
-    const info = {
-      host: normalizeHost(headerHost),
-      path: '/'
+/**
+ * List saved sessions, most recent first.
+ *
+ * @returns {object[]}
+ */
+function listSessions () {
+  let names = []
+  try {
+    names = fs.readdirSync(SESSIONS_DIR)
+  } catch (error) {
+    if (error && error.code !== 'ENOENT') {
+      console.error('[proxy] Error listing sessions:', error)
     }
-    try {
-      Object.defineProperty(logEntry, '_hostInfo', {
-        value: info,
-        writable: false,
-        configurable: false,
-        enumerable: false
-      })
-    } catch {}
-    return info
+    return []
   }
 
-  return null
+  return names
+    .map(readSessionMeta)
+    .filter(Boolean)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
 }
 
-function computeBypassSuggestions ({ limit = 10, _windowSize = 500 } = {}) {
-  const cappedLimit = Math.max(1, Math.min(50, limit))
-
-  const results = Array.from(bypassSuggestionStats.values())
-    .filter(record => !bypassMatchers.some(matcher => matcher.type === 'host' && hostPatternMatches(matcher.value, record.host)))
-    .map(record => {
-      const topPaths = Array.from(record.pathCounts.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 3)
-        .map(([path, count]) => ({ path, count }))
+function writeSessionMetaSync (session) {
+  fs.writeFileSync(path.join(getSessionDir(session.id), SESSION_META_FILE), JSON.stringify(session, null, 2))
+}
 
-      return {
-        pattern: record.host,
-        count: record.count,
-        lastSeen: record.lastSeen || null,
-        samplePaths: topPaths
-      }
-    })
-    .sort((a, b) => {
-      if (b.count !== a.count) return b.count - a.count
-      if (b.lastSeen !== a.lastSeen) return (b.lastSeen || 0) - (a.lastSeen || 0)
-      return a.pattern.localeCompare(b.pattern)
+/**
+ * Queue a write to a session. Writes run one at a time so entry lines keep
+ * the order in which entries were added.
+ *
+ * @param {() => Promise<void>} task
+ */
+function queueSessionWrite (task) {
+  sessionWriteChain = sessionWriteChain
+    .then(task)
+    .catch(error => {
+      console.error('[proxy] Error writing capture session:', error)
     })
-    .slice(0, cappedLimit)
+}
 
-  return results
+function scheduleSessionMetaWrite () {
+  if (sessionMetaWriteTimer) return
+  sessionMetaWriteTimer = setTimeout(() => {
+    sessionMetaWriteTimer = null
+    if (!activeSession) return
+    const snapshot = JSON.stringify(activeSession, null, 2)
+    const metaPath = path.join(getSessionDir(activeSession.id), SESSION_META_FILE)
+    queueSessionWrite(() => fsPromises.writeFile(metaPath, snapshot))
+  }, SESSION_META_WRITE_DELAY_MS)
+  sessionMetaWriteTimer.unref()
 }
 
-function parseListQuery (value, defaultList = []) {
-  if (Array.isArray(value)) {
-    const parts = value
-      .flatMap(v => String(v || '').split(','))
-      .map(v => v.trim())
-      .filter(Boolean)
-    return parts.length ? Array.from(new Set(parts)) : [...defaultList]
+/**
+ * Create a session and make it the one new entries are appended to. The
+ * previous session keeps everything recorded so far.
+ *
+ * @param {string} [name]
+ * @returns {object} The new session metadata.
+ */
+function startNewSession (name) {
+  const now = new Date()
+  const session = {
+    id: crypto.randomUUID(),
+    name: name || formatDefaultSessionName(now),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    entryCount: 0,
+    sizeBytes: 0
   }
 
-  if (typeof value === 'string') {
-    const parts = value
-      .split(',')
-      .map(v => v.trim())
-      .filter(Boolean)
-    return parts.length ? Array.from(new Set(parts)) : [...defaultList]
+  fs.mkdirSync(path.join(getSessionDir(session.id), SESSION_BODIES_DIR), { recursive: true })
+  writeSessionMetaSync(session)
+
+  if (sessionMetaWriteTimer) {
+    clearTimeout(sessionMetaWriteTimer)
+    sessionMetaWriteTimer = null
+  }
+  if (activeSession) {
+    writeSessionMetaSync(activeSession)
   }
 
-  return [...defaultList]
+  activeSession = session
+  notifyRulesChanged('sessions')
+  pruneExpiredSessions()
+  return session
 }
 
 /**
- * Normalize a simple toggle payload coming from the UI.
- *
- * This keeps the existing default behaviour (omitted `enabled` means
- * `defaultEnabled`) but ensures that, when present, `enabled` is a boolean.
- * Invalid values produce a 400 with a clear message.
+ * Whether a session has reached the configured entry or size limit.
  *
- * @param {any} body
- * @param {boolean} defaultEnabled
- * @returns {{ ok: boolean, value: boolean, error?: string }}
+ * @param {object} session
+ * @param {number} [additionalBytes] Size of an entry about to be appended.
+ * @returns {boolean}
  */
-function validateTogglePayload (body, defaultEnabled) {
-  const source = (body && typeof body === 'object') ? body : {}
+function isSessionFull (session, additionalBytes = 0) {
+  if (SESSION_MAX_ENTRIES > 0 && session.entryCount >= SESSION_MAX_ENTRIES) return true
+  return SESSION_MAX_BYTES > 0 &&
+    session.entryCount > 0 &&
+    session.sizeBytes + additionalBytes > SESSION_MAX_BYTES
+}
 
-  if (!Object.prototype.hasOwnProperty.call(source, 'enabled')) {
-    return { ok: true, value: defaultEnabled }
+/**
+ * Whether a session was last written to more than SESSION_RETENTION_DAYS ago.
+ *
+ * @param {object} session
+ * @returns {boolean}
+ */
+function isSessionExpired (session) {
+  if (!(SESSION_RETENTION_DAYS > 0)) return false
+  const lastWrite = Date.parse(session.updatedAt || session.createdAt)
+  return Number.isFinite(lastWrite) &&
+    lastWrite < Date.now() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Delete expired saved sessions. The active session is always kept.
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneExpiredSessions () {
+  const expired = listSessions().filter(session =>
+    !(activeSession && session.id === activeSession.id) && isSessionExpired(session))
+  if (expired.length === 0) return
+
+  for (const session of expired) {
+    try {
+      await fsPromises.rm(getSessionDir(session.id), { recursive: true, force: true })
+      if (openedSessionCache && openedSessionCache.id === session.id) {
+        openedSessionCache = null
+      }
+    } catch (error) {
+      console.error(`[proxy] Error deleting expired session ${session.id}:`, error)
+    }
   }
+  notifyRulesChanged('sessions')
+}
 
-  const { enabled } = source
+/**
+ * Copy a header map with credential values replaced, or return it as is when
+ * there is nothing to redact.
+ *
+ * @param {unknown} headers
+ * @returns {unknown}
+ */
+function redactSessionHeaders (headers) {
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) return headers
+  let redacted = null
+  for (const name of Object.keys(headers)) {
+    if (!SESSION_REDACTED_HEADERS.has(name.toLowerCase())) continue
+    redacted = redacted || { ...headers }
+    redacted[name] = Array.isArray(headers[name])
+      ? headers[name].map(() => SESSION_REDACTED_VALUE)
+      : SESSION_REDACTED_VALUE
+  }
+  return redacted || headers
+}
 
-  if (typeof enabled === 'boolean') {
-    return { ok: true, value: enabled }
+/**
+ * Append a log entry to the active session. The entry is serialised right
+ * away because it may still be evicted or cleared before the write runs.
+ *
+ * @param {object} logEntry
+ * @param {{ isUpdate?: boolean }} [options] Updates append a new entry line
+ *   and keep the body file written with the first one.
+ */
+function persistLogEntryToSession (logEntry, { isUpdate = false } = {}) {
+  if (!activeSession || !logEntry || typeof logEntry !== 'object') return
+
+  // An update belongs to the session that holds the entry's first line.
+  const updatedSessionId = isUpdate ? sessionIdByLogEntry.get(logEntry) : null
+  if (isUpdate && !updatedSessionId) return
+
+  const record = {}
+  const bodies = {}
+  let hasBodies = false
+  for (const [key, value] of Object.entries(logEntry)) {
+    if (SESSION_BODY_FIELDS.has(key) && value !== null && value !== undefined) {
+      bodies[key] = value
+      hasBodies = true
+    } else {
+      record[key] = value
+    }
+  }
+  for (const [field, searchField] of SESSION_HEADER_FIELDS) {
+    const redacted = redactSessionHeaders(record[field])
+    if (redacted === record[field]) continue
+    record[field] = redacted
+    if (searchField && typeof record[searchField] === 'string') {
+      record[searchField] = buildJsonSearchSnapshot(redacted)
+    }
   }
 
-  return {
-    ok: false,
-    value: defaultEnabled,
-    error: 'Invalid "enabled" flag: expected a boolean.'
+  const bodyFile = hasBodies ? getSessionBodyFileName(logEntry) : null
+  if (bodyFile) {
+    record.sessionBodyFile = bodyFile
   }
-}
 
-function handleBooleanToggleEndpoint ({ req, res, assignValue, responseFieldName, defaultEnabled = true }) {
-  const result = validateTogglePayload(req.body, defaultEnabled)
-  if (!result.ok) {
-    return res.status(400).json({ error: result.error })
+  let line
+  let bodyPayload = null
+  try {
+    line = `${JSON.stringify(record)}\n`
+    if (bodyFile && !isUpdate) {
+      bodyPayload = JSON.stringify(bodies)
+    }
+  } catch (error) {
+    logDebug('sessions', 'Failed to serialise log entry', error)
+    return
   }
 
-  assignValue(result.value)
-  persistConfig()
+  const writtenBytes = Buffer.byteLength(line) + (bodyPayload ? Buffer.byteLength(bodyPayload) : 0)
+  if (!isUpdate && isSessionFull(activeSession, writtenBytes)) {
+    try {
+      startNewSession()
+    } catch (error) {
+      console.error('[proxy] Error starting a new session:', error)
+    }
+  }
 
-  const payload = { success: true }
-  payload[responseFieldName] = result.value
-  return res.json(payload)
+  const sessionId = updatedSessionId || activeSession.id
+  if (!isUpdate) {
+    activeSession.entryCount += 1
+    sessionIdByLogEntry.set(logEntry, sessionId)
+  }
+  // Lines added to a closed session are not counted against the active one.
+  if (sessionId === activeSession.id) {
+    activeSession.sizeBytes += writtenBytes
+    activeSession.updatedAt = new Date().toISOString()
+    scheduleSessionMetaWrite()
+  }
+
+  const sessionDir = getSessionDir(sessionId)
+  queueSessionWrite(async () => {
+    if (bodyPayload) {
+      await fsPromises.writeFile(path.join(sessionDir, SESSION_BODIES_DIR, bodyFile), bodyPayload)
+    }
+    await fsPromises.appendFile(path.join(sessionDir, SESSION_ENTRIES_FILE), line)
+  })
 }
 
 /**
- * Build a textual search snapshot for Connect/gRPC frame data stored in a
- * log entry. This is used only for search indexing; the full structured
- * frame data remains in connectRequest/connectResponse.
- *
- * To keep this affordable for long-lived streams with many frames, we:
- * - Apply a max-size guard based on SEARCH_SNAPSHOT_MAX_BYTES.
- * - Prefer human-readable fields (preview/note/error/json) and omit raw
- *   base64 data from the snapshot.
+ * Read the entries of a session without their bodies, newest first like
+ * requestLogs. Unreadable lines (e.g. a line cut short by a crash) are
+ * skipped.
  *
- * @param {object|null} connectData
- * @returns {string}
+ * @param {string} sessionId
+ * @returns {Promise<object[]>}
  */
-function buildConnectSearchContentForLog (connectData) {
-  if (!connectData || typeof connectData !== 'object') return ''
-
-  const maxBytes = Number.isFinite(SEARCH_SNAPSHOT_MAX_BYTES) && SEARCH_SNAPSHOT_MAX_BYTES > 0
-    ? SEARCH_SNAPSHOT_MAX_BYTES
-    : 0
+async function readSessionEntries (sessionId) {
+  const entriesPath = path.join(getSessionDir(sessionId), SESSION_ENTRIES_FILE)
+  if (!fs.existsSync(entriesPath)) return []
+
+  const byId = new Map()
+  const lines = readline.createInterface({
+    input: fs.createReadStream(entriesPath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  })
 
-  const parts = []
-  let totalLength = 0
-  let truncated = false
+  for await (const line of lines) {
+    if (!line) continue
+    try {
+      const entry = JSON.parse(line)
+      if (entry && typeof entry === 'object' && entry.id !== undefined) {
+        byId.set(String(entry.id), entry)
+      }
+    } catch {
+      logDebug('sessions', `Skipping unreadable line in session ${sessionId}`)
+    }
+  }
 
-  const appendSegment = (value) => {
-    if (truncated || !value) return
-    const text = String(value)
-    if (!text) return
+  return Array.from(byId.values()).reverse()
+}
 
-    if (!maxBytes) {
-      parts.push(text)
-      return
+/**
+ * Read the newest entries of a session without their bodies, newest first
+ * like readSessionEntries, reading the entries file backwards so only its
+ * tail is loaded. The newest line for each id wins and entries keep the
+ * order of their first line.
+ *
+ * @param {string} sessionId
+ * @param {number} limit - Maximum number of entries to return.
+ * @returns {Promise<object[]>}
+ */
+async function readSessionEntryTail (sessionId, limit) {
+  const entriesPath = path.join(getSessionDir(sessionId), SESSION_ENTRIES_FILE)
+  if (limit <= 0 || !fs.existsSync(entriesPath)) return []
+
+  /** @type {Map<string, { entry: object, order: number }>} */
+  const byId = new Map()
+  let order = 0
+  const takeLine = line => {
+    if (!line) return
+    order += 1
+    try {
+      const entry = JSON.parse(line)
+      if (!entry || typeof entry !== 'object' || entry.id === undefined) return
+      const id = String(entry.id)
+      const seen = byId.get(id)
+      if (seen) {
+        seen.order = order
+      } else {
+        byId.set(id, { entry, order })
+      }
+    } catch {
+      logDebug('sessions', `Skipping unreadable line in session ${sessionId}`)
     }
+  }
 
-    const remaining = maxBytes - totalLength
-    if (remaining <= 0) {
-      truncated = true
-      return
+  const handle = await fsPromises.open(entriesPath, 'r')
+  try {
+    const { size } = await handle.stat()
+    const buffer = Buffer.alloc(SESSION_TAIL_CHUNK_BYTES)
+    let position = size
+    // Bytes of a line that starts before the chunk read so far.
+    let partial = Buffer.alloc(0)
+
+    while (position > 0 && byId.size < limit) {
+      const length = Math.min(SESSION_TAIL_CHUNK_BYTES, position)
+      position -= length
+      await handle.read(buffer, 0, length, position)
+      let chunk = Buffer.concat([buffer.subarray(0, length), partial])
+
+      let newline = chunk.lastIndexOf(0x0a)
+      while (newline !== -1 && byId.size < limit) {
+        takeLine(chunk.toString('utf8', newline + 1))
+        chunk = chunk.subarray(0, newline)
+        newline = chunk.lastIndexOf(0x0a)
+      }
+      partial = Buffer.from(chunk)
     }
-
-    if (text.length <= remaining) {
-      parts.push(text)
-      totalLength += text.length
-      return
+    if (position === 0 && byId.size < limit) {
+      takeLine(partial.toString('utf8'))
     }
+  } finally {
+    await handle.close()
+  }
 
-    parts.push(text.slice(0, remaining))
-    totalLength += remaining
-    truncated = true
+  return Array.from(byId.values())
+    .sort((a, b) => a.order - b.order)
+    .map(item => item.entry)
+}
+
+/**
+ * Return a copy of a stored session entry with its body fields loaded.
+ *
+ * @param {string} sessionId
+ * @param {object} entry
+ * @returns {Promise<object>}
+ */
+async function hydrateSessionEntry (sessionId, entry) {
+  if (!entry || typeof entry.sessionBodyFile !== 'string') return entry
+
+  const { sessionBodyFile, ...rest } = entry
+  const bodyPath = path.join(getSessionDir(sessionId), SESSION_BODIES_DIR, path.basename(sessionBodyFile))
+  try {
+    return { ...rest, ...JSON.parse(await fsPromises.readFile(bodyPath, 'utf8')) }
+  } catch (error) {
+    logDebug('sessions', `Failed to read body file ${bodyPath}`, error)
+    return rest
   }
+}
 
-  const collectFromFrames = (frames) => {
-    if (!Array.isArray(frames) || !frames.length || truncated) return
+/**
+ * Load bodies for a list of session entries. Files are read one at a time
+ * so exporting a large session does not exhaust file descriptors.
+ *
+ * @param {string} sessionId
+ * @param {object[]} entries
+ * @returns {Promise<object[]>}
+ */
+async function hydrateSessionEntries (sessionId, entries) {
+  const hydrated = []
+  for (const entry of entries) {
+    hydrated.push(await hydrateSessionEntry(sessionId, entry))
+  }
+  return hydrated
+}
 
-    for (const frame of frames) {
-      if (truncated) break
-      if (!frame || typeof frame !== 'object') continue
+/**
+ * Continue the most recent session after a restart and refill the log
+ * buffer with its newest entries. Without any session, or when the most
+ * recent one has expired or is full, a new one is started. Expired sessions
+ * are deleted.
+ */
+async function restoreActiveSession () {
+  if (!SESSION_PERSISTENCE_ENABLED) return
 
-      // Prefer human-readable fields for search.
-      if (frame.preview) appendSegment(frame.preview)
-      if (frame.note) appendSegment(frame.note)
-      if (frame.error) appendSegment(frame.error)
+  try {
+    const latest = listSessions()[0]
+    if (!latest || isSessionExpired(latest)) {
+      startNewSession()
+      return
+    }
 
-      if (frame.json) {
-        try {
-          appendSegment(JSON.stringify(frame.json))
-        } catch {}
+    if (!latest.sizeBytes) {
+      // Sessions written before sizes were tracked: count the entries file.
+      try {
+        latest.sizeBytes = (await fsPromises.stat(path.join(getSessionDir(latest.id), SESSION_ENTRIES_FILE))).size
+      } catch {
+        // No entries written yet
       }
+    }
 
-      // Intentionally skip frame.dataBase64 here to avoid huge base64
-      // blobs in the search index. The full data remains available on the
-      // underlying frame structure.
+    // Set it active before reading so traffic arriving meanwhile is kept.
+    activeSession = latest
+    if (isSessionFull(latest)) {
+      startNewSession()
+    } else {
+      pruneExpiredSessions()
+    }
+
+    const entries = await readSessionEntryTail(latest.id, MAX_LOG_ENTRIES)
+    const present = new Set(requestLogs.map(entry => String(entry.id)))
+    const restored = entries
+      .filter(entry => !present.has(String(entry.id)))
+      .slice(0, Math.max(0, MAX_LOG_ENTRIES - requestLogs.length))
+
+    for (const stored of restored) {
+      const entry = await hydrateSessionEntry(latest.id, stored)
+      requestLogs.push(entry)
+      storedLogEntries.add(entry)
+      updateSuggestionStatsOnAdd(entry)
+      applyDashboardStatsDelta(entry, 1)
     }
+
+    if (restored.length > 0) {
+      broadcastLiveEvent('logs', 'logs-cleared', {})
+      scheduleLiveSnapshot('dashboard')
+      scheduleLiveSnapshot('suggestions')
+    }
+  } catch (error) {
+    console.error('[proxy] Error restoring capture session:', error)
   }
+}
 
-  // Prefer searching over the pre-rewrite (original) frames, but also include
-  // the final transformed frames so searches can hit both views.
-  if (Array.isArray(connectData.originalFrames) && connectData.originalFrames.length) {
-    collectFromFrames(connectData.originalFrames)
+/**
+ * Find a log entry in the live buffer or, when `source` is a saved session,
+ * in that session with its bodies loaded.
+ *
+ * @param {{ logs: object[], sessionId: string|null }} source - As resolved by resolveLogSource.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function findLogEntryInSource (source, id) {
+  if (!source.sessionId) return findLogEntryById(id)
+  const entry = source.logs.find(item => item && String(item.id) === String(id))
+  return entry ? hydrateSessionEntry(source.sessionId, entry) : null
+}
+
+/**
+ * Pick the logs a /api/logs style query runs against: the live buffer, or
+ * a saved session selected with `?session=<id>`.
+ *
+ * @param {object} [query]
+ * @returns {Promise<{ ok: boolean, value?: { logs: object[], sessionId: string|null }, status?: number, error?: string }>}
+ */
+async function resolveLogSource (query = {}) {
+  const sessionId = typeof query.session === 'string' ? query.session.trim() : ''
+  if (!sessionId || (activeSession && sessionId === activeSession.id)) {
+    return { ok: true, value: { logs: requestLogs, sessionId: null } }
   }
 
-  if (!truncated && Array.isArray(connectData.frames) && connectData.frames.length) {
-    collectFromFrames(connectData.frames)
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    return { ok: false, status: 400, error: 'Invalid "session": expected a session id.' }
+  }
+  if (!readSessionMeta(sessionId)) {
+    return { ok: false, status: 404, error: 'Session not found.' }
   }
 
-  if (!parts.length) return ''
+  if (!openedSessionCache || openedSessionCache.id !== sessionId) {
+    openedSessionCache = { id: sessionId, logs: await readSessionEntries(sessionId) }
+  }
+  return { ok: true, value: { logs: openedSessionCache.logs, sessionId } }
+}
 
-  return parts.join('\n')
+function ensureLiveEventHeartbeat () {
+  if (liveEventHeartbeatTimer) return
+  // Comment lines keep idle connections open through proxies and let us
+  // notice clients that went away without closing the socket.
+  liveEventHeartbeatTimer = setInterval(() => {
+    if (liveEventClients.size === 0) {
+      clearInterval(liveEventHeartbeatTimer)
+      liveEventHeartbeatTimer = null
+      return
+    }
+    for (const client of liveEventClients) {
+      client.res.write(': keep-alive\n\n')
+    }
+  }, LIVE_EVENT_HEARTBEAT_MS)
+  liveEventHeartbeatTimer.unref()
 }
 
-function getFileTypeFromLogEntry (log) {
-  const contentType = (log && log.responseHeaders)
-    ? (getHeaderCaseInsensitive(log.responseHeaders, 'content-type') || '')
-    : ''
-  const url = ((log && (log.fullUrl || log.url)) || '').toString().toLowerCase()
+/**
+ * Classify an upstream error into a coarse category for diagnostics.
+ * This is intentionally conservative and based on the error's code/name/
+ * message without depending on Undici internals.
+ *
+ * @param {Error & { code?: string, name?: string, type?: string }} error
+ * @returns {string} One of: 'timeout', 'aborted', 'connection', 'protocol', 'upstream', 'unknown'.
+ */
+function classifyUpstreamError (error) {
+  if (!error || typeof error !== 'object') return 'unknown'
 
-  if (contentType.includes('json')) return 'json'
-  if (contentType.includes('html')) return 'html'
-  if (contentType.includes('css')) return 'css'
-  if (contentType.includes('javascript')) return 'js'
-  if (contentType.includes('image/')) return 'image'
-  if (contentType.includes('video/')) return 'video'
-  if (contentType.includes('audio/')) return 'audio'
+  const code = typeof error.code === 'string' ? error.code.toUpperCase() : ''
+  const name = typeof error.name === 'string' ? error.name.toUpperCase() : ''
+  const type = typeof error.type === 'string' ? error.type.toUpperCase() : ''
+  const message = typeof error.message === 'string' ? error.message.toUpperCase() : ''
 
-  const fontExtensions = ['.woff', '.woff2', '.ttf', '.otf', '.eot']
-  if (contentType.includes('font/') || fontExtensions.some(ext => url.endsWith(ext))) return 'font'
+  const combined = `${code} ${name} ${type} ${message}`
 
-  // If bodies are structured objects, treat them as JSON for cosmetic purposes
-  if (log && (typeof log.responseBody === 'object' && log.responseBody !== null)) return 'json'
-  if (log && (typeof log.body === 'object' && log.body !== null)) return 'json'
+  if (combined.includes('TIMEOUT')) return 'timeout'
+  if (combined.includes('ABORT') || combined.includes('CANCEL')) return 'aborted'
 
-  // Best-effort JSON detection on string bodies when content-type is missing or generic
-  const tryLooksLikeJsonString = (value) => {
-    if (!value || typeof value !== 'string') return false
-    if (value.includes('[Binary')) return false
-    const trimmed = value.trim()
-    if (!trimmed || (trimmed[0] !== '{' && trimmed[0] !== '[')) return false
-    try {
-      JSON.parse(trimmed)
-      return true
-    } catch {
-      return false
-    }
+  if (code.startsWith('E') && (
+    code.includes('CONN') ||
+    code.includes('REFUSED') ||
+    code.includes('RESET') ||
+    code.includes('UNREACH') ||
+    code.includes('PIPE') ||
+    code.includes('ADDR')
+  )) {
+    return 'connection'
   }
 
-  if (log) {
-    if (tryLooksLikeJsonString(log.responseBody)) return 'json'
-    if (tryLooksLikeJsonString(log.body)) return 'json'
+  if (combined.includes('PROTOCOL') || combined.includes('HTTP_PARSER') || combined.includes('UND_ERR')) {
+    return 'protocol'
   }
 
-  return 'other'
+  // Default bucket for other upstream failures.
+  return 'upstream'
 }
 
-function buildConnectViewForClient (connectData) {
-  if (!connectData || typeof connectData !== 'object') return null
+/**
+ * Record an upstream error on a log entry in a consistent way.
+ *
+ * @param {object|null} logEntry
+ * @param {Error & { code?: string, name?: string, type?: string }} error
+ */
+function recordUpstreamErrorOnLog (logEntry, error) {
+  if (!logEntry || typeof logEntry !== 'object') return
 
-  const mapFrames = (frames) => {
-    if (!Array.isArray(frames)) return []
-    return frames
-      .map((frame, idx) => {
-        if (!frame || typeof frame !== 'object') return null
-        const frameIndex = typeof frame.index === 'number' ? frame.index : idx
+  logEntry.source = 'error'
+  logEntry.error = error && error.message ? error.message : String(error)
 
-        return {
-          index: frameIndex,
-          length: frame.length,
-          compressed: !!frame.compressed,
-          endStream: !!frame.endStream,
-          frameDecompressed: !!frame.frameDecompressed,
-          preview: typeof frame.preview === 'string' ? frame.preview : '',
-          json: frame.json ?? null,
-          note: frame.note ?? null,
-          error: frame.error ?? null
-        }
-      })
-      .filter(Boolean)
+  if (typeof logEntry.upstreamDurationMs !== 'number') {
+    const startTs =
+      typeof logEntry.requestStartTs === 'number'
+        ? logEntry.requestStartTs
+        : (logEntry.timestamp ? Date.parse(logEntry.timestamp) || Date.now() : Date.now())
+    logEntry.upstreamDurationMs = Date.now() - startTs
   }
 
-  return {
-    contentType: connectData.contentType || null,
-    envelope: !!connectData.envelope,
-    frameCount: typeof connectData.frameCount === 'number'
-      ? connectData.frameCount
-      : (Array.isArray(connectData.frames) ? connectData.frames.length : 0),
-    frames: mapFrames(connectData.frames),
-    originalFrames: mapFrames(connectData.originalFrames)
-  }
+  logEntry.upstreamErrorCategory = classifyUpstreamError(error)
+  addLog(logEntry)
 }
 
-function buildClientLogView (log) {
-  if (!log || typeof log !== 'object') return null
+function extractHostInfoFromLog (logEntry) {
+  if (!logEntry || typeof logEntry !== 'object') return null
 
-  const view = {
-    id: log.id,
-    timestamp: log.timestamp,
-    method: log.method,
-    url: log.url,
-    fullUrl: log.fullUrl,
-    source: log.source,
-    statusCode: log.statusCode,
-    direction: log.direction,
-    responseSize: log.responseSize,
-    error: log.error,
-    localResource: log.localResource,
-    targetUrl: log.targetUrl,
-    fileType: getFileTypeFromLogEntry(log)
+  if (logEntry._hostInfo && logEntry._hostInfo.host) {
+    return logEntry._hostInfo
   }
 
-  // Expose upstream performance metrics (used by the hidden audit panel).
-  if (typeof log.upstreamDurationMs === 'number') {
-    view.upstreamDurationMs = log.upstreamDurationMs
-  }
-  if (typeof log.upstreamErrorCategory === 'string' && log.upstreamErrorCategory) {
-    view.upstreamErrorCategory = log.upstreamErrorCategory
-  }
+  const headerHost = typeof logEntry.headers?.host === 'string'
+    ? logEntry.headers.host.toLowerCase()
+    : null
 
-  // Per-request timing metrics
-  if (typeof log.requestStartTs === 'number') {
-    view.requestStartTs = log.requestStartTs
-  }
-  if (typeof log.totalDurationMs === 'number') {
-    view.totalDurationMs = log.totalDurationMs
-  }
-  if (typeof log.proxyOverheadMs === 'number') {
-    view.proxyOverheadMs = log.proxyOverheadMs
+  const normalizeHost = (host) => {
+    if (!host) return null
+    return host.toLowerCase().split(':')[0]
   }
 
-  // Payload size metrics
-  if (typeof log.requestBytes === 'number') {
-    view.requestBytes = log.requestBytes
-  }
-  if (typeof log.responseBytes === 'number') {
-    view.responseBytes = log.responseBytes
-  }
+  const tryParseUrl = (candidate) => {
+    if (!candidate || typeof candidate !== 'string') return null
+    const trimmed = candidate.trim()
+    if (!trimmed) return null
 
-  // Rewrite usage summary
-  if (typeof log.rewriteCount === 'number') {
-    view.rewriteCount = log.rewriteCount
+    try {
+      const parsed = new URL(trimmed)
+      return {
+        host: normalizeHost(parsed.hostname),
+        path: parsed.pathname || '/'
+      }
+    } catch (error) {
+      if (headerHost && trimmed.startsWith('/')) {
+        try {
+          const parsed = new URL(`http://${headerHost}${trimmed}`)
+          return {
+            host: normalizeHost(parsed.hostname),
+            path: parsed.pathname || '/'
+          }
+        } catch (innerError) {
+          return null
+        }
+      } else if (!trimmed.includes('://')) {
+        try {
+          const parsed = new URL(`http://${trimmed}`)
+          return {
+            host: normalizeHost(parsed.hostname),
+            path: parsed.pathname || '/'
+          }
+        } catch (innerError) {
+          return null
+        }
+      }
+    }
+    return null
   }
 
-  if (typeof log.connectionId !== 'undefined') {
-    view.connectionId = log.connectionId
-  }
-  if (log.isConnectionLog) {
-    view.isConnectionLog = true
+  const candidates = [logEntry.fullUrl, logEntry.url]
+  for (const candidate of candidates) {
+    const parsed = tryParseUrl(candidate)
+    if (parsed?.host) {
+      try {
+        Object.defineProperty(logEntry, '_hostInfo', {
+          value: parsed,
+          writable: false,
+          configurable: false,
+          enumerable: false
+        })
+      } catch {}
+      return parsed
+    }
   }
-  if (log.isWebSocketSummary) {
-    view.isWebSocketSummary = true
+
+  if (headerHost) {
+    const info = {
+      host: normalizeHost(headerHost),
+      path: '/'
+    }
+    try {
+      Object.defineProperty(logEntry, '_hostInfo', {
+        value: info,
+        writable: false,
+        configurable: false,
+        enumerable: false
+      })
+    } catch {}
+    return info
   }
 
-  if (log.headers) view.headers = log.headers
-  if (log.responseHeaders) view.responseHeaders = log.responseHeaders
+  return null
+}
 
-  if ('body' in log) view.body = log.body
-  if ('responseBody' in log) view.responseBody = log.responseBody
-  if (typeof log.requestBodyJson !== 'undefined') {
-    view.requestBodyJson = log.requestBodyJson
-  }
-  if (typeof log.responseBodyJson !== 'undefined') {
-    view.responseBodyJson = log.responseBodyJson
-  }
-  if (typeof log.originalBody === 'string' && log.originalBody.length > 0) {
-    view.originalBody = log.originalBody
-  }
-  if (log.requestBodySummary) view.requestBodySummary = log.requestBodySummary
-  if (log.responseBodySummary) view.responseBodySummary = log.responseBodySummary
+function computeBypassSuggestions ({ limit = 10, _windowSize = 500 } = {}) {
+  const cappedLimit = Math.max(1, Math.min(50, limit))
 
-  if (typeof log.rawRequestBodyPreview === 'string' && log.rawRequestBodyPreview.length > 0) {
-    view.rawRequestBodyPreview = log.rawRequestBodyPreview
-  }
-  if (typeof log.rawResponseBodyPreview === 'string' && log.rawResponseBodyPreview.length > 0) {
-    view.rawResponseBodyPreview = log.rawResponseBodyPreview
-  }
+  const results = Array.from(bypassSuggestionStats.values())
+    .filter(record => !bypassMatchers.some(matcher => matcher.type === 'host' && hostPatternMatches(matcher.value, record.host)))
+    .map(record => {
+      const topPaths = Array.from(record.pathCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([path, count]) => ({ path, count }))
 
-  if (log.connectRequest) {
-    view.connectRequest = buildConnectViewForClient(log.connectRequest)
-  }
-  if (log.connectResponse) {
-    view.connectResponse = buildConnectViewForClient(log.connectResponse)
-  }
+      return {
+        pattern: record.host,
+        count: record.count,
+        lastSeen: record.lastSeen || null,
+        samplePaths: topPaths
+      }
+    })
+    .sort((a, b) => {
+      if (b.count !== a.count) return b.count - a.count
+      if (b.lastSeen !== a.lastSeen) return (b.lastSeen || 0) - (a.lastSeen || 0)
+      return a.pattern.localeCompare(b.pattern)
+    })
+    .slice(0, cappedLimit)
 
-  if (log.connectSummary && typeof log.connectSummary === 'object') {
-    view.connectSummary = log.connectSummary
-  }
+  return results
+}
 
-  if (log.wsSummary && typeof log.wsSummary === 'object') {
-    view.wsSummary = log.wsSummary
+function parseListQuery (value, defaultList = []) {
+  if (Array.isArray(value)) {
+    const parts = value
+      .flatMap(v => String(v || '').split(','))
+      .map(v => v.trim())
+      .filter(Boolean)
+    return parts.length ? Array.from(new Set(parts)) : [...defaultList]
   }
 
-  if (Array.isArray(log.rewrites) && log.rewrites.length > 0) {
-    view.rewrites = log.rewrites
+  if (typeof value === 'string') {
+    const parts = value
+      .split(',')
+      .map(v => v.trim())
+      .filter(Boolean)
+    return parts.length ? Array.from(new Set(parts)) : [...defaultList]
   }
 
-  return view
+  return [...defaultList]
 }
 
 /**
- * Core log filtering implementation used by /api/logs and /api/logs/export.
+ * Normalize a simple toggle payload coming from the UI.
  *
- * Applies text search, body/header search snapshots, source/method/fileType
- * filters and respects ALWAYS_INCLUDED_SOURCES for local/blocked/error
- * entries.
+ * This keeps the existing default behaviour (omitted `enabled` means
+ * `defaultEnabled`) but ensures that, when present, `enabled` is a boolean.
+ * Invalid values produce a 400 with a clear message.
  *
- * @param {object} [query]
- * @returns {{ ordered: any[], total: number }}
+ * @param {any} body
+ * @param {boolean} defaultEnabled
+ * @returns {{ ok: boolean, value: boolean, error?: string }}
  */
-function filterLogsCore (query = {}) {
-  const searchTerm = typeof query.search === 'string' ? query.search : ''
-  const requestBodySearch = typeof query.requestSearch === 'string' ? query.requestSearch : ''
-  const responseSearchTerm = typeof query.responseSearch === 'string' ? query.responseSearch : ''
+function validateTogglePayload (body, defaultEnabled) {
+  const source = (body && typeof body === 'object') ? body : {}
 
-  const selectedSources = parseListQuery(query.sources, ['proxied', 'mitm', 'websocket'])
-  const selectedMethods = parseListQuery(query.methods, ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'])
-  const selectedFileTypes = parseListQuery(query.fileTypes, ['json', 'html', 'css', 'js', 'image', 'video', 'audio', 'font', 'other'])
+  if (!Object.prototype.hasOwnProperty.call(source, 'enabled')) {
+    return { ok: true, value: defaultEnabled }
+  }
 
-  const showWsConnections = String(query.showWsConnections || '').toLowerCase() === 'true'
-
-  const requestRewrittenOnly = String(query.requestRewrittenOnly || '').toLowerCase() === 'true'
-  const responseRewrittenOnly = String(query.responseRewrittenOnly || '').toLowerCase() === 'true'
-
-  const requestBodySearchLower = requestBodySearch.toLowerCase()
-  const responseSearchLower = responseSearchTerm.toLowerCase()
-
-  // Use the precomputed blockedUrlSubstringsForFilter list so we don't
-  // rebuild the pattern set on every /api/logs call.
-  const patterns = Array.isArray(blockedUrlSubstringsForFilter)
-    ? blockedUrlSubstringsForFilter
-    : []
-
-  // Precompute search OR-groups once per API call so we do not repeatedly
-  // split and trim the same search term for every log entry.
-  const searchOrGroups = searchTerm
-    ? searchTerm
-        .split('||')
-        .map(group => group.trim())
-        .filter(group => group)
-    : []
+  const { enabled } = source
 
-  const filtered = requestLogs.filter(log => {
-    const urlString = ((log && (log.fullUrl || log.url)) || '').toString()
+  if (typeof enabled === 'boolean') {
+    return { ok: true, value: enabled }
+  }
 
-    // Hide any entries whose URL matches a blocked rule pattern (enabled or
-    // disabled) so that the Requests view stays focused on traffic that has
-    // not already been handled by the user. The blocked rules list acts as a
-    // global noise filter for telemetry/analytics endpoints regardless of the
-    // current "enabled" flag, while the routing engine itself still only
-    // blocks requests when the corresponding rule is enabled.
-    if (patterns.length > 0 && patterns.some(pattern => urlString.includes(pattern))) {
-      return false
-    }
+  return {
+    ok: false,
+    value: defaultEnabled,
+    error: 'Invalid "enabled" flag: expected a boolean.'
+  }
+}
 
-    if (!showWsConnections && log && log.isConnectionLog) {
-      return false
-    }
+function handleBooleanToggleEndpoint ({ req, res, assignValue, responseFieldName, defaultEnabled = true }) {
+  const result = validateTogglePayload(req.body, defaultEnabled)
+  if (!result.ok) {
+    return res.status(400).json({ error: result.error })
+  }
 
-    const matchesSearch = searchTerm === '' || (() => {
-      const searchableText =
-        (log && typeof log.searchBase === 'string' && log.searchBase.length)
-          ? log.searchBase
-          : [
-              log.url,
-              log.method,
-              log.targetUrl || '',
-              log.localResource || ''
-            ].join(' ').toLowerCase()
+  assignValue(result.value)
+  persistConfig()
 
-      if (searchOrGroups.length === 0) return true
+  const payload = { success: true }
+  payload[responseFieldName] = result.value
+  return res.json(payload)
+}
 
-      const groupMatches = (group) => {
-        const rawTerms = group.split(';').map(t => t.trim()).filter(t => t)
-        if (rawTerms.length === 0) return true
+/**
+ * Build a textual search snapshot for Connect/gRPC frame data stored in a
+ * log entry. This is used only for search indexing; the full structured
+ * frame data remains in connectRequest/connectResponse.
+ *
+ * To keep this affordable for long-lived streams with many frames, we:
+ * - Apply a max-size guard based on SEARCH_SNAPSHOT_MAX_BYTES.
+ * - Prefer human-readable fields (preview/note/error/json) and omit raw
+ *   base64 data from the snapshot.
+ *
+ * @param {object|null} connectData
+ * @returns {string}
+ */
+function buildConnectSearchContentForLog (connectData) {
+  if (!connectData || typeof connectData !== 'object') return ''
 
-        return rawTerms.every(term => {
-          if (!term) return true
-          if (term.startsWith('!')) {
-            const negatedTerm = term.substring(1).toLowerCase()
-            return !searchableText.includes(negatedTerm)
-          }
-          return searchableText.includes(term.toLowerCase())
-        })
-      }
+  const maxBytes = Number.isFinite(SEARCH_SNAPSHOT_MAX_BYTES) && SEARCH_SNAPSHOT_MAX_BYTES > 0
+    ? SEARCH_SNAPSHOT_MAX_BYTES
+    : 0
 
-      return searchOrGroups.some(groupMatches)
-    })()
+  const parts = []
+  let totalLength = 0
+  let truncated = false
 
-    if (!matchesSearch) return false
+  const appendSegment = (value) => {
+    if (truncated || !value) return
+    const text = String(value)
+    if (!text) return
 
-    let requestSearchContentLower = (log && typeof log.requestSearchContent === 'string')
-      ? log.requestSearchContent
-      : ''
-    let headersSearchLower = (log && typeof log.headersSearch === 'string')
-      ? log.headersSearch
-      : ''
+    if (!maxBytes) {
+      parts.push(text)
+      return
+    }
 
-    const matchesRequestBodySearch = requestBodySearch === '' || (
-      (requestSearchContentLower && requestSearchContentLower.includes(requestBodySearchLower)) ||
-      (headersSearchLower && headersSearchLower.includes(requestBodySearchLower))
-    )
+    const remaining = maxBytes - totalLength
+    if (remaining <= 0) {
+      truncated = true
+      return
+    }
 
-    if (!matchesRequestBodySearch) return false
+    if (text.length <= remaining) {
+      parts.push(text)
+      totalLength += text.length
+      return
+    }
 
-    // Response body/headers search snapshot (cached when available)
-    let responseSearchContentLower = (log && typeof log.responseSearchContent === 'string')
-      ? log.responseSearchContent
-      : ''
-    let responseHeadersSearchLower = (log && typeof log.responseHeadersSearch === 'string')
-      ? log.responseHeadersSearch
-      : ''
+    parts.push(text.slice(0, remaining))
+    totalLength += remaining
+    truncated = true
+  }
 
-    const matchesResponseBodySearch = responseSearchTerm === '' || (
-      (responseSearchContentLower && responseSearchContentLower.includes(responseSearchLower)) ||
-      (responseHeadersSearchLower && responseHeadersSearchLower.includes(responseSearchLower))
-    )
+  const collectFromFrames = (frames) => {
+    if (!Array.isArray(frames) || !frames.length || truncated) return
 
-    if (!matchesResponseBodySearch) return false
+    for (const frame of frames) {
+      if (truncated) break
+      if (!frame || typeof frame !== 'object') continue
 
-    // Optional filters: only include logs where rewrites touched the
-    // request and/or response side. We infer this from the enriched
-    // rewrite metadata attached to each log entry.
-    if (requestRewrittenOnly || responseRewrittenOnly) {
-      let hasRequestRewrite = false
-      let hasResponseRewrite = false
+      // Prefer human-readable fields for search.
+      if (frame.preview) appendSegment(frame.preview)
+      if (frame.note) appendSegment(frame.note)
+      if (frame.error) appendSegment(frame.error)
 
-      if (Array.isArray(log.rewrites) && log.rewrites.length > 0) {
-        for (const rewrite of log.rewrites) {
-          if (!rewrite) continue
-          const target = typeof rewrite.target === 'string' ? rewrite.target : 'request'
-          if (target === 'request' || target === 'both') hasRequestRewrite = true
-          if (target === 'response' || target === 'both') hasResponseRewrite = true
-          if (hasRequestRewrite && hasResponseRewrite) break
-        }
+      if (frame.json) {
+        try {
+          appendSegment(JSON.stringify(frame.json))
+        } catch {}
       }
 
-      if (requestRewrittenOnly && !hasRequestRewrite) return false
-      if (responseRewrittenOnly && !hasResponseRewrite) return false
+      // Intentionally skip frame.dataBase64 here to avoid huge base64
+      // blobs in the search index. The full data remains available on the
+      // underlying frame structure.
     }
+  }
 
-    const source = log && log.source
-    const sourceSelected = ALWAYS_INCLUDED_SOURCES.has(source) || selectedSources.includes(source)
-    if (!sourceSelected) return false
-
-    const methodSelected = log && (log.method === 'WS' || selectedMethods.includes(log.method))
-    if (!methodSelected) return false
-
-    const fileType = (log && log.fileType) ? log.fileType : getFileTypeFromLogEntry(log)
-    const fileTypeSelected = selectedFileTypes.includes(fileType)
-    if (!fileTypeSelected) return false
+  // Prefer searching over the pre-rewrite (original) frames, but also include
+  // the final transformed frames so searches can hit both views.
+  if (Array.isArray(connectData.originalFrames) && connectData.originalFrames.length) {
+    collectFromFrames(connectData.originalFrames)
+  }
 
-    return true
-  })
+  if (!truncated && Array.isArray(connectData.frames) && connectData.frames.length) {
+    collectFromFrames(connectData.frames)
+  }
 
-  const ordered = filtered.slice().reverse()
-  const total = ordered.length
+  if (!parts.length) return ''
 
-  return { ordered, total }
+  return parts.join('\n')
 }
 
-function filterLogsForApiRequest (req) {
-  const query = req.query || {}
+function getFileTypeFromLogEntry (log) {
+  const contentType = (log && log.responseHeaders)
+    ? (getHeaderCaseInsensitive(log.responseHeaders, 'content-type') || '')
+    : ''
+  const url = ((log && (log.fullUrl || log.url)) || '').toString().toLowerCase()
 
-  const { ordered, total } = filterLogsCore(query)
+  if (contentType.includes('json')) return 'json'
+  if (contentType.includes('html')) return 'html'
+  if (contentType.includes('css')) return 'css'
+  if (contentType.includes('javascript')) return 'js'
+  if (contentType.includes('image/')) return 'image'
+  if (contentType.includes('video/')) return 'video'
+  if (contentType.includes('audio/')) return 'audio'
 
-  let offset = 0
-  if (typeof query.offset === 'string') {
-    const parsed = parseInt(query.offset, 10)
-    if (Number.isFinite(parsed) && parsed > 0) {
-      offset = parsed
-    }
-  }
+  const fontExtensions = ['.woff', '.woff2', '.ttf', '.otf', '.eot']
+  if (contentType.includes('font/') || fontExtensions.some(ext => url.endsWith(ext))) return 'font'
 
-  let limit = 50
-  if (typeof query.limit === 'string') {
-    const parsed = parseInt(query.limit, 10)
-    if (Number.isFinite(parsed) && parsed > 0) {
-      limit = parsed
+  // If bodies are structured objects, treat them as JSON for cosmetic purposes
+  if (log && (typeof log.responseBody === 'object' && log.responseBody !== null)) return 'json'
+  if (log && (typeof log.body === 'object' && log.body !== null)) return 'json'
+
+  // Best-effort JSON detection on string bodies when content-type is missing or generic
+  const tryLooksLikeJsonString = (value) => {
+    if (!value || typeof value !== 'string') return false
+    if (value.includes('[Binary')) return false
+    const trimmed = value.trim()
+    if (!trimmed || (trimmed[0] !== '{' && trimmed[0] !== '[')) return false
+    try {
+      JSON.parse(trimmed)
+      return true
+    } catch {
+      return false
     }
   }
 
-  if (!Number.isFinite(limit) || limit <= 0) {
-    limit = 50
+  if (log) {
+    if (tryLooksLikeJsonString(log.responseBody)) return 'json'
+    if (tryLooksLikeJsonString(log.body)) return 'json'
   }
 
-  limit = Math.min(Math.max(limit, 1), MAX_LOG_ENTRIES)
+  return 'other'
+}
 
-  const start = Math.min(offset, total)
-  const end = Math.min(start + limit, total)
+function buildConnectViewForClient (connectData) {
+  if (!connectData || typeof connectData !== 'object') return null
 
-  const items = ordered.slice(start, end).map(buildClientLogView)
-  const hasMore = end < total
+  const mapFrames = (frames) => {
+    if (!Array.isArray(frames)) return []
+    return frames
+      .map((frame, idx) => {
+        if (!frame || typeof frame !== 'object') return null
+        const frameIndex = typeof frame.index === 'number' ? frame.index : idx
 
-  return { items, total, hasMore }
-}
+        return {
+          index: frameIndex,
+          length: frame.length,
+          compressed: !!frame.compressed,
+          endStream: !!frame.endStream,
+          frameDecompressed: !!frame.frameDecompressed,
+          preview: typeof frame.preview === 'string' ? frame.preview : '',
+          json: frame.json ?? null,
+          note: frame.note ?? null,
+          error: frame.error ?? null
+        }
+      })
+      .filter(Boolean)
+  }
 
-function normalizeHostValue (value) {
-  if (!value || typeof value !== 'string') return null
-  return value.trim().toLowerCase().split(':')[0]
+  return {
+    contentType: connectData.contentType || null,
+    envelope: !!connectData.envelope,
+    frameCount: typeof connectData.frameCount === 'number'
+      ? connectData.frameCount
+      : (Array.isArray(connectData.frames) ? connectData.frames.length : 0),
+    frames: mapFrames(connectData.frames),
+    originalFrames: mapFrames(connectData.originalFrames),
+    messageType: connectData.messageType || null
+  }
 }
 
-function parseUrlCandidate (candidate) {
-  if (!candidate || typeof candidate !== 'string') return null
-  const trimmed = candidate.trim()
-  if (!trimmed) return null
+function buildClientLogView (log) {
+  if (!log || typeof log !== 'object') return null
 
-  try {
-    const parsed = new URL(trimmed)
-		const protocol = typeof parsed.protocol === 'string' ? parsed.protocol.toLowerCase() : ''
-		if (protocol !== 'http:' && protocol !== 'https:') {
-			return null
-		}
-    return {
-      url: trimmed,
-      host: normalizeHostValue(parsed.hostname) || null,
-      hostWithPort: parsed.host.toLowerCase()
-    }
-  } catch (error) {
-    return null
+  const view = {
+    id: log.id,
+    timestamp: log.timestamp,
+    method: log.method,
+    url: log.url,
+    fullUrl: log.fullUrl,
+    source: log.source,
+    statusCode: log.statusCode,
+    direction: log.direction,
+    responseSize: log.responseSize,
+    error: log.error,
+    localResource: log.localResource,
+    targetUrl: log.targetUrl,
+    fileType: getFileTypeFromLogEntry(log)
   }
-}
 
-function resolveTargetFromRequest (req) {
-  const targetHeader = parseUrlCandidate(req.headers['x-target-url'])
-  if (targetHeader) {
-    return targetHeader
+  if (typeof log.replayOf !== 'undefined') {
+    view.replayOf = log.replayOf
   }
 
-  const rawUrl = typeof req.originalUrl === 'string' ? req.originalUrl : (typeof req.url === 'string' ? req.url : '')
-  const requestUrl = rawUrl || ''
+  if (log.breakpoint) {
+    view.breakpoint = log.breakpoint
+  }
 
-  if (/^(https?|wss?):\/\//i.test(requestUrl)) {
-    const parsedRequestUrl = parseUrlCandidate(requestUrl)
-    if (parsedRequestUrl) {
-      return parsedRequestUrl
-    }
+  if (log.fault) {
+    view.fault = log.fault
   }
 
-  const hostHeader = safeTrim(req.headers.host)
-  const normalizedHeaderHost = normalizeHostValue(hostHeader)
+  if (log.mapLocal) {
+    view.mapLocal = log.mapLocal
+  }
+  if (log.mapRemote) {
+    view.mapRemote = log.mapRemote
+  }
 
-  if (hostHeader && hostHeader !== `localhost:${PORT}` && hostHeader !== `127.0.0.1:${PORT}`) {
-    const assumedProtocol = req.headers['x-forwarded-proto']?.split(',')[0]?.trim() || (req.protocol || (req.socket?.encrypted ? 'https' : 'http'))
-    const candidate = `${assumedProtocol}://${hostHeader}${requestUrl}`
-    const parsedCandidate = parseUrlCandidate(candidate)
-    if (parsedCandidate) {
-      return parsedCandidate
-    }
+  if (log.imported) {
+    view.imported = true
+  }
 
-    return {
-      url: null,
-      host: normalizedHeaderHost
-    }
+  if (log.playback) {
+    view.playback = true
   }
 
-  return {
-    url: null,
-    host: normalizedHeaderHost
+  // Expose upstream performance metrics (used by the hidden audit panel).
+  if (typeof log.upstreamDurationMs === 'number') {
+    view.upstreamDurationMs = log.upstreamDurationMs
+  }
+  if (typeof log.upstreamErrorCategory === 'string' && log.upstreamErrorCategory) {
+    view.upstreamErrorCategory = log.upstreamErrorCategory
   }
-}
 
-/**
- * Build a canonical routing context used for block/bypass decisions across
- * HTTP, HTTPS MITM, CONNECT and WebSocket flows.
- *
- * @param {object} [params]
- * @param {string} [params.requestUrl]
- * @param {string} [params.fullUrl]
- * @param {string} [params.host]
- * @param {string} [params.path]
- * @param {string} [params.targetUrl]
- * @param {string} [params.method]
- * @returns {{requestUrl: string, fullUrl: (string|null), host: (string|null), path: (string|null), targetUrl: (string|null), method: (string|undefined)}}
- */
-function buildRoutingContext ({ requestUrl, fullUrl, host, path, targetUrl, method } = {}) {
-  return {
-    requestUrl: typeof requestUrl === 'string' ? requestUrl : '/',
-    fullUrl: typeof fullUrl === 'string' ? fullUrl : null,
-    host: typeof host === 'string' ? host : (host ? String(host) : null),
-    path: typeof path === 'string' ? path : null,
-    targetUrl: typeof targetUrl === 'string' ? targetUrl : null,
-    method
+  // Per-request timing metrics
+  if (typeof log.requestStartTs === 'number') {
+    view.requestStartTs = log.requestStartTs
+  }
+  if (typeof log.totalDurationMs === 'number') {
+    view.totalDurationMs = log.totalDurationMs
+  }
+  if (typeof log.proxyOverheadMs === 'number') {
+    view.proxyOverheadMs = log.proxyOverheadMs
   }
-}
 
-/**
- * Build the bypass matching context (host/value candidates) used by
- * shouldBypassRequest from a routing context-like shape.
- *
- * @param {{requestUrl?: string, fullUrl?: string|null, host?: string|null, path?: string|null, targetUrl?: string|null}} [params]
- * @returns {{hostCandidates: string[], valueCandidates: string[]}}
- */
-function createBypassContext ({ requestUrl, fullUrl, host, path, targetUrl } = {}) {
-  const hostCandidates = []
-  const valueCandidates = []
+  // Payload size metrics
+  if (typeof log.requestBytes === 'number') {
+    view.requestBytes = log.requestBytes
+  }
+  if (typeof log.responseBytes === 'number') {
+    view.responseBytes = log.responseBytes
+  }
 
-  const pushHostCandidate = candidate => {
-    const normalized = normalizeHostValue(candidate)
-    if (normalized) hostCandidates.push(normalized)
+  // Rewrite usage summary
+  if (typeof log.rewriteCount === 'number') {
+    view.rewriteCount = log.rewriteCount
   }
 
-  const pushValueCandidate = candidate => {
-    if (!candidate) return
-    valueCandidates.push(candidate.toString().toLowerCase())
+  if (typeof log.connectionId !== 'undefined') {
+    view.connectionId = log.connectionId
+  }
+  if (log.isConnectionLog) {
+    view.isConnectionLog = true
+  }
+  if (log.isWebSocketSummary) {
+    view.isWebSocketSummary = true
   }
 
-  pushHostCandidate(host)
-  pushValueCandidate(requestUrl)
+  if (log.headers) view.headers = log.headers
+  if (log.responseHeaders) view.responseHeaders = log.responseHeaders
+  if (log.responseTrailers) view.responseTrailers = log.responseTrailers
+  if (log.httpVersion) view.httpVersion = log.httpVersion
+  if (log.upstreamHttpVersion) view.upstreamHttpVersion = log.upstreamHttpVersion
 
-  const addUrlCandidates = url => {
-    if (!url || typeof url !== 'string') return
-    pushValueCandidate(url)
-    try {
-      const parsed = new URL(url)
-      pushHostCandidate(parsed.hostname)
-      pushValueCandidate(parsed.pathname || '/')
-    } catch (error) {
-      // ignore invalid URL
-    }
+  if ('body' in log) view.body = log.body
+  if ('responseBody' in log) view.responseBody = log.responseBody
+  if (typeof log.requestBodyJson !== 'undefined') {
+    view.requestBodyJson = log.requestBodyJson
+  }
+  if (typeof log.responseBodyJson !== 'undefined') {
+    view.responseBodyJson = log.responseBodyJson
   }
+  if (typeof log.originalBody === 'string' && log.originalBody.length > 0) {
+    view.originalBody = log.originalBody
+  }
+  if (log.requestBodySummary) view.requestBodySummary = log.requestBodySummary
+  if (log.responseBodySummary) view.responseBodySummary = log.responseBodySummary
 
-  addUrlCandidates(targetUrl)
-  addUrlCandidates(fullUrl)
-  pushValueCandidate(path)
+  if (typeof log.rawRequestBodyPreview === 'string' && log.rawRequestBodyPreview.length > 0) {
+    view.rawRequestBodyPreview = log.rawRequestBodyPreview
+  }
+  if (typeof log.rawResponseBodyPreview === 'string' && log.rawResponseBodyPreview.length > 0) {
+    view.rawResponseBodyPreview = log.rawResponseBodyPreview
+  }
 
-  return {
-    hostCandidates,
-    valueCandidates
+  if (log.connectRequest) {
+    view.connectRequest = buildConnectViewForClient(log.connectRequest)
+  }
+  if (log.connectResponse) {
+    view.connectResponse = buildConnectViewForClient(log.connectResponse)
   }
-}
 
-/**
- * Check whether a host string matches a bypass host pattern.
- *
- * @param {string} patternValue
- * @param {string} host
- * @returns {boolean}
- */
-function hostPatternMatches (patternValue, host) {
-  if (!patternValue || !host) return false
-  if (patternValue.startsWith('.')) {
-    const suffix = patternValue.slice(1)
-    return host === suffix || host.endsWith(`.${suffix}`)
+  if (log.connectSummary && typeof log.connectSummary === 'object') {
+    view.connectSummary = log.connectSummary
   }
 
-  if (host === patternValue) return true
-  if (host.endsWith(`.${patternValue}`)) return true
+  if (log.wsSummary && typeof log.wsSummary === 'object') {
+    view.wsSummary = log.wsSummary
+  }
 
-  return false
+  if (Array.isArray(log.rewrites) && log.rewrites.length > 0) {
+    view.rewrites = log.rewrites
+  }
+  if (Array.isArray(log.scriptErrors) && log.scriptErrors.length > 0) {
+    view.scriptErrors = log.scriptErrors
+  }
+
+  return view
 }
 
 /**
- * Determine whether a request should be treated as an internal proxy/UI call
- * that must never be bypassed.
+ * Build the log filter predicate shared by /api/logs, /api/logs/export and
+ * the live event stream, so pushed entries match what a refetch would return.
  *
- * @param {{host?: string|null, requestUrl?: string, fullUrl?: string|null, targetUrl?: string|null}} [input]
- * @returns {boolean}
+ * Applies text search, body/header search snapshots, source/method/fileType
+ * filters and respects ALWAYS_INCLUDED_SOURCES for local/blocked/fault/error
+ * entries.
+ *
+ * @param {object} [query] - Same query parameters as /api/logs.
+ * @returns {(log: object) => boolean}
  */
-function isInternalProxyRequest (input = {}) {
-  const host = normalizeHostValue(input.host) || ''
-  if (!host && typeof input.requestUrl !== 'string' && typeof input.fullUrl !== 'string') {
-    return false
-  }
+function createLogFilterPredicate (query = {}) {
+  const searchTerm = typeof query.search === 'string' ? query.search : ''
+  const requestBodySearch = typeof query.requestSearch === 'string' ? query.requestSearch : ''
+  const responseSearchTerm = typeof query.responseSearch === 'string' ? query.responseSearch : ''
 
-  const localHostnames = new Set(['localhost', '127.0.0.1'])
-  if (host && localHostnames.has(host)) {
-    return true
-  }
+  const selectedSources = parseListQuery(query.sources, ['proxied', 'mitm', 'websocket', 'replay'])
+  const selectedMethods = parseListQuery(query.methods, ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'])
+  const selectedFileTypes = parseListQuery(query.fileTypes, ['json', 'html', 'css', 'js', 'image', 'video', 'audio', 'font', 'other'])
 
-  const portSuffixes = [`localhost:${PORT}`, `127.0.0.1:${PORT}`]
-  const urlCandidates = [input.fullUrl, input.targetUrl, input.requestUrl]
+  const showWsConnections = String(query.showWsConnections || '').toLowerCase() === 'true'
 
-  for (const value of urlCandidates) {
-    if (typeof value !== 'string' || !value) continue
-    const lower = value.toLowerCase()
-    if (portSuffixes.some(suffix => lower.includes(suffix))) {
-      return true
-    }
-  }
+  const requestRewrittenOnly = String(query.requestRewrittenOnly || '').toLowerCase() === 'true'
+  const responseRewrittenOnly = String(query.responseRewrittenOnly || '').toLowerCase() === 'true'
 
-  return false
-}
+  const requestBodySearchLower = requestBodySearch.toLowerCase()
+  const responseSearchLower = responseSearchTerm.toLowerCase()
 
-/**
- * Decide whether a request should use a direct upstream connection instead of
- * going through the proxy/MITM logic, based on bypass mode and rules.
- *
- * @param {{requestUrl?: string, fullUrl?: string|null, host?: string|null, path?: string|null, targetUrl?: string|null}} input
- * @returns {boolean}
- */
-function shouldUseDirectConnection (input) {
-  // Never bypass internal proxy requests (API calls, UI, etc.)
-  if (isInternalProxyRequest(input)) {
-    return false
-  }
+  // Use the precomputed blockedUrlSubstringsForFilter list so we don't
+  // rebuild the pattern set on every /api/logs call.
+  const patterns = Array.isArray(blockedUrlSubstringsForFilter)
+    ? blockedUrlSubstringsForFilter
+    : []
 
-  if (!filterRulesEnabled) {
-    return false
-  }
+  // Precompute search OR-groups once per API call so we do not repeatedly
+  // split and trim the same search term for every log entry.
+  const searchOrGroups = searchTerm
+    ? searchTerm
+        .split('||')
+        .map(group => group.trim())
+        .filter(group => group)
+    : []
 
-  const matches = shouldBypassRequest(input)
+  return log => {
+    const urlString = ((log && (log.fullUrl || log.url)) || '').toString()
 
-  if (isIgnoreMode()) {
-    // Ignore mode: behave like legacy bypass list
-    return matches
-  }
+    // Hide any entries whose URL matches a blocked rule pattern (enabled or
+    // disabled) so that the Requests view stays focused on traffic that has
+    // not already been handled by the user. The blocked rules list acts as a
+    // global noise filter for telemetry/analytics endpoints regardless of the
+    // current "enabled" flag, while the routing engine itself still only
+    // blocks requests when the corresponding rule is enabled.
+    if (patterns.length > 0 && patterns.some(pattern => urlString.includes(pattern))) {
+      return false
+    }
 
-  if (isFocusMode()) {
-    // Focus mode: only focused (matched) traffic uses proxy logic; others go direct
-    return !matches
-  }
+    if (!showWsConnections && log && log.isConnectionLog) {
+      return false
+    }
 
-  // Fallback to legacy behavior
-  return matches
-}
+    const matchesSearch = searchTerm === '' || (() => {
+      const searchableText =
+        (log && typeof log.searchBase === 'string' && log.searchBase.length)
+          ? log.searchBase
+          : [
+              log.url,
+              log.method,
+              log.targetUrl || '',
+              log.localResource || ''
+            ].join(' ').toLowerCase()
 
-/**
- * Decide how to handle a generic HTTP request based on block and
- * bypass/focus rules.
- *
- * @param {{requestUrl?: string, fullUrl?: string|null, host?: string|null, path?: string|null, targetUrl?: string|null, method?: string}} context
- * @returns {'block'|'direct'|'proxy'}
- */
-function decideHttpHandling (context) {
-  const requestUrl = context?.requestUrl || '/'
-  const fullUrl = context?.fullUrl || null
+      if (searchOrGroups.length === 0) return true
 
-  // Blocked URLs take precedence over bypass/focus logic
-  if (isRequestBlocked(requestUrl, fullUrl)) {
-    return 'block'
-  }
+      const groupMatches = (group) => {
+        const rawTerms = group.split(';').map(t => t.trim()).filter(t => t)
+        if (rawTerms.length === 0) return true
 
-  return shouldUseDirectConnection(context) ? 'direct' : 'proxy'
-}
+        return rawTerms.every(term => {
+          if (!term) return true
+          if (term.startsWith('!')) {
+            const negatedTerm = term.substring(1).toLowerCase()
+            return !searchableText.includes(negatedTerm)
+          }
+          return searchableText.includes(term.toLowerCase())
+        })
+      }
 
-/**
- * Decide how to handle a WebSocket connection based on block and bypass
- * rules, mapping the generic HTTP decision into WebSocket-specific actions.
- *
- * @param {{requestUrl?: string, fullUrl?: string|null, host?: string|null, path?: string|null, targetUrl?: string|null, method?: string}} routingContext
- * @returns {{action: 'block'|'direct'|'mitm', requestUrl: string, fullUrl: (string|null)}}
- */
-function decideWebSocketHandling (routingContext) {
-  const requestUrl = routingContext?.requestUrl || '/'
-  const fullUrl = routingContext?.fullUrl || null
-  const httpDecision = decideHttpHandling(routingContext)
+      return searchOrGroups.some(groupMatches)
+    })()
 
-  if (httpDecision === 'block') {
-    return { action: 'block', requestUrl, fullUrl }
-  }
+    if (!matchesSearch) return false
 
-  if (httpDecision === 'direct') {
-    return { action: 'direct', requestUrl, fullUrl }
-  }
+    let requestSearchContentLower = (log && typeof log.requestSearchContent === 'string')
+      ? log.requestSearchContent
+      : ''
+    let headersSearchLower = (log && typeof log.headersSearch === 'string')
+      ? log.headersSearch
+      : ''
 
-  return { action: 'mitm', requestUrl, fullUrl }
-}
+    const matchesRequestBodySearch = requestBodySearch === '' || (
+      (requestSearchContentLower && requestSearchContentLower.includes(requestBodySearchLower)) ||
+      (headersSearchLower && headersSearchLower.includes(requestBodySearchLower))
+    )
 
-const OMIT_HEADERS_BASE = ['proxy-connection', 'connection']
-const OMIT_HEADERS_CONDITIONAL = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since']
+    if (!matchesRequestBodySearch) return false
 
-// Composed header omission sets used across different upstream flows to keep
-// behaviour consistent while avoiding inline array duplication.
-const OMIT_HEADERS_PROXY = ['x-target-url', ...OMIT_HEADERS_BASE, 'content-length', ...OMIT_HEADERS_CONDITIONAL]
-const OMIT_HEADERS_MITM = [...OMIT_HEADERS_BASE, ...OMIT_HEADERS_CONDITIONAL]
+    // Response body/headers search snapshot (cached when available)
+    let responseSearchContentLower = (log && typeof log.responseSearchContent === 'string')
+      ? log.responseSearchContent
+      : ''
+    let responseHeadersSearchLower = (log && typeof log.responseHeadersSearch === 'string')
+      ? log.responseHeadersSearch
+      : ''
 
-// Precomputed omit sets for hot-path header forwarding helpers to avoid
-// repeatedly lower-casing and allocating Sets for the same static lists.
-const OMIT_HEADERS_PROXY_SET = new Set(OMIT_HEADERS_PROXY.map(header => header.toLowerCase()))
-const OMIT_HEADERS_MITM_SET = new Set(OMIT_HEADERS_MITM.map(header => header.toLowerCase()))
-const OMIT_HEADERS_BASE_SET = new Set(OMIT_HEADERS_BASE.map(header => header.toLowerCase()))
+    const matchesResponseBodySearch = responseSearchTerm === '' || (
+      (responseSearchContentLower && responseSearchContentLower.includes(responseSearchLower)) ||
+      (responseHeadersSearchLower && responseHeadersSearchLower.includes(responseSearchLower))
+    )
 
-// Common response header omissions used when forwarding upstream responses.
-// This constant is shared across call sites so sanitizeHeaders can cheaply
-// specialise caching for this very frequent omit set.
-const OMIT_RESPONSE_HEADERS = ['transfer-encoding', 'connection']
-const OMIT_RESPONSE_HEADERS_KEY = 'connection,transfer-encoding'
-const OMIT_RESPONSE_HEADERS_SET = new Set(OMIT_RESPONSE_HEADERS_KEY.split(','))
+    if (!matchesResponseBodySearch) return false
 
-function createForwardHeaders (sourceHeaders, omit = [], overrides = {}) {
-  const result = {}
-  let omitSet
+    // Optional filters: only include logs where rewrites touched the
+    // request and/or response side. We infer this from the enriched
+    // rewrite metadata attached to each log entry.
+    if (requestRewrittenOnly || responseRewrittenOnly) {
+      let hasRequestRewrite = false
+      let hasResponseRewrite = false
 
-  if (omit === OMIT_HEADERS_PROXY) {
-    omitSet = OMIT_HEADERS_PROXY_SET
-  } else if (omit === OMIT_HEADERS_MITM) {
-    omitSet = OMIT_HEADERS_MITM_SET
-  } else if (omit === OMIT_HEADERS_BASE) {
-    omitSet = OMIT_HEADERS_BASE_SET
-  } else {
-    omitSet = new Set(omit.map(header => header.toLowerCase()))
-  }
+      if (Array.isArray(log.rewrites) && log.rewrites.length > 0) {
+        for (const rewrite of log.rewrites) {
+          if (!rewrite) continue
+          const target = typeof rewrite.target === 'string' ? rewrite.target : 'request'
+          if (target === 'request' || target === 'both') hasRequestRewrite = true
+          if (target === 'response' || target === 'both') hasResponseRewrite = true
+          if (hasRequestRewrite && hasResponseRewrite) break
+        }
+      }
 
-  for (const headerName in sourceHeaders) {
-    if (!Object.prototype.hasOwnProperty.call(sourceHeaders, headerName)) continue
-    const lower = headerName.toLowerCase()
-    if (omitSet.has(lower)) continue
-    const value = sourceHeaders[headerName]
-    if (value !== undefined) {
-      result[headerName] = value
+      if (requestRewrittenOnly && !hasRequestRewrite) return false
+      if (responseRewrittenOnly && !hasResponseRewrite) return false
     }
-  }
 
-  for (const overrideName in overrides) {
-    if (!Object.prototype.hasOwnProperty.call(overrides, overrideName)) continue
-    result[overrideName] = overrides[overrideName]
-  }
+    const source = log && log.source
+    const sourceSelected = ALWAYS_INCLUDED_SOURCES.has(source) || selectedSources.includes(source)
+    if (!sourceSelected) return false
 
-  return result
-}
+    const methodSelected = log && (log.method === 'WS' || selectedMethods.includes(log.method))
+    if (!methodSelected) return false
 
-function selectDispatcher (urlString) {
-  try {
-    const parsed = new URL(urlString)
-    return parsed.protocol === 'https:' ? httpsDispatcher : httpDispatcher
-  } catch (error) {
-    return httpDispatcher
+    const fileType = (log && log.fileType) ? log.fileType : getFileTypeFromLogEntry(log)
+    const fileTypeSelected = selectedFileTypes.includes(fileType)
+    if (!fileTypeSelected) return false
+
+    return true
   }
 }
 
-function createUpstreamRequestOptions (url, baseOptions, abortSignal) {
-	const options = {
-		...baseOptions,
-		dispatcher: selectDispatcher(url),
-		maxRedirections: 0
-	}
+/**
+ * Core log filtering implementation used by /api/logs and /api/logs/export.
+ *
+ * @param {object} [query]
+ * @param {object[]} [logs] Entries to filter, newest first (defaults to the live buffer).
+ * @returns {{ ordered: any[], total: number }}
+ */
+function filterLogsCore (query = {}, logs = requestLogs) {
+  const filtered = logs.filter(createLogFilterPredicate(query))
 
-	if (UPSTREAM_HEADERS_TIMEOUT_MS > 0) {
-		options.headersTimeout = UPSTREAM_HEADERS_TIMEOUT_MS
-	}
+  const ordered = filtered.slice().reverse()
+  const total = ordered.length
 
-	if (UPSTREAM_BODY_TIMEOUT_MS > 0) {
-		options.bodyTimeout = UPSTREAM_BODY_TIMEOUT_MS
-	}
+  return { ordered, total }
+}
 
-	if (abortSignal) {
-		options.signal = abortSignal
-	}
+async function filterLogsForApiRequest (req, source = { logs: requestLogs, sessionId: null }) {
+  const query = req.query || {}
 
-	return options
+  const { ordered, total } = filterLogsCore(query, source.logs)
+
+  let offset = 0
+  if (typeof query.offset === 'string') {
+    const parsed = parseInt(query.offset, 10)
+    if (Number.isFinite(parsed) && parsed > 0) {
+      offset = parsed
+    }
+  }
+
+  let limit = 50
+  if (typeof query.limit === 'string') {
+    const parsed = parseInt(query.limit, 10)
+    if (Number.isFinite(parsed) && parsed > 0) {
+      limit = parsed
+    }
+  }
+
+  if (!Number.isFinite(limit) || limit <= 0) {
+    limit = 50
+  }
+
+  limit = Math.min(Math.max(limit, 1), MAX_LOG_ENTRIES)
+
+  const start = Math.min(offset, total)
+  const end = Math.min(start + limit, total)
+
+  const page = ordered.slice(start, end)
+  const entries = source.sessionId ? await hydrateSessionEntries(source.sessionId, page) : page
+  const items = entries.map(buildClientLogView)
+  const hasMore = end < total
+
+  return { items, total, hasMore }
 }
 
-/**
- * Perform an upstream HTTP(S) request via Undici with standard dispatcher
- * selection and timeout handling, returning the raw response plus an
- * optional buffered body.
- *
- * This helper centralises the common request pattern used by the HTTP
- * bypass path, the main proxy middleware and the HTTPS MITM flows while
- * leaving logging and rewrite responsibilities to callers.
- *
- * @param {object} params
- * @param {string} params.url - Fully qualified upstream URL.
- * @param {string} params.method - HTTP method.
- * @param {object} params.headers - Headers to send upstream.
- * @param {any} [params.body] - Optional request body (Buffer, stream or string).
- * @param {AbortSignal} [params.abortSignal] - Optional abort signal.
- * @param {boolean} [params.bufferResponse=false] - Whether to buffer the entire response body.
- * @returns {Promise<{response: import('undici').Dispatcher.ResponseData, buffer: Buffer|null}>}
- */
-async function performUpstreamRequest ({
-  url,
-  method,
-  headers,
-  body,
-  abortSignal,
-  bufferResponse = false
-}) {
-  const response = await request(
-    url,
-    createUpstreamRequestOptions(
-      url,
-      {
-        method,
-        headers,
-        body
-      },
-      abortSignal
-    )
-  )
+function normalizeHostValue (value) {
+  if (!value || typeof value !== 'string') return null
+  return value.trim().toLowerCase().split(':')[0]
+}
 
-  let buffer = null
-  if (bufferResponse) {
-    buffer = response.body
-      ? Buffer.from(await response.body.arrayBuffer())
-      : Buffer.alloc(0)
+function parseUrlCandidate (candidate) {
+  if (!candidate || typeof candidate !== 'string') return null
+  const trimmed = candidate.trim()
+  if (!trimmed) return null
+
+  try {
+    const parsed = new URL(trimmed)
+		const protocol = typeof parsed.protocol === 'string' ? parsed.protocol.toLowerCase() : ''
+		if (protocol !== 'http:' && protocol !== 'https:') {
+			return null
+		}
+    return {
+      url: trimmed,
+      host: normalizeHostValue(parsed.hostname) || null,
+      hostWithPort: parsed.host.toLowerCase()
+    }
+  } catch (error) {
+    return null
+  }
+}
+
+function resolveTargetFromRequest (req) {
+  const targetHeader = parseUrlCandidate(req.headers['x-target-url'])
+  if (targetHeader) {
+    return targetHeader
+  }
+
+  const rawUrl = typeof req.originalUrl === 'string' ? req.originalUrl : (typeof req.url === 'string' ? req.url : '')
+  const requestUrl = rawUrl || ''
+
+  if (/^(https?|wss?):\/\//i.test(requestUrl)) {
+    const parsedRequestUrl = parseUrlCandidate(requestUrl)
+    if (parsedRequestUrl) {
+      return parsedRequestUrl
+    }
+  }
+
+  const hostHeader = safeTrim(req.headers.host)
+  const normalizedHeaderHost = normalizeHostValue(hostHeader)
+
+  if (hostHeader && hostHeader !== `localhost:${PORT}` && hostHeader !== `127.0.0.1:${PORT}`) {
+    const assumedProtocol = req.headers['x-forwarded-proto']?.split(',')[0]?.trim() || (req.protocol || (req.socket?.encrypted ? 'https' : 'http'))
+    const candidate = `${assumedProtocol}://${hostHeader}${requestUrl}`
+    const parsedCandidate = parseUrlCandidate(candidate)
+    if (parsedCandidate) {
+      return parsedCandidate
+    }
+
+    return {
+      url: null,
+      host: normalizedHeaderHost
+    }
   }
 
-  return { response, buffer }
+  return {
+    url: null,
+    host: normalizedHeaderHost
+  }
 }
 
 /**
- * Attach an AbortController to an HTTP response so that an upstream
- * request can be aborted automatically when the client connection
- * closes.
+ * Build a canonical routing context used for block/bypass decisions across
+ * HTTP, HTTPS MITM, CONNECT and WebSocket flows.
  *
- * @param {import('http').ServerResponse} res - HTTP response object.
- * @param {AbortController} abortController - Controller to abort.
- * @returns {() => void} The close listener that was attached.
+ * @param {object} [params]
+ * @param {string} [params.requestUrl]
+ * @param {string} [params.fullUrl]
+ * @param {string} [params.host]
+ * @param {string} [params.path]
+ * @param {string} [params.targetUrl]
+ * @param {string} [params.method]
+ * @returns {{requestUrl: string, fullUrl: (string|null), host: (string|null), path: (string|null), targetUrl: (string|null), method: (string|undefined)}}
  */
-function attachAbortOnClose (res, abortController) {
-  const onClose = () => {
-    try {
-      abortController.abort()
-    } catch {}
+function buildRoutingContext ({ requestUrl, fullUrl, host, path, targetUrl, method } = {}) {
+  return {
+    requestUrl: typeof requestUrl === 'string' ? requestUrl : '/',
+    fullUrl: typeof fullUrl === 'string' ? fullUrl : null,
+    host: typeof host === 'string' ? host : (host ? String(host) : null),
+    path: typeof path === 'string' ? path : null,
+    targetUrl: typeof targetUrl === 'string' ? targetUrl : null,
+    method
   }
-
-  res.on('close', onClose)
-  return onClose
 }
 
 /**
- * Header names that are considered identifying for tracing/telemetry and
- * should be stripped from requests/responses that are actively processed
- * by the proxy (non-blocked, non-bypassed flows).
- *
- * This targets Sentry-style tracing headers and related baggage entries.
+ * Build the bypass matching context (host/value candidates) used by
+ * shouldBypassRequest from a routing context-like shape.
  *
- * @type {Set<string>}
+ * @param {{requestUrl?: string, fullUrl?: string|null, host?: string|null, path?: string|null, targetUrl?: string|null}} [params]
+ * @returns {{hostCandidates: string[], valueCandidates: string[]}}
  */
-const IDENTIFYING_HEADER_EXACT_NAMES = new Set(['baggage', 'sentry-trace'])
+function createBypassContext ({ requestUrl, fullUrl, host, path, targetUrl } = {}) {
+  const hostCandidates = []
+  const valueCandidates = []
+
+  const pushHostCandidate = candidate => {
+    const normalized = normalizeHostValue(candidate)
+    if (normalized) hostCandidates.push(normalized)
+  }
+
+  const pushValueCandidate = candidate => {
+    if (!candidate) return
+    valueCandidates.push(candidate.toString().toLowerCase())
+  }
+
+  pushHostCandidate(host)
+  pushValueCandidate(requestUrl)
+
+  const addUrlCandidates = url => {
+    if (!url || typeof url !== 'string') return
+    pushValueCandidate(url)
+    try {
+      const parsed = new URL(url)
+      pushHostCandidate(parsed.hostname)
+      pushValueCandidate(parsed.pathname || '/')
+    } catch (error) {
+      // ignore invalid URL
+    }
+  }
+
+  addUrlCandidates(targetUrl)
+  addUrlCandidates(fullUrl)
+  pushValueCandidate(path)
+
+  return {
+    hostCandidates,
+    valueCandidates
+  }
+}
 
 /**
- * Header name prefixes that should be treated as identifying.
+ * Check whether a host string matches a bypass host pattern.
  *
- * @type {string[]}
+ * @param {string} patternValue
+ * @param {string} host
+ * @returns {boolean}
  */
-const IDENTIFYING_HEADER_PREFIXES = ['sentry-']
+function hostPatternMatches (patternValue, host) {
+  if (!patternValue || !host) return false
+  if (patternValue.startsWith('.')) {
+    const suffix = patternValue.slice(1)
+    return host === suffix || host.endsWith(`.${suffix}`)
+  }
+
+  if (host === patternValue) return true
+  if (host.endsWith(`.${patternValue}`)) return true
+
+  return false
+}
 
 /**
- * Return a shallow copy of the given headers object with identifying/tracing
- * headers (such as Sentry tracing and baggage) removed.
- *
- * This is applied only on flows that are actively processed by the proxy –
- * proxied HTTP and MITM traffic – and not on plain bypass/direct flows.
+ * Determine whether a request should be treated as an internal proxy/UI call
+ * that must never be bypassed.
  *
- * @param {object} [headers]
- * @returns {object}
+ * @param {{host?: string|null, requestUrl?: string, fullUrl?: string|null, targetUrl?: string|null}} [input]
+ * @returns {boolean}
  */
-function stripIdentifyingHeaders (headers = {}) {
-  if (!headers || typeof headers !== 'object') return {}
-
-  const result = {}
-
-  for (const [name, value] of Object.entries(headers)) {
+function isInternalProxyRequest (input = {}) {
+  const host = normalizeHostValue(input.host) || ''
+  if (!host && typeof input.requestUrl !== 'string' && typeof input.fullUrl !== 'string') {
+    return false
+  }
+
+  const localHostnames = new Set(['localhost', '127.0.0.1'])
+  if (host && localHostnames.has(host)) {
+    return true
+  }
+
+  const portSuffixes = [`localhost:${PORT}`, `127.0.0.1:${PORT}`]
+  const urlCandidates = [input.fullUrl, input.targetUrl, input.requestUrl]
+
+  for (const value of urlCandidates) {
+    if (typeof value !== 'string' || !value) continue
+    const lower = value.toLowerCase()
+    if (portSuffixes.some(suffix => lower.includes(suffix))) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Decide whether a request should use a direct upstream connection instead of
+ * going through the proxy/MITM logic, based on bypass mode and rules.
+ *
+ * @param {{requestUrl?: string, fullUrl?: string|null, host?: string|null, path?: string|null, targetUrl?: string|null}} input
+ * @returns {boolean}
+ */
+function shouldUseDirectConnection (input) {
+  // Never bypass internal proxy requests (API calls, UI, etc.)
+  if (isInternalProxyRequest(input)) {
+    return false
+  }
+
+  if (!filterRulesEnabled) {
+    return false
+  }
+
+  const matches = shouldBypassRequest(input)
+
+  if (isIgnoreMode()) {
+    // Ignore mode: behave like legacy bypass list
+    return matches
+  }
+
+  if (isFocusMode()) {
+    // Focus mode: only focused (matched) traffic uses proxy logic; others go direct
+    return !matches
+  }
+
+  // Fallback to legacy behavior
+  return matches
+}
+
+/**
+ * Decide how to handle a generic HTTP request based on block and
+ * bypass/focus rules.
+ *
+ * @param {{requestUrl?: string, fullUrl?: string|null, host?: string|null, path?: string|null, targetUrl?: string|null, method?: string}} context
+ * @returns {'block'|'direct'|'proxy'}
+ */
+function decideHttpHandling (context) {
+  const requestUrl = context?.requestUrl || '/'
+  const fullUrl = context?.fullUrl || null
+
+  // Blocked URLs take precedence over bypass/focus logic
+  if (isRequestBlocked(requestUrl, fullUrl)) {
+    return 'block'
+  }
+
+  return shouldUseDirectConnection(context) ? 'direct' : 'proxy'
+}
+
+/**
+ * Decide how to handle a WebSocket connection based on block and bypass
+ * rules, mapping the generic HTTP decision into WebSocket-specific actions.
+ *
+ * @param {{requestUrl?: string, fullUrl?: string|null, host?: string|null, path?: string|null, targetUrl?: string|null, method?: string}} routingContext
+ * @returns {{action: 'block'|'direct'|'mitm', requestUrl: string, fullUrl: (string|null)}}
+ */
+function decideWebSocketHandling (routingContext) {
+  const requestUrl = routingContext?.requestUrl || '/'
+  const fullUrl = routingContext?.fullUrl || null
+  const httpDecision = decideHttpHandling(routingContext)
+
+  if (httpDecision === 'block') {
+    return { action: 'block', requestUrl, fullUrl }
+  }
+
+  if (httpDecision === 'direct') {
+    return { action: 'direct', requestUrl, fullUrl }
+  }
+
+  return { action: 'mitm', requestUrl, fullUrl }
+}
+
+const OMIT_HEADERS_BASE = ['proxy-connection', 'connection']
+const OMIT_HEADERS_CONDITIONAL = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since']
+
+// Composed header omission sets used across different upstream flows to keep
+// behaviour consistent while avoiding inline array duplication.
+const OMIT_HEADERS_PROXY = ['x-target-url', ...OMIT_HEADERS_BASE, 'content-length', ...OMIT_HEADERS_CONDITIONAL]
+const OMIT_HEADERS_MITM = [...OMIT_HEADERS_BASE, ...OMIT_HEADERS_CONDITIONAL]
+
+// Precomputed omit sets for hot-path header forwarding helpers to avoid
+// repeatedly lower-casing and allocating Sets for the same static lists.
+const OMIT_HEADERS_PROXY_SET = new Set(OMIT_HEADERS_PROXY.map(header => header.toLowerCase()))
+const OMIT_HEADERS_MITM_SET = new Set(OMIT_HEADERS_MITM.map(header => header.toLowerCase()))
+const OMIT_HEADERS_BASE_SET = new Set(OMIT_HEADERS_BASE.map(header => header.toLowerCase()))
+
+// Common response header omissions used when forwarding upstream responses.
+// This constant is shared across call sites so sanitizeHeaders can cheaply
+// specialise caching for this very frequent omit set.
+// Connection-specific headers are also rejected by HTTP/2 clients (MITM h2).
+const OMIT_RESPONSE_HEADERS = ['transfer-encoding', 'connection', 'keep-alive', 'proxy-connection', 'upgrade']
+const OMIT_RESPONSE_HEADERS_KEY = 'connection,keep-alive,proxy-connection,transfer-encoding,upgrade'
+const OMIT_RESPONSE_HEADERS_SET = new Set(OMIT_RESPONSE_HEADERS_KEY.split(','))
+
+function createForwardHeaders (sourceHeaders, omit = [], overrides = {}) {
+  const result = {}
+  let omitSet
+
+  if (omit === OMIT_HEADERS_PROXY) {
+    omitSet = OMIT_HEADERS_PROXY_SET
+  } else if (omit === OMIT_HEADERS_MITM) {
+    omitSet = OMIT_HEADERS_MITM_SET
+  } else if (omit === OMIT_HEADERS_BASE) {
+    omitSet = OMIT_HEADERS_BASE_SET
+  } else {
+    omitSet = new Set(omit.map(header => header.toLowerCase()))
+  }
+
+  for (const headerName in sourceHeaders) {
+    if (!Object.prototype.hasOwnProperty.call(sourceHeaders, headerName)) continue
+    const lower = headerName.toLowerCase()
+    if (omitSet.has(lower)) continue
+    const value = sourceHeaders[headerName]
+    if (value !== undefined) {
+      result[headerName] = value
+    }
+  }
+
+  for (const overrideName in overrides) {
+    if (!Object.prototype.hasOwnProperty.call(overrides, overrideName)) continue
+    result[overrideName] = overrides[overrideName]
+  }
+
+  return result
+}
+
+/**
+ * Whether a request is native gRPC (HTTP/2 with trailers), as opposed to
+ * gRPC-web and Connect which also work over HTTP/1.1.
+ *
+ * @param {object} headers
+ * @returns {boolean}
+ */
+function isNativeGrpcRequest (headers) {
+  const contentType = String(getHeaderCaseInsensitive(headers, 'content-type') || '').toLowerCase()
+  return contentType.startsWith('application/grpc') && !contentType.startsWith('application/grpc-web')
+}
+
+function selectDispatcher (urlString) {
+  try {
+    const parsed = new URL(urlString)
+    return parsed.protocol === 'https:' ? httpsDispatcher : httpDispatcher
+  } catch (error) {
+    return httpDispatcher
+  }
+}
+
+/**
+ * Convert HTTP/2 request, response or trailer headers to the HTTP/1 form
+ * used everywhere else: pseudo-headers are dropped and ":authority" becomes
+ * "host".
+ *
+ * @param {object} headers
+ * @returns {object}
+ */
+function normalizeHttp2Headers (headers = {}) {
+  const result = {}
+  for (const [name, value] of Object.entries(headers)) {
+    if (name.startsWith(':')) continue
+    result[name] = value
+  }
+  if (!result.host && headers[':authority']) {
+    result.host = headers[':authority']
+  }
+  return result
+}
+
+/**
+ * Send upstream trailers (e.g. grpc-status, grpc-message) to an HTTP/2
+ * client. HTTP/1.1 clients are skipped: trailers there require chunked
+ * encoding, and native gRPC clients always speak h2.
+ *
+ * @param {import('http2').Http2ServerRequest|import('http').IncomingMessage} clientReq
+ * @param {import('http2').Http2ServerResponse|import('http').ServerResponse} clientRes
+ * @param {object|null|undefined} trailers
+ */
+function forwardResponseTrailers (clientReq, clientRes, trailers) {
+  if (!trailers || clientReq.httpVersionMajor < 2) return
+  const sanitized = sanitizeHeaders(trailers, OMIT_RESPONSE_HEADERS)
+  if (Object.keys(sanitized).length > 0) {
+    clientRes.addTrailers(sanitized)
+  }
+}
+
+function createUpstreamRequestOptions (url, baseOptions, abortSignal) {
+	const options = {
+		...baseOptions,
+		dispatcher: selectDispatcher(url),
+		maxRedirections: 0
+	}
+
+	if (UPSTREAM_HEADERS_TIMEOUT_MS > 0) {
+		options.headersTimeout = UPSTREAM_HEADERS_TIMEOUT_MS
+	}
+
+	if (UPSTREAM_BODY_TIMEOUT_MS > 0) {
+		options.bodyTimeout = UPSTREAM_BODY_TIMEOUT_MS
+	}
+
+	if (abortSignal) {
+		options.signal = abortSignal
+	}
+
+	return options
+}
+
+/**
+ * Perform an upstream HTTP(S) request via Undici with standard dispatcher
+ * selection and timeout handling, returning the raw response plus an
+ * optional buffered body.
+ *
+ * This helper centralises the common request pattern used by the HTTP
+ * bypass path, the main proxy middleware and the HTTPS MITM flows while
+ * leaving logging and rewrite responsibilities to callers.
+ *
+ * @param {object} params
+ * @param {string} params.url - Fully qualified upstream URL.
+ * @param {string} params.method - HTTP method.
+ * @param {object} params.headers - Headers to send upstream.
+ * @param {any} [params.body] - Optional request body (Buffer, stream or string).
+ * @param {AbortSignal} [params.abortSignal] - Optional abort signal.
+ * @param {boolean} [params.bufferResponse=false] - Whether to buffer the entire response body.
+ * @returns {Promise<{response: import('undici').Dispatcher.ResponseData, buffer: Buffer|null, httpVersion: string}>}
+ */
+async function performUpstreamRequest ({
+  url,
+  method,
+  headers,
+  body,
+  abortSignal,
+  bufferResponse = false
+}) {
+  if (url.startsWith('https:') && isNativeGrpcRequest(headers)) {
+    const response = await performHttp2UpstreamRequest({ url, method, headers, body, abortSignal })
+    const buffer = bufferResponse ? Buffer.from(await response.body.arrayBuffer()) : null
+    return { response, buffer, httpVersion: 'HTTP/2' }
+  }
+
+  const response = await request(
+    url,
+    createUpstreamRequestOptions(
+      url,
+      {
+        method,
+        headers,
+        body
+      },
+      abortSignal
+    )
+  )
+
+  let buffer = null
+  if (bufferResponse) {
+    buffer = response.body
+      ? Buffer.from(await response.body.arrayBuffer())
+      : Buffer.alloc(0)
+  }
+
+  let httpVersion = 'HTTP/1.1'
+  try {
+    httpVersion = upstreamHttpVersions.get(new URL(url).origin) || httpVersion
+  } catch {}
+
+  return { response, buffer, httpVersion }
+}
+
+// Native gRPC upstream: Undici's HTTP/2 client drops response trailers
+// (grpc-status, grpc-message), so gRPC calls go through node:http2 with one
+// cached session per origin.
+const HTTP2_CONNECTION_HEADERS = new Set(['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'host'])
+
+/** @type {Map<string, import('http2').ClientHttp2Session>} */
+const http2Sessions = new Map()
+
+function getHttp2Session (origin) {
+  const existing = http2Sessions.get(origin)
+  if (existing && !existing.closed && !existing.destroyed) return existing
+
+  const session = http2.connect(origin, httpsConnectOptions)
+  const forget = () => {
+    if (http2Sessions.get(origin) === session) http2Sessions.delete(origin)
+  }
+  session.on('error', error => {
+    logDebug('http2', `Session error for ${origin}`, error)
+    forget()
+  })
+  session.on('goaway', forget)
+  session.on('close', forget)
+  session.unref()
+  http2Sessions.set(origin, session)
+  return session
+}
+
+/**
+ * Perform an upstream request over HTTP/2, resolving once the response
+ * headers arrive. The result mirrors the Undici response shape: `trailers`
+ * is filled in when the body ends and `body` offers `arrayBuffer()`.
+ *
+ * @param {object} params
+ * @param {string} params.url
+ * @param {string} params.method
+ * @param {object} params.headers
+ * @param {any} [params.body]
+ * @param {AbortSignal} [params.abortSignal]
+ * @returns {Promise<{statusCode: number, headers: object, trailers: object, body: import('http2').ClientHttp2Stream}>}
+ */
+function performHttp2UpstreamRequest ({ url, method, headers, body, abortSignal }) {
+  const target = new URL(url)
+  const requestHeaders = {
+    ':method': method,
+    ':path': `${target.pathname}${target.search}`,
+    ':authority': getHeaderCaseInsensitive(headers, 'host') || target.host
+  }
+  for (const [name, value] of Object.entries(headers || {})) {
+    const lower = name.toLowerCase()
+    if (HTTP2_CONNECTION_HEADERS.has(lower) || value === undefined) continue
+    if (lower === 'te' && String(value).toLowerCase() !== 'trailers') continue
+    requestHeaders[lower] = value
+  }
+
+  return new Promise((resolve, reject) => {
+    let stream
+    try {
+      stream = getHttp2Session(target.origin).request(requestHeaders, { signal: abortSignal })
+    } catch (error) {
+      reject(error)
+      return
+    }
+
+    let headersTimer = null
+    if (UPSTREAM_HEADERS_TIMEOUT_MS > 0) {
+      headersTimer = setTimeout(() => {
+        const error = new Error(`Headers timeout after ${UPSTREAM_HEADERS_TIMEOUT_MS}ms`)
+        error.code = 'ETIMEDOUT'
+        stream.destroy(error)
+      }, UPSTREAM_HEADERS_TIMEOUT_MS)
+    }
+    if (UPSTREAM_BODY_TIMEOUT_MS > 0) {
+      stream.setTimeout(UPSTREAM_BODY_TIMEOUT_MS, () => {
+        const error = new Error(`Body timeout after ${UPSTREAM_BODY_TIMEOUT_MS}ms`)
+        error.code = 'ETIMEDOUT'
+        stream.destroy(error)
+      })
+    }
+
+    const trailers = {}
+    stream.once('trailers', received => {
+      Object.assign(trailers, normalizeHttp2Headers(received))
+    })
+    stream.once('error', error => {
+      clearTimeout(headersTimer)
+      reject(error)
+    })
+    stream.once('response', received => {
+      clearTimeout(headersTimer)
+      stream.arrayBuffer = async () => {
+        const chunks = []
+        for await (const chunk of stream) chunks.push(chunk)
+        const buffer = Buffer.concat(chunks)
+        return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+      }
+      resolve({
+        statusCode: Number(received[':status']),
+        headers: normalizeHttp2Headers(received),
+        trailers,
+        body: stream
+      })
+    })
+
+    stream.end(body === undefined || body === null ? undefined : body)
+  })
+}
+
+/**
+ * Attach an AbortController to an HTTP response so that an upstream
+ * request can be aborted automatically when the client connection
+ * closes.
+ *
+ * @param {import('http').ServerResponse} res - HTTP response object.
+ * @param {AbortController} abortController - Controller to abort.
+ * @returns {() => void} The close listener that was attached.
+ */
+function attachAbortOnClose (res, abortController) {
+  const onClose = () => {
+    try {
+      abortController.abort()
+    } catch {}
+  }
+
+  res.on('close', onClose)
+  return onClose
+}
+
+// Record & playback: in "record" mode every response fetched upstream by the
+// HTTP proxy and the MITM handler is stored, keyed by method, URL and the
+// normalised request body; in "playback" mode those handlers answer from the
+// recording instead of contacting upstream. Recorded bodies are the raw
+// upstream bytes, so played-back responses still go through decoding, edit
+// rules and breakpoints exactly like live ones.
+const RECORDINGS_DIR = path.join(STORAGE_DIR, 'recordings')
+const RECORDINGS_INDEX_FILE = path.join(RECORDINGS_DIR, 'index.json')
+// Streamed responses larger than this are forwarded but not recorded.
+const RECORDING_STREAM_MAX_BYTES = 20 * 1024 * 1024
+
+/** @type {Map<string, object>} Recording metadata by key. */
+const recordings = new Map()
+let recordingsWriteChain = Promise.resolve()
+let recordingsIndexWriteTimer = null
+
+function getRecordingBodyPath (key) {
+  return path.join(RECORDINGS_DIR, `${key}.bin`)
+}
+
+/**
+ * Recursively sort object keys so that JSON bodies differing only in key
+ * order produce the same recording key.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+function sortJsonKeys (value) {
+  if (Array.isArray(value)) return value.map(sortJsonKeys)
+  if (!value || typeof value !== 'object') return value
+  return Object.keys(value).sort().reduce((acc, key) => {
+    acc[key] = sortJsonKeys(value[key])
+    return acc
+  }, {})
+}
+
+/**
+ * Normalise a request body for recording lookups: JSON is re-serialised with
+ * sorted keys and form bodies with sorted parameters; anything else (including
+ * Connect/protobuf payloads) is compared byte for byte.
+ *
+ * @param {Buffer|string|undefined} body
+ * @param {object} headers - Request headers (for the content type).
+ * @returns {Buffer}
+ */
+function normalizeRecordingBody (body, headers) {
+  if (body === undefined || body === null) return Buffer.alloc(0)
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body))
+  if (buffer.length === 0) return buffer
+
+  const contentType = (getHeaderCaseInsensitive(headers, 'content-type') || '').toLowerCase()
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    const params = new URLSearchParams(buffer.toString('utf8'))
+    params.sort()
+    return Buffer.from(params.toString())
+  }
+  if (contentType.includes('json')) {
+    try {
+      return Buffer.from(JSON.stringify(sortJsonKeys(JSON.parse(buffer.toString('utf8')))))
+    } catch {}
+  }
+  return buffer
+}
+
+/**
+ * @param {string} method
+ * @param {string} url - Upstream URL.
+ * @param {Buffer|string|undefined} body
+ * @param {object} headers
+ * @returns {string}
+ */
+function computeRecordingKey (method, url, body, headers) {
+  return crypto.createHash('sha256')
+    .update(`${String(method || 'GET').toUpperCase()}\n${url}\n`)
+    .update(normalizeRecordingBody(body, headers))
+    .digest('hex')
+}
+
+function loadRecordings () {
+  try {
+    if (!fs.existsSync(RECORDINGS_INDEX_FILE)) return
+    const data = JSON.parse(fs.readFileSync(RECORDINGS_INDEX_FILE, 'utf8'))
+    if (!Array.isArray(data)) return
+    data.forEach(entry => {
+      if (entry && typeof entry.key === 'string' && /^[0-9a-f]{64}$/.test(entry.key)) {
+        recordings.set(entry.key, entry)
+      }
+    })
+  } catch (error) {
+    console.error('[proxy] Error loading recordings:', error)
+  }
+}
+
+function queueRecordingsWrite (task) {
+  recordingsWriteChain = recordingsWriteChain
+    .then(task)
+    .catch(error => {
+      console.error('[proxy] Error writing recordings:', error)
+    })
+}
+
+// The index is rewritten at most once per second while recording busy apps.
+function scheduleRecordingsIndexWrite () {
+  if (recordingsIndexWriteTimer) return
+  recordingsIndexWriteTimer = setTimeout(() => {
+    recordingsIndexWriteTimer = null
+    const snapshot = JSON.stringify(Array.from(recordings.values()), null, 2)
+    queueRecordingsWrite(async () => {
+      await fsPromises.mkdir(RECORDINGS_DIR, { recursive: true })
+      await fsPromises.writeFile(RECORDINGS_INDEX_FILE, snapshot)
+    })
+    notifyRulesChanged('recordings')
+  }, 1000)
+}
+
+/**
+ * Store an upstream response under its recording key, replacing any earlier
+ * recording of the same request.
+ *
+ * @param {string} key
+ * @param {{ method: string, url: string, statusCode: number, headers: object, buffer: Buffer }} recorded
+ */
+function storeRecording (key, { method, url, statusCode, headers, trailers, buffer }) {
+  recordings.set(key, {
+    key,
+    method: String(method || 'GET').toUpperCase(),
+    url,
+    statusCode,
+    headers: { ...headers },
+    trailers: { ...trailers },
+    size: buffer.length,
+    recordedAt: new Date().toISOString()
+  })
+  queueRecordingsWrite(async () => {
+    await fsPromises.mkdir(RECORDINGS_DIR, { recursive: true })
+    await fsPromises.writeFile(getRecordingBodyPath(key), buffer)
+  })
+  scheduleRecordingsIndexWrite()
+}
+
+/**
+ * Remove recordings (all of them when no key is given) together with their
+ * body files.
+ *
+ * @param {string} [key]
+ * @returns {number} Number of recordings removed.
+ */
+function deleteRecordings (key) {
+  const keys = key ? (recordings.has(key) ? [key] : []) : Array.from(recordings.keys())
+  keys.forEach(recordingKey => recordings.delete(recordingKey))
+  if (keys.length > 0) {
+    queueRecordingsWrite(() => Promise.all(
+      keys.map(recordingKey => fsPromises.rm(getRecordingBodyPath(recordingKey), { force: true }))
+    ))
+    scheduleRecordingsIndexWrite()
+  }
+  return keys.length
+}
+
+/**
+ * Wrap a buffer in a readable stream that also offers the `arrayBuffer()`
+ * method of Undici bodies, so recorded or already-buffered responses can be
+ * handed to code written against live upstream responses.
+ *
+ * @param {Buffer} buffer
+ * @returns {import('stream').PassThrough}
+ */
+function createBufferedResponseBody (buffer) {
+  const body = new PassThrough()
+  body.end(buffer)
+  body.arrayBuffer = async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+  return body
+}
+
+/**
+ * Pass a streamed upstream response body through unchanged while keeping a
+ * copy, and record it once it ends. Event streams and bodies larger than
+ * RECORDING_STREAM_MAX_BYTES are forwarded without being recorded, so
+ * record mode never holds back or buffers a long-lived stream.
+ *
+ * @param {string} key - Recording key.
+ * @param {{ method: string, url: string, response: object }} params
+ * @returns {object} The response with its body replaced by the copying stream.
+ */
+function recordStreamedResponse (key, { method, url, response }) {
+  const contentType = String(getHeaderCaseInsensitive(response.headers, 'content-type') || '').toLowerCase()
+  const contentLength = Number(getHeaderCaseInsensitive(response.headers, 'content-length'))
+  if (
+    !response.body ||
+    contentType.includes('text/event-stream') ||
+    (Number.isFinite(contentLength) && contentLength > RECORDING_STREAM_MAX_BYTES)
+  ) {
+    return response
+  }
+
+  let chunks = []
+  let size = 0
+  const body = new Transform({
+    transform (chunk, encoding, callback) {
+      if (chunks) {
+        size += chunk.length
+        if (size > RECORDING_STREAM_MAX_BYTES) {
+          chunks = null
+        } else {
+          chunks.push(chunk)
+        }
+      }
+      callback(null, chunk)
+    },
+    flush (callback) {
+      if (chunks) {
+        storeRecording(key, {
+          method,
+          url,
+          statusCode: response.statusCode,
+          headers: response.headers,
+          trailers: response.trailers,
+          buffer: Buffer.concat(chunks)
+        })
+      }
+      callback()
+    }
+  })
+  body.arrayBuffer = async () => {
+    const received = []
+    for await (const chunk of body) received.push(chunk)
+    const buffer = Buffer.concat(received)
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+  }
+  // An aborted upstream body must not be recorded as a complete response.
+  response.body.on('error', error => body.destroy(error))
+  body.on('close', () => {
+    if (!body.writableFinished) response.body.destroy()
+  })
+  response.body.pipe(body)
+
+  return {
+    statusCode: response.statusCode,
+    headers: response.headers,
+    get trailers () {
+      return response.trailers
+    },
+    body
+  }
+}
+
+function isPlaybackMiss (error) {
+  return !!error && error.code === 'PLAYBACK_MISS'
+}
+
+/**
+ * Like performUpstreamRequest, but honouring the record/playback mode.
+ *
+ * In playback mode a recorded response is returned without contacting
+ * upstream; on a miss the request is either forwarded ("passthrough") or
+ * rejected with a PLAYBACK_MISS error carrying the status to answer with
+ * (502 for "fail", 404 for "notFound"). In record mode a buffered response
+ * is stored before it is handed back; a streamed one is handed back right
+ * away and stored once it ends (see recordStreamedResponse).
+ *
+ * @param {Parameters<typeof performUpstreamRequest>[0]} params
+ * @returns {Promise<{response: object, buffer: Buffer|null, playback: boolean}>}
+ */
+async function performRecordedUpstreamRequest (params) {
+  const { url, method, headers, body, bufferResponse = false } = params
+  if (recordingMode === 'off') {
+    return { ...(await performUpstreamRequest(params)), playback: false }
+  }
+
+  const key = computeRecordingKey(method, url, body, headers)
+
+  if (recordingMode === 'playback') {
+    const recording = recordings.get(key)
+    let buffer = null
+    if (recording) {
+      try {
+        buffer = await fsPromises.readFile(getRecordingBodyPath(key))
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+    }
+
+    if (buffer) {
+      return {
+        response: {
+          statusCode: recording.statusCode,
+          headers: { ...recording.headers },
+          trailers: { ...recording.trailers },
+          body: createBufferedResponseBody(buffer)
+        },
+        buffer: bufferResponse ? buffer : null,
+        httpVersion: null,
+        playback: true
+      }
+    }
+
+    if (playbackMissMode !== 'passthrough') {
+      const error = new Error(`No recorded response for ${String(method).toUpperCase()} ${url}`)
+      error.code = 'PLAYBACK_MISS'
+      error.statusCode = playbackMissMode === 'notFound' ? 404 : 502
+      throw error
+    }
+    return { ...(await performUpstreamRequest(params)), playback: false }
+  }
+
+  if (!bufferResponse) {
+    const { response, httpVersion } = await performUpstreamRequest(params)
+    return {
+      response: recordStreamedResponse(key, { method, url, response }),
+      buffer: null,
+      httpVersion,
+      playback: false
+    }
+  }
+
+  const { response, buffer, httpVersion } = await performUpstreamRequest(params)
+  storeRecording(key, {
+    method,
+    url,
+    statusCode: response.statusCode,
+    headers: response.headers,
+    trailers: response.trailers,
+    buffer
+  })
+
+  return { response, buffer, httpVersion, playback: false }
+}
+
+// Methods that cannot be meaningfully re-issued as a plain HTTP request.
+const NON_REPLAYABLE_METHODS = new Set(['CONNECT', 'WS'])
+
+/**
+ * Find a captured log entry by id. Ids are generated as fractional numbers
+ * and reach the API as strings, so the comparison is done on the string form.
+ *
+ * @param {string|number} id
+ * @returns {object|null}
+ */
+function findLogEntryById (id) {
+  if (id === undefined || id === null) return null
+  const key = String(id)
+  return requestLogs.find(entry => entry && String(entry.id) === key) || null
+}
+
+/**
+ * Rebuild the raw request body of a captured log entry. The base64 snapshot
+ * is preferred because it holds the exact bytes forwarded upstream; textual
+ * and JSON bodies are used for entries that never stored one.
+ *
+ * @param {object} logEntry
+ * @returns {Buffer|null}
+ */
+function getLoggedRequestBodyBuffer (logEntry) {
+  if (!logEntry || typeof logEntry !== 'object') return null
+
+  if (typeof logEntry.rawRequestBodyBase64 === 'string' && logEntry.rawRequestBodyBase64) {
+    try {
+      return Buffer.from(logEntry.rawRequestBodyBase64, 'base64')
+    } catch {}
+  }
+
+  if (typeof logEntry.body === 'string' && logEntry.body) {
+    return Buffer.from(logEntry.body, 'utf8')
+  }
+
+  // Connect frame views are stored as arrays on `body`; only plain JSON
+  // objects can be serialised back into a request payload.
+  if (logEntry.body && typeof logEntry.body === 'object' && !Array.isArray(logEntry.body)) {
+    try {
+      return Buffer.from(JSON.stringify(logEntry.body), 'utf8')
+    } catch {}
+  }
+
+  return null
+}
+
+/**
+ * Validate the overrides sent by the UI for a replay and merge them with the
+ * original log entry into a concrete upstream request.
+ *
+ * When a body override is provided the original content-encoding header is
+ * dropped, since the edited body is sent as plain text (or raw bytes when
+ * `bodyEncoding` is "base64").
+ *
+ * @param {object} logEntry
+ * @param {any} payload
+ * @returns {{ ok: boolean, value?: { method: string, url: string, headers: object, body: Buffer|null }, error?: string }}
+ */
+function normalizeReplayRequest (logEntry, payload) {
+  const source = (payload && typeof payload === 'object') ? payload : {}
+
+  const method = (safeTrim(source.method) || String(logEntry.method || 'GET')).toUpperCase()
+  if (NON_REPLAYABLE_METHODS.has(method)) {
+    return { ok: false, error: `Requests with method ${method} cannot be replayed.` }
+  }
+  if (!/^[A-Z]+$/.test(method)) {
+    return { ok: false, error: 'Invalid "method": expected an HTTP method name.' }
+  }
+
+  const url = safeTrim(source.url) || logEntry.targetUrl || logEntry.fullUrl || ''
+  let target
+  try {
+    target = new URL(url)
+  } catch {
+    return { ok: false, error: 'Invalid "url": expected an absolute http(s) URL.' }
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return { ok: false, error: 'Invalid "url": expected an absolute http(s) URL.' }
+  }
+
+  let baseHeaders = logEntry.headers || {}
+  if (Object.prototype.hasOwnProperty.call(source, 'headers')) {
+    if (!source.headers || typeof source.headers !== 'object' || Array.isArray(source.headers)) {
+      return { ok: false, error: 'Invalid "headers": expected an object of header names to values.' }
+    }
+    baseHeaders = source.headers
+  }
+
+  const hasBodyOverride = Object.prototype.hasOwnProperty.call(source, 'body')
+  let body = null
+  if (hasBodyOverride) {
+    if (typeof source.body !== 'string') {
+      return { ok: false, error: 'Invalid "body": expected a string.' }
+    }
+    body = Buffer.from(source.body, source.bodyEncoding === 'base64' ? 'base64' : 'utf8')
+  } else {
+    body = getLoggedRequestBodyBuffer(logEntry)
+  }
+
+  const omit = hasBodyOverride
+    ? [...OMIT_HEADERS_PROXY, 'content-encoding', 'host']
+    : [...OMIT_HEADERS_PROXY, 'host']
+  const headers = createForwardHeaders(baseHeaders, omit, {
+    host: target.host,
+    connection: 'close'
+  })
+
+  if (method === 'GET' || method === 'HEAD') {
+    body = null
+  } else if (body) {
+    headers['content-length'] = body.length
+  }
+
+  return { ok: true, value: { method, url: target.toString(), headers, body } }
+}
+
+/**
+ * Store a request body on a log entry that did not go through the proxy
+ * pipeline (replays, imports): raw base64 snapshot, size, text preview and
+ * parsed JSON for JSON content types.
+ *
+ * @param {object} logEntry
+ * @param {Buffer|null} body
+ * @param {object} headers - Request headers, used for the content type.
+ */
+function recordRequestBodyOnLog (logEntry, body, headers) {
+  if (!body || body.length === 0) return
+
+  logEntry.rawRequestBodyBase64 = body.toString('base64')
+  logEntry.requestBytes = body.length
+
+  const preview = bufferToTextPreview(body)
+  if (preview) {
+    logEntry.rawRequestBodyPreview = preview
+    const contentType = getHeaderCaseInsensitive(headers, 'content-type') || ''
+    const parsed = String(contentType).toLowerCase().includes('json') ? tryParseJsonString(preview) : null
+    if (parsed && typeof parsed === 'object') {
+      logEntry.body = parsed
+      logEntry.requestBodyJson = parsed
+    } else {
+      logEntry.body = preview
+    }
+  }
+}
+
+/**
+ * Re-issue a request captured in the logs and record the outcome as a new log
+ * entry linked to the original through `replayOf`.
+ *
+ * The request is sent exactly as described (no request-side edit rules are
+ * applied, since captured bodies are already post-rewrite), while the
+ * response goes through the same rewrite and decoding pipeline as live
+ * proxied traffic.
+ *
+ * @param {object} originalLog
+ * @param {{ method: string, url: string, headers: object, body: Buffer|null }} replayRequest
+ * @returns {Promise<{ logEntry: object, statusCode: number|null, error?: string }>}
+ */
+async function replayLoggedRequest (originalLog, replayRequest) {
+  const { method, url, headers, body } = replayRequest
+  const target = new URL(url)
+  const requestStart = Date.now()
+
+  const logEntry = createBaseLogEntry({
+    requestStart,
+    method,
+    url: `${target.pathname}${target.search}`,
+    fullUrl: url,
+    headers: sanitizeAndStripIdentifyingHeaders(headers),
+    source: 'unknown',
+    clientIp: 'replay'
+  })
+  logEntry.replayOf = originalLog.id
+  recordRequestBodyOnLog(logEntry, body, headers)
+
+  try {
+    const upstreamStart = Date.now()
+    const { response: upstreamResponse, buffer: responseBuffer, httpVersion } = await performUpstreamRequest({
+      url,
+      method,
+      headers,
+      body: body || undefined,
+      bufferResponse: true
+    })
+    logEntry.upstreamDurationMs = Date.now() - upstreamStart
+    logEntry.upstreamHttpVersion = httpVersion
+
+    let upstreamHeaders = upstreamResponse.headers
+    const responseHeaderRewriteResult = applyEditRulesToHeaders(upstreamHeaders, {
+      requestUrl: logEntry.url,
+      fullUrl: url,
+      method,
+      statusCode: upstreamResponse.statusCode,
+      phase: 'response'
+    })
+    if (responseHeaderRewriteResult.changed) {
+      upstreamHeaders = responseHeaderRewriteResult.headers
+      attachRewriteMetadata(logEntry, responseHeaderRewriteResult.appliedRuleIds)
+    }
+
+    const contentType = getHeaderCaseInsensitive(upstreamHeaders, 'content-type') || ''
+    const contentEncoding = getHeaderCaseInsensitive(upstreamHeaders, 'content-encoding') || ''
+
+    let {
+      buffer: effectiveResponseBuffer,
+      connect: connectResponse
+    } = applyConnectRewritesAndDecode(
+      logEntry,
+      responseBuffer,
+      upstreamHeaders,
+      { role: 'response', allowBodyRewriteFallback: true, updateContentEncoding: true, statusCode: upstreamResponse.statusCode }
+    )
+
+    let responseStatusCode = upstreamResponse.statusCode
+    const scriptResponse = applyScriptRules({
+      phase: 'response',
+      method,
+      url,
+      requestUrl: logEntry.url,
+      statusCode: responseStatusCode,
+      headers: upstreamHeaders,
+      body: effectiveResponseBuffer,
+      logEntry
+    })
+    if (scriptResponse.changed) {
+      upstreamHeaders = scriptResponse.headers
+      responseStatusCode = scriptResponse.statusCode
+      if (scriptResponse.bodyChanged) {
+        effectiveResponseBuffer = scriptResponse.body
+        connectResponse = null
+      }
+    }
+
+    const view = buildHttpResponseLoggingView({
+      logEntry,
+      buffer: effectiveResponseBuffer,
+      contentType,
+      contentEncoding,
+      isBinary: isClearlyBinaryContentType(contentType),
+      connectResponse,
+      allowUnaryConnectText: false
+    })
+
+    // Replays are issued by the proxy itself, so they are neither client
+    // traffic nor MITM traffic and get their own source.
+    logEntry.source = 'replay'
+    logEntry.targetUrl = url
+    logEntry.statusCode = responseStatusCode
+    logEntry.responseHeaders = upstreamHeaders
+    if (!connectResponse) {
+      logEntry.responseBody = view.body
+    }
+    logEntry.responseSize = effectiveResponseBuffer.length
+    addLog(logEntry)
+
+    return { logEntry, statusCode: responseStatusCode }
+  } catch (error) {
+    recordUpstreamErrorOnLog(logEntry, error)
+    return { logEntry, statusCode: null, error: logEntry.error }
+  }
+}
+
+// HAR 1.2 export and import, so captures can be exchanged with browser
+// devtools and other proxies. Bodies are exported decoded (HAR `content`
+// holds the uncompressed payload), binary ones as base64.
+const HAR_VERSION = '1.2'
+const HAR_CREATOR = { name: 'interactive-proxy', version: require('../package.json').version }
+const HAR_UTF8_DECODER = new TextDecoder('utf-8', { fatal: true })
+
+/**
+ * Convert a Node-style header object into a HAR name/value list. Repeated
+ * headers stored as arrays (e.g. Set-Cookie) become one item per value.
+ *
+ * @param {object} headers
+ * @returns {{ name: string, value: string }[]}
+ */
+function toHarNameValueList (headers) {
+  if (!headers || typeof headers !== 'object') return []
+
+  const list = []
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) continue
+    for (const item of (Array.isArray(value) ? value : [value])) {
+      list.push({ name, value: String(item) })
+    }
+  }
+  return list
+}
+
+/**
+ * Convert a HAR name/value list back into a lower-cased header object.
+ * HTTP/2 pseudo-headers (":authority", ":path", ...) are dropped.
+ *
+ * @param {any} list
+ * @returns {object}
+ */
+function fromHarNameValueList (list) {
+  const headers = {}
+  if (!Array.isArray(list)) return headers
+
+  for (const entry of list) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name || entry.name.startsWith(':')) continue
+    const name = entry.name.toLowerCase()
+    const value = entry.value === undefined || entry.value === null ? '' : String(entry.value)
+    headers[name] = Object.prototype.hasOwnProperty.call(headers, name)
+      ? [].concat(headers[name], value)
+      : value
+  }
+  return headers
+}
+
+// Logged bodies that could not be captured are replaced by bracketed notes
+// such as "[streamed binary response]"; those are not payloads.
+function isLoggedBodyPlaceholder (text) {
+  return /^\[[A-Za-z][^\]\n]*\]$/.test(text) && tryParseJsonString(text) === null
+}
+
+/**
+ * Recover the decoded request or response body of a log entry. The raw
+ * snapshot (decompressed when needed) is preferred, then the logged JSON or
+ * text body.
+ *
+ * @param {object} logEntry
+ * @param {'request'|'response'} role
+ * @returns {Buffer|null}
+ */
+function getDecodedLoggedBody (logEntry, role) {
+  const isResponse = role === 'response'
+  const headers = isResponse ? logEntry.responseHeaders : logEntry.headers
+  const base64 = isResponse ? logEntry.rawResponseBodyBase64 : logEntry.rawRequestBodyBase64
+
+  if (typeof base64 === 'string' && base64) {
+    const buffer = Buffer.from(base64, 'base64')
+    const encoding = getHeaderCaseInsensitive(headers, 'content-encoding')
+    return encoding
+      ? decompressData(buffer, String(encoding), getHeaderCaseInsensitive(headers, 'content-type') || '')
+      : buffer
+  }
+
+  const json = isResponse ? logEntry.responseBodyJson : logEntry.requestBodyJson
+  if (json && typeof json === 'object') {
+    return Buffer.from(JSON.stringify(json), 'utf8')
+  }
+
+  const body = isResponse ? logEntry.responseBody : logEntry.body
+  if (typeof body === 'string') {
+    return body && !isLoggedBodyPlaceholder(body) ? Buffer.from(body, 'utf8') : null
+  }
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    return Buffer.from(JSON.stringify(body), 'utf8')
+  }
+  return null
+}
+
+/**
+ * Describe a body as HAR text: UTF-8 text when it decodes cleanly and is not
+ * a binary content type, base64 otherwise.
+ *
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {{ text: string, encoding?: 'base64' }}
+ */
+function encodeHarText (buffer, mimeType) {
+  if (!isClearlyBinaryContentType(mimeType) && !isProtoContentType(mimeType)) {
+    try {
+      return { text: HAR_UTF8_DECODER.decode(buffer) }
+    } catch {
+      // Not valid UTF-8: fall through to base64.
+    }
+  }
+  return { text: buffer.toString('base64'), encoding: 'base64' }
+}
+
+function nonNegativeOr (value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : fallback
+}
+
+/**
+ * Build a HAR 1.2 entry for a log entry.
+ *
+ * Timings: the upstream round trip (`upstreamDurationMs`) is reported as
+ * `wait`, and the remaining proxy time (`proxyOverheadMs`) as `blocked`, so
+ * `time` equals their sum. Entries without an upstream call (local, blocked)
+ * report their whole duration as `wait`.
+ *
+ * @param {object} logEntry
+ * @returns {object}
+ */
+function buildHarEntry (logEntry) {
+  const url = logEntry.targetUrl || logEntry.fullUrl || logEntry.url || ''
+  const requestHeaders = logEntry.headers || {}
+  const responseHeaders = logEntry.responseHeaders || {}
+  const statusCode = Number.isInteger(logEntry.statusCode) ? logEntry.statusCode : 0
+
+  let queryString = []
+  try {
+    queryString = Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }))
+  } catch {
+    // Relative or invalid URL: no query string to report.
+  }
+
+  const request = {
+    method: logEntry.method || 'GET',
+    url,
+    httpVersion: logEntry.httpVersion || 'HTTP/1.1',
+    cookies: [],
+    headers: toHarNameValueList(requestHeaders),
+    queryString,
+    headersSize: -1,
+    bodySize: 0
+  }
+
+  const requestBody = getDecodedLoggedBody(logEntry, 'request')
+  if (requestBody && requestBody.length > 0) {
+    const mimeType = String(getHeaderCaseInsensitive(requestHeaders, 'content-type') || '')
+    const { text, encoding } = encodeHarText(requestBody, mimeType)
+    request.postData = { mimeType, text }
+    if (encoding) request.postData._encoding = encoding
+    request.bodySize = nonNegativeOr(logEntry.requestBytes, requestBody.length)
+  }
+
+  const mimeType = String(getHeaderCaseInsensitive(responseHeaders, 'content-type') || '')
+  const responseBody = getDecodedLoggedBody(logEntry, 'response')
+  const content = { size: responseBody ? responseBody.length : 0, mimeType }
+  if (responseBody && responseBody.length > 0) {
+    Object.assign(content, encodeHarText(responseBody, mimeType))
+  }
+
+  const response = {
+    status: statusCode,
+    statusText: http.STATUS_CODES[statusCode] || '',
+    httpVersion: logEntry.httpVersion || 'HTTP/1.1',
+    cookies: [],
+    headers: toHarNameValueList(responseHeaders),
+    content,
+    redirectURL: String(getHeaderCaseInsensitive(responseHeaders, 'location') || ''),
+    headersSize: -1,
+    bodySize: nonNegativeOr(logEntry.responseSize, content.size)
+  }
+
+  const upstreamMs = nonNegativeOr(logEntry.upstreamDurationMs, null)
+  const totalMs = nonNegativeOr(logEntry.totalDurationMs, upstreamMs !== null ? upstreamMs : 0)
+  const waitMs = upstreamMs !== null ? Math.min(upstreamMs, totalMs) : totalMs
+  const blockedMs = upstreamMs !== null ? totalMs - waitMs : -1
+
+  const entry = {
+    startedDateTime: logEntry.timestamp || new Date(logEntry.requestStartTs || Date.now()).toISOString(),
+    time: totalMs,
+    request,
+    response,
+    cache: {},
+    timings: {
+      blocked: blockedMs,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: waitMs,
+      receive: 0
+    },
+    _source: logEntry.source
+  }
+
+  if (logEntry.error) {
+    entry._error = String(logEntry.error)
+  }
+
+  return entry
+}
+
+/**
+ * Build a HAR 1.2 document for the given log entries (oldest first).
+ * WebSocket message entries have no HTTP exchange and are left out.
+ *
+ * @param {object[]} logEntries
+ * @returns {{ log: object }}
+ */
+function buildHarDocument (logEntries) {
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: HAR_CREATOR,
+      pages: [],
+      entries: logEntries
+        .filter(logEntry => logEntry && logEntry.method !== 'WS')
+        .map(buildHarEntry)
+    }
+  }
+}
+
+/**
+ * Decode the body carried by a HAR postData/content object.
+ *
+ * @param {object} source - HAR `postData` or `content`.
+ * @returns {Buffer|null}
+ */
+function decodeHarText (source) {
+  if (!source || typeof source !== 'object') return null
+
+  if (typeof source.text === 'string') {
+    const encoding = source.encoding || source._encoding
+    return Buffer.from(source.text, encoding === 'base64' ? 'base64' : 'utf8')
+  }
+
+  // Form posts may only list their params.
+  if (Array.isArray(source.params) && source.params.length > 0) {
+    const params = new URLSearchParams()
+    for (const param of source.params) {
+      if (param && typeof param.name === 'string') params.append(param.name, String(param.value ?? ''))
+    }
+    return Buffer.from(params.toString(), 'utf8')
+  }
+
+  return null
+}
+
+/**
+ * Convert a HAR entry into a log entry for offline inspection. Response
+ * bodies in HAR are already decoded, so the imported response headers drop
+ * `content-encoding` to stay consistent with the stored body.
+ *
+ * @param {object} entry
+ * @param {number} index
+ * @returns {{ ok: boolean, value?: object, error?: string }}
+ */
+function createLogEntryFromHarEntry (entry, index) {
+  const harRequest = entry && typeof entry === 'object' ? entry.request : null
+  if (!harRequest || typeof harRequest.url !== 'string') {
+    return { ok: false, error: `Invalid HAR entry ${index}: missing request.url.` }
+  }
+
+  let target
+  try {
+    target = new URL(harRequest.url)
+  } catch {
+    return { ok: false, error: `Invalid HAR entry ${index}: request.url is not an absolute URL.` }
+  }
+
+  const startedAt = Date.parse(entry.startedDateTime)
+  const method = typeof harRequest.method === 'string' && harRequest.method.trim()
+    ? harRequest.method.trim().toUpperCase()
+    : 'GET'
+  const requestHeaders = fromHarNameValueList(harRequest.headers)
+
+  const logEntry = createBaseLogEntry({
+    requestStart: Number.isFinite(startedAt) ? startedAt : Date.now(),
+    method,
+    url: `${target.pathname}${target.search}`,
+    fullUrl: harRequest.url,
+    headers: requestHeaders,
+    source: target.protocol === 'https:' ? 'mitm' : 'proxied',
+    clientIp: 'har-import'
+  })
+  logEntry.imported = true
+  logEntry.targetUrl = harRequest.url
+  if (typeof harRequest.httpVersion === 'string' && harRequest.httpVersion.trim()) {
+    // Browsers write HTTP/2 as "h2", "http/2.0" or "HTTP/2"
+    const version = harRequest.httpVersion.trim()
+    logEntry.httpVersion = /^(h2|http\/2(\.0)?)$/i.test(version) ? 'HTTP/2' : version.toUpperCase()
+  }
+
+  recordRequestBodyOnLog(logEntry, decodeHarText(harRequest.postData), requestHeaders)
+
+  const timings = entry.timings && typeof entry.timings === 'object' ? entry.timings : {}
+  const upstreamMs = ['send', 'wait', 'receive']
+    .map(phase => nonNegativeOr(timings[phase], 0))
+    .reduce((sum, value) => sum + value, 0)
+  logEntry.totalDurationMs = nonNegativeOr(entry.time, upstreamMs)
+  logEntry.upstreamDurationMs = Math.min(upstreamMs, logEntry.totalDurationMs)
+
+  const harResponse = entry.response && typeof entry.response === 'object' ? entry.response : {}
+  const status = Number(harResponse.status)
+  const responseHeaders = fromHarNameValueList(harResponse.headers)
+  delete responseHeaders['content-encoding']
+
+  if (!Number.isInteger(status) || status <= 0) {
+    // Browsers record failed or blocked requests with status 0.
+    logEntry.source = 'error'
+    logEntry.error = typeof entry._error === 'string' && entry._error ? entry._error : 'No response recorded'
+    return { ok: true, value: logEntry }
+  }
+
+  logEntry.statusCode = status
+  logEntry.responseHeaders = responseHeaders
+
+  const content = harResponse.content && typeof harResponse.content === 'object' ? harResponse.content : {}
+  const responseBody = decodeHarText(content)
+  if (responseBody && responseBody.length > 0) {
+    const contentType = String(getHeaderCaseInsensitive(responseHeaders, 'content-type') || content.mimeType || '')
+    logEntry.rawResponseBodyBase64 = responseBody.toString('base64')
+    logEntry.responseBody = buildHttpResponseLoggingView({
+      logEntry,
+      buffer: responseBody,
+      contentType,
+      contentEncoding: '',
+      isBinary: isClearlyBinaryContentType(contentType),
+      connectResponse: null
+    }).body
+    logEntry.responseSize = responseBody.length
+  } else {
+    logEntry.responseBody = ''
+    logEntry.responseSize = nonNegativeOr(content.size, 0)
+  }
+
+  return { ok: true, value: logEntry }
+}
+
+// Breakpoints: rules that pause matching requests (before they are sent
+// upstream) or responses (before they are written back to the client) until
+// a user continues, edits, drops or answers them from the UI.
+const BREAKPOINT_PHASES = ['request', 'response', 'both']
+const BREAKPOINT_ACTIONS = ['continue', 'drop', 'respond']
+
+let breakpointRules = []
+const pendingBreakpoints = new Map()
+
+/**
+ * Normalise a breakpoint rule into its stored shape.
+ *
+ * @param {object} rule
+ * @returns {{ id: string, enabled: boolean, name: string, url: string, methods: string[], phase: string }}
+ */
+function normalizeBreakpointRule (rule = {}) {
+  const url = safeTrim(rule.url)
+  const name = safeTrim(rule.name) || deriveDisplayNameFromUrlPattern(url)
+
+  const rawMethods = Array.isArray(rule.methods)
+    ? rule.methods
+    : (typeof rule.methods === 'string' ? rule.methods.split(',') : [])
+  const methods = Array.from(new Set(
+    rawMethods
+      .map(method => safeTrim(method).toUpperCase())
+      .filter(method => /^[A-Z]+$/.test(method))
+  ))
+
+  const phase = BREAKPOINT_PHASES.includes(rule.phase) ? rule.phase : 'request'
+
+  return {
+    id: (typeof rule.id === 'string' && rule.id.trim()) ? rule.id : crypto.randomUUID(),
+    enabled: rule.enabled !== false,
+    name,
+    url,
+    methods,
+    phase
+  }
+}
+
+function loadBreakpointRules () {
+  try {
+    if (fs.existsSync(BREAKPOINTS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(BREAKPOINTS_FILE, 'utf8'))
+      if (Array.isArray(data)) {
+        breakpointRules = data.map(normalizeBreakpointRule)
+      }
+    }
+  } catch (error) {
+    console.error('[proxy] Error loading breakpoints:', error)
+    breakpointRules = []
+  }
+}
+
+async function saveBreakpointRules () {
+  try {
+    await fsPromises.writeFile(BREAKPOINTS_FILE, JSON.stringify(breakpointRules, null, 2))
+    notifyRulesChanged('breakpoints')
+  } catch (error) {
+    console.error('[proxy] Error saving breakpoints:', error)
+  }
+}
+
+/**
+ * Find the first enabled breakpoint rule that applies to a request in the
+ * given phase. URL patterns are plain substrings (like blocked URLs) tested
+ * against every known form of the request URL.
+ *
+ * @param {'request'|'response'} phase
+ * @param {{ method: string, urls: Array<string|null|undefined> }} request
+ * @returns {object|null}
+ */
+function findBreakpointRule (phase, { method, urls }) {
+  if (!breakpointsEnabled || breakpointRules.length === 0) return null
+
+  const normalizedMethod = typeof method === 'string' ? method.toUpperCase() : ''
+  const candidates = (urls || []).filter(value => typeof value === 'string' && value)
+
+  return breakpointRules.find(rule => {
+    if (!rule.enabled || !rule.url) return false
+    if (rule.phase !== 'both' && rule.phase !== phase) return false
+    if (rule.methods.length && !rule.methods.includes(normalizedMethod)) return false
+    return candidates.some(candidate => candidate.includes(rule.url))
+  }) || null
+}
+
+/**
+ * Expose a paused body to the UI: readable UTF-8 text as-is, anything else
+ * (binary content types, still-encoded payloads) as base64.
+ */
+function encodeBreakpointBody (buffer, headers) {
+  if (!buffer || buffer.length === 0) return { body: '', bodyEncoding: 'utf8' }
+
+  const contentType = getHeaderCaseInsensitive(headers, 'content-type') || ''
+  const contentEncoding = String(getHeaderCaseInsensitive(headers, 'content-encoding') || '').toLowerCase()
+  const text = buffer.toString('utf8')
+  const isText = !isClearlyBinaryContentType(contentType) &&
+    (!contentEncoding || contentEncoding === 'identity') &&
+    Buffer.from(text, 'utf8').equals(buffer)
+
+  return isText
+    ? { body: text, bodyEncoding: 'utf8' }
+    : { body: buffer.toString('base64'), bodyEncoding: 'base64' }
+}
+
+function buildPendingBreakpointView (pending) {
+  return {
+    id: pending.id,
+    ruleId: pending.rule.id,
+    ruleName: pending.rule.name,
+    phase: pending.phase,
+    source: pending.source,
+    createdAt: pending.createdAt,
+    expiresAt: pending.expiresAt,
+    method: pending.method,
+    url: pending.url,
+    statusCode: pending.statusCode,
+    headers: pending.headers,
+    body: pending.body,
+    bodyEncoding: pending.bodyEncoding,
+    logId: pending.logId
+  }
+}
+
+/**
+ * Pause a request or response until it is resolved through the API, the
+ * breakpoint times out (released unchanged) or the client disconnects.
+ * `breakpoints` subscribers get a `pending-added` event when it pauses and a
+ * `pending-resolved` event however it ends.
+ *
+ * @param {object} options
+ * @param {object} options.rule - Matching breakpoint rule.
+ * @param {'request'|'response'} options.phase
+ * @param {string} options.source - 'http' or 'https' (MITM).
+ * @param {string} options.method
+ * @param {string} options.url - Absolute upstream URL.
+ * @param {number} [options.statusCode] - Response phase only.
+ * @param {object} options.headers
+ * @param {Buffer|null} options.body
+ * @param {object|null} [options.logEntry]
+ * @param {import('http').ServerResponse} options.res - Client response, used to detect disconnects.
+ * @returns {Promise<{ action: string, method?: string, url?: string, statusCode?: number, headers?: object|null, body?: Buffer|null }>}
+ *   Resolves with action 'abort' when the client went away while paused.
+ */
+function pauseAtBreakpoint ({ rule, phase, source, method, url, statusCode, headers, body, logEntry, res }) {
+  return new Promise(resolve => {
+    const id = crypto.randomUUID()
+    const createdAt = Date.now()
+    const { body: bodyText, bodyEncoding } = encodeBreakpointBody(body, headers)
+
+    let timer = null
+    const finish = (decision) => {
+      if (!pendingBreakpoints.has(id)) return
+      pendingBreakpoints.delete(id)
+      if (timer) clearTimeout(timer)
+      res.removeListener('close', onClose)
+      broadcastLiveEvent('breakpoints', 'pending-resolved', {
+        id,
+        action: decision.action,
+        timedOut: decision.timedOut === true
+      })
+      resolve(decision)
+    }
+    const onClose = () => finish({ action: 'abort' })
+
+    pendingBreakpoints.set(id, {
+      id,
+      rule,
+      phase,
+      source,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: BREAKPOINT_TIMEOUT_MS > 0 ? new Date(createdAt + BREAKPOINT_TIMEOUT_MS).toISOString() : null,
+      method,
+      url,
+      statusCode: phase === 'response' ? statusCode : null,
+      headers: { ...(headers || {}) },
+      body: bodyText,
+      bodyEncoding,
+      logId: logEntry ? logEntry.id : null,
+      resolve: finish
+    })
+    broadcastLiveEvent('breakpoints', 'pending-added', { pending: buildPendingBreakpointView(pendingBreakpoints.get(id)) })
+
+    if (BREAKPOINT_TIMEOUT_MS > 0) {
+      timer = setTimeout(() => finish({ action: 'continue', timedOut: true }), BREAKPOINT_TIMEOUT_MS)
+    }
+    res.once('close', onClose)
+  })
+}
+
+/**
+ * Validate a resolution sent from the UI for a paused breakpoint.
+ *
+ * Omitted fields keep their paused values. `headers` replaces the full
+ * header set; `body` is UTF-8 text unless `bodyEncoding` is 'base64'.
+ *
+ * @param {object} pending
+ * @param {any} payload
+ * @returns {{ ok: boolean, value?: object, error?: string }}
+ */
+function normalizeBreakpointDecision (pending, payload) {
+  const source = (payload && typeof payload === 'object' && !Array.isArray(payload)) ? payload : {}
+  const action = typeof source.action === 'string' ? source.action : 'continue'
+
+  if (!BREAKPOINT_ACTIONS.includes(action)) {
+    return { ok: false, error: `Invalid "action": expected one of ${BREAKPOINT_ACTIONS.join(', ')}.` }
+  }
+  if (action === 'drop') return { ok: true, value: { action } }
+
+  const decision = { action, headers: null, body: null }
+
+  if (action === 'continue' && pending.phase === 'request') {
+    if (source.method !== undefined) {
+      const method = safeTrim(source.method).toUpperCase()
+      if (!/^[A-Z]+$/.test(method)) {
+        return { ok: false, error: 'Invalid "method": expected an HTTP method name.' }
+      }
+      decision.method = method
+    }
+    if (source.url !== undefined) {
+      let target
+      try {
+        target = new URL(safeTrim(source.url))
+      } catch {
+        return { ok: false, error: 'Invalid "url": expected an absolute http(s) URL.' }
+      }
+      if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        return { ok: false, error: 'Invalid "url": expected an absolute http(s) URL.' }
+      }
+      decision.url = target.toString()
+    }
+  }
+
+  if (action === 'respond' || pending.phase === 'response') {
+    const rawStatus = source.statusCode !== undefined
+      ? source.statusCode
+      : (action === 'respond' && pending.phase === 'request' ? 200 : pending.statusCode)
+    const statusCode = Number(rawStatus)
+    if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+      return { ok: false, error: 'Invalid "statusCode": expected an integer between 100 and 599.' }
+    }
+    decision.statusCode = statusCode
+  }
+
+  if (source.headers !== undefined && source.headers !== null) {
+    if (typeof source.headers !== 'object' || Array.isArray(source.headers)) {
+      return { ok: false, error: 'Invalid "headers": expected an object.' }
+    }
+    const headers = {}
+    for (const [name, value] of Object.entries(source.headers)) {
+      if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+        return { ok: false, error: `Invalid header name: ${name || '(empty)'}` }
+      }
+      headers[name.toLowerCase()] = Array.isArray(value) ? value.map(String) : String(value)
+    }
+    decision.headers = headers
+  }
+
+  if (source.body !== undefined && source.body !== null) {
+    if (typeof source.body !== 'string') {
+      return { ok: false, error: 'Invalid "body": expected a string.' }
+    }
+    decision.body = Buffer.from(source.body, source.bodyEncoding === 'base64' ? 'base64' : 'utf8')
+  }
+
+  return { ok: true, value: decision }
+}
+
+/**
+ * Release every paused request/response unchanged (used when breakpoints are
+ * disabled globally).
+ */
+function releaseAllPendingBreakpoints () {
+  for (const pending of Array.from(pendingBreakpoints.values())) {
+    pending.resolve({ action: 'continue' })
+  }
+}
+
+/**
+ * Replace the payload headers of a paused message with the edited set,
+ * keeping framing headers consistent with the (possibly edited) body.
+ *
+ * @param {object} headers - Headers at the time of the pause.
+ * @param {{ headers: object|null, body: Buffer|null }} decision
+ * @param {Buffer|null} body - Effective body after the decision.
+ * @returns {object}
+ */
+function applyBreakpointHeaderEdits (headers, decision, body) {
+  const next = decision.headers ? { ...decision.headers } : { ...headers }
+  if (!decision.headers && !decision.body) return next
+
+  for (const key of Object.keys(next)) {
+    const lower = key.toLowerCase()
+    if (lower === 'content-length' || lower === 'transfer-encoding') {
+      delete next[key]
+    }
+  }
+  if (body && body.length > 0) {
+    next['content-length'] = String(body.length)
+  }
+  return next
+}
+
+/**
+ * Write a synthetic response chosen at a breakpoint ("respond" action).
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {{ statusCode: number, headers: object|null, body: Buffer|null }} decision
+ */
+function sendBreakpointResponse (res, decision) {
+  const body = decision.body || Buffer.alloc(0)
+  const headers = applyBreakpointHeaderEdits({}, { headers: decision.headers || {}, body }, body)
+  headers['content-length'] = String(body.length)
+  headers['x-proxy-source'] = 'breakpoint'
+
+  res.writeHead(decision.statusCode, headers)
+  res.end(body)
+}
+
+/**
+ * Record how a breakpoint was resolved on the log entry so the UI can flag
+ * paused traffic. `statusCode` is the paused status (response phase) so a
+ * changed status counts as an edit.
+ */
+function recordBreakpointOnLog (logEntry, { phase, rule, decision, statusCode }) {
+  if (!logEntry) return
+  const edited = !!(decision.headers || decision.body || decision.method || decision.url ||
+    (decision.statusCode !== undefined && decision.statusCode !== statusCode))
+
+  logEntry.breakpoint = {
+    ...(logEntry.breakpoint || {}),
+    [phase]: {
+      ruleId: rule.id,
+      action: decision.timedOut ? 'timeout' : decision.action,
+      edited
+    }
+  }
+
+  if (decision.action === 'drop') {
+    logEntry.source = 'error'
+    logEntry.error = `Dropped at ${phase} breakpoint`
+  }
+}
+
+/**
+ * Pause a request at a matching request-phase breakpoint before it is sent
+ * upstream and apply the user's decision.
+ *
+ * @param {object} options
+ * @param {string} options.source - 'http' or 'https' (MITM).
+ * @param {string} options.logSource - Log source used for synthetic responses ('proxied' or 'mitm').
+ * @param {string} options.requestUrl
+ * @param {string} options.method
+ * @param {string} options.url - Absolute upstream URL.
+ * @param {object} options.headers - Headers about to be forwarded.
+ * @param {Buffer|string|undefined} options.body
+ * @param {object|null} options.logEntry
+ * @param {import('http').ServerResponse} options.res
+ * @returns {Promise<{ handled: boolean, method: string, url: string, headers: object, body: Buffer|string|undefined }>}
+ *   `handled` is true when the client response has already been dealt with
+ *   (dropped, answered with a synthetic response, or the client went away).
+ */
+async function holdRequestAtBreakpoint ({ source, logSource, requestUrl, method, url, headers, body, logEntry, res }) {
+  const result = { handled: false, method, url, headers, body }
+  const rule = findBreakpointRule('request', { method, urls: [requestUrl, url] })
+  if (!rule) return result
+
+  const bodyBuffer = (body === undefined || body === null)
+    ? null
+    : (Buffer.isBuffer(body) ? body : Buffer.from(String(body)))
+  const decision = await pauseAtBreakpoint({
+    rule,
+    phase: 'request',
+    source,
+    method,
+    url,
+    headers,
+    body: bodyBuffer,
+    logEntry,
+    res
+  })
+
+  if (decision.action === 'abort') return { ...result, handled: true }
+  recordBreakpointOnLog(logEntry, { phase: 'request', rule, decision })
+
+  if (decision.action === 'drop') {
+    if (logEntry) addLog(logEntry)
+    res.destroy()
+    return { ...result, handled: true }
+  }
+
+  if (decision.action === 'respond') {
+    if (logEntry) {
+      logEntry.source = logSource
+      logEntry.targetUrl = url
+      logEntry.statusCode = decision.statusCode
+      logEntry.responseHeaders = decision.headers || {}
+      logEntry.responseBody = decision.body ? bufferToTextPreview(decision.body) : ''
+      logEntry.responseSize = decision.body ? decision.body.length : 0
+      addLog(logEntry)
+    }
+    sendBreakpointResponse(res, decision)
+    return { ...result, handled: true }
+  }
+
+  const nextUrl = decision.url || url
+  const nextBody = decision.body || body
+  const nextHeaders = applyBreakpointHeaderEdits(headers, decision, decision.body || bodyBuffer)
+  if (decision.url && !decision.headers) {
+    nextHeaders.host = new URL(nextUrl).host
+  }
+
+  return {
+    handled: false,
+    method: decision.method || method,
+    url: nextUrl,
+    headers: nextHeaders,
+    body: nextBody
+  }
+}
+
+/**
+ * Pause an upstream response at a matching response-phase breakpoint before
+ * it is written back to the client and apply the user's decision. For
+ * responses, "respond" behaves like an edited "continue".
+ *
+ * @param {object} options
+ * @param {string} options.source - 'http' or 'https' (MITM).
+ * @param {string} options.requestUrl
+ * @param {string} options.method
+ * @param {string} options.url - Absolute upstream URL.
+ * @param {number} options.statusCode
+ * @param {object} options.headers - Response headers after rewrite rules.
+ * @param {Buffer} options.body - Response body as it would be sent.
+ * @param {object|null} options.logEntry
+ * @param {import('http').ServerResponse} options.res
+ * @returns {Promise<{ handled: boolean, statusCode: number, headers: object, body: Buffer, bodyEdited: boolean }>}
+ */
+async function holdResponseAtBreakpoint ({ source, requestUrl, method, url, statusCode, headers, body, logEntry, res }) {
+  const result = { handled: false, statusCode, headers, body, bodyEdited: false }
+  const rule = findBreakpointRule('response', { method, urls: [requestUrl, url] })
+  if (!rule) return result
+
+  const decision = await pauseAtBreakpoint({
+    rule,
+    phase: 'response',
+    source,
+    method,
+    url,
+    statusCode,
+    headers,
+    body,
+    logEntry,
+    res
+  })
+
+  if (decision.action === 'abort') return { ...result, handled: true }
+  recordBreakpointOnLog(logEntry, { phase: 'response', rule, decision, statusCode })
+
+  if (decision.action === 'drop') {
+    if (logEntry) {
+      logEntry.targetUrl = url
+      logEntry.statusCode = statusCode
+      addLog(logEntry)
+    }
+    res.destroy()
+    return { ...result, handled: true }
+  }
+
+  const nextBody = decision.body || body
+  return {
+    handled: false,
+    statusCode: decision.statusCode !== undefined ? decision.statusCode : statusCode,
+    headers: applyBreakpointHeaderEdits(headers, decision, nextBody),
+    body: nextBody,
+    bodyEdited: !!decision.body
+  }
+}
+
+/**
+ * Header names that are considered identifying for tracing/telemetry and
+ * should be stripped from requests/responses that are actively processed
+ * by the proxy (non-blocked, non-bypassed flows).
+ *
+ * This targets Sentry-style tracing headers and related baggage entries.
+ *
+ * @type {Set<string>}
+ */
+const IDENTIFYING_HEADER_EXACT_NAMES = new Set(['baggage', 'sentry-trace'])
+
+/**
+ * Header name prefixes that should be treated as identifying.
+ *
+ * @type {string[]}
+ */
+const IDENTIFYING_HEADER_PREFIXES = ['sentry-']
+
+/**
+ * Return a shallow copy of the given headers object with identifying/tracing
+ * headers (such as Sentry tracing and baggage) removed.
+ *
+ * This is applied only on flows that are actively processed by the proxy –
+ * proxied HTTP and MITM traffic – and not on plain bypass/direct flows.
+ *
+ * @param {object} [headers]
+ * @returns {object}
+ */
+function stripIdentifyingHeaders (headers = {}) {
+  if (!headers || typeof headers !== 'object') return {}
+
+  const result = {}
+
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase()
+
+    const isExact = IDENTIFYING_HEADER_EXACT_NAMES.has(lower)
+    const hasPrefix = IDENTIFYING_HEADER_PREFIXES.some(prefix => lower.startsWith(prefix))
+
+    if (isExact || hasPrefix) {
+      continue
+    }
+
+    if (value === undefined) continue
+    result[name] = value
+  }
+
+  return result
+}
+
+const sanitizedHeadersCache = new WeakMap()
+
+/**
+ * Return a copy of the given headers object with a specific set of header
+ * names omitted. Results are cached per (headers, omitKey) pair to avoid
+ * repeatedly walking large header objects for the same omit configuration.
+ *
+ * The OMIT_RESPONSE_HEADERS constant is special-cased to avoid rebuilding
+ * both the cache key and omission Set on every call.
+ *
+ * @param {object} [headers]
+ * @param {string[]} [omit]
+ * @returns {object}
+ */
+function sanitizeHeaders (headers = {}, omit = []) {
+  if (!headers || typeof headers !== 'object') return {}
+
+  let omitKey = ''
+  let omitSet
+
+  if (omit === OMIT_RESPONSE_HEADERS) {
+    omitKey = OMIT_RESPONSE_HEADERS_KEY
+    omitSet = OMIT_RESPONSE_HEADERS_SET
+  } else if (Array.isArray(omit) && omit.length) {
+    const normalized = omit.map(header => header.toLowerCase()).sort()
+    omitKey = normalized.join(',')
+    omitSet = new Set(normalized)
+  } else {
+    omitKey = ''
+    omitSet = new Set()
+  }
+
+  let cacheForHeaders = sanitizedHeadersCache.get(headers)
+  if (!cacheForHeaders) {
+    cacheForHeaders = new Map()
+    sanitizedHeadersCache.set(headers, cacheForHeaders)
+  }
+
+  if (cacheForHeaders.has(omitKey)) {
+    return cacheForHeaders.get(omitKey)
+  }
+
+  const sanitized = {}
+
+  for (const [key, value] of Object.entries(headers)) {
+    if (omitSet.has(key.toLowerCase())) continue
+    if (value === undefined) continue
+    sanitized[key] = value
+  }
+
+  cacheForHeaders.set(omitKey, sanitized)
+  return sanitized
+}
+
+/**
+ * Return a copy of the given headers object with both a specific omit set
+ * applied and identifying/tracing headers stripped in a single pass.
+ *
+ * This is equivalent to calling `sanitizeHeaders(headers, omit)` followed by
+ * `stripIdentifyingHeaders(...)` but avoids allocating two intermediate
+ * objects and walking the header map twice on hot paths.
+ *
+ * Behaviour is intentionally identical to the existing combination:
+ * - `omit` controls which generic protocol headers (e.g. connection,
+ *   transfer-encoding) are removed.
+ * - IDENTIFYING_HEADER_EXACT_NAMES / IDENTIFYING_HEADER_PREFIXES decide which
+ *   tracing headers (e.g. Sentry baggage) are stripped.
+ *
+ * This helper is used only for actively processed proxy flows; bypass/direct
+ * paths continue to rely on sanitizeHeaders alone to preserve existing
+ * semantics.
+ *
+ * @param {object} [headers]
+ * @param {string[]} [omit]
+ * @returns {object}
+ */
+function sanitizeAndStripIdentifyingHeaders (headers = {}, omit = []) {
+  if (!headers || typeof headers !== 'object') return {}
+
+  let omitSet = null
+
+  if (omit === OMIT_RESPONSE_HEADERS) {
+    // Fast-path for the most common omit configuration used when forwarding
+    // upstream responses.
+    omitSet = OMIT_RESPONSE_HEADERS_SET
+  } else if (Array.isArray(omit) && omit.length) {
+    omitSet = new Set(omit.map(header => header.toLowerCase()))
+  }
+
+  const result = {}
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined) continue
+
+    const lower = name.toLowerCase()
+
+    if (omitSet && omitSet.has(lower)) continue
+
+    const isExact = IDENTIFYING_HEADER_EXACT_NAMES.has(lower)
+    const hasPrefix = IDENTIFYING_HEADER_PREFIXES.some(prefix => lower.startsWith(prefix))
+
+    if (isExact || hasPrefix) continue
+
+    result[name] = value
+  }
+
+  return result
+}
+
+const CACHE_BYPASS_HEADERS = [
+  ['Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate'],
+  ['Pragma', 'no-cache'],
+  ['Expires', '0']
+]
+
+/**
+ * Apply cache-busting headers to an HTTP response, optionally tagging the
+ * source of the response (for example "remote" or "local").
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {string} [sourceTag]
+ * @param {string[]} [preservedHeaders] - Lower-cased names set by header rules, left untouched.
+ */
+function applyCacheBypassHeadersToResponse (res, sourceTag, preservedHeaders = []) {
+  if (!res || typeof res.setHeader !== 'function') return
+  try {
+    for (const [name, value] of CACHE_BYPASS_HEADERS) {
+      if (!preservedHeaders.includes(name.toLowerCase())) res.setHeader(name, value)
+    }
+    if (sourceTag) {
+      res.setHeader('X-Proxy-Source', sourceTag)
+    }
+  } catch {}
+}
+
+/**
+ * Attach cache-busting headers to a plain headers object used when forwarding
+ * upstream responses (for example in HTTPS MITM flows).
+ *
+ * @param {object} headers
+ * @param {string[]} [preservedHeaders] - Lower-cased names set by header rules, left untouched.
+ */
+function applyCacheBypassHeadersToObject (headers, preservedHeaders = []) {
+  if (!headers || typeof headers !== 'object') return
+  for (const [name, value] of CACHE_BYPASS_HEADERS) {
+    if (!preservedHeaders.includes(name.toLowerCase())) headers[name] = value
+  }
+}
+
+// Network condition simulation. A rule degrades traffic whose URL or host
+// contains its pattern (empty pattern: all traffic) with added round-trip
+// latency, jitter, bandwidth limits and packet loss. Loss is modelled the
+// way TCP experiences it: as a retransmission stall, never as missing data.
+const NETWORK_PRESETS = {
+  'slow-3g': { label: 'Slow 3G', latencyMs: 2000, jitterMs: 200, downloadKbps: 400, uploadKbps: 400, packetLoss: 0 },
+  '3g': { label: '3G', latencyMs: 560, jitterMs: 100, downloadKbps: 1600, uploadKbps: 750, packetLoss: 0 },
+  'slow-4g': { label: 'Slow 4G', latencyMs: 170, jitterMs: 50, downloadKbps: 4000, uploadKbps: 3000, packetLoss: 0 },
+  'lossy-wifi': { label: 'Lossy Wi-Fi', latencyMs: 40, jitterMs: 30, downloadKbps: 20000, uploadKbps: 10000, packetLoss: 3 }
+}
+const NETWORK_CONDITION_PRESETS = [...Object.keys(NETWORK_PRESETS), 'custom']
+const NETWORK_CONDITION_LIMITS = {
+  latencyMs: 60000,
+  jitterMs: 60000,
+  downloadKbps: 10000000,
+  uploadKbps: 10000000,
+  packetLoss: 100
+}
+// Minimum retransmission timeout applied when a chunk "loses" a packet.
+const NETWORK_MIN_RTO_MS = 200
+// Bytes a throttled stream buffers before it applies back-pressure.
+const NETWORK_THROTTLE_HIGH_WATER = 256 * 1024
+
+let networkConditionRules = []
+
+/**
+ * Normalise a network condition rule into its stored shape. Preset rules
+ * always carry the preset values; custom rules keep their own.
+ *
+ * @param {object} rule
+ * @returns {{ id: string, enabled: boolean, name: string, url: string, preset: string, latencyMs: number, jitterMs: number, downloadKbps: number, uploadKbps: number, packetLoss: number }}
+ */
+function normalizeNetworkConditionRule (rule = {}) {
+  const url = safeTrim(rule.url)
+  const preset = NETWORK_CONDITION_PRESETS.includes(rule.preset) ? rule.preset : 'custom'
+  const values = preset === 'custom' ? rule : NETWORK_PRESETS[preset]
+  const toNumber = (value, max) => {
+    const number = Number(value)
+    return Number.isFinite(number) ? Math.min(Math.max(number, 0), max) : 0
+  }
+
+  return {
+    id: (typeof rule.id === 'string' && rule.id.trim()) ? rule.id : crypto.randomUUID(),
+    enabled: rule.enabled !== false,
+    name: safeTrim(rule.name) || (preset === 'custom' ? 'Custom' : NETWORK_PRESETS[preset].label),
+    url,
+    preset,
+    latencyMs: Math.round(toNumber(values.latencyMs, NETWORK_CONDITION_LIMITS.latencyMs)),
+    jitterMs: Math.round(toNumber(values.jitterMs, NETWORK_CONDITION_LIMITS.jitterMs)),
+    downloadKbps: Math.round(toNumber(values.downloadKbps, NETWORK_CONDITION_LIMITS.downloadKbps)),
+    uploadKbps: Math.round(toNumber(values.uploadKbps, NETWORK_CONDITION_LIMITS.uploadKbps)),
+    packetLoss: toNumber(values.packetLoss, NETWORK_CONDITION_LIMITS.packetLoss)
+  }
+}
+
+function loadNetworkConditionRules () {
+  try {
+    if (fs.existsSync(NETWORK_CONDITIONS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(NETWORK_CONDITIONS_FILE, 'utf8'))
+      if (Array.isArray(data)) {
+        networkConditionRules = data.map(normalizeNetworkConditionRule)
+      }
+    }
+  } catch (error) {
+    console.error('[proxy] Error loading network conditions:', error)
+    networkConditionRules = []
+  }
+}
+
+async function saveNetworkConditionRules () {
+  try {
+    await fsPromises.writeFile(NETWORK_CONDITIONS_FILE, JSON.stringify(networkConditionRules, null, 2))
+    notifyRulesChanged('network')
+  } catch (error) {
+    console.error('[proxy] Error saving network conditions:', error)
+  }
+}
+
+/**
+ * Find the first enabled network condition rule whose pattern is contained
+ * in one of the given URL/host forms of a request or tunnel.
+ *
+ * @param {Array<string|null|undefined>} candidates
+ * @returns {object|null}
+ */
+function findNetworkConditions (candidates) {
+  if (!networkConditionsEnabled || networkConditionRules.length === 0) return null
+  const values = candidates.filter(value => typeof value === 'string' && value)
+
+  return networkConditionRules.find(rule => (
+    rule.enabled &&
+    (rule.latencyMs > 0 || rule.downloadKbps > 0 || rule.uploadKbps > 0 || rule.packetLoss > 0) &&
+    (!rule.url || values.some(value => value.includes(rule.url)))
+  )) || null
+}
+
+/**
+ * Create one direction of a simulated network link. The link remembers when
+ * it is next free, so deliveries keep their order and share the bandwidth.
+ *
+ * @param {object|null} conditions - Matching rule from findNetworkConditions.
+ * @param {'download'|'upload'} direction
+ * @returns {{ conditions: object, kbps: number, freeAt: number }|null}
+ */
+function createNetworkLink (conditions, direction) {
+  if (!conditions) return null
+  return {
+    conditions,
+    kbps: direction === 'upload' ? conditions.uploadKbps : conditions.downloadKbps,
+    freeAt: 0
+  }
+}
+
+/**
+ * Reserve the link for `bytes` and return how long (ms) until they arrive on
+ * the other side: half the round trip plus jitter, the time to transfer them
+ * at the link bandwidth, and a retransmission stall when a packet is lost.
+ *
+ * @param {object} link
+ * @param {number} bytes
+ * @returns {number}
+ */
+function reserveNetworkLink (link, bytes) {
+  const now = Date.now()
+  const { latencyMs, jitterMs, packetLoss } = link.conditions
+  const jitter = jitterMs ? (Math.random() * 2 - 1) * jitterMs : 0
+  let start = Math.max(now + Math.max(0, latencyMs / 2 + jitter), link.freeAt)
+
+  if (packetLoss > 0) {
+    const packets = Math.max(1, Math.ceil(bytes / 1460))
+    const lossChance = 1 - Math.pow(1 - packetLoss / 100, packets)
+    if (Math.random() < lossChance) {
+      start += Math.max(NETWORK_MIN_RTO_MS, latencyMs * 2)
+    }
+  }
+
+  // kbit/s is bits per millisecond.
+  const transferMs = link.kbps > 0 ? (bytes * 8) / link.kbps : 0
+  link.freeAt = start + transferMs
+  return link.freeAt - now
+}
+
+/**
+ * Run `deliver` once `bytes` have crossed the link, or immediately when no
+ * network condition applies.
+ *
+ * @param {object|null} link
+ * @param {number} bytes
+ * @param {() => void} deliver
+ */
+function deliverThroughNetworkLink (link, bytes, deliver) {
+  if (!link) {
+    deliver()
+    return
+  }
+  const delay = reserveNetworkLink(link, bytes)
+  if (delay <= 0) deliver()
+  else setTimeout(deliver, delay)
+}
+
+/**
+ * Transform stream that releases data at the pace of a network link. Chunks
+ * are split into slices of ~100 ms of bandwidth so throughput stays smooth;
+ * a stream that ends without data still pays the link latency.
+ *
+ * @param {object} link
+ * @returns {import('stream').Transform}
+ */
+function createNetworkThrottleStream (link) {
+  const sliceSize = link.kbps > 0 ? Math.max(1024, Math.floor(link.kbps * 100 / 8)) : Infinity
+  let pendingBytes = 0
+  let transmitted = false
+  let waitingCallback = null
+  let flushCallback = null
+
+  const release = () => {
+    if (waitingCallback && pendingBytes <= NETWORK_THROTTLE_HIGH_WATER) {
+      const callback = waitingCallback
+      waitingCallback = null
+      callback()
+    }
+    if (flushCallback && pendingBytes === 0) {
+      const callback = flushCallback
+      flushCallback = null
+      callback()
+    }
+  }
+
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      transmitted = true
+      for (let offset = 0; offset < chunk.length; offset += sliceSize) {
+        const slice = chunk.subarray(offset, offset + sliceSize)
+        pendingBytes += slice.length
+        deliverThroughNetworkLink(link, slice.length, () => {
+          pendingBytes -= slice.length
+          this.push(slice)
+          release()
+        })
+      }
+      if (pendingBytes > NETWORK_THROTTLE_HIGH_WATER) waitingCallback = callback
+      else callback()
+    },
+    flush (callback) {
+      if (!transmitted) {
+        deliverThroughNetworkLink(link, 0, callback)
+        return
+      }
+      flushCallback = callback
+      release()
+    }
+  })
+}
+
+/**
+ * Pipe `source` into `destination`, through a throttle when a link applies.
+ *
+ * @param {import('stream').Readable} source
+ * @param {import('stream').Writable} destination
+ * @param {object|null} link
+ */
+function pipeThroughNetworkLink (source, destination, link) {
+  if (!link) {
+    source.pipe(destination)
+    return
+  }
+  const throttle = createNetworkThrottleStream(link)
+  destination.once('close', () => throttle.destroy())
+  source.pipe(throttle).pipe(destination)
+}
+
+/**
+ * Route everything written to an HTTP response (HTTP/1.1 or HTTP/2
+ * compatibility API) through a throttled link. Headers go out with the first
+ * body bytes, so time to first byte includes the link latency.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {object} link
+ */
+function throttleHttpResponse (res, link) {
+  const throttle = createNetworkThrottleStream(link)
+  const write = res.write.bind(res)
+  const end = res.end.bind(res)
+
+  throttle.on('data', chunk => {
+    if (!write(chunk)) {
+      throttle.pause()
+      res.once('drain', () => throttle.resume())
+    }
+  })
+  throttle.on('end', () => end())
+  throttle.on('drain', () => res.emit('drain'))
+  res.once('close', () => throttle.destroy())
+
+  const toBuffer = (chunk, encoding) => (
+    Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+  )
+
+  res.write = (chunk, encoding, callback) => {
+    const done = typeof encoding === 'function' ? encoding : callback
+    if (chunk === undefined || chunk === null || chunk.length === 0) {
+      if (done) process.nextTick(done)
+      return true
+    }
+    return throttle.write(toBuffer(chunk, encoding), done)
+  }
+
+  res.end = (chunk, encoding, callback) => {
+    const done = [chunk, encoding, callback].find(arg => typeof arg === 'function')
+    if (done) res.once('finish', done)
+    if (chunk !== undefined && chunk !== null && typeof chunk !== 'function' && chunk.length > 0) {
+      throttle.write(toBuffer(chunk, encoding))
+    }
+    throttle.end()
+    return res
+  }
+}
+
+/**
+ * Apply the matching network condition (if any) to an HTTP exchange: the
+ * request is held back for the uplink latency and its declared body size,
+ * and the response is throttled on the downlink. Calls `handle` when the
+ * request may proceed.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {Array<string|null|undefined>} candidates - URL/host forms used for matching.
+ * @param {() => void} handle
+ */
+function runWithNetworkConditions (req, res, candidates, handle) {
+  const conditions = findNetworkConditions(candidates)
+  if (!conditions) {
+    handle()
+    return
+  }
+
+  throttleHttpResponse(res, createNetworkLink(conditions, 'download'))
+  const requestBytes = Number(req.headers['content-length']) || 0
+  deliverThroughNetworkLink(createNetworkLink(conditions, 'upload'), requestBytes, handle)
+}
+
+// Fault injection: rules that make matching requests fail on purpose (reset
+// connections, timeouts, truncated or malformed bodies, 5xx responses,
+// dropped WebSockets) so clients can be tested against unreliable backends.
+const FAULT_TYPES = ['reset', 'timeout', 'truncate', 'status', 'malformed-json', 'websocket-drop']
+const FAULT_LABELS = {
+  reset: 'Connection reset',
+  timeout: 'Timeout',
+  truncate: 'Truncated body',
+  status: 'Server error',
+  'malformed-json': 'Malformed JSON',
+  'websocket-drop': 'WebSocket drop'
+}
+// Status codes picked at random by "status" faults without a fixed code.
+const FAULT_RANDOM_STATUS_CODES = [500, 502, 503, 504]
+const FAULT_MAX_TIMEOUT_MS = 10 * 60 * 1000
+const FAULT_MAX_AFTER_MESSAGES = 100000
+const FAULT_MALFORMED_JSON_BODY = '{"status": "ok", "items": [{"id": 1, "name": "Item 1",}, {"id": 2 "name": undefined}'
+
+let faultRules = []
+
+/**
+ * Normalise a fault rule into its stored shape.
+ *
+ * @param {object} rule
+ * @returns {{ id: string, enabled: boolean, name: string, url: string, methods: string[], type: string, probability: number, statusCode: number|null, timeoutMs: number, afterMessages: number }}
+ */
+function normalizeFaultRule (rule = {}) {
+  const url = safeTrim(rule.url)
+  const type = FAULT_TYPES.includes(rule.type) ? rule.type : 'status'
+
+  const rawMethods = Array.isArray(rule.methods)
+    ? rule.methods
+    : (typeof rule.methods === 'string' ? rule.methods.split(',') : [])
+  const methods = Array.from(new Set(
+    rawMethods
+      .map(method => safeTrim(method).toUpperCase())
+      .filter(method => /^[A-Z]+$/.test(method))
+  ))
+
+  const toInteger = (value, fallback, max) => {
+    const number = Number(value)
+    return Number.isFinite(number) ? Math.round(Math.min(Math.max(number, 0), max)) : fallback
+  }
+  const probability = Number(rule.probability)
+  const statusCode = Number(rule.statusCode)
+
+  return {
+    id: (typeof rule.id === 'string' && rule.id.trim()) ? rule.id : crypto.randomUUID(),
+    enabled: rule.enabled !== false,
+    name: safeTrim(rule.name) || deriveDisplayNameFromUrlPattern(url) || FAULT_LABELS[type],
+    url,
+    methods,
+    type,
+    probability: Number.isFinite(probability) ? Math.min(Math.max(probability, 0), 100) : 100,
+    statusCode: Number.isInteger(statusCode) && statusCode >= 500 && statusCode <= 599 ? statusCode : null,
+    timeoutMs: toInteger(rule.timeoutMs, 0, FAULT_MAX_TIMEOUT_MS),
+    afterMessages: toInteger(rule.afterMessages, 1, FAULT_MAX_AFTER_MESSAGES)
+  }
+}
+
+function loadFaultRules () {
+  try {
+    if (fs.existsSync(FAULT_RULES_FILE)) {
+      const data = JSON.parse(fs.readFileSync(FAULT_RULES_FILE, 'utf8'))
+      if (Array.isArray(data)) {
+        faultRules = data.map(normalizeFaultRule)
+      }
+    }
+  } catch (error) {
+    console.error('[proxy] Error loading fault rules:', error)
+    faultRules = []
+  }
+}
+
+async function saveFaultRules () {
+  try {
+    await fsPromises.writeFile(FAULT_RULES_FILE, JSON.stringify(faultRules, null, 2))
+    notifyRulesChanged('faults')
+  } catch (error) {
+    console.error('[proxy] Error saving fault rules:', error)
+  }
+}
+
+/**
+ * Find the first enabled fault rule that applies to a request and roll its
+ * probability. URL patterns are plain substrings (like blocked URLs) tested
+ * against every known form of the request URL. WebSocket upgrades only match
+ * "websocket-drop" rules and plain requests only match the other types.
+ *
+ * @param {{ method: string, urls: Array<string|null|undefined>, websocket?: boolean }} request
+ * @returns {object|null} The rule when the fault should be injected this time.
+ */
+function findFaultRule ({ method, urls, websocket = false }) {
+  if (!faultRulesEnabled || faultRules.length === 0) return null
+
+  const normalizedMethod = typeof method === 'string' ? method.toUpperCase() : ''
+  const candidates = (urls || []).filter(value => typeof value === 'string' && value)
+
+  const rule = faultRules.find(candidate => {
+    if (!candidate.enabled || !candidate.url) return false
+    if ((candidate.type === 'websocket-drop') !== websocket) return false
+    if (!websocket && candidate.methods.length && !candidate.methods.includes(normalizedMethod)) return false
+    return candidates.some(value => value.includes(candidate.url))
+  })
+
+  if (!rule) return null
+  return Math.random() * 100 < rule.probability ? rule : null
+}
+
+/**
+ * Abort an HTTP exchange the way a failing network would. HTTP/1 connections
+ * are reset (with a TCP RST where the socket allows it); HTTP/2 streams are
+ * cancelled so other streams on the same session keep working.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+function resetHttpExchange (req, res) {
+  if (res.stream && typeof res.stream.close === 'function') {
+    res.stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR)
+    return
+  }
+
+  // req.socket is cleared once a request body has been read to the end.
+  const socket = req.socket || res.socket
+  if (!socket || socket.destroyed) return
+  try {
+    socket.resetAndDestroy()
+  } catch {
+    // TLS sockets have no TCP handle of their own.
+    socket.destroy()
+  }
+}
+
+/**
+ * Serve a "truncate" fault: forward the request, then relay the upstream
+ * status and headers (with the full Content-Length) but only the first half
+ * of the body before resetting the connection.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ url: string, headers: object, body?: Buffer }} upstream - Target
+ *   URL and client headers; `body` when the request body was already read.
+ * @param {object|null} logEntry
+ */
+async function forwardTruncatedResponse (req, res, upstream, logEntry) {
+  const abortController = new AbortController()
+  const onClose = attachAbortOnClose(res, abortController)
+
+  try {
+    const upstreamStart = Date.now()
+    const target = new URL(upstream.url)
+    // Conditional headers are dropped so there is a body to cut.
+    const headers = createForwardHeaders(upstream.headers, OMIT_HEADERS_MITM, { host: target.host })
+    const hasBody = !(req.method === 'GET' || req.method === 'HEAD')
+    if (hasBody && upstream.body) headers['content-length'] = upstream.body.length
+    const mappedRequest = applyMapRemote(upstream.url, headers, logEntry)
+
+    const { response: upstreamResponse, buffer, httpVersion } = await performUpstreamRequest({
+      url: mappedRequest.url,
+      method: req.method,
+      headers: mappedRequest.headers,
+      body: hasBody ? (upstream.body || req) : undefined,
+      abortSignal: abortController.signal,
+      bufferResponse: true
+    })
+
+    const partial = buffer.subarray(0, Math.floor(buffer.length / 2))
+    // The full Content-Length is announced so clients notice the missing bytes.
+    const responseHeaders = {
+      ...sanitizeHeaders(upstreamResponse.headers, OMIT_RESPONSE_HEADERS),
+      'content-length': String(getHeaderCaseInsensitive(upstreamResponse.headers, 'content-length') || buffer.length),
+      'x-proxy-source': 'fault'
+    }
+
+    if (logEntry) {
+      const contentType = String(getHeaderCaseInsensitive(upstreamResponse.headers, 'content-type') || '')
+      const isText = !getHeaderCaseInsensitive(upstreamResponse.headers, 'content-encoding') &&
+        !isClearlyBinaryContentType(contentType)
+      logEntry.upstreamDurationMs = Date.now() - upstreamStart
+      logEntry.upstreamHttpVersion = httpVersion
+      logEntry.targetUrl = mappedRequest.url
+      logEntry.statusCode = upstreamResponse.statusCode
+      logEntry.responseHeaders = responseHeaders
+      logEntry.responseBody = isText ? partial.toString('utf8') : '[truncated binary response]'
+      logEntry.responseSize = partial.length
+      logEntry.error = `Body truncated after ${partial.length} of ${buffer.length} bytes by fault rule`
+      addLog(logEntry)
+    }
+
+    res.writeHead(upstreamResponse.statusCode, responseHeaders)
+    res.write(partial, () => resetHttpExchange(req, res))
+  } catch (error) {
+    if (logEntry) {
+      recordUpstreamErrorOnLog(logEntry, error)
+    }
+    if (!res.headersSent) {
+      res.writeHead(502)
+    }
+    res.end('Fault injection upstream error')
+  } finally {
+    res.removeListener('close', onClose)
+  }
+}
+
+/**
+ * Answer a request with the failure described by a fault rule and record it
+ * on the log entry with source "fault". Only "truncate" faults reach the
+ * upstream; every other type answers without forwarding the request.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {object} rule - Rule returned by findFaultRule.
+ * @param {object|null} logEntry - Base log entry, or null when not logging.
+ * @param {{ url: string, headers: object, body?: Buffer }} upstream - Where
+ *   "truncate" faults forward the request (see forwardTruncatedResponse).
+ */
+function injectHttpFault (req, res, rule, logEntry, upstream) {
+  if (logEntry) {
+    logEntry.source = 'fault'
+    logEntry.fault = { ruleId: rule.id, ruleName: rule.name, type: rule.type }
+  }
+
+  const respond = (statusCode, body) => {
+    const responseHeaders = {
+      'content-type': 'application/json; charset=utf-8',
+      'x-proxy-source': 'fault'
+    }
+    if (logEntry) {
+      logEntry.statusCode = statusCode
+      logEntry.responseHeaders = responseHeaders
+      logEntry.responseBody = body
+      logEntry.responseSize = Buffer.byteLength(body)
+      addLog(logEntry)
+    }
+    res.writeHead(statusCode, responseHeaders)
+  }
+
+  if (rule.type === 'truncate') {
+    forwardTruncatedResponse(req, res, upstream, logEntry)
+    return
+  }
+
+  req.resume()
+
+  if (rule.type === 'reset') {
+    if (logEntry) {
+      logEntry.error = 'Connection reset by fault rule'
+      addLog(logEntry)
+    }
+    resetHttpExchange(req, res)
+    return
+  }
+
+  if (rule.type === 'timeout') {
+    if (logEntry) {
+      logEntry.error = rule.timeoutMs > 0
+        ? `No response, connection closed after ${rule.timeoutMs}ms by fault rule`
+        : 'No response by fault rule'
+      addLog(logEntry)
+    }
+    if (rule.timeoutMs > 0) {
+      const timer = setTimeout(() => resetHttpExchange(req, res), rule.timeoutMs)
+      res.once('close', () => clearTimeout(timer))
+    }
+    return
+  }
+
+  if (rule.type === 'malformed-json') {
+    respond(200, FAULT_MALFORMED_JSON_BODY)
+    res.end(FAULT_MALFORMED_JSON_BODY)
+    return
+  }
+
+  const statusCode = rule.statusCode ||
+    FAULT_RANDOM_STATUS_CODES[Math.floor(Math.random() * FAULT_RANDOM_STATUS_CODES.length)]
+  const body = JSON.stringify({ error: http.STATUS_CODES[statusCode] || 'Server Error' })
+  respond(statusCode, body)
+  res.end(body)
+}
+
+// Map Remote: rules that send matching requests to a different upstream
+// (scheme, host, port and path) than the one the client asked for, e.g.
+// `api.example.com/v2/*` to `http://localhost:5000/v2/*`.
+const MAP_REMOTE_PATTERN = /^(?:([a-z]+):\/\/)?([^/?#]*)(\/[^?#]*)?$/i
+const MAP_REMOTE_SCHEMES = { http: 'http', https: 'https', ws: 'http', wss: 'https' }
+
+let mapRemoteRules = []
+
+/**
+ * Split a map remote pattern ("[scheme://]host[:port][/path[*]]") into its
+ * parts. Empty parts mean "any" in a source pattern and "keep" in a target.
+ * WebSocket schemes are folded into their HTTP equivalents.
+ *
+ * @param {string} pattern
+ * @returns {{ protocol: string, host: string, port: string, path: string }|null}
+ */
+function parseMapRemotePattern (pattern) {
+  const match = MAP_REMOTE_PATTERN.exec(safeTrim(pattern))
+  if (!match) return null
+
+  const [, scheme = '', authority = '', path = ''] = match
+  const protocol = scheme ? MAP_REMOTE_SCHEMES[scheme.toLowerCase()] : ''
+  if (protocol === undefined) return null
+
+  const authorityMatch = /^([^:]*)(?::(\d{1,5}))?$/.exec(authority)
+  if (!authorityMatch) return null
+  const port = authorityMatch[2] || ''
+  if (port && (Number(port) < 1 || Number(port) > 65535)) return null
+
+  return { protocol, host: authorityMatch[1].toLowerCase(), port, path }
+}
+
+/**
+ * Normalise a map remote rule into its stored shape.
+ *
+ * @param {object} rule
+ * @returns {{ id: string, enabled: boolean, name: string, from: string, to: string, preserveHost: boolean }}
+ */
+function normalizeMapRemoteRule (rule = {}) {
+  const from = safeTrim(rule.from)
+  const to = safeTrim(rule.to)
+
+  return {
+    id: (typeof rule.id === 'string' && rule.id.trim()) ? rule.id : crypto.randomUUID(),
+    enabled: rule.enabled !== false,
+    name: safeTrim(rule.name) || from,
+    from,
+    to,
+    preserveHost: rule.preserveHost === true
+  }
+}
+
+function loadMapRemoteRules () {
+  try {
+    if (fs.existsSync(MAP_REMOTE_FILE)) {
+      const data = JSON.parse(fs.readFileSync(MAP_REMOTE_FILE, 'utf8'))
+      if (Array.isArray(data)) {
+        mapRemoteRules = data.map(normalizeMapRemoteRule)
+      }
+    }
+  } catch (error) {
+    console.error('[proxy] Error loading map remote rules:', error)
+    mapRemoteRules = []
+  }
+}
+
+async function saveMapRemoteRules () {
+  try {
+    await fsPromises.writeFile(MAP_REMOTE_FILE, JSON.stringify(mapRemoteRules, null, 2))
+    notifyRulesChanged('map-remote')
+  } catch (error) {
+    console.error('[proxy] Error saving map remote rules:', error)
+  }
+}
+
+/**
+ * Match a parsed source pattern against a URL. A trailing `*` in the pattern
+ * path matches any suffix; without a pattern path the whole request path
+ * (minus its leading slash) is the suffix.
+ *
+ * @param {{ protocol: string, host: string, port: string, path: string }} from
+ * @param {URL} url
+ * @returns {string|null} The matched path suffix, or null when the pattern does not match.
+ */
+function matchMapPattern (from, url) {
+  const protocol = url.protocol === 'https:' || url.protocol === 'wss:' ? 'https' : 'http'
+  const defaultPort = protocol === 'https' ? '443' : '80'
+  const hostname = url.hostname.toLowerCase()
+
+  if (from.protocol && from.protocol !== protocol) return null
+  if (from.host.startsWith('*.')) {
+    if (!hostname.endsWith(from.host.slice(1))) return null
+  } else if (from.host !== '*' && from.host !== hostname) {
+    return null
+  }
+  if (from.port && from.port !== (url.port || defaultPort)) return null
+
+  if (from.path.endsWith('*')) {
+    const prefix = from.path.slice(0, -1)
+    if (!url.pathname.startsWith(prefix)) return null
+    return url.pathname.slice(prefix.length)
+  }
+  if (from.path && from.path !== url.pathname) return null
+  return url.pathname.slice(1)
+}
+
+/**
+ * Compute where a URL is sent by a map remote rule, or null when the rule
+ * does not match. The suffix matched by a trailing `*` in the source path
+ * replaces the `*` of the target path. The query string is always kept.
+ *
+ * @param {object} rule
+ * @param {URL} url
+ * @returns {{ url: string, host: string }|null}
+ */
+function mapUrlWithRemoteRule (rule, url) {
+  const from = parseMapRemotePattern(rule.from)
+  const to = parseMapRemotePattern(rule.to)
+  if (!from || !from.host || !to) return null
+
+  const suffix = matchMapPattern(from, url)
+  if (suffix === null) return null
+
+  const isWebSocket = url.protocol === 'ws:' || url.protocol === 'wss:'
+  const protocol = url.protocol === 'https:' || url.protocol === 'wss:' ? 'https' : 'http'
+  const hostname = url.hostname.toLowerCase()
+
+  const targetProtocol = to.protocol || protocol
+  const targetHost = to.host || hostname
+  let targetPort = to.host ? to.port : (to.port || url.port)
+  if (targetPort === (targetProtocol === 'https' ? '443' : '80')) targetPort = ''
+
+  let targetPath = url.pathname
+  if (to.path.endsWith('*')) {
+    targetPath = `${to.path.slice(0, -1)}${suffix}`
+  } else if (to.path) {
+    targetPath = to.path
+  }
+
+  const scheme = isWebSocket ? (targetProtocol === 'https' ? 'wss' : 'ws') : targetProtocol
+  const host = targetPort ? `${targetHost}:${targetPort}` : targetHost
+  return { url: `${scheme}://${host}${targetPath}${url.search}`, host }
+}
+
+/**
+ * Find the first enabled map remote rule that applies to an upstream URL.
+ *
+ * @param {string} url
+ * @returns {{ rule: object, url: string, host: string }|null}
+ */
+function findMapRemoteTarget (url) {
+  if (!mapRemoteEnabled || mapRemoteRules.length === 0) return null
+
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return null
+  }
+
+  for (const rule of mapRemoteRules) {
+    if (!rule.enabled) continue
+    const mapped = mapUrlWithRemoteRule(rule, parsed)
+    if (mapped) return { rule, ...mapped }
+  }
+  return null
+}
+
+/**
+ * Point an upstream request at the target of the first matching map remote
+ * rule. The Host header follows the new authority unless the rule preserves
+ * it, and the log entry keeps both the original and the mapped URL.
+ *
+ * @param {string} url - Upstream URL the request would be sent to.
+ * @param {object} headers - Headers that will be sent upstream.
+ * @param {object|null} logEntry
+ * @returns {{ url: string, headers: object }}
+ */
+function applyMapRemote (url, headers, logEntry) {
+  const target = findMapRemoteTarget(url)
+  if (!target) return { url, headers }
+
+  if (logEntry) {
+    logEntry.mapRemote = {
+      ruleId: target.rule.id,
+      ruleName: target.rule.name,
+      originalUrl: url,
+      mappedUrl: target.url
+    }
+  }
+
+  if (target.rule.preserveHost) return { url: target.url, headers }
+
+  const mappedHeaders = {}
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (name.toLowerCase() !== 'host') mappedHeaders[name] = value
+  }
+  mappedHeaders.host = target.host
+  return { url: target.url, headers: mappedHeaders }
+}
+
+// Map Local: rules that serve a directory on disk for a URL prefix, e.g.
+// `https://cdn.example.com/static/*` from `~/work/app/build/static`. They
+// belong to local resources (same global switch); single-file resources win
+// when both match. Files are served by express.static, which takes care of
+// content types, index files, ranges and ETag/Last-Modified validation.
+const MAP_LOCAL_DEFAULT_INDEX_FILES = ['index.html']
+
+let mapLocalRules = []
+// Compiled pattern and static file handler per rule id (see rebuildMapLocalHandlers).
+let mapLocalHandlers = new Map()
+
+/**
+ * Expand a leading `~` in a user supplied path to the home directory.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+function expandHomeDirectory (input) {
+  const value = safeTrim(input)
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(os.homedir(), value.slice(1))
+  }
+  return value
+}
+
+/**
+ * Whether an absolute path lies inside LOCAL_FILES_ROOT (always true when no
+ * root is configured). Symlinks are resolved first so they cannot lead out
+ * of the root.
+ *
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isWithinLocalFilesRoot (target) {
+  if (!LOCAL_FILES_ROOT) return true
+  const realPath = value => {
+    try {
+      return fs.realpathSync(value)
+    } catch {
+      return path.resolve(value)
+    }
+  }
+  const relative = path.relative(realPath(LOCAL_FILES_ROOT), realPath(target))
+  return !path.isAbsolute(relative) && relative.split(path.sep)[0] !== '..'
+}
+
+const LOCAL_ORIGIN_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]'])
+
+/**
+ * Whether an API request comes from the UI or a local client rather than
+ * from a page on another site. The API answers every origin, so routes that
+ * point the proxy at files on disk check this first. Requests without an
+ * Origin header (curl, scripts) count as local.
+ *
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function isLocalOriginRequest (req) {
+  const origin = req.headers.origin
+  if (!origin) return true
+  try {
+    return LOCAL_ORIGIN_HOSTNAMES.has(new URL(origin).hostname)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Normalise a map local rule into its stored shape.
+ *
+ * @param {object} rule
+ * @returns {{ id: string, enabled: boolean, name: string, url: string, directory: string, indexFiles: string[], fallThrough: boolean }}
+ */
+function normalizeMapLocalRule (rule = {}) {
+  const url = safeTrim(rule.url)
+  const indexFiles = Array.isArray(rule.indexFiles)
+    ? rule.indexFiles.map(safeTrim).filter(name => name && !/[\\/]/.test(name))
+    : MAP_LOCAL_DEFAULT_INDEX_FILES
+
+  return {
+    id: (typeof rule.id === 'string' && rule.id.trim()) ? rule.id : crypto.randomUUID(),
+    enabled: rule.enabled !== false,
+    name: safeTrim(rule.name) || url,
+    url,
+    directory: safeTrim(rule.directory),
+    indexFiles: Array.from(new Set(indexFiles)),
+    fallThrough: rule.fallThrough === true
+  }
+}
+
+/**
+ * Rebuild the compiled map local handlers from mapLocalRules. A pattern
+ * path without a trailing `*` is treated as a directory prefix.
+ */
+function rebuildMapLocalHandlers () {
+  const handlers = new Map()
+  for (const rule of mapLocalRules) {
+    const pattern = parseMapRemotePattern(rule.url)
+    const root = expandHomeDirectory(rule.directory)
+    if (!pattern || !pattern.host || !path.isAbsolute(root) || !isWithinLocalFilesRoot(root)) {
+      logWarn('mapLocal', `Skipping map local rule with invalid pattern or directory: ${rule.url}`)
+      continue
+    }
+    if (!pattern.path.endsWith('*')) {
+      pattern.path = `${pattern.path.replace(/\/$/, '')}/*`
+    }
+    handlers.set(rule.id, {
+      pattern,
+      serve: express.static(root, {
+        index: rule.indexFiles.length > 0 ? rule.indexFiles : false,
+        fallthrough: rule.fallThrough,
+        redirect: true,
+        setHeaders: res => res.setHeader('X-Proxy-Source', 'local')
+      })
+    })
+  }
+  mapLocalHandlers = handlers
+}
+
+function loadMapLocalRules () {
+  try {
+    if (fs.existsSync(MAP_LOCAL_FILE)) {
+      const data = JSON.parse(fs.readFileSync(MAP_LOCAL_FILE, 'utf8'))
+      if (Array.isArray(data)) {
+        mapLocalRules = data.map(normalizeMapLocalRule)
+      }
+    }
+  } catch (error) {
+    console.error('[proxy] Error loading map local rules:', error)
+    mapLocalRules = []
+  }
+  rebuildMapLocalHandlers()
+}
+
+async function saveMapLocalRules () {
+  try {
+    await fsPromises.writeFile(MAP_LOCAL_FILE, JSON.stringify(mapLocalRules, null, 2))
+    notifyRulesChanged('map-local')
+  } catch (error) {
+    console.error('[proxy] Error saving map local rules:', error)
+  }
+}
+
+/**
+ * Find the first enabled map local rule whose URL prefix covers a request.
+ *
+ * @param {string} url - Absolute URL the client asked for.
+ * @returns {{ rule: object, serve: Function, suffix: string, url: URL }|null}
+ */
+function findMapLocalTarget (url) {
+  if (!localResourcesEnabled || mapLocalHandlers.size === 0) return null
+
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return null
+  }
+
+  for (const rule of mapLocalRules) {
+    const handler = rule.enabled ? mapLocalHandlers.get(rule.id) : null
+    if (!handler) continue
+    const suffix = matchMapPattern(handler.pattern, parsed)
+    if (suffix !== null) return { rule, serve: handler.serve, suffix, url: parsed }
+  }
+  return null
+}
+
+/**
+ * Serve a request from the directory of a map local rule. The static
+ * handler sees the path below the rule prefix, while redirects for
+ * directories without a trailing slash still point at the original path.
+ *
+ * Resolves to false when the file is missing and the rule falls through to
+ * the upstream (nothing has been written to `res` then), and to true once
+ * the response has been handled, including 404/405 responses of rules that
+ * do not fall through.
+ *
+ * @param {{ serve: Function, suffix: string, url: URL }} target - Result of findMapLocalTarget.
+ * @param {{ method: string, headers: object }} request
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<boolean>}
+ */
+function serveMapLocalDirectory (target, { method, headers }, res) {
+  const staticRequest = {
+    method,
+    headers,
+    url: `/${target.suffix}${target.url.search}`,
+    originalUrl: `${target.url.pathname}${target.url.search}`
+  }
+
+  return new Promise(resolve => {
+    const onDone = () => resolve(true)
+    res.once('finish', onDone)
+    res.once('close', onDone)
+
+    target.serve(staticRequest, res, error => {
+      res.removeListener('finish', onDone)
+      res.removeListener('close', onDone)
+      if (!error) {
+        resolve(false)
+        return
+      }
+
+      if (res.headersSent) {
+        res.destroy()
+      } else {
+        const statusCode = error.statusCode || error.status || 500
+        if (statusCode >= 500) console.error('[proxy] Error serving map local file:', error)
+        res.statusCode = statusCode
+        res.setHeader('Content-Type', 'application/json; charset=utf-8')
+        res.setHeader('X-Proxy-Source', 'local')
+        res.end(JSON.stringify({ error: http.STATUS_CODES[statusCode] || 'Error serving local file' }))
+      }
+      resolve(true)
+    })
+  })
+}
+
+/**
+ * Record a request answered from a map local directory.
+ *
+ * @param {object|null} logEntry
+ * @param {{ rule: object, suffix: string }} target
+ * @param {import('http').ServerResponse} res
+ */
+function logMapLocalResponse (logEntry, target, res) {
+  if (!logEntry) return
+  let filePath = `/${target.suffix}`
+  try {
+    filePath = decodeURIComponent(filePath)
+  } catch {}
+
+  logEntry.source = 'local'
+  logEntry.localResource = target.rule.url
+  logEntry.statusCode = res.statusCode
+  logEntry.mapLocal = {
+    ruleId: target.rule.id,
+    ruleName: target.rule.name,
+    directory: target.rule.directory,
+    path: filePath
+  }
+  addLog(logEntry)
+}
+
+function createRawTunnel ({ clientSocket, targetHost, targetPort, head }) {
+  const conditions = findNetworkConditions([`https://${targetHost}:${targetPort}`, targetHost])
+  const targetSocket = net.connect(targetPort, targetHost, () => {
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+    if (head && head.length) {
+      targetSocket.write(head)
+    }
+    pipeThroughNetworkLink(clientSocket, targetSocket, createNetworkLink(conditions, 'upload'))
+    pipeThroughNetworkLink(targetSocket, clientSocket, createNetworkLink(conditions, 'download'))
+  })
+
+  const closeSockets = () => {
+    try { clientSocket.destroy() } catch {}
+    try { targetSocket.destroy() } catch {}
+  }
+
+  targetSocket.on('error', closeSockets)
+  clientSocket.on('error', closeSockets)
+
+  clientSocket.on('close', () => {
+    try { targetSocket.end() } catch {}
+  })
+
+  targetSocket.on('close', () => {
+    try { clientSocket.end() } catch {}
+  })
+
+  return targetSocket
+}
+
+function buildBypassInputFromHttpRequest (req, resolvedTarget) {
+  const requestUrl = typeof req.url === 'string' ? req.url : '/'
+  const hostHeader = typeof req.headers?.host === 'string' ? req.headers.host : ''
+  const host = resolvedTarget?.host || normalizeHostValue(hostHeader)
+
+  const assumedProtocol = req.headers['x-forwarded-proto']?.split(',')[0]?.trim() || (req.socket?.encrypted ? 'https' : 'http')
+
+  let fullUrl = resolvedTarget?.url || null
+  if (!fullUrl) {
+    if (/^(https?|wss?):\/\//i.test(requestUrl)) {
+      fullUrl = requestUrl
+    } else if (hostHeader) {
+      const prefixedPath = requestUrl.startsWith('/') ? requestUrl : `/${requestUrl}`
+      fullUrl = `${assumedProtocol}://${hostHeader}${prefixedPath}`
+    }
+  }
+
+  let path = null
+  if (fullUrl) {
+    try {
+      path = new URL(fullUrl).pathname || requestUrl
+    } catch {
+      path = requestUrl
+    }
+  } else {
+    path = requestUrl
+  }
+
+  return buildRoutingContext({
+    requestUrl,
+    fullUrl,
+    host,
+    path,
+    targetUrl: resolvedTarget?.url,
+    method: req.method
+  })
+}
+
+/**
+ * Try to handle an HTTP request using a direct upstream bypass when allowed
+ * by the current block/bypass rules. Returns true if the request was fully
+ * handled here.
+ *
+ * When a request is blocked we emit a "blocked" log entry. When it is
+ * bypassed (handling === 'direct') we now emit a lightweight "direct"
+ * log entry so redirected resources are visible in /api/logs and the
+ * audit panel without changing the bypass behaviour itself.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<boolean>}
+ */
+async function tryHandleHttpBypass (req, res) {
+  if (req.method === 'CONNECT') return false
+  const connectionHeader = typeof req.headers?.connection === 'string' ? req.headers.connection.toLowerCase() : ''
+  const wantsUpgrade = Boolean(req.headers?.upgrade) || connectionHeader.includes('upgrade')
+  if (wantsUpgrade) return false
+
+  const resolvedTarget = resolveTargetFromRequest(req)
+  const routingContext = buildBypassInputFromHttpRequest(req, resolvedTarget)
+  const handling = decideHttpHandling(routingContext)
+
+  const requestStart = Date.now()
+  const requestUrl = typeof req.url === 'string' ? req.url : '/'
+  const hostHeader = typeof req.headers?.host === 'string' ? req.headers.host : ''
+  const protocol = req.socket?.encrypted ? 'https' : 'http'
+  const authority = hostHeader || `localhost:${PORT}`
+  const clientFacingUrl = `${protocol}://${authority}${requestUrl}`
+  const clientIp = req.socket?.remoteAddress || req.connection?.remoteAddress || 'unknown'
+
+  if (handling === 'block') {
+    if (interactiveModeEnabled) {
+      const logEntry = createBaseLogEntry({
+        requestStart,
+        method: req.method,
+        url: requestUrl,
+        fullUrl: clientFacingUrl,
+        headers: sanitizeAndStripIdentifyingHeaders(req.headers),
+        source: 'blocked',
+        clientIp,
+        httpVersion: req.httpVersion
+      })
+      logEntry.statusCode = 204
+      addLog(logEntry)
+    }
+
+    res.writeHead(204)
+    res.end()
+    return true
+  }
+
+  // Fault rules only apply to proxied traffic, never to the proxy's own API.
+  const faultRule = resolvedTarget.url
+    ? findFaultRule({ method: req.method, urls: [resolvedTarget.url, routingContext.fullUrl, requestUrl] })
+    : null
+  if (faultRule) {
+    const logEntry = interactiveModeEnabled
+      ? createBaseLogEntry({
+          requestStart,
+          method: req.method,
+          url: requestUrl,
+          fullUrl: routingContext.fullUrl || clientFacingUrl,
+          headers: sanitizeAndStripIdentifyingHeaders(req.headers),
+          source: 'fault',
+          clientIp,
+          httpVersion: req.httpVersion
+        })
+      : null
+    injectHttpFault(req, res, faultRule, logEntry, { url: resolvedTarget.url, headers: req.headers })
+    return true
+  }
+
+  if (handling !== 'direct') {
+    // Either blocked or proxied by the main Express pipeline.
+    return false
+  }
+
+  const targetUrl = routingContext.targetUrl || routingContext.fullUrl
+
+  if (!targetUrl) {
+    res.writeHead(404)
+    res.end('Bypass target unavailable')
+    return true
+  }
+
+  const hasLogging = interactiveModeEnabled === true
+  const logEntry = hasLogging
+    ? createBaseLogEntry({
+        requestStart,
+        method: req.method,
+        url: requestUrl,
+        fullUrl: targetUrl,
+        headers: sanitizeAndStripIdentifyingHeaders(req.headers),
+        source: 'direct',
+        clientIp,
+        httpVersion: req.httpVersion
+      })
+    : null
+
+  const abortController = new AbortController()
+  const onClose = attachAbortOnClose(res, abortController)
+
+  try {
+    const upstreamStart = Date.now()
+    incrementBypassedCount()
+
+    const target = new URL(targetUrl)
+    const omitHeaders = OMIT_HEADERS_BASE
+    const mappedRequest = applyMapRemote(targetUrl, createForwardHeaders(req.headers, omitHeaders, {
+      host: target.host
+    }), logEntry)
+
+    const hasBody = !(req.method === 'GET' || req.method === 'HEAD')
+
+    const { response: upstreamResponse, httpVersion } = await performUpstreamRequest({
+      url: mappedRequest.url,
+      method: req.method,
+      headers: mappedRequest.headers,
+      body: hasBody ? req : undefined,
+      abortSignal: abortController.signal,
+      bufferResponse: false
+    })
+
+    if (logEntry) {
+      logEntry.upstreamDurationMs = Date.now() - upstreamStart
+      logEntry.upstreamHttpVersion = httpVersion
+      logEntry.targetUrl = mappedRequest.url
+      logEntry.statusCode = upstreamResponse.statusCode
+      logEntry.responseHeaders = upstreamResponse.headers
+      logEntry.responseBody = '[streamed direct response]'
+      logEntry.responseSize = null
+      addLog(logEntry)
+    }
+
+    const responseHeaders = sanitizeHeaders(upstreamResponse.headers, OMIT_RESPONSE_HEADERS)
+    res.writeHead(upstreamResponse.statusCode, responseHeaders)
+
+    if (req.method === 'HEAD') {
+      res.end()
+      if (upstreamResponse.body) {
+        upstreamResponse.body.resume()
+      }
+    } else if (upstreamResponse.body) {
+      trackStreamedResponseSize(logEntry, upstreamResponse.body)
+      upstreamResponse.body.pipe(res)
+    } else {
+      res.end()
+    }
+  } catch (error) {
+    if (logEntry) {
+      recordUpstreamErrorOnLog(logEntry, error)
+    }
+    if (!res.headersSent) {
+      res.writeHead(502)
+    }
+    res.end('Bypass proxy error')
+  } finally {
+    res.removeListener('close', onClose)
+  }
+
+  return true
+}
+
+function createRawWebSocketTunnel ({ req, clientSocket, head, targetUrl, mappedTarget = null }) {
+  let parsed
+  try {
+    parsed = new URL(mappedTarget ? mappedTarget.url : targetUrl)
+  } catch (error) {
+    clientSocket.write('HTTP/1.1 502 Bad Gateway\r\n\r\n')
+    clientSocket.destroy()
+    return
+  }
+
+  const isSecure = parsed.protocol === 'https:' || parsed.protocol === 'wss:'
+  const port = parsed.port ? Number(parsed.port) : (isSecure ? 443 : 80)
+  const connectHandler = () => {
+    const pathWithQuery = (parsed.pathname || '/') + (parsed.search || '')
+    const requestLine = `${req.method} ${pathWithQuery || '/'} HTTP/${req.httpVersion}\r\n`
+    const headerLines = []
+    const rawHeaders = Array.isArray(req.rawHeaders) ? req.rawHeaders : []
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+      const name = rawHeaders[i]
+      const value = rawHeaders[i + 1]
+      if (!name || value === undefined) continue
+      if (mappedTarget && !mappedTarget.rule.preserveHost && name.toLowerCase() === 'host') {
+        headerLines.push(`${name}: ${mappedTarget.host}`)
+        continue
+      }
+      headerLines.push(`${name}: ${value}`)
+    }
+
+    targetSocket.write(requestLine + headerLines.join('\r\n') + '\r\n\r\n')
+    if (head && head.length) {
+      targetSocket.write(head)
+    }
+
+    const conditions = findNetworkConditions([targetUrl, parsed.hostname])
+    pipeThroughNetworkLink(clientSocket, targetSocket, createNetworkLink(conditions, 'upload'))
+    pipeThroughNetworkLink(targetSocket, clientSocket, createNetworkLink(conditions, 'download'))
+  }
+
+  const socketOptions = {
+    host: parsed.hostname,
+    port
+  }
+
+  let targetSocket
+
+  if (isSecure) {
+    const tlsOptions = {
+      ...socketOptions,
+      servername: parsed.hostname
+    }
+
+    if (STRICT_TLS_ENABLED) {
+      tlsOptions.rejectUnauthorized = true
+      if (upstreamCaBundle) {
+        tlsOptions.ca = upstreamCaBundle
+      }
+    } else {
+      tlsOptions.rejectUnauthorized = false
+    }
+
+    targetSocket = tls.connect(tlsOptions, connectHandler)
+  } else {
+    targetSocket = net.connect(socketOptions, connectHandler)
+  }
+
+  const destroyBoth = () => {
+    try { clientSocket.destroy() } catch {}
+    try { targetSocket.destroy() } catch {}
+  }
+
+  targetSocket.on('error', () => {
+    destroyBoth()
+  })
+
+  clientSocket.on('error', () => {
+    destroyBoth()
+  })
+
+  clientSocket.on('close', () => {
+    try { targetSocket.end() } catch {}
+  })
+
+  targetSocket.on('close', () => {
+    try { clientSocket.end() } catch {}
+  })
+}
+
+function shouldBypassRequest (input) {
+  if (!filterRulesEnabled) return false
+  if (!bypassMatchers.length) return false
+
+  const context = createBypassContext(input)
+  if (!context.hostCandidates.length && !context.valueCandidates.length) return false
+
+  for (const matcher of bypassMatchers) {
+    if (matcher.type === 'host') {
+      for (const hostCandidate of context.hostCandidates) {
+        if (hostPatternMatches(matcher.value, hostCandidate)) {
+          return true
+        }
+      }
+    } else {
+      for (const valueCandidate of context.valueCandidates) {
+        if (valueCandidate.includes(matcher.value)) {
+          return true
+        }
+      }
+    }
+  }
+
+  return false
+}
+
+/**
+ * Register a local resource whose content file is already in STORAGE_DIR and
+ * persist resources.json. Shared by the upload form (POST /api/resources) and
+ * "Save as local resource" on a log entry.
+ *
+ * @param {string} url - Resource URL pattern (map key).
+ * @param {object} resourceData - Content description (type, filename, contentType, size...).
+ * @param {object} match - Normalised match settings.
+ * @param {object} options - Normalised serving options.
+ * @returns {Promise<object>} The stored resource, including its URL.
+ */
+async function storeLocalResource (url, resourceData, match, options) {
+  Object.assign(resourceData, match, options)
+
+  localResources.set(url, resourceData)
+  rebuildLocalResourceMatchers()
+  await saveLocalResources()
+
+  return { url, ...resourceData }
+}
+
+// Response headers that are never copied onto a resource saved from a log
+// entry: the body is stored decoded and its type is kept separately, the
+// rest describe the original connection.
+const LOG_RESOURCE_SKIPPED_HEADERS = new Set([
+  'content-type',
+  'content-encoding',
+  'content-length',
+  'transfer-encoding',
+  'connection',
+  'keep-alive',
+  'date',
+  'x-proxy-source'
+])
+
+/**
+ * Turn the captured response of a log entry into the pieces of a local
+ * resource: decoded body, content type, status code and the response
+ * headers named in `copyHeaders`. Match settings (url, matchMode, methods,
+ * host) come from the payload and default to a substring match on the
+ * captured URL; statusCode, contentType and delayMs may be overridden.
+ *
+ * Streamed responses and bodies replaced by a placeholder were never
+ * captured, so they fail with status 422 unless `allowEmptyBody` is set.
+ *
+ * @param {object} logEntry
+ * @param {any} payload
+ * @returns {{ ok: boolean, value?: { url: string, body: Buffer, contentType: string, settings: object }, status?: number, error?: string }}
+ */
+function buildLocalResourceFromLog (logEntry, payload) {
+  const source = (payload && typeof payload === 'object') ? payload : {}
+
+  if (
+    logEntry.isConnectionLog ||
+    logEntry.source === 'websocket' ||
+    logEntry.source === 'tunnel' ||
+    !Number.isInteger(logEntry.statusCode)
+  ) {
+    return { ok: false, error: 'This log entry has no captured HTTP response.' }
+  }
+
+  const url = safeTrim(source.url) || logEntry.fullUrl || logEntry.url
+  if (!url) {
+    return { ok: false, error: 'URL is required' }
+  }
+
+  const copyHeaders = source.copyHeaders === undefined ? [] : source.copyHeaders
+  if (!Array.isArray(copyHeaders) || copyHeaders.some(name => typeof name !== 'string')) {
+    return { ok: false, error: 'Invalid "copyHeaders": expected an array of header names.' }
+  }
+
+  const wanted = new Set(copyHeaders.map(name => name.trim().toLowerCase()))
+  const headers = {}
+  for (const [name, value] of Object.entries(logEntry.responseHeaders || {})) {
     const lower = name.toLowerCase()
+    if (wanted.has(lower) && !LOG_RESOURCE_SKIPPED_HEADERS.has(lower)) {
+      headers[name] = value
+    }
+  }
+
+  if (source.allowEmptyBody !== undefined && typeof source.allowEmptyBody !== 'boolean') {
+    return { ok: false, error: 'Invalid "allowEmptyBody": expected a boolean.' }
+  }
+
+  const body = getDecodedLoggedBody(logEntry, 'response')
+  const isEmptyResponse = logEntry.responseBody === '' ||
+    logEntry.method === 'HEAD' ||
+    logEntry.statusCode === 204 ||
+    logEntry.statusCode === 304
+  if (!body && !isEmptyResponse && source.allowEmptyBody !== true) {
+    return {
+      ok: false,
+      status: 422,
+      error: 'The response body of this log entry was not captured, so the resource would be empty. Set "allowEmptyBody" to save it anyway.'
+    }
+  }
+
+  const contentType = safeTrim(source.contentType) ||
+    safeTrim(getHeaderCaseInsensitive(logEntry.responseHeaders, 'content-type')) ||
+    'application/octet-stream'
+
+  return {
+    ok: true,
+    value: {
+      url,
+      body: body || Buffer.alloc(0),
+      contentType,
+      settings: {
+        matchMode: source.matchMode,
+        methods: source.methods,
+        host: source.host,
+        statusCode: source.statusCode === undefined ? logEntry.statusCode : source.statusCode,
+        headers,
+        delayMs: source.delayMs
+      }
+    }
+  }
+}
+
+// Load existing local resources on startup
+function loadLocalResources () {
+  const resourcesFile = path.join(STORAGE_DIR, 'resources.json')
+  if (fs.existsSync(resourcesFile)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(resourcesFile, 'utf8'))
+      localResources = new Map(Object.entries(data))
+      rebuildLocalResourceMatchers()
+      syncExternalResourceWatchers()
+    } catch (error) {
+      console.error('[proxy] Error loading local resources:', error)
+    }
+  }
+}
+
+async function saveLocalResources () {
+  const resourcesFile = path.join(STORAGE_DIR, 'resources.json')
+  const data = Object.fromEntries(localResources)
+  syncExternalResourceWatchers()
+  try {
+    await fsPromises.writeFile(resourcesFile, JSON.stringify(data, null, 2))
+    notifyRulesChanged('resources')
+  } catch (error) {
+    console.error('[proxy] Error saving local resources:', error)
+  }
+}
+
+function getLocalResourcesList () {
+  return Array.from(localResources.entries()).map(([url, data]) => ({
+    url,
+    matchMode: 'substring',
+    methods: [],
+    host: '',
+    templated: false,
+    statusCode: 200,
+    headers: {},
+    delayMs: 0,
+    ...data,
+    ...(data && data.type === 'path' ? describeExternalResourceFile(data.sourcePath) : {})
+  }))
+}
+
+// Local resources of type 'path' serve a file outside STORAGE_DIR, read on
+// every request so edits are served right away. Their directories are
+// watched to push the new size and modification time to the resource list;
+// watching the directory rather than the file keeps working when an editor
+// saves by renaming a new file over the old one.
+const EXTERNAL_RESOURCE_REFRESH_DELAY_MS = 100
+
+let externalResourceWatchers = new Map()
+let externalResourceRefreshTimer = null
+
+/**
+ * Absolute path of the file holding a local resource's content.
+ *
+ * @param {{ type?: string, filename?: string, sourcePath?: string }} resource
+ * @returns {string}
+ */
+function getLocalResourceFilePath (resource) {
+  return resource.type === 'path' ? resource.sourcePath : path.join(STORAGE_DIR, resource.filename)
+}
+
+/**
+ * Current size and modification time of an external resource file.
+ *
+ * @param {string} sourcePath
+ * @returns {{ missing: boolean, size?: number, lastModified?: string }}
+ */
+function describeExternalResourceFile (sourcePath) {
+  try {
+    const stats = fs.statSync(sourcePath)
+    if (!stats.isFile()) return { missing: true }
+    return { missing: false, size: stats.size, lastModified: stats.mtime.toISOString() }
+  } catch {
+    return { missing: true }
+  }
+}
+
+// Coalesce the bursts of events a single save produces into one update.
+function scheduleExternalResourceRefresh () {
+  if (externalResourceRefreshTimer) return
+  externalResourceRefreshTimer = setTimeout(() => {
+    externalResourceRefreshTimer = null
+    notifyRulesChanged('resources')
+  }, EXTERNAL_RESOURCE_REFRESH_DELAY_MS)
+  externalResourceRefreshTimer.unref()
+}
+
+/**
+ * Watch the directories of all external resource files and stop watching
+ * the ones no longer referenced. A directory that cannot be watched (for
+ * example because it does not exist yet) is retried on the next sync.
+ */
+function syncExternalResourceWatchers () {
+  const namesByDirectory = new Map()
+  for (const data of localResources.values()) {
+    if (!data || data.type !== 'path' || !data.sourcePath) continue
+    const directory = path.dirname(data.sourcePath)
+    if (!namesByDirectory.has(directory)) namesByDirectory.set(directory, new Set())
+    namesByDirectory.get(directory).add(path.basename(data.sourcePath))
+  }
+
+  for (const [directory, entry] of externalResourceWatchers) {
+    if (!namesByDirectory.has(directory)) {
+      entry.watcher.close()
+      externalResourceWatchers.delete(directory)
+    }
+  }
+
+  for (const [directory, names] of namesByDirectory) {
+    const existing = externalResourceWatchers.get(directory)
+    if (existing) {
+      existing.names = names
+      continue
+    }
+
+    const entry = { names, watcher: null }
+    try {
+      entry.watcher = fs.watch(directory, { persistent: false }, (eventType, filename) => {
+        // Some platforms do not report the file name; refresh to be safe.
+        if (!filename || entry.names.has(filename.toString())) {
+          scheduleExternalResourceRefresh()
+        }
+      })
+    } catch (error) {
+      logWarn('localResources', `Cannot watch ${directory}: ${error.message}`)
+      continue
+    }
+    entry.watcher.on('error', error => {
+      logWarn('localResources', `Stopped watching ${directory}: ${error.message}`)
+      entry.watcher.close()
+      externalResourceWatchers.delete(directory)
+      scheduleExternalResourceRefresh()
+    })
+    externalResourceWatchers.set(directory, entry)
+  }
+}
+
+// Profiles: named snapshots of which edit, filter, blocked, network
+// condition, fault, map remote and map local rules and which local resources
+// are enabled, plus the global feature flags that go with them. Activating a
+// profile flips every member on and everything else off.
+const PROFILE_MODE_FLAGS = ['editRulesEnabled', 'localResourcesEnabled', 'filterRulesEnabled', 'blockedRulesEnabled', 'networkConditionsEnabled', 'faultRulesEnabled', 'mapRemoteEnabled']
+
+let profiles = []
+
+function normalizeProfileIdList (value) {
+  if (!Array.isArray(value)) return []
+  return Array.from(new Set(value.filter(item => typeof item === 'string' && item)))
+}
+
+/**
+ * Normalise a profile into its stored shape.
+ *
+ * @param {object} profile
+ * @returns {{ id: string, name: string, createdAt: string, updatedAt: string, editRuleIds: string[], filterRuleIds: string[], blockedRuleIds: string[], networkRuleIds: string[], faultRuleIds: string[], mapRemoteRuleIds: string[], mapLocalRuleIds: string[], resourceUrls: string[], modes: Object }}
+ */
+function normalizeProfile (profile = {}) {
+  const now = new Date().toISOString()
+  const rawModes = profile.modes && typeof profile.modes === 'object' ? profile.modes : {}
+  const modes = {}
+  for (const flag of PROFILE_MODE_FLAGS) {
+    modes[flag] = rawModes[flag] !== false
+  }
+  modes.filterMode = rawModes.filterMode === 'focus' ? 'focus' : 'ignore'
+
+  return {
+    id: (typeof profile.id === 'string' && profile.id.trim()) ? profile.id : crypto.randomUUID(),
+    name: safeTrim(profile.name) || 'Untitled profile',
+    createdAt: typeof profile.createdAt === 'string' ? profile.createdAt : now,
+    updatedAt: typeof profile.updatedAt === 'string' ? profile.updatedAt : now,
+    editRuleIds: normalizeProfileIdList(profile.editRuleIds),
+    filterRuleIds: normalizeProfileIdList(profile.filterRuleIds),
+    blockedRuleIds: normalizeProfileIdList(profile.blockedRuleIds),
+    networkRuleIds: normalizeProfileIdList(profile.networkRuleIds),
+    faultRuleIds: normalizeProfileIdList(profile.faultRuleIds),
+    mapRemoteRuleIds: normalizeProfileIdList(profile.mapRemoteRuleIds),
+    mapLocalRuleIds: normalizeProfileIdList(profile.mapLocalRuleIds),
+    resourceUrls: normalizeProfileIdList(profile.resourceUrls),
+    modes
+  }
+}
+
+function loadProfiles () {
+  try {
+    if (fs.existsSync(PROFILES_FILE)) {
+      const data = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'))
+      if (Array.isArray(data)) {
+        profiles = data.map(normalizeProfile)
+      }
+    }
+  } catch (error) {
+    console.error('[proxy] Error loading profiles:', error)
+    profiles = []
+  }
+  if (activeProfileId && !profiles.some(profile => profile.id === activeProfileId)) {
+    activeProfileId = null
+  }
+}
+
+async function saveProfiles () {
+  try {
+    await fsPromises.writeFile(PROFILES_FILE, JSON.stringify(profiles, null, 2))
+    notifyRulesChanged('profiles')
+  } catch (error) {
+    console.error('[proxy] Error saving profiles:', error)
+  }
+}
+
+/**
+ * Capture the members of a profile from what is enabled right now.
+ *
+ * @returns {{ editRuleIds: string[], filterRuleIds: string[], blockedRuleIds: string[], networkRuleIds: string[], faultRuleIds: string[], mapRemoteRuleIds: string[], mapLocalRuleIds: string[], resourceUrls: string[], modes: Object }}
+ */
+function captureProfileMembers () {
+  const enabledIds = rules => rules.filter(rule => rule && rule.enabled).map(rule => rule.id)
+  return {
+    editRuleIds: enabledIds(editRules),
+    filterRuleIds: enabledIds(bypassRules),
+    blockedRuleIds: enabledIds(blockedRules),
+    networkRuleIds: enabledIds(networkConditionRules),
+    faultRuleIds: enabledIds(faultRules),
+    mapRemoteRuleIds: enabledIds(mapRemoteRules),
+    mapLocalRuleIds: enabledIds(mapLocalRules),
+    resourceUrls: Array.from(localResources.entries())
+      .filter(([, data]) => !data || data.enabled !== false)
+      .map(([url]) => url),
+    modes: {
+      editRulesEnabled,
+      localResourcesEnabled,
+      filterRulesEnabled,
+      blockedRulesEnabled,
+      networkConditionsEnabled,
+      faultRulesEnabled,
+      mapRemoteEnabled,
+      filterMode: getBypassMode()
+    }
+  }
+}
+
+/**
+ * Whether the current rules and flags have drifted from a profile. Members
+ * that no longer exist are ignored, so deleting a rule does not count.
+ *
+ * @param {object} profile
+ * @returns {boolean}
+ */
+function isProfileModified (profile) {
+  const current = captureProfileMembers()
+  const sameMembers = (expected, actual, existing) => {
+    const expectedSet = new Set(expected.filter(id => existing.has(id)))
+    return expectedSet.size === actual.length && actual.every(id => expectedSet.has(id))
+  }
+  const idsOf = rules => new Set(rules.map(rule => rule.id))
+
+  if (!sameMembers(profile.editRuleIds, current.editRuleIds, idsOf(editRules))) return true
+  if (!sameMembers(profile.filterRuleIds, current.filterRuleIds, idsOf(bypassRules))) return true
+  if (!sameMembers(profile.blockedRuleIds, current.blockedRuleIds, idsOf(blockedRules))) return true
+  if (!sameMembers(profile.networkRuleIds, current.networkRuleIds, idsOf(networkConditionRules))) return true
+  if (!sameMembers(profile.faultRuleIds, current.faultRuleIds, idsOf(faultRules))) return true
+  if (!sameMembers(profile.mapRemoteRuleIds, current.mapRemoteRuleIds, idsOf(mapRemoteRules))) return true
+  if (!sameMembers(profile.mapLocalRuleIds, current.mapLocalRuleIds, idsOf(mapLocalRules))) return true
+  if (!sameMembers(profile.resourceUrls, current.resourceUrls, new Set(localResources.keys()))) return true
+  return Object.keys(profile.modes).some(key => profile.modes[key] !== current.modes[key])
+}
+
+/**
+ * Activate a profile. Every in-memory change (rule flags, global modes and
+ * derived caches) is applied synchronously before anything is written, so
+ * no request is ever proxied against a half-switched rule set.
+ *
+ * @param {object} profile
+ */
+async function activateProfile (profile) {
+  const editIds = new Set(profile.editRuleIds)
+  const filterIds = new Set(profile.filterRuleIds)
+  const blockedIds = new Set(profile.blockedRuleIds)
+  const networkIds = new Set(profile.networkRuleIds)
+  const faultIds = new Set(profile.faultRuleIds)
+  const mapRemoteIds = new Set(profile.mapRemoteRuleIds)
+  const mapLocalIds = new Set(profile.mapLocalRuleIds)
+  const resourceUrls = new Set(profile.resourceUrls)
+
+  editRules = editRules.map(rule => ({ ...rule, enabled: editIds.has(rule.id) }))
+  bypassRules = bypassRules.map(rule => ({ ...rule, enabled: filterIds.has(rule.id) }))
+  blockedRules = blockedRules.map(rule => ({ ...rule, enabled: blockedIds.has(rule.id) }))
+  networkConditionRules = networkConditionRules.map(rule => ({ ...rule, enabled: networkIds.has(rule.id) }))
+  faultRules = faultRules.map(rule => ({ ...rule, enabled: faultIds.has(rule.id) }))
+  mapRemoteRules = mapRemoteRules.map(rule => ({ ...rule, enabled: mapRemoteIds.has(rule.id) }))
+  mapLocalRules = mapLocalRules.map(rule => ({ ...rule, enabled: mapLocalIds.has(rule.id) }))
+  for (const [url, data] of localResources) {
+    localResources.set(url, { ...data, enabled: resourceUrls.has(url) })
+  }
+
+  editRulesEnabled = profile.modes.editRulesEnabled
+  localResourcesEnabled = profile.modes.localResourcesEnabled
+  filterRulesEnabled = profile.modes.filterRulesEnabled
+  blockedRulesEnabled = profile.modes.blockedRulesEnabled
+  networkConditionsEnabled = profile.modes.networkConditionsEnabled
+  faultRulesEnabled = profile.modes.faultRulesEnabled
+  mapRemoteEnabled = profile.modes.mapRemoteEnabled
+  bypassMode = profile.modes.filterMode
+  activeProfileId = profile.id
+
+  rebuildEditRuleCache()
+  rebuildBypassUrlsForCurrentMode()
+  blockedUrls = blockedRules.filter(rule => rule.enabled).map(rule => rule.url)
+
+  persistConfig()
+  await Promise.all([
+    saveEditRules(),
+    saveBypassUrls(),
+    saveBlockedUrls(),
+    saveNetworkConditionRules(),
+    saveFaultRules(),
+    saveMapRemoteRules(),
+    saveMapLocalRules(),
+    saveLocalResources()
+  ])
+}
+
+// Rule bundles: a single JSON document carrying edit, filter and blocked
+// rules plus local resources (with their files inlined as base64), used to
+// move a setup between machines.
+const BUNDLE_FORMAT = 'interactive-proxy-bundle'
+const BUNDLE_VERSION = 1
+const BUNDLE_SECTIONS = ['editRules', 'filterRules', 'blockedRules', 'resources']
+const BUNDLE_CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename']
+
+/**
+ * Build an export bundle with the requested sections.
+ *
+ * @param {string[]} sections - Subset of BUNDLE_SECTIONS.
+ * @returns {Promise<object>}
+ */
+async function buildRulesBundle (sections) {
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString()
+  }
+
+  if (sections.includes('editRules')) bundle.editRules = editRules
+  if (sections.includes('filterRules')) bundle.filterRules = bypassRules
+  if (sections.includes('blockedRules')) bundle.blockedRules = blockedRules
+
+  if (sections.includes('resources')) {
+    bundle.resources = []
+    for (const [url, data] of localResources.entries()) {
+      // Resources backed by an external file are exported with its current
+      // content and come back as plain file resources.
+      const { filename: _filename, sourcePath: _sourcePath, ...rest } = data || {}
+      let body
+      try {
+        body = (await fsPromises.readFile(getLocalResourceFilePath(data || {}))).toString('base64')
+      } catch (error) {
+        console.error(`[proxy] Skipping resource ${url} in export:`, error.message)
+        continue
+      }
+      bundle.resources.push({ ...rest, url, body })
+    }
+  }
+
+  return bundle
+}
+
+// Fields compared to decide whether an imported item is identical to the
+// one already present (ids and enabled flags are machine-local).
+function stripBundleIdentity (item) {
+  const { id: _id, enabled: _enabled, ...rest } = item || {}
+  return JSON.stringify(rest)
+}
+
+function nextImportedName (name, takenNames) {
+  let candidate = `${name} (imported)`
+  for (let n = 2; takenNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${name} (imported ${n})`
+  }
+  takenNames.add(candidate.toLowerCase())
+  return candidate
+}
+
+/**
+ * Plan the import of one rule section: every incoming rule is normalised,
+ * validated and matched against the existing ones by id or natural key, then
+ * given an action (add, overwrite, rename, skip, unchanged or invalid).
+ *
+ * @param {any[]} incoming
+ * @param {{ existing: object[], normalize: Function, validate: Function, naturalKey: Function, newId: Function, strategy: string }} options
+ * @returns {object[]}
+ */
+function planBundleRuleSection (incoming, { existing, normalize, validate, naturalKey, newId, strategy }) {
+  const takenNames = new Set(existing.map(rule => rule.name.toLowerCase()))
+  const seenKeys = new Set()
+  const seenIds = new Set()
+
+  return incoming.map((raw, index) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { key: `#${index + 1}`, name: `#${index + 1}`, action: 'invalid', reason: 'Expected an object' }
+    }
+
+    const rule = normalize(raw)
+    const key = naturalKey(rule)
+    const error = validate(rule)
+    if (error) return { key, name: rule.name, action: 'invalid', reason: error }
+    if (seenKeys.has(key)) return { key, name: rule.name, action: 'skip', reason: 'Duplicate in bundle' }
+    seenKeys.add(key)
+
+    const match = existing.find(item => item.id === rule.id) || existing.find(item => naturalKey(item) === key)
+    if (!match) {
+      // Two bundled rules may still share an id.
+      const id = seenIds.has(rule.id) ? newId() : rule.id
+      seenIds.add(id)
+      takenNames.add(rule.name.toLowerCase())
+      return { key, name: rule.name, action: 'add', value: { ...rule, id } }
+    }
+    if (stripBundleIdentity(match) === stripBundleIdentity(rule)) {
+      return { key, name: rule.name, action: 'unchanged', existingId: match.id }
+    }
+    if (strategy === 'overwrite') {
+      return { key, name: rule.name, action: 'overwrite', existingId: match.id, value: { ...rule, id: match.id, enabled: match.enabled } }
+    }
+    if (strategy === 'rename') {
+      const name = nextImportedName(rule.name, takenNames)
+      return { key, name, action: 'rename', value: { ...rule, id: newId(), name } }
+    }
+    return { key, name: rule.name, action: 'skip', existingId: match.id, reason: 'Already exists' }
+  })
+}
+
+/**
+ * Plan the import of bundled local resources. Resources are keyed by their
+ * URL pattern, so "rename" cannot keep both and falls back to skipping.
+ *
+ * @param {any[]} incoming
+ * @param {string} strategy
+ * @returns {object[]}
+ */
+function planBundleResources (incoming, strategy) {
+  const seenUrls = new Set()
+
+  return incoming.map((raw, index) => {
+    const url = safeTrim(raw && raw.url)
+    if (!url) {
+      return { key: `#${index + 1}`, name: `#${index + 1}`, action: 'invalid', reason: 'URL is required' }
+    }
+    if (typeof raw.body !== 'string') {
+      return { key: url, name: url, action: 'invalid', reason: 'Missing base64 "body"' }
+    }
+    const match = normalizeLocalResourceMatch(url, raw)
+    const options = normalizeLocalResourceOptions(raw)
+    if (!match.ok || !options.ok) {
+      return { key: url, name: url, action: 'invalid', reason: match.error || options.error }
+    }
+    if (seenUrls.has(url)) return { key: url, name: url, action: 'skip', reason: 'Duplicate in bundle' }
+    seenUrls.add(url)
+
+    const body = Buffer.from(raw.body, 'base64')
+    const value = {
+      url,
+      body,
+      data: {
+        type: raw.type === 'text' ? 'text' : 'file',
+        originalName: safeTrim(raw.originalName) || undefined,
+        contentType: safeTrim(raw.contentType) || 'application/octet-stream',
+        size: body.length,
+        createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : new Date().toISOString(),
+        enabled: raw.enabled !== false,
+        ...match.value,
+        ...options.value
+      }
+    }
+
+    const existing = localResources.get(url)
+    if (!existing) return { key: url, name: url, action: 'add', value }
+
+    if (strategy === 'overwrite') {
+      return { key: url, name: url, action: 'overwrite', value: { ...value, data: { ...value.data, enabled: existing.enabled !== false } } }
+    }
+    return {
+      key: url,
+      name: url,
+      action: 'skip',
+      reason: strategy === 'rename' ? 'Resources are keyed by URL and cannot be renamed' : 'Already exists'
+    }
+  })
+}
+
+// Edit rules that run code from the bundle.
+function isCodeExecutingEditRule (rule) {
+  return rule.kind === 'script'
+}
+
+/**
+ * Flag planned edit rules that execute code. Unless the import allows
+ * scripts, they are imported (or overwrite an existing rule) disabled.
+ *
+ * @param {object[]} items - Planned editRules section.
+ * @param {boolean} allowScripts
+ */
+function markCodeExecutingBundleRules (items, allowScripts) {
+  for (const item of items) {
+    if (!item.value || !isCodeExecutingEditRule(item.value)) continue
+    item.executesCode = true
+    if (!allowScripts && item.value.enabled) {
+      item.value = { ...item.value, enabled: false }
+      item.importedDisabled = true
+    }
+  }
+}
+
+/**
+ * Validate a bundle and plan its import without changing anything.
+ *
+ * @param {any} bundle
+ * @param {string} strategy - One of BUNDLE_CONFLICT_STRATEGIES.
+ * @param {{ allowScripts?: boolean }} [options] - Import code-executing edit
+ *   rules enabled instead of disabled.
+ * @returns {{ ok: boolean, value?: Object<string, object[]>, error?: string }}
+ */
+function planRulesBundleImport (bundle, strategy, { allowScripts = false } = {}) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    return { ok: false, error: `Invalid bundle: expected a "${BUNDLE_FORMAT}" document.` }
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return { ok: false, error: `Unsupported bundle version ${bundle.version}: expected ${BUNDLE_VERSION}.` }
+  }
+  for (const section of BUNDLE_SECTIONS) {
+    if (bundle[section] !== undefined && !Array.isArray(bundle[section])) {
+      return { ok: false, error: `Invalid bundle: "${section}" must be an array.` }
+    }
+  }
+
+  const requireUrl = rule => (rule.url ? null : 'URL is required')
+  const plan = {
+    editRules: planBundleRuleSection(bundle.editRules || [], {
+      existing: editRules,
+      normalize: normalizeEditRule,
+      validate: validateEditRule,
+      naturalKey: rule => `${rule.kind}:${rule.name.toLowerCase()}`,
+      newId: () => crypto.randomUUID(),
+      strategy
+    }),
+    filterRules: planBundleRuleSection(bundle.filterRules || [], {
+      existing: bypassRules,
+      normalize: normalizeBypassRule,
+      validate: requireUrl,
+      naturalKey: rule => `${rule.mode}:${rule.url}`,
+      newId: () => normalizeBypassRule({}).id,
+      strategy
+    }),
+    blockedRules: planBundleRuleSection(bundle.blockedRules || [], {
+      existing: blockedRules,
+      normalize: normalizeBlockedRule,
+      validate: requireUrl,
+      naturalKey: rule => rule.url,
+      newId: () => normalizeBlockedRule({}).id,
+      strategy
+    }),
+    resources: planBundleResources(bundle.resources || [], strategy)
+  }
+  markCodeExecutingBundleRules(plan.editRules, allowScripts)
+
+  return { ok: true, value: plan }
+}
+
+// Preview shape of a plan: what happens to each item, without payloads.
+function summarizeBundlePlan (plan) {
+  const summary = {}
+  for (const section of BUNDLE_SECTIONS) {
+    summary[section] = plan[section].map(({ value: _value, ...item }) => item)
+  }
+  return summary
+}
+
+function mergePlannedRules (existing, items) {
+  const next = existing.slice()
+  for (const item of items) {
+    if (item.action === 'overwrite') {
+      const idx = next.findIndex(rule => rule.id === item.existingId)
+      if (idx !== -1) next[idx] = item.value
+    } else if (item.action === 'add' || item.action === 'rename') {
+      next.push(item.value)
+    }
+  }
+  return next
+}
+
+/**
+ * Apply a planned import. Resource files are written first; the rule and
+ * resource stores are then swapped in one synchronous step and persisted.
+ *
+ * @param {Object<string, object[]>} plan
+ */
+async function applyRulesBundleImport (plan) {
+  const resourceWrites = plan.resources.filter(item => item.action === 'add' || item.action === 'overwrite')
+  const writtenResources = []
+  for (const item of resourceWrites) {
+    const filename = `${Date.now()}-${crypto.randomUUID().slice(0, 8)}-imported`
+    await fsPromises.writeFile(path.join(STORAGE_DIR, filename), item.value.body)
+    writtenResources.push({ item, filename })
+  }
+
+  editRules = mergePlannedRules(editRules, plan.editRules)
+  bypassRules = mergePlannedRules(bypassRules, plan.filterRules)
+  blockedRules = mergePlannedRules(blockedRules, plan.blockedRules)
+
+  const replacedFiles = []
+  for (const { item, filename } of writtenResources) {
+    const previous = localResources.get(item.value.url)
+    if (previous && previous.filename) replacedFiles.push(previous.filename)
+    localResources.set(item.value.url, { ...item.value.data, filename })
+  }
+
+  rebuildEditRuleCache()
+  rebuildLocalResourceMatchers()
+  await Promise.all([
+    saveEditRules(),
+    saveBypassUrls(),
+    saveBlockedUrls(),
+    saveLocalResources()
+  ])
+
+  for (const filename of replacedFiles) {
+    fsPromises.unlink(path.join(STORAGE_DIR, filename)).catch(() => {})
+  }
+}
+
+/**
+ * Stream a local resource file to an HTTP response with consistent
+ * headers and error handling for both proxy and MITM flows.
+ *
+ * The resource's status code, custom headers and delay are applied here.
+ * Templated resources are read into memory and rendered (body and custom
+ * header values) against `templateContext` (see buildLocalTemplateContext)
+ * instead of streamed. On error, a 500 JSON payload with a generic error
+ * message is sent (404 when the file is missing).
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {{ filename?: string, sourcePath?: string, contentType: string, templated?: boolean, statusCode?: number, headers?: Object, delayMs?: number }} resource
+ * @param {{ sourceTag: string, errorPrefix: string, templateContext?: Object }} options
+ */
+function serveLocalResourceStream (res, resource, { sourceTag, errorPrefix, templateContext }) {
+  const filePath = getLocalResourceFilePath(resource)
+  const statusCode = Number.isInteger(resource.statusCode) ? resource.statusCode : 200
+  const delayMs = Number.isInteger(resource.delayMs) ? resource.delayMs : 0
+  // 204 and 304 responses never carry a body.
+  const sendBody = statusCode !== 204 && statusCode !== 304
+
+  // A missing file (typically an external file that was moved or deleted)
+  // answers 404 instead of 500.
+  const sendError = (error) => {
+    const missing = Boolean(error && error.code === 'ENOENT')
+    try {
+      if (!res.headersSent) {
+        res.statusCode = missing ? 404 : 500
+        try {
+          res.setHeader('Content-Type', 'application/json; charset=utf-8')
+        } catch {}
+        res.end(JSON.stringify({ error: missing ? 'Local resource file not found' : 'Error serving local resource' }))
+      } else {
+        res.end()
+      }
+    } catch {
+      try {
+        res.end()
+      } catch {}
+    }
+  }
+
+  const writeHead = (renderValue = value => value) => {
+    if (res.headersSent) return
+    res.statusCode = statusCode
+    res.setHeader('Content-Type', resource.contentType)
+    for (const [name, value] of Object.entries(resource.headers || {})) {
+      res.setHeader(name, Array.isArray(value) ? value.map(renderValue) : renderValue(value))
+    }
+    res.setHeader('X-Proxy-Source', sourceTag)
+  }
+
+  const serve = () => {
+    // The client may have gone away while the response was delayed.
+    if (res.destroyed || res.writableEnded) return
+
+    if (!sendBody) {
+      try {
+        writeHead()
+        res.end()
+      } catch (error) {
+        console.error(`${errorPrefix}:`, error)
+        sendError()
+      }
+      return
+    }
+
+    if (resource.templated) {
+      const context = templateContext || {}
+      fsPromises.readFile(filePath, 'utf8')
+        .then(template => {
+          const rendered = Buffer.from(renderLocalResourceTemplate(template, context), 'utf8')
+          writeHead(value => renderLocalResourceTemplate(value, context))
+          if (!res.headersSent) {
+            res.setHeader('Content-Length', rendered.length)
+          }
+          res.end(rendered)
+        })
+        .catch(error => {
+          console.error(`${errorPrefix}:`, error)
+          sendError(error)
+        })
+      return
+    }
+
+    try {
+      const stream = fs.createReadStream(filePath)
+
+      try {
+        writeHead()
+      } catch (error) {
+        stream.destroy()
+        throw error
+      }
+
+      stream.on('error', error => {
+        console.error(`${errorPrefix}:`, error)
+        sendError(error)
+      })
+
+      stream.pipe(res)
+    } catch (error) {
+      console.error(`${errorPrefix}:`, error)
+      sendError()
+    }
+  }
+
+  if (delayMs > 0) {
+    const timer = setTimeout(serve, delayMs)
+    res.once('close', () => clearTimeout(timer))
+  } else {
+    serve()
+  }
+}
+
+// Middleware
+app.use(cors())
+app.set('trust proxy', true)
+app.use(bodyParser.raw({
+  type: req => isProtoContentType(getHeaderCaseInsensitive(req.headers, 'content-type') || ''),
+  limit: BODY_LIMIT,
+  verify: captureRawBody,
+  inflate: false
+}))
+app.use(bodyParser.json({ limit: BODY_LIMIT, verify: captureRawBody }))
+app.use(bodyParser.urlencoded({ extended: true, limit: BODY_LIMIT, verify: captureRawBody }))
+
+// Multer configuration for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, STORAGE_DIR)
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${Date.now()}-${file.originalname}`
+    cb(null, uniqueName)
+  }
+})
+const upload = multer({ storage })
+
+// Load resources and blocked URLs on startup
+loadLocalResources()
+loadBlockedUrls()
+loadBypassUrls()
+loadEditRules()
+rebuildEditRuleCache()
+loadBreakpointRules()
+loadNetworkConditionRules()
+loadFaultRules()
+loadMapRemoteRules()
+loadMapLocalRules()
+loadProfiles()
+loadRecordings()
+loadProtoSchemas()
+restoreActiveSession()
+
+// Initialize CA certificate
+const CA = getOrCreateCA()
+
+// API Routes for UI
+app.get('/api/logs', async (req, res) => {
+  try {
+    const source = await resolveLogSource(req.query || {})
+    if (!source.ok) {
+      return res.status(source.status).json({ error: source.error })
+    }
+
+    const { items, total, hasMore } = await filterLogsForApiRequest(req, source.value)
+    const offset = typeof req.query.offset === 'string' ? parseInt(req.query.offset, 10) || 0 : 0
+    const limit = typeof req.query.limit === 'string' ? parseInt(req.query.limit, 10) || items.length : items.length
+
+    res.json({
+      items,
+      total,
+      hasMore,
+      offset,
+      limit
+    })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch logs' })
+  }
+})
+
+app.get('/api/logs/export', async (req, res) => {
+  try {
+    const query = req.query || {}
+    const source = await resolveLogSource(query)
+    if (!source.ok) {
+      return res.status(source.status).json({ error: source.error })
+    }
+
+    const { ordered: filtered, total } = filterLogsCore(query, source.value.logs)
+    const ordered = source.value.sessionId
+      ? await hydrateSessionEntries(source.value.sessionId, filtered)
+      : filtered
+
+    const items = ordered.map(log => ({
+      ...log,
+      fileType: getFileTypeFromLogEntry(log)
+    }))
+
+    res.json({ items, total })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export logs' })
+  }
+})
+
+// Export the filtered log view (same query as /api/logs) as a HAR 1.2 document
+app.get('/api/logs/export/har', async (req, res) => {
+  try {
+    const query = req.query || {}
+    const source = await resolveLogSource(query)
+    if (!source.ok) {
+      return res.status(source.status).json({ error: source.error })
+    }
+
+    const { ordered } = filterLogsCore(query, source.value.logs)
+    const entries = source.value.sessionId
+      ? await hydrateSessionEntries(source.value.sessionId, ordered)
+      : ordered
+    res.json(buildHarDocument(entries))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export logs as HAR' })
+  }
+})
+
+// Import a HAR document into the request logs for offline inspection.
+// Entries that cannot be converted are skipped and reported.
+app.post('/api/logs/import/har', (req, res) => {
+  if (!interactiveModeEnabled) {
+    return res.status(409).json({ error: 'Interactive mode is disabled: enable it to import logs.' })
+  }
+
+  const harLog = req.body && typeof req.body === 'object' ? req.body.log : null
+  if (!harLog || !Array.isArray(harLog.entries)) {
+    return res.status(400).json({ error: 'Invalid HAR: expected a "log.entries" array.' })
+  }
+
+  const imported = []
+  const errors = []
+  harLog.entries.forEach((entry, index) => {
+    const result = createLogEntryFromHarEntry(entry, index)
+    if (result.ok) {
+      imported.push(result.value)
+    } else {
+      errors.push(result.error)
+    }
+  })
+
+  if (imported.length === 0 && errors.length > 0) {
+    return res.status(400).json({ error: errors[0], errors })
+  }
+
+  imported
+    .sort((a, b) => a.requestStartTs - b.requestStartTs)
+    .forEach(addLog)
+
+  res.status(201).json({ success: true, imported: imported.length, skipped: errors.length, errors })
+})
+
+// Live event stream (Server-Sent Events). `topics` selects what to receive
+// (logs, dashboard, suggestions, rules); the log filter query parameters are
+// the same as for /api/logs.
+app.get('/api/events', (req, res) => {
+  const topics = new Set(
+    parseListQuery(req.query.topics, LIVE_EVENT_TOPICS).filter(topic => LIVE_EVENT_TOPICS.includes(topic))
+  )
+  if (topics.size === 0) {
+    return res.status(400).json({ error: `Invalid "topics": expected any of ${LIVE_EVENT_TOPICS.join(', ')}.` })
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.write('retry: 2000\n\n')
+
+  const client = {
+    res,
+    topics,
+    logFilter: topics.has('logs') ? createLogFilterPredicate(req.query) : null
+  }
+  liveEventClients.add(client)
+  ensureLiveEventHeartbeat()
+
+  // Current snapshots first, so subscribers never start from an empty view.
+  writeLiveEvent(res, 'ready', { topics: Array.from(topics) })
+  if (topics.has('dashboard')) writeLiveEvent(res, 'dashboard', buildLiveSnapshot('dashboard'))
+  if (topics.has('suggestions')) writeLiveEvent(res, 'suggestions', buildLiveSnapshot('suggestions'))
+  if (topics.has('breakpoints')) {
+    writeLiveEvent(res, 'pending', { pending: Array.from(pendingBreakpoints.values()).map(buildPendingBreakpointView) })
+  }
+
+  req.on('close', () => {
+    liveEventClients.delete(client)
+  })
+})
+
+// Replay a captured request, optionally overriding method, URL, headers and body
+app.post('/api/logs/:id/replay', async (req, res) => {
+  const originalLog = findLogEntryById(req.params.id)
+  if (!originalLog) {
+    return res.status(404).json({ error: 'Log entry not found' })
+  }
+
+  const normalized = normalizeReplayRequest(originalLog, req.body)
+  if (!normalized.ok) {
+    return res.status(400).json({ error: normalized.error })
+  }
+
+  try {
+    const { logEntry, statusCode, error } = await replayLoggedRequest(originalLog, normalized.value)
+    res.json({
+      success: !error,
+      replayOf: originalLog.id,
+      statusCode,
+      error: error || null,
+      log: interactiveModeEnabled ? buildClientLogView(logEntry) : null
+    })
+  } catch (error) {
+    res.status(500).json({ error: error.message || 'Failed to replay request' })
+  }
+})
+
+// Save the captured response of a log entry as a local resource, stored the
+// same way as resources added through POST /api/resources
+app.post('/api/logs/:id/resource', async (req, res) => {
+  try {
+    const source = await resolveLogSource(req.query || {})
+    if (!source.ok) {
+      return res.status(source.status).json({ error: source.error })
+    }
+
+    const logEntry = await findLogEntryInSource(source.value, req.params.id)
+    if (!logEntry) {
+      return res.status(404).json({ error: 'Log entry not found' })
+    }
+
+    const built = buildLocalResourceFromLog(logEntry, req.body)
+    if (!built.ok) {
+      return res.status(built.status || 400).json({ error: built.error })
+    }
+
+    const { url, body, contentType, settings } = built.value
+    const match = normalizeLocalResourceMatch(url, settings)
+    const options = normalizeLocalResourceOptions(settings)
+    if (!match.ok || !options.ok) {
+      return res.status(400).json({ error: match.error || options.error })
+    }
+
+    const isBinary = isClearlyBinaryContentType(contentType) || isProtoContentType(contentType)
+    const filename = `${Date.now()}-${isBinary ? 'response.bin' : 'content.txt'}`
+    await fsPromises.writeFile(path.join(STORAGE_DIR, filename), body)
+
+    const resource = await storeLocalResource(url, {
+      type: isBinary ? 'file' : 'text',
+      filename,
+      contentType,
+      size: body.length,
+      createdAt: new Date().toISOString(),
+      enabled: true
+    }, match.value, options.value)
+
+    res.json({
+      success: true,
+      message: 'Resource created from log entry',
+      resource
+    })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get config
+app.get('/api/config', (req, res) => {
+  res.json({
+    interactiveModeEnabled,
+    editRulesEnabled,
+    localResourcesEnabled,
+    filterRulesEnabled,
+    blockedRulesEnabled,
+    breakpointsEnabled,
+    networkConditionsEnabled,
+    faultRulesEnabled,
+    mapRemoteEnabled,
+    recordingMode,
+    playbackMissMode,
+    activeProfileId,
+    filteredRequestCount: bypassedRequestCount,
+    filterMode: getBypassMode()
+  })
+})
+
+// Set interactive mode
+app.post('/api/interactive-mode', (req, res) => {
+  handleBooleanToggleEndpoint({
+    req,
+    res,
+    assignValue: value => { interactiveModeEnabled = value },
+    responseFieldName: 'interactiveModeEnabled',
+    defaultEnabled: true
+  })
+})
+
+// Set live edit rules mode
+app.post('/api/edit-rules-mode', (req, res) => {
+  handleBooleanToggleEndpoint({
+    req,
+    res,
+    assignValue: value => { editRulesEnabled = value },
+    responseFieldName: 'editRulesEnabled',
+    defaultEnabled: true
+  })
+})
+
+// Set local resources mode
+app.post('/api/local-resources-mode', (req, res) => {
+  handleBooleanToggleEndpoint({
+    req,
+    res,
+    assignValue: value => { localResourcesEnabled = value },
+    responseFieldName: 'localResourcesEnabled',
+    defaultEnabled: true
+  })
+})
+
+// Set global filter rules mode (enable/disable bypass/focus engine)
+app.post('/api/filter-rules-mode', (req, res) => {
+  handleBooleanToggleEndpoint({
+    req,
+    res,
+    assignValue: value => { filterRulesEnabled = value },
+    responseFieldName: 'filterRulesEnabled',
+    defaultEnabled: true
+  })
+})
+
+// Set blocked rules mode
+app.post('/api/blocked-rules-mode', (req, res) => {
+  handleBooleanToggleEndpoint({
+    req,
+    res,
+    assignValue: value => { blockedRulesEnabled = value },
+    responseFieldName: 'blockedRulesEnabled',
+    defaultEnabled: true
+  })
+})
+
+// Get filter mode
+app.get('/api/filter-mode', (req, res) => {
+  res.json({ filterMode: getBypassMode() })
+})
+
+// Set filter mode ("ignore" or "focus")
+app.post('/api/filter-mode', (req, res) => {
+  const { mode } = req.body || {}
+  const normalized = typeof mode === 'string' ? mode.toLowerCase() : ''
+
+  if (normalized !== 'ignore' && normalized !== 'focus') {
+    return res.status(400).json({ error: 'Invalid filter mode. Expected "ignore" or "focus".' })
+  }
+
+  bypassMode = normalized
+  persistConfig()
+  rebuildBypassUrlsForCurrentMode()
+
+  res.json({ success: true, filterMode: getBypassMode() })
+})
+
+// Set record/playback mode and the playback miss behaviour
+app.post('/api/recording-mode', (req, res) => {
+  const { mode, missMode } = req.body || {}
+
+  if (mode !== undefined && !RECORDING_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'Invalid recording mode. Expected "off", "record" or "playback".' })
+  }
+  if (missMode !== undefined && !PLAYBACK_MISS_MODES.includes(missMode)) {
+    return res.status(400).json({ error: 'Invalid miss mode. Expected "fail", "passthrough" or "notFound".' })
+  }
+
+  if (mode !== undefined) recordingMode = mode
+  if (missMode !== undefined) playbackMissMode = missMode
+  persistConfig()
 
-    const isExact = IDENTIFYING_HEADER_EXACT_NAMES.has(lower)
-    const hasPrefix = IDENTIFYING_HEADER_PREFIXES.some(prefix => lower.startsWith(prefix))
+  res.json({ success: true, recordingMode, playbackMissMode })
+})
 
-    if (isExact || hasPrefix) {
-      continue
-    }
+// List recorded responses (newest first, without bodies)
+app.get('/api/recordings', (req, res) => {
+  const items = Array.from(recordings.values())
+    .sort((a, b) => String(b.recordedAt).localeCompare(String(a.recordedAt)))
+  res.json({ recordingMode, playbackMissMode, count: items.length, recordings: items })
+})
 
-    if (value === undefined) continue
-    result[name] = value
-  }
+// Delete every recorded response
+app.delete('/api/recordings', (req, res) => {
+  deleteRecordings()
+  res.status(204).end()
+})
 
-  return result
-}
+// Delete a single recorded response
+app.delete('/api/recordings/:key', (req, res) => {
+  if (deleteRecordings(req.params.key) === 0) {
+    return res.status(404).json({ error: 'Recording not found' })
+  }
+  res.status(204).end()
+})
 
-const sanitizedHeadersCache = new WeakMap()
+const schemaUpload = multer({ storage: multer.memoryStorage() })
 
-/**
- * Return a copy of the given headers object with a specific set of header
- * names omitted. Results are cached per (headers, omitKey) pair to avoid
- * repeatedly walking large header objects for the same omit configuration.
- *
- * The OMIT_RESPONSE_HEADERS constant is special-cased to avoid rebuilding
- * both the cache key and omission Set on every call.
- *
- * @param {object} [headers]
- * @param {string[]} [omit]
- * @returns {object}
- */
-function sanitizeHeaders (headers = {}, omit = []) {
-  if (!headers || typeof headers !== 'object') return {}
+function getProtoSchemaView (schema) {
+  return {
+    id: schema.id,
+    name: schema.name,
+    kind: schema.kind,
+    uploadedAt: schema.uploadedAt,
+    error: schema.error || null
+  }
+}
 
-  let omitKey = ''
-  let omitSet
+// List uploaded protobuf schemas and the services they define
+app.get('/api/proto-schemas', (req, res) => {
+  res.json({
+    schemas: protoSchemas.map(getProtoSchemaView),
+    services: listProtoServices()
+  })
+})
 
-  if (omit === OMIT_RESPONSE_HEADERS) {
-    omitKey = OMIT_RESPONSE_HEADERS_KEY
-    omitSet = OMIT_RESPONSE_HEADERS_SET
-  } else if (Array.isArray(omit) && omit.length) {
-    const normalized = omit.map(header => header.toLowerCase()).sort()
-    omitKey = normalized.join(',')
-    omitSet = new Set(normalized)
-  } else {
-    omitKey = ''
-    omitSet = new Set()
+// Upload .proto files and/or FileDescriptorSets (field "files")
+app.post('/api/proto-schemas', schemaUpload.array('files'), async (req, res) => {
+  const files = Array.isArray(req.files) ? req.files : []
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'No schema files uploaded.' })
+  }
+
+  const added = []
+  const contents = new Map()
+  for (const file of files) {
+    const ext = path.extname(file.originalname || '').toLowerCase()
+    const kind = ext === '.proto' ? 'proto' : (DESCRIPTOR_SET_EXTENSIONS.includes(ext) ? 'descriptorSet' : null)
+    if (!kind) {
+      return res.status(400).json({
+        error: `Unsupported schema file "${file.originalname}". Expected .proto or a descriptor set (${DESCRIPTOR_SET_EXTENSIONS.join(', ')}).`
+      })
+    }
+    const id = crypto.randomUUID()
+    added.push({ id, name: file.originalname, kind, filename: `${id}${ext}`, uploadedAt: new Date().toISOString() })
+    contents.set(id, file.buffer)
   }
 
-  let cacheForHeaders = sanitizedHeadersCache.get(headers)
-  if (!cacheForHeaders) {
-    cacheForHeaders = new Map()
-    sanitizedHeadersCache.set(headers, cacheForHeaders)
+  try {
+    await fsPromises.mkdir(PROTO_SCHEMAS_DIR, { recursive: true })
+    await Promise.all(added.map(schema => fsPromises.writeFile(path.join(PROTO_SCHEMAS_DIR, schema.filename), contents.get(schema.id))))
+  } catch (error) {
+    return res.status(500).json({ error: error.message })
   }
 
-  if (cacheForHeaders.has(omitKey)) {
-    return cacheForHeaders.get(omitKey)
+  protoSchemas = [...protoSchemas, ...added]
+  rebuildProtoRoot()
+
+  // Reject the whole upload when one of its files cannot be parsed
+  const addedIds = new Set(added.map(schema => schema.id))
+  const failed = protoSchemas.filter(schema => addedIds.has(schema.id) && schema.error)
+  if (failed.length > 0) {
+    protoSchemas = protoSchemas.filter(schema => !addedIds.has(schema.id))
+    rebuildProtoRoot()
+    await Promise.all(added.map(schema => fsPromises.rm(path.join(PROTO_SCHEMAS_DIR, schema.filename), { force: true })))
+    return res.status(400).json({
+      error: failed.map(schema => `${schema.name}: ${schema.error}`).join('; ')
+    })
   }
 
-  const sanitized = {}
+  await saveProtoSchemas()
+  res.status(201).json({
+    schemas: protoSchemas.filter(schema => addedIds.has(schema.id)).map(getProtoSchemaView),
+    services: listProtoServices()
+  })
+})
 
-  for (const [key, value] of Object.entries(headers)) {
-    if (omitSet.has(key.toLowerCase())) continue
-    if (value === undefined) continue
-    sanitized[key] = value
+// Delete an uploaded schema
+app.delete('/api/proto-schemas/:id', async (req, res) => {
+  const schema = protoSchemas.find(item => item.id === req.params.id)
+  if (!schema) {
+    return res.status(404).json({ error: 'Schema not found' })
   }
 
-  cacheForHeaders.set(omitKey, sanitized)
-  return sanitized
-}
+  protoSchemas = protoSchemas.filter(item => item !== schema)
+  rebuildProtoRoot()
+  await fsPromises.rm(path.join(PROTO_SCHEMAS_DIR, schema.filename), { force: true }).catch(() => {})
+  await saveProtoSchemas()
+  res.status(204).end()
+})
 
-/**
- * Return a copy of the given headers object with both a specific omit set
- * applied and identifying/tracing headers stripped in a single pass.
- *
- * This is equivalent to calling `sanitizeHeaders(headers, omit)` followed by
- * `stripIdentifyingHeaders(...)` but avoids allocating two intermediate
- * objects and walking the header map twice on hot paths.
- *
- * Behaviour is intentionally identical to the existing combination:
- * - `omit` controls which generic protocol headers (e.g. connection,
- *   transfer-encoding) are removed.
- * - IDENTIFYING_HEADER_EXACT_NAMES / IDENTIFYING_HEADER_PREFIXES decide which
- *   tracing headers (e.g. Sentry baggage) are stripped.
- *
- * This helper is used only for actively processed proxy flows; bypass/direct
- * paths continue to rely on sanitizeHeaders alone to preserve existing
- * semantics.
- *
- * @param {object} [headers]
- * @param {string[]} [omit]
- * @returns {object}
- */
-function sanitizeAndStripIdentifyingHeaders (headers = {}, omit = []) {
-  if (!headers || typeof headers !== 'object') return {}
+app.get('/api/resources', (req, res) => {
+  res.json(getLocalResourcesList())
+})
 
-  let omitSet = null
+app.post('/api/resources', upload.single('file'), async (req, res) => {
+  try {
+    const { url, contentType } = req.body || {}
+    const rawUrl = safeTrim(url)
 
-  if (omit === OMIT_RESPONSE_HEADERS) {
-    // Fast-path for the most common omit configuration used when forwarding
-    // upstream responses.
-    omitSet = OMIT_RESPONSE_HEADERS_SET
-  } else if (Array.isArray(omit) && omit.length) {
-    omitSet = new Set(omit.map(header => header.toLowerCase()))
-  }
+    if (!rawUrl) {
+      return res.status(400).json({ error: 'URL is required' })
+    }
 
-  const result = {}
+    const match = normalizeLocalResourceMatch(rawUrl, req.body)
+    const options = normalizeLocalResourceOptions(req.body)
+    if (!match.ok || !options.ok) {
+      if (req.file) {
+        fsPromises.unlink(req.file.path).catch(() => {})
+      }
+      return res.status(400).json({ error: match.error || options.error })
+    }
 
-  for (const [name, value] of Object.entries(headers)) {
-    if (value === undefined) continue
+    const normalizedContentType = safeTrim(contentType)
 
-    const lower = name.toLowerCase()
+    let resourceData
 
-    if (omitSet && omitSet.has(lower)) continue
+    if (req.file) {
+      // File upload
+      resourceData = {
+        type: 'file',
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        contentType: normalizedContentType || req.file.mimetype,
+        size: req.file.size,
+        createdAt: new Date().toISOString(),
+        enabled: true
+      }
+    } else if (safeTrim(req.body && req.body.sourcePath)) {
+      // Reference to a file on disk, served in place instead of copied
+      if (!isLocalOriginRequest(req)) {
+        return res.status(403).json({ error: 'Resources served from a file on disk can only be added from a local origin' })
+      }
+      const expandedPath = expandHomeDirectory(req.body.sourcePath)
+      if (!path.isAbsolute(expandedPath)) {
+        return res.status(400).json({ error: 'Source path must be absolute (or start with ~/)' })
+      }
+      const sourcePath = path.resolve(expandedPath)
 
-    const isExact = IDENTIFYING_HEADER_EXACT_NAMES.has(lower)
-    const hasPrefix = IDENTIFYING_HEADER_PREFIXES.some(prefix => lower.startsWith(prefix))
+      let stats
+      try {
+        stats = await fsPromises.stat(sourcePath)
+      } catch {
+        return res.status(400).json({ error: `Source file not found: ${sourcePath}` })
+      }
+      if (!stats.isFile()) {
+        return res.status(400).json({ error: `Source path is not a file: ${sourcePath}` })
+      }
+      if (!isWithinLocalFilesRoot(sourcePath)) {
+        return res.status(400).json({ error: `Source path must be inside ${LOCAL_FILES_ROOT}` })
+      }
 
-    if (isExact || hasPrefix) continue
+      resourceData = {
+        type: 'path',
+        sourcePath,
+        originalName: path.basename(sourcePath),
+        contentType: normalizedContentType || express.static.mime.lookup(sourcePath),
+        size: stats.size,
+        createdAt: new Date().toISOString(),
+        enabled: true
+      }
+    } else if (req.body && Object.prototype.hasOwnProperty.call(req.body, 'content') && req.body.content) {
+      // Text/JSON content
+      const filename = `${Date.now()}-content.txt`
+      await fsPromises.writeFile(path.join(STORAGE_DIR, filename), req.body.content)
+      resourceData = {
+        type: 'text',
+        filename,
+        contentType: normalizedContentType || 'text/plain',
+        size: req.body.content.length,
+        createdAt: new Date().toISOString(),
+        enabled: true
+      }
+    } else {
+      return res.status(400).json({ error: 'File or content is required' })
+    }
 
-    result[name] = value
+    const resource = await storeLocalResource(rawUrl, resourceData, match.value, options.value)
+
+    res.json({
+      success: true,
+      message: 'Resource added successfully',
+      resource
+    })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
   }
+})
 
-  return result
-}
+app.post('/api/resources/toggle', async (req, res) => {
+  try {
+    const { url, enabled } = req.body || {}
+    const rawUrl = safeTrim(url)
 
-/**
- * Apply cache-busting headers to an HTTP response, optionally tagging the
- * source of the response (for example "remote" or "local").
- *
- * @param {import('http').ServerResponse} res
- * @param {string} [sourceTag]
- */
-function applyCacheBypassHeadersToResponse (res, sourceTag) {
-  if (!res || typeof res.setHeader !== 'function') return
+    if (!rawUrl) {
+      return res.status(400).json({ error: 'URL is required' })
+    }
+
+    if (!localResources.has(rawUrl)) {
+      return res.status(404).json({ error: 'Resource not found' })
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
+    }
+
+    const resource = localResources.get(rawUrl) || {}
+    const nextEnabled = enabled !== false
+
+    const updated = {
+      ...resource,
+      enabled: nextEnabled
+    }
+
+    localResources.set(rawUrl, updated)
+    await saveLocalResources()
+
+    res.json({ success: true, resource: { url: rawUrl, ...updated } })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Update the match settings (mode, methods, host) and serving options
+// (templating, status code, headers, delay) of an existing resource
+app.put('/api/resources/:encodedUrl', async (req, res) => {
   try {
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate')
-    res.setHeader('Pragma', 'no-cache')
-    res.setHeader('Expires', '0')
-    if (sourceTag) {
-      res.setHeader('X-Proxy-Source', sourceTag)
+    const url = decodeURIComponent(req.params.encodedUrl)
+
+    if (!localResources.has(url)) {
+      return res.status(404).json({ error: 'Resource not found' })
     }
-  } catch {}
-}
 
-/**
- * Attach cache-busting headers to a plain headers object used when forwarding
- * upstream responses (for example in HTTPS MITM flows).
- *
- * @param {object} headers
- */
-function applyCacheBypassHeadersToObject (headers) {
-  if (!headers || typeof headers !== 'object') return
-  headers['Cache-Control'] = 'no-store, no-cache, must-revalidate, proxy-revalidate'
-  headers.Pragma = 'no-cache'
-  headers.Expires = '0'
-}
+    const resource = localResources.get(url) || {}
+    const merged = { ...resource, ...(req.body || {}) }
+    const match = normalizeLocalResourceMatch(url, merged)
+    const options = normalizeLocalResourceOptions(merged)
+    if (!match.ok || !options.ok) {
+      return res.status(400).json({ error: match.error || options.error })
+    }
+
+    const updated = {
+      ...resource,
+      ...match.value,
+      ...options.value
+    }
+
+    localResources.set(url, updated)
+    rebuildLocalResourceMatchers()
+    await saveLocalResources()
+
+    res.json({ success: true, resource: { url, ...updated } })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+app.delete('/api/resources/:encodedUrl', async (req, res) => {
+  try {
+    const url = decodeURIComponent(req.params.encodedUrl)
+
+    if (localResources.has(url)) {
+      const resource = localResources.get(url)
+
+      // External files belong to the user and are never deleted.
+      if (resource.type !== 'path') {
+        try {
+          await fsPromises.unlink(path.join(STORAGE_DIR, resource.filename))
+        } catch (fsError) {
+          // If the file is already missing, keep behaviour simple and just log
+          if (!fsError || fsError.code !== 'ENOENT') {
+            console.error('[proxy] Error deleting local resource file:', fsError)
+            throw fsError
+          }
+        }
+      }
 
-function createRawTunnel ({ clientSocket, targetHost, targetPort, head }) {
-  const targetSocket = net.connect(targetPort, targetHost, () => {
-    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
-    if (head && head.length) {
-      targetSocket.write(head)
+      localResources.delete(url)
+      rebuildLocalResourceMatchers()
+      await saveLocalResources()
+
+      res.json({ success: true, message: 'Resource deleted successfully' })
+    } else {
+      res.status(404).json({ error: 'Resource not found' })
     }
-    clientSocket.pipe(targetSocket)
-    targetSocket.pipe(clientSocket)
-  })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
 
-  const closeSockets = () => {
-    try { clientSocket.destroy() } catch {}
-    try { targetSocket.destroy() } catch {}
+app.delete('/api/logs', (req, res) => {
+  clearLogBuffer()
+
+  // The cleared traffic stays in its session on disk; what comes next is
+  // recorded in a fresh one.
+  if (activeSession && activeSession.entryCount > 0) {
+    try {
+      startNewSession()
+    } catch (error) {
+      console.error('[proxy] Error starting a new session:', error)
+    }
   }
 
-  targetSocket.on('error', closeSockets)
-  clientSocket.on('error', closeSockets)
+  res.json({ success: true, message: 'Logs cleared', session: activeSession })
+})
 
-  clientSocket.on('close', () => {
-    try { targetSocket.end() } catch {}
+// Capture sessions persisted under LOGS_DIR/sessions
+app.get('/api/sessions', (req, res) => {
+  res.json({
+    enabled: SESSION_PERSISTENCE_ENABLED,
+    activeSessionId: activeSession ? activeSession.id : null,
+    sessions: listSessions().map(session => ({
+      ...session,
+      active: !!activeSession && session.id === activeSession.id
+    }))
   })
+})
 
-  targetSocket.on('close', () => {
-    try { clientSocket.end() } catch {}
-  })
+// Start recording into a new session; the log view starts empty
+app.post('/api/sessions', (req, res) => {
+  if (!SESSION_PERSISTENCE_ENABLED) {
+    return res.status(409).json({ error: 'Session persistence is disabled (PROXY_PERSIST_SESSIONS=false).' })
+  }
 
-  return targetSocket
-}
+  const name = validateSessionName((req.body || {}).name)
+  if (!name.ok) {
+    return res.status(400).json({ error: name.error })
+  }
 
-function buildBypassInputFromHttpRequest (req, resolvedTarget) {
-  const requestUrl = typeof req.url === 'string' ? req.url : '/'
-  const hostHeader = typeof req.headers?.host === 'string' ? req.headers.host : ''
-  const host = resolvedTarget?.host || normalizeHostValue(hostHeader)
+  try {
+    const session = startNewSession(name.value)
+    clearLogBuffer()
+    res.status(201).json({ session: { ...session, active: true } })
+  } catch (error) {
+    console.error('[proxy] Error starting a new session:', error)
+    res.status(500).json({ error: 'Failed to create session' })
+  }
+})
 
-  const assumedProtocol = req.headers['x-forwarded-proto']?.split(',')[0]?.trim() || (req.socket?.encrypted ? 'https' : 'http')
+// Rename a session
+app.put('/api/sessions/:id', (req, res) => {
+  const session = readSessionMeta(req.params.id)
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found.' })
+  }
 
-  let fullUrl = resolvedTarget?.url || null
-  if (!fullUrl) {
-    if (/^(https?|wss?):\/\//i.test(requestUrl)) {
-      fullUrl = requestUrl
-    } else if (hostHeader) {
-      const prefixedPath = requestUrl.startsWith('/') ? requestUrl : `/${requestUrl}`
-      fullUrl = `${assumedProtocol}://${hostHeader}${prefixedPath}`
-    }
+  const name = validateSessionName((req.body || {}).name)
+  if (!name.ok) {
+    return res.status(400).json({ error: name.error })
+  }
+  if (!name.value) {
+    return res.status(400).json({ error: 'Invalid "name": must not be empty.' })
   }
 
-  let path = null
-  if (fullUrl) {
-    try {
-      path = new URL(fullUrl).pathname || requestUrl
-    } catch {
-      path = requestUrl
+  try {
+    session.name = name.value
+    writeSessionMetaSync(session)
+    notifyRulesChanged('sessions')
+    res.json({ session: { ...session, active: session === activeSession } })
+  } catch (error) {
+    console.error('[proxy] Error renaming session:', error)
+    res.status(500).json({ error: 'Failed to rename session' })
+  }
+})
+
+// Delete a saved session and everything recorded in it
+app.delete('/api/sessions/:id', async (req, res) => {
+  const session = readSessionMeta(req.params.id)
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found.' })
+  }
+  if (session === activeSession) {
+    return res.status(409).json({ error: 'The active session cannot be deleted: start a new session first.' })
+  }
+
+  try {
+    await fsPromises.rm(getSessionDir(session.id), { recursive: true, force: true })
+    if (openedSessionCache && openedSessionCache.id === session.id) {
+      openedSessionCache = null
     }
-  } else {
-    path = requestUrl
+    notifyRulesChanged('sessions')
+    res.status(204).end()
+  } catch (error) {
+    console.error('[proxy] Error deleting session:', error)
+    res.status(500).json({ error: 'Failed to delete session' })
   }
+})
 
-  return buildRoutingContext({
-    requestUrl,
-    fullUrl,
-    host,
-    path,
-    targetUrl: resolvedTarget?.url,
-    method: req.method
-  })
-}
+// Get all blocked rules
+app.get('/api/blocked', (req, res) => {
+  res.json(blockedRules)
+})
 
-/**
- * Try to handle an HTTP request using a direct upstream bypass when allowed
- * by the current block/bypass rules. Returns true if the request was fully
- * handled here.
- *
- * When a request is blocked we emit a "blocked" log entry. When it is
- * bypassed (handling === 'direct') we now emit a lightweight "direct"
- * log entry so redirected resources are visible in /api/logs and the
- * audit panel without changing the bypass behaviour itself.
- *
- * @param {import('http').IncomingMessage} req
- * @param {import('http').ServerResponse} res
- * @returns {Promise<boolean>}
- */
-async function tryHandleHttpBypass (req, res) {
-  if (req.method === 'CONNECT') return false
-  const connectionHeader = typeof req.headers?.connection === 'string' ? req.headers.connection.toLowerCase() : ''
-  const wantsUpgrade = Boolean(req.headers?.upgrade) || connectionHeader.includes('upgrade')
-  if (wantsUpgrade) return false
+// Add/update/remove blocked URL
+app.post('/api/blocked', (req, res) => {
+  const { id, url, action, enabled, name } = req.body || {}
 
-  const resolvedTarget = resolveTargetFromRequest(req)
-  const routingContext = buildBypassInputFromHttpRequest(req, resolvedTarget)
-  const handling = decideHttpHandling(routingContext)
+  if (typeof action !== 'string') {
+    return res.status(400).json({ error: 'Invalid action. Expected "add", "update" or "remove".' })
+  }
 
-  const requestStart = Date.now()
-  const requestUrl = typeof req.url === 'string' ? req.url : '/'
-  const hostHeader = typeof req.headers?.host === 'string' ? req.headers.host : ''
-  const protocol = req.socket?.encrypted ? 'https' : 'http'
-  const authority = hostHeader || `localhost:${PORT}`
-  const clientFacingUrl = `${protocol}://${authority}${requestUrl}`
-  const clientIp = req.socket?.remoteAddress || req.connection?.remoteAddress || 'unknown'
+  if (action === 'add') {
+    const normalizedUrl = safeTrim(url)
+    if (!normalizedUrl) {
+      return res.status(400).json({ error: 'URL is required' })
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
+    }
 
-  if (handling === 'block') {
-    if (interactiveModeEnabled) {
-      const logEntry = createBaseLogEntry({
-        requestStart,
-        method: req.method,
-        url: requestUrl,
-        fullUrl: clientFacingUrl,
-        headers: sanitizeAndStripIdentifyingHeaders(req.headers),
-        source: 'blocked',
-        clientIp
-      })
-      logEntry.statusCode = 204
-      addLog(logEntry)
+    const newRule = normalizeBlockedRule({ id, enabled, name, url: normalizedUrl })
+    blockedRules.push(newRule)
+    saveBlockedUrls()
+  } else if (action === 'update') {
+    if (typeof id !== 'string' || !id.trim()) {
+      return res.status(400).json({ error: 'ID is required for update' })
     }
+    const idx = blockedRules.findIndex(r => r.id === id)
+    if (idx !== -1) {
+      const existing = blockedRules[idx]
+      const next = { ...existing }
 
-    res.writeHead(204)
-    res.end()
-    return true
-  }
+      if (url !== undefined) {
+        const normalizedUrl = safeTrim(url)
+        if (!normalizedUrl) {
+          return res.status(400).json({ error: 'URL is required' })
+        }
+        next.url = normalizedUrl
+      }
 
-  if (handling !== 'direct') {
-    // Either blocked or proxied by the main Express pipeline.
-    return false
-  }
+      if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') {
+          return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
+        }
+        next.enabled = enabled
+      }
 
-  const targetUrl = routingContext.targetUrl || routingContext.fullUrl
+      if (name !== undefined) {
+        if (typeof name !== 'string') {
+          return res.status(400).json({ error: 'Invalid "name" field: expected a string.' })
+        }
+        next.name = name
+      }
 
-  if (!targetUrl) {
-    res.writeHead(404)
-    res.end('Bypass target unavailable')
-    return true
+      blockedRules[idx] = normalizeBlockedRule(next)
+      saveBlockedUrls()
+    } else {
+      return res.status(404).json({ error: 'Rule not found' })
+    }
+  } else if (action === 'remove') {
+    if (typeof id !== 'string' || !id.trim()) {
+      return res.status(400).json({ error: 'ID is required for remove' })
+    }
+    blockedRules = blockedRules.filter(r => r.id !== id)
+    saveBlockedUrls()
+  } else {
+    return res.status(400).json({ error: 'Invalid action. Expected "add", "update" or "remove".' })
   }
 
-  const hasLogging = interactiveModeEnabled === true
-  const logEntry = hasLogging
-    ? createBaseLogEntry({
-        requestStart,
-        method: req.method,
-        url: requestUrl,
-        fullUrl: targetUrl,
-        headers: sanitizeAndStripIdentifyingHeaders(req.headers),
-        source: 'direct',
-        clientIp
-      })
-    : null
-
-  const abortController = new AbortController()
-  const onClose = attachAbortOnClose(res, abortController)
+  res.json({ success: true, blockedRules })
+})
 
+// Get all filter rules
+app.get('/api/filters', (req, res) => {
   try {
-    const upstreamStart = Date.now()
-    incrementBypassedCount()
+    const queryModeRaw = typeof req.query.mode === 'string' ? req.query.mode.toLowerCase() : null
+    const effectiveMode = (queryModeRaw === 'focus' || queryModeRaw === 'ignore')
+      ? queryModeRaw
+      : getBypassMode()
 
-    const target = new URL(targetUrl)
-    const omitHeaders = OMIT_HEADERS_BASE
-    const headersToForward = createForwardHeaders(req.headers, omitHeaders, {
-      host: target.host
-    })
+    const rulesForMode = bypassRules
+      .filter(rule => rule && rule.mode === effectiveMode)
 
-    const hasBody = !(req.method === 'GET' || req.method === 'HEAD')
+    res.json(rulesForMode)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load filter rules' })
+  }
+})
 
-    const { response: upstreamResponse } = await performUpstreamRequest({
-      url: targetUrl,
-      method: req.method,
-      headers: headersToForward,
-      body: hasBody ? req : undefined,
-      abortSignal: abortController.signal,
-      bufferResponse: false
-    })
+// Add/update/remove filter URL
+app.post('/api/filters', (req, res) => {
+  const { id, url, action, enabled, name, mode } = req.body || {}
+
+  if (typeof action !== 'string') {
+    return res.status(400).json({ error: 'Invalid action. Expected "add", "update" or "remove".' })
+  }
+
+  if (action === 'add') {
+    const normalizedUrl = safeTrim(url)
+    if (!normalizedUrl) {
+      return res.status(400).json({ error: 'URL is required' })
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
+    }
 
-    if (logEntry) {
-      logEntry.upstreamDurationMs = Date.now() - upstreamStart
-      logEntry.targetUrl = targetUrl
-      logEntry.statusCode = upstreamResponse.statusCode
-      logEntry.responseHeaders = upstreamResponse.headers
-      logEntry.responseBody = '[streamed direct response]'
-      logEntry.responseSize = null
-      addLog(logEntry)
+    const baseRule = {
+      id,
+      enabled,
+      name,
+      url: normalizedUrl,
+      mode: typeof mode === 'string' ? mode : getBypassMode()
+    }
+    const newRule = normalizeBypassRule(baseRule)
+    bypassRules.push(newRule)
+    saveBypassUrls()
+  } else if (action === 'update') {
+    if (typeof id !== 'string' || !id.trim()) {
+      return res.status(400).json({ error: 'ID is required for update' })
     }
+    const ruleIndex = bypassRules.findIndex(r => r.id === id)
+    if (ruleIndex !== -1) {
+      const existing = normalizeBypassRule(bypassRules[ruleIndex])
+      const nextModeRaw = typeof mode === 'string' ? mode.toLowerCase() : existing.mode
+      const nextMode = (nextModeRaw === 'focus' || nextModeRaw === 'ignore') ? nextModeRaw : existing.mode
 
-    const responseHeaders = sanitizeHeaders(upstreamResponse.headers, OMIT_RESPONSE_HEADERS)
-    res.writeHead(upstreamResponse.statusCode, responseHeaders)
+      let nextUrl = existing.url
+      if (url !== undefined) {
+        const normalizedUrl = safeTrim(url)
+        if (!normalizedUrl) {
+          return res.status(400).json({ error: 'URL is required' })
+        }
+        nextUrl = normalizedUrl
+      }
 
-    if (req.method === 'HEAD') {
-      res.end()
-      if (upstreamResponse.body) {
-        upstreamResponse.body.resume()
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
       }
-    } else if (upstreamResponse.body) {
-      upstreamResponse.body.pipe(res)
+
+      if (name !== undefined && typeof name !== 'string') {
+        return res.status(400).json({ error: 'Invalid "name" field: expected a string.' })
+      }
+
+      const updated = normalizeBypassRule({
+        ...existing,
+        url: nextUrl,
+        enabled: enabled !== undefined ? enabled : existing.enabled,
+        name: name !== undefined ? name : existing.name,
+        mode: nextMode
+      })
+
+      bypassRules[ruleIndex] = updated
+      saveBypassUrls()
     } else {
-      res.end()
-    }
-  } catch (error) {
-    if (logEntry) {
-      recordUpstreamErrorOnLog(logEntry, error)
+      return res.status(404).json({ error: 'Rule not found' })
     }
-    if (!res.headersSent) {
-      res.writeHead(502)
+  } else if (action === 'remove') {
+    if (typeof id !== 'string' || !id.trim()) {
+      return res.status(400).json({ error: 'ID is required for remove' })
     }
-    res.end('Bypass proxy error')
-  } finally {
-    res.removeListener('close', onClose)
+    bypassRules = bypassRules.filter(r => r.id !== id)
+    saveBypassUrls()
+  } else {
+    return res.status(400).json({ error: 'Invalid action. Expected "add", "update" or "remove".' })
   }
 
-  return true
-}
+  res.json({ success: true, bypassRules })
+})
 
-function createRawWebSocketTunnel ({ req, clientSocket, head, targetUrl }) {
-  let parsed
+app.get('/api/filters/suggestions', (req, res) => {
   try {
-    parsed = new URL(targetUrl)
+    const limit = Number.parseInt(req.query.limit, 10)
+    const windowSize = Number.parseInt(req.query.windowSize, 10)
+
+    const suggestions = computeBypassSuggestions({
+      limit: Number.isNaN(limit) ? undefined : limit,
+      windowSize: Number.isNaN(windowSize) ? undefined : windowSize
+    })
+
+    res.json({ suggestions })
   } catch (error) {
-    clientSocket.write('HTTP/1.1 502 Bad Gateway\r\n\r\n')
-    clientSocket.destroy()
-    return
+    res.status(500).json({ error: 'Failed to compute filter suggestions' })
   }
+})
 
-  const isSecure = parsed.protocol === 'https:' || parsed.protocol === 'wss:'
-  const port = parsed.port ? Number(parsed.port) : (isSecure ? 443 : 80)
-  const connectHandler = () => {
-    const pathWithQuery = (parsed.pathname || '/') + (parsed.search || '')
-    const requestLine = `${req.method} ${pathWithQuery || '/'} HTTP/${req.httpVersion}\r\n`
-    const headerLines = []
-    const rawHeaders = Array.isArray(req.rawHeaders) ? req.rawHeaders : []
-    for (let i = 0; i < rawHeaders.length; i += 2) {
-      const name = rawHeaders[i]
-      const value = rawHeaders[i + 1]
-      if (!name || value === undefined) continue
-      headerLines.push(`${name}: ${value}`)
-    }
+app.get('/api/filters/metrics', (req, res) => {
+  res.json({
+    totalFiltered: bypassedRequestCount,
+    activeRules: bypassUrls.length
+  })
+})
 
-    targetSocket.write(requestLine + headerLines.join('\r\n') + '\r\n\r\n')
-    if (head && head.length) {
-      targetSocket.write(head)
-    }
+app.get('/api/edit-rules', (req, res) => {
+  res.json({ rules: editRules })
+})
 
-    clientSocket.pipe(targetSocket)
-    targetSocket.pipe(clientSocket)
-  }
+app.post('/api/edit-rules', (req, res) => {
+  // Allow both legacy text rules and new jsonPath rules. The normalizeEditRule
+  // helper is responsible for interpreting the payload and ensuring a
+  // consistent internal representation.
+  const raw = (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) ? req.body : null
 
-  const socketOptions = {
-    host: parsed.hostname,
-    port
+  if (!raw) {
+    return res.status(400).json({ error: 'Invalid payload: expected JSON object.' })
   }
 
-  let targetSocket
+  const rule = normalizeEditRule({
+    ...raw,
+    id: undefined // ensure normalizeEditRule generates/uses the new id
+  })
 
-  if (isSecure) {
-    const tlsOptions = {
-      ...socketOptions,
-      servername: parsed.hostname
-    }
+  const ruleError = validateEditRule(rule)
+  if (ruleError) {
+    return res.status(400).json({ error: ruleError })
+  }
 
-    if (STRICT_TLS_ENABLED) {
-      tlsOptions.rejectUnauthorized = true
-      if (upstreamCaBundle) {
-        tlsOptions.ca = upstreamCaBundle
-      }
-    } else {
-      tlsOptions.rejectUnauthorized = false
-    }
+  editRules.push(rule)
+  saveEditRules()
+  rebuildEditRuleCache()
 
-    targetSocket = tls.connect(tlsOptions, connectHandler)
-  } else {
-    targetSocket = net.connect(socketOptions, connectHandler)
-  }
+  res.status(201).json({ rule })
+})
 
-  const destroyBoth = () => {
-    try { clientSocket.destroy() } catch {}
-    try { targetSocket.destroy() } catch {}
+app.put('/api/edit-rules/:id', (req, res) => {
+  const { id } = req.params
+  const idx = editRules.findIndex(rule => rule.id === id)
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Rule not found' })
   }
 
-  targetSocket.on('error', () => {
-    destroyBoth()
-  })
-
-  clientSocket.on('error', () => {
-    destroyBoth()
-  })
+  const existing = editRules[idx]
+  const patch = (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) ? req.body : null
 
-  clientSocket.on('close', () => {
-    try { targetSocket.end() } catch {}
-  })
+  if (!patch) {
+    return res.status(400).json({ error: 'Invalid payload: expected JSON object.' })
+  }
 
-  targetSocket.on('close', () => {
-    try { clientSocket.end() } catch {}
+  const updated = normalizeEditRule({
+    ...existing,
+    ...patch,
+    id: existing.id
   })
-}
 
-function shouldBypassRequest (input) {
-  if (!filterRulesEnabled) return false
-  if (!bypassMatchers.length) return false
+  const ruleError = validateEditRule(updated)
+  if (ruleError) {
+    return res.status(400).json({ error: ruleError })
+  }
 
-  const context = createBypassContext(input)
-  if (!context.hostCandidates.length && !context.valueCandidates.length) return false
+  editRules[idx] = updated
+  saveEditRules()
+  rebuildEditRuleCache()
 
-  for (const matcher of bypassMatchers) {
-    if (matcher.type === 'host') {
-      for (const hostCandidate of context.hostCandidates) {
-        if (hostPatternMatches(matcher.value, hostCandidate)) {
-          return true
-        }
-      }
-    } else {
-      for (const valueCandidate of context.valueCandidates) {
-        if (valueCandidate.includes(matcher.value)) {
-          return true
-        }
-      }
-    }
-  }
+  res.json({ rule: updated })
+})
 
-  return false
-}
+app.delete('/api/edit-rules/:id', (req, res) => {
+  const { id } = req.params
+  const before = editRules.length
+  editRules = editRules.filter(rule => rule.id !== id)
 
-// Load existing local resources on startup
-function loadLocalResources () {
-  const resourcesFile = path.join(STORAGE_DIR, 'resources.json')
-  if (fs.existsSync(resourcesFile)) {
-    try {
-      const data = JSON.parse(fs.readFileSync(resourcesFile, 'utf8'))
-      localResources = new Map(Object.entries(data))
-    } catch (error) {
-      console.error('[proxy] Error loading local resources:', error)
-    }
+  if (editRules.length === before) {
+    return res.status(404).json({ error: 'Rule not found' })
   }
-}
 
-async function saveLocalResources () {
-  const resourcesFile = path.join(STORAGE_DIR, 'resources.json')
-  const data = Object.fromEntries(localResources)
-  try {
-    await fsPromises.writeFile(resourcesFile, JSON.stringify(data, null, 2))
-  } catch (error) {
-    console.error('[proxy] Error saving local resources:', error)
-  }
-}
+  saveEditRules()
+  rebuildEditRuleCache()
 
-function getLocalResourcesList () {
-  return Array.from(localResources.entries()).map(([url, data]) => ({
-    url,
-    ...data
-  }))
-}
+  res.status(204).end()
+})
+
+// Get breakpoint rules
+app.get('/api/breakpoints', (req, res) => {
+  res.json({ rules: breakpointRules, breakpointsEnabled })
+})
 
 /**
- * Stream a local resource file to an HTTP response with consistent
- * headers and error handling for both proxy and MITM flows.
+ * Validate the user-editable fields of a breakpoint rule payload. Fields that
+ * are omitted are left to normalizeBreakpointRule defaults.
  *
- * On error, a 500 JSON payload with a generic error message is sent.
- *
- * @param {import('http').ServerResponse} res
- * @param {{ filename: string, contentType: string }} resource
- * @param {{ sourceTag: string, errorPrefix: string }} options
+ * @param {any} payload
+ * @param {{ requireUrl: boolean }} options
+ * @returns {{ ok: boolean, error?: string }}
  */
-function serveLocalResourceStream (res, resource, { sourceTag, errorPrefix }) {
-  const filePath = path.join(STORAGE_DIR, resource.filename)
-
-  const sendError = () => {
-    try {
-      if (!res.headersSent) {
-        res.statusCode = 500
-        try {
-          res.setHeader('Content-Type', 'application/json; charset=utf-8')
-        } catch {}
-        res.end(JSON.stringify({ error: 'Error serving local resource' }))
-      } else {
-        res.end()
-      }
-    } catch {
-      try {
-        res.end()
-      } catch {}
-    }
+function validateBreakpointRulePayload (payload, { requireUrl }) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, error: 'Invalid payload: expected JSON object.' }
+  }
+  if ((requireUrl || payload.url !== undefined) && !safeTrim(payload.url)) {
+    return { ok: false, error: 'URL is required' }
+  }
+  if (payload.phase !== undefined && !BREAKPOINT_PHASES.includes(payload.phase)) {
+    return { ok: false, error: `Invalid "phase": expected one of ${BREAKPOINT_PHASES.join(', ')}.` }
+  }
+  if (payload.enabled !== undefined && typeof payload.enabled !== 'boolean') {
+    return { ok: false, error: 'Invalid "enabled" flag: expected a boolean.' }
+  }
+  if (payload.methods !== undefined && !Array.isArray(payload.methods) && typeof payload.methods !== 'string') {
+    return { ok: false, error: 'Invalid "methods": expected an array of HTTP methods.' }
   }
+  return { ok: true }
+}
 
-  try {
-    const stream = fs.createReadStream(filePath)
+app.post('/api/breakpoints', (req, res) => {
+  const validation = validateBreakpointRulePayload(req.body, { requireUrl: true })
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
+  }
 
-    try {
-      if (!res.headersSent) {
-        res.setHeader('Content-Type', resource.contentType)
-        res.setHeader('X-Proxy-Source', sourceTag)
-      }
-    } catch {}
+  const rule = normalizeBreakpointRule({ ...req.body, id: undefined })
+  breakpointRules.push(rule)
+  saveBreakpointRules()
 
-    stream.on('error', error => {
-      console.error(`${errorPrefix}:`, error)
-      sendError()
-    })
+  res.status(201).json({ rule })
+})
 
-    stream.pipe(res)
-  } catch (error) {
-    console.error(`${errorPrefix}:`, error)
-    sendError()
+app.put('/api/breakpoints/:id', (req, res) => {
+  const idx = breakpointRules.findIndex(rule => rule.id === req.params.id)
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Breakpoint not found' })
   }
-}
-
-// Middleware
-app.use(cors())
-app.set('trust proxy', true)
-app.use(bodyParser.raw({
-  type: req => isProtoContentType(getHeaderCaseInsensitive(req.headers, 'content-type') || ''),
-  limit: BODY_LIMIT,
-  verify: captureRawBody,
-  inflate: false
-}))
-app.use(bodyParser.json({ limit: BODY_LIMIT, verify: captureRawBody }))
-app.use(bodyParser.urlencoded({ extended: true, limit: BODY_LIMIT, verify: captureRawBody }))
 
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, STORAGE_DIR)
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${file.originalname}`
-    cb(null, uniqueName)
+  const validation = validateBreakpointRulePayload(req.body, { requireUrl: false })
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
   }
-})
-const upload = multer({ storage })
-
-// Load resources and blocked URLs on startup
-loadLocalResources()
-loadBlockedUrls()
-loadBypassUrls()
-loadEditRules()
-rebuildEditRuleCache()
 
-// Initialize CA certificate
-const CA = getOrCreateCA()
+  const existing = breakpointRules[idx]
+  const updated = normalizeBreakpointRule({
+    ...existing,
+    ...req.body,
+    // Keep the derived name in sync when only the URL changes.
+    name: req.body.name !== undefined ? req.body.name : (req.body.url !== undefined ? '' : existing.name),
+    id: existing.id
+  })
 
-// API Routes for UI
-app.get('/api/logs', (req, res) => {
-  try {
-    const { items, total, hasMore } = filterLogsForApiRequest(req)
-    const offset = typeof req.query.offset === 'string' ? parseInt(req.query.offset, 10) || 0 : 0
-    const limit = typeof req.query.limit === 'string' ? parseInt(req.query.limit, 10) || items.length : items.length
+  breakpointRules[idx] = updated
+  saveBreakpointRules()
 
-    res.json({
-      items,
-      total,
-      hasMore,
-      offset,
-      limit
-    })
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch logs' })
-  }
+  res.json({ rule: updated })
 })
 
-app.get('/api/logs/export', (req, res) => {
-  try {
-    const query = req.query || {}
-    const { ordered, total } = filterLogsCore(query)
-
-    const items = ordered.map(log => ({
-      ...log,
-      fileType: getFileTypeFromLogEntry(log)
-    }))
+app.delete('/api/breakpoints/:id', (req, res) => {
+  const before = breakpointRules.length
+  breakpointRules = breakpointRules.filter(rule => rule.id !== req.params.id)
 
-    res.json({ items, total })
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to export logs' })
+  if (breakpointRules.length === before) {
+    return res.status(404).json({ error: 'Breakpoint not found' })
   }
-})
 
-// Get config
-app.get('/api/config', (req, res) => {
-  res.json({
-    interactiveModeEnabled,
-    editRulesEnabled,
-    localResourcesEnabled,
-    filterRulesEnabled,
-    blockedRulesEnabled,
-    filteredRequestCount: bypassedRequestCount,
-    filterMode: getBypassMode()
-  })
+  saveBreakpointRules()
+  res.status(204).end()
 })
 
-// Set interactive mode
-app.post('/api/interactive-mode', (req, res) => {
+// Set global breakpoints mode. Disabling it releases everything that is
+// currently paused.
+app.post('/api/breakpoints-mode', (req, res) => {
   handleBooleanToggleEndpoint({
     req,
     res,
-    assignValue: value => { interactiveModeEnabled = value },
-    responseFieldName: 'interactiveModeEnabled',
+    assignValue: value => {
+      breakpointsEnabled = value
+      if (!value) releaseAllPendingBreakpoints()
+    },
+    responseFieldName: 'breakpointsEnabled',
     defaultEnabled: true
   })
 })
 
-// Set live edit rules mode
-app.post('/api/edit-rules-mode', (req, res) => {
-  handleBooleanToggleEndpoint({
-    req,
-    res,
-    assignValue: value => { editRulesEnabled = value },
-    responseFieldName: 'editRulesEnabled',
-    defaultEnabled: true
-  })
+// Requests/responses currently paused at a breakpoint, oldest first
+app.get('/api/breakpoints/pending', (req, res) => {
+  res.json({ pending: Array.from(pendingBreakpoints.values()).map(buildPendingBreakpointView) })
 })
 
-// Set local resources mode
-app.post('/api/local-resources-mode', (req, res) => {
-  handleBooleanToggleEndpoint({
-    req,
-    res,
-    assignValue: value => { localResourcesEnabled = value },
-    responseFieldName: 'localResourcesEnabled',
-    defaultEnabled: true
-  })
-})
+// Resolve a paused request/response: continue (optionally edited), drop, or
+// answer with a synthetic response
+app.post('/api/breakpoints/pending/:id', (req, res) => {
+  const pending = pendingBreakpoints.get(req.params.id)
+  if (!pending) {
+    return res.status(404).json({ error: 'Paused request not found (it may have been released or timed out)' })
+  }
 
-// Set global filter rules mode (enable/disable bypass/focus engine)
-app.post('/api/filter-rules-mode', (req, res) => {
-  handleBooleanToggleEndpoint({
-    req,
-    res,
-    assignValue: value => { filterRulesEnabled = value },
-    responseFieldName: 'filterRulesEnabled',
-    defaultEnabled: true
-  })
-})
+  const decision = normalizeBreakpointDecision(pending, req.body)
+  if (!decision.ok) {
+    return res.status(400).json({ error: decision.error })
+  }
 
-// Set blocked rules mode
-app.post('/api/blocked-rules-mode', (req, res) => {
-  handleBooleanToggleEndpoint({
-    req,
-    res,
-    assignValue: value => { blockedRulesEnabled = value },
-    responseFieldName: 'blockedRulesEnabled',
-    defaultEnabled: true
-  })
+  pending.resolve(decision.value)
+  res.json({ success: true, action: decision.value.action })
 })
 
-// Get filter mode
-app.get('/api/filter-mode', (req, res) => {
-  res.json({ filterMode: getBypassMode() })
+// Get network condition rules and the built-in presets
+app.get('/api/network-conditions', (req, res) => {
+  const presets = Object.entries(NETWORK_PRESETS).map(([id, preset]) => ({ id, ...preset }))
+  res.json({ rules: networkConditionRules, presets, networkConditionsEnabled })
 })
 
-// Set filter mode ("ignore" or "focus")
-app.post('/api/filter-mode', (req, res) => {
-  const { mode } = req.body || {}
-  const normalized = typeof mode === 'string' ? mode.toLowerCase() : ''
-
-  if (normalized !== 'ignore' && normalized !== 'focus') {
-    return res.status(400).json({ error: 'Invalid filter mode. Expected "ignore" or "focus".' })
+/**
+ * Validate the user-editable fields of a network condition rule payload.
+ * Numeric fields only matter for custom rules; omitted ones default to 0.
+ *
+ * @param {any} payload
+ * @returns {{ ok: boolean, error?: string }}
+ */
+function validateNetworkConditionPayload (payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, error: 'Invalid payload: expected JSON object.' }
+  }
+  if (payload.preset !== undefined && !NETWORK_CONDITION_PRESETS.includes(payload.preset)) {
+    return { ok: false, error: `Invalid "preset": expected one of ${NETWORK_CONDITION_PRESETS.join(', ')}.` }
+  }
+  if (payload.enabled !== undefined && typeof payload.enabled !== 'boolean') {
+    return { ok: false, error: 'Invalid "enabled" flag: expected a boolean.' }
+  }
+  for (const [field, max] of Object.entries(NETWORK_CONDITION_LIMITS)) {
+    const value = payload[field]
+    if (value === undefined || value === null || value === '') continue
+    const number = Number(value)
+    if (!Number.isFinite(number) || number < 0 || number > max) {
+      return { ok: false, error: `Invalid "${field}": expected a number between 0 and ${max}.` }
+    }
   }
+  return { ok: true }
+}
 
-  bypassMode = normalized
-  persistConfig()
-  rebuildBypassUrlsForCurrentMode()
+app.post('/api/network-conditions', (req, res) => {
+  const validation = validateNetworkConditionPayload(req.body)
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
+  }
 
-  res.json({ success: true, filterMode: getBypassMode() })
-})
+  const rule = normalizeNetworkConditionRule({ ...req.body, id: undefined })
+  networkConditionRules.push(rule)
+  saveNetworkConditionRules()
 
-app.get('/api/resources', (req, res) => {
-  res.json(getLocalResourcesList())
+  res.status(201).json({ rule })
 })
 
-app.post('/api/resources', upload.single('file'), async (req, res) => {
-  try {
-    const { url, contentType } = req.body || {}
-    const rawUrl = safeTrim(url)
+app.put('/api/network-conditions/:id', (req, res) => {
+  const idx = networkConditionRules.findIndex(rule => rule.id === req.params.id)
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Network condition not found' })
+  }
 
-    if (!rawUrl) {
-      return res.status(400).json({ error: 'URL is required' })
-    }
+  const validation = validateNetworkConditionPayload(req.body)
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
+  }
 
-    const normalizedContentType = safeTrim(contentType)
+  const existing = networkConditionRules[idx]
+  const presetChanged = req.body.preset !== undefined && req.body.preset !== existing.preset
+  const updated = normalizeNetworkConditionRule({
+    ...existing,
+    ...req.body,
+    // A new preset brings its own default name unless one is given.
+    name: req.body.name !== undefined ? req.body.name : (presetChanged ? '' : existing.name),
+    id: existing.id
+  })
 
-    let resourceData
+  networkConditionRules[idx] = updated
+  saveNetworkConditionRules()
 
-    if (req.file) {
-      // File upload
-      resourceData = {
-        type: 'file',
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        contentType: normalizedContentType || req.file.mimetype,
-        size: req.file.size,
-        createdAt: new Date().toISOString(),
-        enabled: true
-      }
-    } else if (req.body && Object.prototype.hasOwnProperty.call(req.body, 'content') && req.body.content) {
-      // Text/JSON content
-      const filename = `${Date.now()}-content.txt`
-      await fsPromises.writeFile(path.join(STORAGE_DIR, filename), req.body.content)
-      resourceData = {
-        type: 'text',
-        filename,
-        contentType: normalizedContentType || 'text/plain',
-        size: req.body.content.length,
-        createdAt: new Date().toISOString(),
-        enabled: true
-      }
-    } else {
-      return res.status(400).json({ error: 'File or content is required' })
-    }
+  res.json({ rule: updated })
+})
 
-    localResources.set(rawUrl, resourceData)
-    await saveLocalResources()
+app.delete('/api/network-conditions/:id', (req, res) => {
+  const before = networkConditionRules.length
+  networkConditionRules = networkConditionRules.filter(rule => rule.id !== req.params.id)
 
-    res.json({
-      success: true,
-      message: 'Resource added successfully',
-      resource: { url: rawUrl, ...resourceData }
-    })
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+  if (networkConditionRules.length === before) {
+    return res.status(404).json({ error: 'Network condition not found' })
   }
+
+  saveNetworkConditionRules()
+  res.status(204).end()
 })
 
-app.post('/api/resources/toggle', async (req, res) => {
-  try {
-    const { url, enabled } = req.body || {}
-    const rawUrl = safeTrim(url)
+// Set global network condition simulation mode
+app.post('/api/network-conditions-mode', (req, res) => {
+  handleBooleanToggleEndpoint({
+    req,
+    res,
+    assignValue: value => { networkConditionsEnabled = value },
+    responseFieldName: 'networkConditionsEnabled',
+    defaultEnabled: true
+  })
+})
 
-    if (!rawUrl) {
-      return res.status(400).json({ error: 'URL is required' })
-    }
+// Get fault injection rules
+app.get('/api/faults', (req, res) => {
+  const types = FAULT_TYPES.map(id => ({ id, label: FAULT_LABELS[id] }))
+  res.json({ rules: faultRules, types, faultRulesEnabled })
+})
 
-    if (!localResources.has(rawUrl)) {
-      return res.status(404).json({ error: 'Resource not found' })
-    }
+/**
+ * Validate the user-editable fields of a fault rule payload. Fields that are
+ * omitted are left to normalizeFaultRule defaults.
+ *
+ * @param {any} payload
+ * @param {{ requireUrl: boolean }} options
+ * @returns {{ ok: boolean, error?: string }}
+ */
+function validateFaultRulePayload (payload, { requireUrl }) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, error: 'Invalid payload: expected JSON object.' }
+  }
+  if ((requireUrl || payload.url !== undefined) && !safeTrim(payload.url)) {
+    return { ok: false, error: 'URL is required' }
+  }
+  if ((requireUrl || payload.type !== undefined) && !FAULT_TYPES.includes(payload.type)) {
+    return { ok: false, error: `Invalid "type": expected one of ${FAULT_TYPES.join(', ')}.` }
+  }
+  if (payload.enabled !== undefined && typeof payload.enabled !== 'boolean') {
+    return { ok: false, error: 'Invalid "enabled" flag: expected a boolean.' }
+  }
+  if (payload.methods !== undefined && !Array.isArray(payload.methods) && typeof payload.methods !== 'string') {
+    return { ok: false, error: 'Invalid "methods": expected an array of HTTP methods.' }
+  }
 
-    if (enabled !== undefined && typeof enabled !== 'boolean') {
-      return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
-    }
+  const isBlank = value => value === undefined || value === null || value === ''
+  const probability = Number(payload.probability)
+  if (!isBlank(payload.probability) && (!Number.isFinite(probability) || probability < 0 || probability > 100)) {
+    return { ok: false, error: 'Invalid "probability": expected a percentage between 0 and 100.' }
+  }
+  const statusCode = Number(payload.statusCode)
+  if (!isBlank(payload.statusCode) && (!Number.isInteger(statusCode) || statusCode < 500 || statusCode > 599)) {
+    return { ok: false, error: 'Invalid "statusCode": expected a 5xx status code.' }
+  }
+  const timeoutMs = Number(payload.timeoutMs)
+  if (!isBlank(payload.timeoutMs) && (!Number.isFinite(timeoutMs) || timeoutMs < 0 || timeoutMs > FAULT_MAX_TIMEOUT_MS)) {
+    return { ok: false, error: `Invalid "timeoutMs": expected a number between 0 and ${FAULT_MAX_TIMEOUT_MS}.` }
+  }
+  const afterMessages = Number(payload.afterMessages)
+  if (!isBlank(payload.afterMessages) && (!Number.isInteger(afterMessages) || afterMessages < 0 || afterMessages > FAULT_MAX_AFTER_MESSAGES)) {
+    return { ok: false, error: `Invalid "afterMessages": expected a whole number between 0 and ${FAULT_MAX_AFTER_MESSAGES}.` }
+  }
+  return { ok: true }
+}
 
-    const resource = localResources.get(rawUrl) || {}
-    const nextEnabled = enabled !== false
+app.post('/api/faults', (req, res) => {
+  const validation = validateFaultRulePayload(req.body, { requireUrl: true })
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
+  }
 
-    const updated = {
-      ...resource,
-      enabled: nextEnabled
-    }
+  const rule = normalizeFaultRule({ ...req.body, id: undefined })
+  faultRules.push(rule)
+  saveFaultRules()
 
-    localResources.set(rawUrl, updated)
-    await saveLocalResources()
+  res.status(201).json({ rule })
+})
 
-    res.json({ success: true, resource: { url: rawUrl, ...updated } })
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+app.put('/api/faults/:id', (req, res) => {
+  const idx = faultRules.findIndex(rule => rule.id === req.params.id)
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Fault rule not found' })
   }
-})
 
-app.delete('/api/resources/:encodedUrl', async (req, res) => {
-  try {
-    const url = decodeURIComponent(req.params.encodedUrl)
+  const validation = validateFaultRulePayload(req.body, { requireUrl: false })
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
+  }
 
-    if (localResources.has(url)) {
-      const resource = localResources.get(url)
-      const filePath = path.join(STORAGE_DIR, resource.filename)
+  const existing = faultRules[idx]
+  const updated = normalizeFaultRule({
+    ...existing,
+    ...req.body,
+    // Keep the derived name in sync when only the URL changes.
+    name: req.body.name !== undefined ? req.body.name : (req.body.url !== undefined ? '' : existing.name),
+    id: existing.id
+  })
 
-      try {
-        await fsPromises.unlink(filePath)
-      } catch (fsError) {
-        // If the file is already missing, keep behaviour simple and just log
-        if (!fsError || fsError.code !== 'ENOENT') {
-          console.error('[proxy] Error deleting local resource file:', fsError)
-          throw fsError
-        }
-      }
+  faultRules[idx] = updated
+  saveFaultRules()
 
-      localResources.delete(url)
-      await saveLocalResources()
+  res.json({ rule: updated })
+})
 
-      res.json({ success: true, message: 'Resource deleted successfully' })
-    } else {
-      res.status(404).json({ error: 'Resource not found' })
-    }
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+app.delete('/api/faults/:id', (req, res) => {
+  const before = faultRules.length
+  faultRules = faultRules.filter(rule => rule.id !== req.params.id)
+
+  if (faultRules.length === before) {
+    return res.status(404).json({ error: 'Fault rule not found' })
   }
-})
 
-app.delete('/api/logs', (req, res) => {
-  requestLogs = []
-  bypassedRequestCount = 0
-  bypassSuggestionStats.clear()
-  logSuggestionMetadata = new WeakMap()
-  dashboardStats = createEmptyDashboardStats()
-  performanceStats = createEmptyPerformanceStats()
-  routeStats = new Map()
-  res.json({ success: true, message: 'Logs cleared' })
+  saveFaultRules()
+  res.status(204).end()
 })
 
-// Get all blocked rules
-app.get('/api/blocked', (req, res) => {
-  res.json(blockedRules)
+// Set global fault injection mode
+app.post('/api/faults-mode', (req, res) => {
+  handleBooleanToggleEndpoint({
+    req,
+    res,
+    assignValue: value => { faultRulesEnabled = value },
+    responseFieldName: 'faultRulesEnabled',
+    defaultEnabled: true
+  })
 })
 
-// Add/update/remove blocked URL
-app.post('/api/blocked', (req, res) => {
-  const { id, url, action, enabled, name } = req.body || {}
-
-  if (typeof action !== 'string') {
-    return res.status(400).json({ error: 'Invalid action. Expected "add", "update" or "remove".' })
-  }
+// Get map remote rules
+app.get('/api/map-remote', (req, res) => {
+  res.json({ rules: mapRemoteRules, mapRemoteEnabled })
+})
 
-  if (action === 'add') {
-    const normalizedUrl = safeTrim(url)
-    if (!normalizedUrl) {
-      return res.status(400).json({ error: 'URL is required' })
+/**
+ * Validate the user-editable fields of a map remote rule payload. Fields
+ * that are omitted are left to normalizeMapRemoteRule defaults.
+ *
+ * @param {any} payload
+ * @param {{ requirePatterns: boolean }} options
+ * @returns {{ ok: boolean, error?: string }}
+ */
+function validateMapRemotePayload (payload, { requirePatterns }) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, error: 'Invalid payload: expected JSON object.' }
+  }
+  if (requirePatterns || payload.from !== undefined) {
+    const from = parseMapRemotePattern(payload.from)
+    if (!from || !from.host) {
+      return { ok: false, error: 'Invalid "from": expected [scheme://]host[:port][/path[*]].' }
     }
-    if (enabled !== undefined && typeof enabled !== 'boolean') {
-      return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
+  }
+  if (requirePatterns || payload.to !== undefined) {
+    const to = parseMapRemotePattern(payload.to)
+    if (!to || !(to.protocol || to.host || to.port || to.path)) {
+      return { ok: false, error: 'Invalid "to": expected [scheme://]host[:port][/path[*]].' }
     }
+  }
+  if (payload.enabled !== undefined && typeof payload.enabled !== 'boolean') {
+    return { ok: false, error: 'Invalid "enabled" flag: expected a boolean.' }
+  }
+  if (payload.preserveHost !== undefined && typeof payload.preserveHost !== 'boolean') {
+    return { ok: false, error: 'Invalid "preserveHost" flag: expected a boolean.' }
+  }
+  return { ok: true }
+}
 
-    const newRule = normalizeBlockedRule({ id, enabled, name, url: normalizedUrl })
-    blockedRules.push(newRule)
-    saveBlockedUrls()
-  } else if (action === 'update') {
-    if (typeof id !== 'string' || !id.trim()) {
-      return res.status(400).json({ error: 'ID is required for update' })
-    }
-    const idx = blockedRules.findIndex(r => r.id === id)
-    if (idx !== -1) {
-      const existing = blockedRules[idx]
-      const next = { ...existing }
+app.post('/api/map-remote', (req, res) => {
+  const validation = validateMapRemotePayload(req.body, { requirePatterns: true })
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
+  }
 
-      if (url !== undefined) {
-        const normalizedUrl = safeTrim(url)
-        if (!normalizedUrl) {
-          return res.status(400).json({ error: 'URL is required' })
-        }
-        next.url = normalizedUrl
-      }
+  const rule = normalizeMapRemoteRule({ ...req.body, id: undefined })
+  mapRemoteRules.push(rule)
+  saveMapRemoteRules()
 
-      if (enabled !== undefined) {
-        if (typeof enabled !== 'boolean') {
-          return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
-        }
-        next.enabled = enabled
-      }
+  res.status(201).json({ rule })
+})
 
-      if (name !== undefined) {
-        if (typeof name !== 'string') {
-          return res.status(400).json({ error: 'Invalid "name" field: expected a string.' })
-        }
-        next.name = name
-      }
+app.put('/api/map-remote/:id', (req, res) => {
+  const idx = mapRemoteRules.findIndex(rule => rule.id === req.params.id)
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Map remote rule not found' })
+  }
 
-      blockedRules[idx] = normalizeBlockedRule(next)
-      saveBlockedUrls()
-    } else {
-      return res.status(404).json({ error: 'Rule not found' })
-    }
-  } else if (action === 'remove') {
-    if (typeof id !== 'string' || !id.trim()) {
-      return res.status(400).json({ error: 'ID is required for remove' })
-    }
-    blockedRules = blockedRules.filter(r => r.id !== id)
-    saveBlockedUrls()
-  } else {
-    return res.status(400).json({ error: 'Invalid action. Expected "add", "update" or "remove".' })
+  const validation = validateMapRemotePayload(req.body, { requirePatterns: false })
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
   }
 
-  res.json({ success: true, blockedRules })
-})
+  const existing = mapRemoteRules[idx]
+  const updated = normalizeMapRemoteRule({
+    ...existing,
+    ...req.body,
+    // Keep the derived name in sync when only the source pattern changes.
+    name: req.body.name !== undefined ? req.body.name : (req.body.from !== undefined ? '' : existing.name),
+    id: existing.id
+  })
 
-// Get all filter rules
-app.get('/api/filters', (req, res) => {
-  try {
-    const queryModeRaw = typeof req.query.mode === 'string' ? req.query.mode.toLowerCase() : null
-    const effectiveMode = (queryModeRaw === 'focus' || queryModeRaw === 'ignore')
-      ? queryModeRaw
-      : getBypassMode()
+  mapRemoteRules[idx] = updated
+  saveMapRemoteRules()
 
-    const rulesForMode = bypassRules
-      .filter(rule => rule && rule.mode === effectiveMode)
+  res.json({ rule: updated })
+})
 
-    res.json(rulesForMode)
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to load filter rules' })
+app.delete('/api/map-remote/:id', (req, res) => {
+  const before = mapRemoteRules.length
+  mapRemoteRules = mapRemoteRules.filter(rule => rule.id !== req.params.id)
+
+  if (mapRemoteRules.length === before) {
+    return res.status(404).json({ error: 'Map remote rule not found' })
   }
+
+  saveMapRemoteRules()
+  res.status(204).end()
 })
 
-// Add/update/remove filter URL
-app.post('/api/filters', (req, res) => {
-  const { id, url, action, enabled, name, mode } = req.body || {}
+// Set global map remote mode
+app.post('/api/map-remote-mode', (req, res) => {
+  handleBooleanToggleEndpoint({
+    req,
+    res,
+    assignValue: value => { mapRemoteEnabled = value },
+    responseFieldName: 'mapRemoteEnabled',
+    defaultEnabled: true
+  })
+})
 
-  if (typeof action !== 'string') {
-    return res.status(400).json({ error: 'Invalid action. Expected "add", "update" or "remove".' })
-  }
+// Get map local directory rules (they share the local resources switch)
+app.get('/api/map-local', (req, res) => {
+  res.json({ rules: mapLocalRules, localResourcesEnabled })
+})
 
-  if (action === 'add') {
-    const normalizedUrl = safeTrim(url)
-    if (!normalizedUrl) {
-      return res.status(400).json({ error: 'URL is required' })
-    }
-    if (enabled !== undefined && typeof enabled !== 'boolean') {
-      return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
+/**
+ * Validate the user-editable fields of a map local rule payload. Fields
+ * that are omitted are left to normalizeMapLocalRule defaults. The
+ * directory does not have to exist yet (build output comes and goes).
+ *
+ * @param {any} payload
+ * @param {{ requireFields: boolean }} options
+ * @returns {{ ok: boolean, error?: string }}
+ */
+function validateMapLocalPayload (payload, { requireFields }) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, error: 'Invalid payload: expected JSON object.' }
+  }
+  if (requireFields || payload.url !== undefined) {
+    const pattern = parseMapRemotePattern(payload.url)
+    if (!pattern || !pattern.host) {
+      return { ok: false, error: 'Invalid "url": expected [scheme://]host[:port][/path[*]].' }
     }
-
-    const baseRule = {
-      id,
-      enabled,
-      name,
-      url: normalizedUrl,
-      mode: typeof mode === 'string' ? mode : getBypassMode()
+  }
+  if (requireFields || payload.directory !== undefined) {
+    if (typeof payload.directory !== 'string' || !path.isAbsolute(expandHomeDirectory(payload.directory))) {
+      return { ok: false, error: 'Invalid "directory": expected an absolute path (or one starting with ~/).' }
     }
-    const newRule = normalizeBypassRule(baseRule)
-    bypassRules.push(newRule)
-    saveBypassUrls()
-  } else if (action === 'update') {
-    if (typeof id !== 'string' || !id.trim()) {
-      return res.status(400).json({ error: 'ID is required for update' })
+    if (!isWithinLocalFilesRoot(expandHomeDirectory(payload.directory))) {
+      return { ok: false, error: `Invalid "directory": must be inside ${LOCAL_FILES_ROOT}.` }
     }
-    const ruleIndex = bypassRules.findIndex(r => r.id === id)
-    if (ruleIndex !== -1) {
-      const existing = normalizeBypassRule(bypassRules[ruleIndex])
-      const nextModeRaw = typeof mode === 'string' ? mode.toLowerCase() : existing.mode
-      const nextMode = (nextModeRaw === 'focus' || nextModeRaw === 'ignore') ? nextModeRaw : existing.mode
+  }
+  if (payload.indexFiles !== undefined &&
+    (!Array.isArray(payload.indexFiles) || payload.indexFiles.some(name => typeof name !== 'string'))) {
+    return { ok: false, error: 'Invalid "indexFiles": expected an array of file names.' }
+  }
+  if (payload.enabled !== undefined && typeof payload.enabled !== 'boolean') {
+    return { ok: false, error: 'Invalid "enabled" flag: expected a boolean.' }
+  }
+  if (payload.fallThrough !== undefined && typeof payload.fallThrough !== 'boolean') {
+    return { ok: false, error: 'Invalid "fallThrough" flag: expected a boolean.' }
+  }
+  return { ok: true }
+}
 
-      let nextUrl = existing.url
-      if (url !== undefined) {
-        const normalizedUrl = safeTrim(url)
-        if (!normalizedUrl) {
-          return res.status(400).json({ error: 'URL is required' })
-        }
-        nextUrl = normalizedUrl
-      }
+app.post('/api/map-local', (req, res) => {
+  if (!isLocalOriginRequest(req)) {
+    return res.status(403).json({ error: 'Map local rules can only be changed from a local origin' })
+  }
+  const validation = validateMapLocalPayload(req.body, { requireFields: true })
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
+  }
 
-      if (enabled !== undefined && typeof enabled !== 'boolean') {
-        return res.status(400).json({ error: 'Invalid "enabled" flag: expected a boolean.' })
-      }
+  const rule = normalizeMapLocalRule({ ...req.body, id: undefined })
+  mapLocalRules.push(rule)
+  rebuildMapLocalHandlers()
+  saveMapLocalRules()
 
-      if (name !== undefined && typeof name !== 'string') {
-        return res.status(400).json({ error: 'Invalid "name" field: expected a string.' })
-      }
+  res.status(201).json({ rule })
+})
 
-      const updated = normalizeBypassRule({
-        ...existing,
-        url: nextUrl,
-        enabled: enabled !== undefined ? enabled : existing.enabled,
-        name: name !== undefined ? name : existing.name,
-        mode: nextMode
-      })
+app.put('/api/map-local/:id', (req, res) => {
+  if (!isLocalOriginRequest(req)) {
+    return res.status(403).json({ error: 'Map local rules can only be changed from a local origin' })
+  }
+  const idx = mapLocalRules.findIndex(rule => rule.id === req.params.id)
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Map local rule not found' })
+  }
 
-      bypassRules[ruleIndex] = updated
-      saveBypassUrls()
-    } else {
-      return res.status(404).json({ error: 'Rule not found' })
-    }
-  } else if (action === 'remove') {
-    if (typeof id !== 'string' || !id.trim()) {
-      return res.status(400).json({ error: 'ID is required for remove' })
-    }
-    bypassRules = bypassRules.filter(r => r.id !== id)
-    saveBypassUrls()
-  } else {
-    return res.status(400).json({ error: 'Invalid action. Expected "add", "update" or "remove".' })
+  const validation = validateMapLocalPayload(req.body, { requireFields: false })
+  if (!validation.ok) {
+    return res.status(400).json({ error: validation.error })
   }
 
-  res.json({ success: true, bypassRules })
-})
+  const existing = mapLocalRules[idx]
+  const updated = normalizeMapLocalRule({
+    ...existing,
+    ...req.body,
+    // Keep the derived name in sync when only the URL changes.
+    name: req.body.name !== undefined ? req.body.name : (req.body.url !== undefined ? '' : existing.name),
+    id: existing.id
+  })
 
-app.get('/api/filters/suggestions', (req, res) => {
-  try {
-    const limit = Number.parseInt(req.query.limit, 10)
-    const windowSize = Number.parseInt(req.query.windowSize, 10)
+  mapLocalRules[idx] = updated
+  rebuildMapLocalHandlers()
+  saveMapLocalRules()
+
+  res.json({ rule: updated })
+})
 
-    const suggestions = computeBypassSuggestions({
-      limit: Number.isNaN(limit) ? undefined : limit,
-      windowSize: Number.isNaN(windowSize) ? undefined : windowSize
-    })
+app.delete('/api/map-local/:id', (req, res) => {
+  const before = mapLocalRules.length
+  mapLocalRules = mapLocalRules.filter(rule => rule.id !== req.params.id)
 
-    res.json({ suggestions })
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to compute filter suggestions' })
+  if (mapLocalRules.length === before) {
+    return res.status(404).json({ error: 'Map local rule not found' })
   }
+
+  rebuildMapLocalHandlers()
+  saveMapLocalRules()
+  res.status(204).end()
 })
 
-app.get('/api/filters/metrics', (req, res) => {
-  res.json({
-    totalFiltered: bypassedRequestCount,
-    activeRules: bypassUrls.length
-  })
+function buildProfileView (profile) {
+  const isActive = profile.id === activeProfileId
+  return { ...profile, active: isActive, modified: isActive && isProfileModified(profile) }
+}
+
+// List profiles and the currently active one
+app.get('/api/profiles', (req, res) => {
+  res.json({ profiles: profiles.map(buildProfileView), activeProfileId })
 })
 
-app.get('/api/edit-rules', (req, res) => {
-  res.json({ rules: editRules })
+// Create a profile from the rules and resources that are enabled right now
+app.post('/api/profiles', (req, res) => {
+  const name = safeTrim(req.body && req.body.name)
+  if (!name) {
+    return res.status(400).json({ error: 'Profile name is required' })
+  }
+  if (profiles.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+    return res.status(409).json({ error: `A profile named "${name}" already exists` })
+  }
+
+  const profile = normalizeProfile({ name, ...captureProfileMembers() })
+  profiles.push(profile)
+  activeProfileId = profile.id
+  saveProfiles()
+  persistConfig()
+
+  res.status(201).json({ profile: buildProfileView(profile) })
 })
 
-app.post('/api/edit-rules', (req, res) => {
-  // Allow both legacy text rules and new jsonPath rules. The normalizeEditRule
-  // helper is responsible for interpreting the payload and ensuring a
-  // consistent internal representation.
-  const raw = (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) ? req.body : null
+// Rename a profile and/or re-capture its members from the current state
+app.put('/api/profiles/:id', (req, res) => {
+  const idx = profiles.findIndex(profile => profile.id === req.params.id)
+  if (idx === -1) {
+    return res.status(404).json({ error: 'Profile not found' })
+  }
 
-  if (!raw) {
-    return res.status(400).json({ error: 'Invalid payload: expected JSON object.' })
+  const { name, capture } = req.body || {}
+  if (name !== undefined && !safeTrim(name)) {
+    return res.status(400).json({ error: 'Profile name cannot be empty' })
+  }
+  if (capture !== undefined && typeof capture !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid "capture" flag: expected a boolean.' })
+  }
+  const nextName = name !== undefined ? safeTrim(name) : profiles[idx].name
+  if (profiles.some(profile => profile.id !== req.params.id && profile.name.toLowerCase() === nextName.toLowerCase())) {
+    return res.status(409).json({ error: `A profile named "${nextName}" already exists` })
   }
 
-  const rule = normalizeEditRule({
-    ...raw,
-    id: undefined // ensure normalizeEditRule generates/uses the new id
+  const updated = normalizeProfile({
+    ...profiles[idx],
+    ...(capture ? captureProfileMembers() : {}),
+    name: nextName,
+    updatedAt: new Date().toISOString()
   })
+  profiles[idx] = updated
+  saveProfiles()
 
-  editRules.push(rule)
-  saveEditRules()
-  rebuildEditRuleCache()
-
-  res.status(201).json({ rule })
+  res.json({ profile: buildProfileView(updated) })
 })
 
-app.put('/api/edit-rules/:id', (req, res) => {
-  const { id } = req.params
-  const idx = editRules.findIndex(rule => rule.id === id)
-  if (idx === -1) {
-    return res.status(404).json({ error: 'Rule not found' })
+app.delete('/api/profiles/:id', (req, res) => {
+  const before = profiles.length
+  profiles = profiles.filter(profile => profile.id !== req.params.id)
+
+  if (profiles.length === before) {
+    return res.status(404).json({ error: 'Profile not found' })
   }
 
-  const existing = editRules[idx]
-  const patch = (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) ? req.body : null
+  if (activeProfileId === req.params.id) {
+    activeProfileId = null
+    persistConfig()
+  }
+  saveProfiles()
+  res.status(204).end()
+})
 
-  if (!patch) {
-    return res.status(400).json({ error: 'Invalid payload: expected JSON object.' })
+// Switch every rule, resource and global flag to the profile in one step
+app.post('/api/profiles/:id/activate', async (req, res) => {
+  const profile = profiles.find(item => item.id === req.params.id)
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' })
   }
 
-  const updated = normalizeEditRule({
-    ...existing,
-    ...patch,
-    id: existing.id
-  })
+  try {
+    await activateProfile(profile)
+    notifyRulesChanged('profiles')
+    res.json({ success: true, profile: buildProfileView(profile) })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
 
-  editRules[idx] = updated
-  saveEditRules()
-  rebuildEditRuleCache()
+// Export rules and resources as a single bundle. `sections` selects a subset
+// of editRules, filterRules, blockedRules and resources (default: all).
+app.get('/api/bundle/export', async (req, res) => {
+  const sections = parseListQuery(req.query.sections, BUNDLE_SECTIONS)
+  const unknown = sections.filter(section => !BUNDLE_SECTIONS.includes(section))
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Invalid "sections": expected any of ${BUNDLE_SECTIONS.join(', ')}.` })
+  }
 
-  res.json({ rule: updated })
+  try {
+    const bundle = await buildRulesBundle(sections)
+    const stamp = bundle.exportedAt.replace(/[:.]/g, '-')
+    res.setHeader('Content-Disposition', `attachment; filename="proxy-bundle-${stamp}.json"`)
+    res.json(bundle)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export bundle' })
+  }
 })
 
-app.delete('/api/edit-rules/:id', (req, res) => {
-  const { id } = req.params
-  const before = editRules.length
-  editRules = editRules.filter(rule => rule.id !== id)
+function resolveBundleImportRequest (body) {
+  const { bundle, conflict = 'skip', allowScripts = false } = body || {}
+  if (!BUNDLE_CONFLICT_STRATEGIES.includes(conflict)) {
+    return { ok: false, error: `Invalid "conflict": expected one of ${BUNDLE_CONFLICT_STRATEGIES.join(', ')}.` }
+  }
+  if (typeof allowScripts !== 'boolean') {
+    return { ok: false, error: 'Invalid "allowScripts": expected a boolean.' }
+  }
+  return planRulesBundleImport(bundle, conflict, { allowScripts })
+}
 
-  if (editRules.length === before) {
-    return res.status(404).json({ error: 'Rule not found' })
+// Show what importing a bundle would change, without applying it
+app.post('/api/bundle/import/preview', (req, res) => {
+  const plan = resolveBundleImportRequest(req.body)
+  if (!plan.ok) {
+    return res.status(400).json({ error: plan.error })
   }
+  res.json({ plan: summarizeBundlePlan(plan.value) })
+})
 
-  saveEditRules()
-  rebuildEditRuleCache()
+// Import a bundle; conflicts are resolved with "skip", "overwrite" or "rename".
+// Script rules stay disabled unless "allowScripts" is true.
+app.post('/api/bundle/import', async (req, res) => {
+  const plan = resolveBundleImportRequest(req.body)
+  if (!plan.ok) {
+    return res.status(400).json({ error: plan.error })
+  }
 
-  res.status(204).end()
+  try {
+    await applyRulesBundleImport(plan.value)
+    res.json({ success: true, plan: summarizeBundlePlan(plan.value) })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
 })
 
-app.get('/api/dashboard', (req, res) => {
+/**
+ * Build the dashboard payload served by /api/dashboard and pushed to live
+ * event subscribers: aggregated stats, performance, route hotspots and the
+ * rule summaries shown in the header.
+ *
+ * @returns {object}
+ */
+function buildDashboardSnapshot () {
   const { editedRequests, ...stats } = dashboardStats
 
   const perf = performanceStats
@@ -6917,7 +14861,7 @@ app.get('/api/dashboard', (req, res) => {
     served: allRouteSnapshots.filter(route => route.handling === 'served').sort(sortRouteSnapshots).slice(0, 10)
   }
 
-  res.json({
+  return {
     stats,
     performance,
     payloads,
@@ -6932,7 +14876,11 @@ app.get('/api/dashboard', (req, res) => {
       activeRules: bypassUrls.length
     },
     editedRequests
-  })
+  }
+}
+
+app.get('/api/dashboard', (req, res) => {
+  res.json(buildDashboardSnapshot())
 })
 
 app.get('/api/audit', (req, res) => {
@@ -7033,7 +14981,8 @@ app.use('*', async (req, res) => {
         fullUrl,
         headers: sanitizeAndStripIdentifyingHeaders(req.headers),
         source: 'unknown',
-        clientIp
+        clientIp,
+        httpVersion: req.httpVersion
       })
     : null
 
@@ -7073,27 +15022,49 @@ app.use('*', async (req, res) => {
     }
   }
 
+  // Resolve target URL/host using the same logic as the bypass/upgrade flows.
+  const resolvedTarget = resolveTargetFromRequest(req)
+  const resolvedTargetUrl = resolvedTarget ? resolvedTarget.url : null
+
   // Check if we have an enabled local resource for this URL
-  const localMatch = findMatchingLocalResource(requestUrl, fullUrl)
+  const localMatch = findMatchingLocalResource(requestUrl, fullUrl, {
+    method: req.method,
+    host: resolvedTarget ? resolvedTarget.host : null,
+    targetUrl: resolvedTargetUrl
+  })
+
+  // Directory mappings are only consulted when no single-file resource
+  // matched; a rule that falls through leaves the request to the upstream.
+  const mapLocalTarget = localMatch ? null : findMapLocalTarget(resolvedTargetUrl || fullUrl)
+  if (mapLocalTarget && await serveMapLocalDirectory(mapLocalTarget, { method: req.method, headers: req.headers }, res)) {
+    logMapLocalResponse(logEntry, mapLocalTarget, res)
+    return
+  }
 
   if (localMatch) {
-    const { url: matchedUrl, resource } = localMatch
+    const { url: matchedUrl, resource, params } = localMatch
 
     if (logEntry) {
       logEntry.source = 'local'
       logEntry.localResource = matchedUrl
+      logEntry.statusCode = Number.isInteger(resource.statusCode) ? resource.statusCode : 200
       addLog(logEntry)
     }
 
     serveLocalResourceStream(res, resource, {
       sourceTag: 'local',
-      errorPrefix: '[proxy] Error streaming local resource'
+      errorPrefix: '[proxy] Error streaming local resource',
+      templateContext: resource.templated
+        ? buildLocalTemplateContext({
+          method: req.method,
+          url: resolvedTargetUrl || fullUrl,
+          headers: req.headers,
+          body: req.rawBody !== undefined ? req.rawBody : req.body,
+          params
+        })
+        : null
     })
   } else {
-    // Resolve target URL/host using the same logic as the bypass/upgrade flows.
-    const resolvedTarget = resolveTargetFromRequest(req)
-    const resolvedTargetUrl = resolvedTarget ? resolvedTarget.url : null
-
     if (resolvedTargetUrl) {
       // Proxy to target URL
       // Proxying request (silent)
@@ -7118,6 +15089,8 @@ app.use('*', async (req, res) => {
         const headerRewriteResult = applyEditRulesToHeaders(headersToForward, {
           requestUrl,
           fullUrl,
+          method: req.method,
+          body: req.rawBody,
           phase: 'request'
         })
         if (headerRewriteResult.changed) {
@@ -7140,6 +15113,9 @@ app.use('*', async (req, res) => {
             const rewriteResult = applyEditRulesToText(textBody, {
               requestUrl,
               fullUrl,
+              method: req.method,
+              headers: headersToForward,
+              body: textBody,
               phase: 'request'
             })
             body = rewriteResult.changed ? rewriteResult.text : rawBodyString
@@ -7152,21 +15128,61 @@ app.use('*', async (req, res) => {
           }
         }
 
-        const { response: upstreamResponse } = await performUpstreamRequest({
+        const scriptRequest = applyScriptRules({
+          phase: 'request',
+          method: req.method,
           url: resolvedTargetUrl,
+          requestUrl,
+          headers: headersToForward,
+          body,
+          logEntry
+        })
+        if (scriptRequest.changed) {
+          headersToForward = scriptRequest.headers
+          body = scriptRequest.body
+          if (scriptRequest.bodyChanged) {
+            recordScriptRequestBodyOnLog(logEntry, body, headersToForward, { requestUrl, fullUrl })
+          }
+        }
+
+        const heldRequest = await holdRequestAtBreakpoint({
+          source: 'http',
+          logSource: 'proxied',
+          requestUrl,
           method: req.method,
+          url: resolvedTargetUrl,
           headers: headersToForward,
           body,
+          logEntry,
+          res
+        })
+        if (heldRequest.handled) return
+        const mappedRequest = applyMapRemote(heldRequest.url, heldRequest.headers, logEntry)
+        const upstreamUrl = mappedRequest.url
+
+        const { response: upstreamResponse, playback, httpVersion } = await performRecordedUpstreamRequest({
+          url: upstreamUrl,
+          method: heldRequest.method,
+          headers: mappedRequest.headers,
+          body: heldRequest.body,
           abortSignal: abortController.signal,
           bufferResponse: false
         })
 
         logEntry.upstreamDurationMs = Date.now() - upstreamStart
+        if (playback) {
+          logEntry.playback = true
+        } else {
+          logEntry.upstreamHttpVersion = httpVersion
+        }
+        const responseSourceTag = playback ? 'playback' : 'remote'
 
         let upstreamHeaders = upstreamResponse.headers
         const responseHeaderRewriteResult = applyEditRulesToHeaders(upstreamHeaders, {
           requestUrl,
           fullUrl,
+          method: req.method,
+          statusCode: upstreamResponse.statusCode,
           phase: 'response'
         })
         if (responseHeaderRewriteResult.changed) {
@@ -7183,7 +15199,8 @@ app.use('*', async (req, res) => {
         const compiledJsonPathRulesLocal = getCompiledJsonPathRules()
         const hasAnyEditRules =
           (Array.isArray(compiledTextRules) && compiledTextRules.length > 0) ||
-          (Array.isArray(compiledJsonPathRulesLocal) && compiledJsonPathRulesLocal.length > 0)
+          (Array.isArray(compiledJsonPathRulesLocal) && compiledJsonPathRulesLocal.length > 0) ||
+          getCompiledScriptRules().length > 0
 
         let needsInspection = hasAnyEditRules || !isBinary || shouldDecompress(contentType)
 
@@ -7195,17 +15212,19 @@ app.use('*', async (req, res) => {
           needsInspection = false
         }
 
+        // Responses that may be paused at a breakpoint must be buffered.
         const canStreamUninspected =
           STREAM_UNINSPECTED_RESPONSES &&
           upstreamResponse.body &&
           !needsInspection &&
-          req.method !== 'HEAD'
+          req.method !== 'HEAD' &&
+          !findBreakpointRule('response', { method: req.method, urls: [requestUrl, upstreamUrl] })
 
         if (canStreamUninspected) {
           if (logEntry) {
             logEntry.source = 'proxied'
-            logEntry.targetUrl = resolvedTargetUrl
-            logEntry.fullUrl = resolvedTargetUrl // Use target URL instead of proxy URL
+            logEntry.targetUrl = upstreamUrl
+            logEntry.fullUrl = heldRequest.url // Use target URL instead of proxy URL
             logEntry.statusCode = upstreamResponse.statusCode
             logEntry.responseHeaders = upstreamHeaders
             logEntry.responseBody = '[streamed binary response]'
@@ -7221,9 +15240,10 @@ app.use('*', async (req, res) => {
             res.setHeader(key, value)
           })
 
-          applyCacheBypassHeadersToResponse(res, 'remote')
+          applyCacheBypassHeadersToResponse(res, responseSourceTag, responseHeaderRewriteResult.ruleHeaderNames)
 
           res.status(upstreamResponse.statusCode)
+          trackStreamedResponseSize(logEntry, upstreamResponse.body)
           upstreamResponse.body.pipe(res)
           return
         }
@@ -7233,16 +15253,56 @@ app.use('*', async (req, res) => {
           : Buffer.alloc(0)
 
         // Unified Connect pipeline: rewrite (if applicable) and decode from a single pass.
-        const {
+        let {
           buffer: effectiveResponseBuffer,
           connect: connectResponse
         } = applyConnectRewritesAndDecode(
           logEntry,
           responseBuffer,
           upstreamHeaders,
-          { role: 'response', allowBodyRewriteFallback: true, updateContentEncoding: true }
+          { role: 'response', allowBodyRewriteFallback: true, updateContentEncoding: true, statusCode: upstreamResponse.statusCode }
         )
 
+        let upstreamStatusCode = upstreamResponse.statusCode
+        const scriptResponse = applyScriptRules({
+          phase: 'response',
+          method: heldRequest.method,
+          url: upstreamUrl,
+          requestUrl,
+          statusCode: upstreamStatusCode,
+          headers: upstreamHeaders,
+          body: effectiveResponseBuffer,
+          logEntry
+        })
+        if (scriptResponse.changed) {
+          upstreamHeaders = scriptResponse.headers
+          upstreamStatusCode = scriptResponse.statusCode
+          if (scriptResponse.bodyChanged) {
+            effectiveResponseBuffer = scriptResponse.body
+            connectResponse = null
+          }
+        }
+
+        const heldResponse = await holdResponseAtBreakpoint({
+          source: 'http',
+          requestUrl,
+          method: heldRequest.method,
+          url: upstreamUrl,
+          statusCode: upstreamStatusCode,
+          headers: upstreamHeaders,
+          body: effectiveResponseBuffer,
+          logEntry,
+          res
+        })
+        if (heldResponse.handled) return
+        const responseStatusCode = heldResponse.statusCode
+        upstreamHeaders = heldResponse.headers
+        if (heldResponse.bodyEdited) {
+          // Decoded Connect frames no longer describe the edited body.
+          effectiveResponseBuffer = heldResponse.body
+          connectResponse = null
+        }
+
         // Parse response body for logging (only when logging is enabled)
         let responseBody = ''
 
@@ -7259,9 +15319,9 @@ app.use('*', async (req, res) => {
           responseBody = view.body
 
           logEntry.source = 'proxied'
-          logEntry.targetUrl = resolvedTargetUrl
-          logEntry.fullUrl = resolvedTargetUrl // Use target URL instead of proxy URL
-          logEntry.statusCode = upstreamResponse.statusCode
+          logEntry.targetUrl = upstreamUrl
+          logEntry.fullUrl = heldRequest.url // Use target URL instead of proxy URL
+          logEntry.statusCode = responseStatusCode
           logEntry.responseHeaders = upstreamHeaders
           if (!connectResponse) {
             logEntry.responseBody = responseBody
@@ -7270,7 +15330,7 @@ app.use('*', async (req, res) => {
           addLog(logEntry)
         }
 
-        res.status(upstreamResponse.statusCode)
+        res.status(responseStatusCode)
 
         const forwardedResponseHeaders = sanitizeAndStripIdentifyingHeaders(
           upstreamHeaders,
@@ -7280,7 +15340,7 @@ app.use('*', async (req, res) => {
           res.setHeader(key, value)
         })
 
-        applyCacheBypassHeadersToResponse(res, 'remote')
+        applyCacheBypassHeadersToResponse(res, responseSourceTag, responseHeaderRewriteResult.ruleHeaderNames)
 
         if (req.method === 'HEAD') {
           res.end()
@@ -7288,11 +15348,18 @@ app.use('*', async (req, res) => {
           res.send(effectiveResponseBuffer)
         }
       } catch (error) {
+        const statusCode = isPlaybackMiss(error) ? error.statusCode : 502
         if (logEntry) {
+          if (isPlaybackMiss(error)) {
+            logEntry.statusCode = statusCode
+          }
           recordUpstreamErrorOnLog(logEntry, error)
         }
 
-        res.status(502).json({ error: 'Proxy error', message: error.message })
+        res.status(statusCode).json({
+          error: isPlaybackMiss(error) ? 'No recorded response' : 'Proxy error',
+          message: error.message
+        })
       } finally {
         res.removeListener('close', onClose)
       }
@@ -7312,18 +15379,29 @@ app.use('*', async (req, res) => {
 })
 
 const server = http.createServer((req, res) => {
-  tryHandleHttpBypass(req, res)
-    .then(handled => {
-      if (!handled && !res.writableEnded) {
-        app(req, res)
-      }
-    })
-    .catch(() => {
-      if (!res.headersSent) {
-        res.writeHead(500)
-      }
-      res.end('Internal proxy error')
-    })
+  const handle = () => {
+    tryHandleHttpBypass(req, res)
+      .then(handled => {
+        if (!handled && !res.writableEnded) {
+          app(req, res)
+        }
+      })
+      .catch(() => {
+        if (!res.headersSent) {
+          res.writeHead(500)
+        }
+        res.end('Internal proxy error')
+      })
+  }
+
+  // Requests for the proxy's own API and UI have no target and are never
+  // degraded by network conditions.
+  const target = resolveTargetFromRequest(req)
+  if (!target.url) {
+    handle()
+    return
+  }
+  runWithNetworkConditions(req, res, [target.url, target.host], handle)
 })
 
 server.on('upgrade', (req, socket, head) => {
@@ -7346,6 +15424,7 @@ server.on('upgrade', (req, socket, head) => {
 
   if (decision.action === 'direct') {
     incrementBypassedCount()
+    const mappedTarget = findMapRemoteTarget(targetUrl)
 
     if (interactiveModeEnabled) {
       const wsUrl = (targetUrl || '').replace('https://', 'wss://').replace('http://', 'ws://')
@@ -7364,6 +15443,15 @@ server.on('upgrade', (req, socket, head) => {
         responseHeaders: null,
         statusCode: 101
       }
+      if (mappedTarget) {
+        logEntry.targetUrl = mappedTarget.url
+        logEntry.mapRemote = {
+          ruleId: mappedTarget.rule.id,
+          ruleName: mappedTarget.rule.name,
+          originalUrl: targetUrl,
+          mappedUrl: mappedTarget.url
+        }
+      }
       addLog(logEntry)
     }
 
@@ -7371,7 +15459,8 @@ server.on('upgrade', (req, socket, head) => {
       req,
       clientSocket: socket,
       head,
-      targetUrl
+      targetUrl,
+      mappedTarget
     })
     return
   }
@@ -7408,6 +15497,12 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
     rewrittenMessages: 0
   }
   let summaryLogged = false
+  const networkConditions = findNetworkConditions([wsUrl, fullUrl, targetHost])
+  const downlink = createNetworkLink(networkConditions, 'download')
+  const uplink = createNetworkLink(networkConditions, 'upload')
+  const faultRule = findFaultRule({ method: 'GET', urls: [wsUrl, fullUrl], websocket: true })
+  let relayedMessages = 0
+  const mappedTarget = findMapRemoteTarget(wsUrl)
 
   const logWebSocketSummary = (reason) => {
     if (summaryLogged || bypass) return
@@ -7465,7 +15560,7 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
     })
 
     // Override host
-    wsHeaders.host = targetHost
+    wsHeaders.host = mappedTarget && !mappedTarget.rule.preserveHost ? mappedTarget.host : targetHost
 
     // Create WebSocket connection to target server
     const wsTlsOptions = {}
@@ -7478,7 +15573,7 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
       wsTlsOptions.rejectUnauthorized = false // Accept self-signed certs (dev default)
     }
 
-    const targetWs = new WebSocket(wsUrl, {
+    const targetWs = new WebSocket(mappedTarget ? mappedTarget.url : wsUrl, {
       headers: wsHeaders,
       ...wsTlsOptions
     })
@@ -7504,6 +15599,15 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
           responseHeaders: null,
           statusCode: 101
         }
+        if (mappedTarget) {
+          connectionLog.targetUrl = mappedTarget.url
+          connectionLog.mapRemote = {
+            ruleId: mappedTarget.rule.id,
+            ruleName: mappedTarget.rule.name,
+            originalUrl: wsUrl,
+            mappedUrl: mappedTarget.url
+          }
+        }
         addLog(connectionLog)
       }
 
@@ -7521,6 +15625,58 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
 
       clientSocket.write(upgradeHeaders.join('\r\n') + '\r\n\r\n')
 
+      // A "websocket-drop" fault cuts both sides off without close frames
+      // once the configured number of messages has been relayed.
+      const dropForFault = () => {
+        if (interactiveModeEnabled) {
+          addLog({
+            id: Date.now() + Math.random(),
+            timestamp: new Date().toISOString(),
+            method: 'WS',
+            url: wsUrl,
+            fullUrl: wsUrl,
+            source: 'fault',
+            direction: 'dropped',
+            connectionId,
+            fault: { ruleId: faultRule.id, ruleName: faultRule.name, type: faultRule.type },
+            headers: {},
+            body: `WebSocket connection dropped by fault rule after ${relayedMessages} messages`,
+            error: 'WebSocket connection dropped by fault rule',
+            responseBody: null,
+            responseHeaders: null
+          })
+        }
+        logWebSocketSummary('fault-dropped')
+        clientSocket.destroy()
+        targetWs.terminate()
+      }
+      const countRelayedMessage = () => {
+        if (!faultRule) return
+        relayedMessages += 1
+        if (relayedMessages === faultRule.afterMessages) dropForFault()
+      }
+      if (faultRule && faultRule.afterMessages === 0) {
+        dropForFault()
+        return
+      }
+
+      // Frames cross the simulated network (if a condition applies) one
+      // message at a time, in order, per direction.
+      const sendToClient = frame => deliverThroughNetworkLink(downlink, frame.length, () => {
+        if (!clientSocket.writable) return
+        clientSocket.write(frame)
+        countRelayedMessage()
+      })
+      const sendToTarget = (payloadBuffer, isBinary) => deliverThroughNetworkLink(uplink, payloadBuffer.length, () => {
+        if (targetWs.readyState !== WebSocket.OPEN) return
+        if (isBinary) {
+          targetWs.send(payloadBuffer, { binary: true })
+        } else {
+          targetWs.send(payloadBuffer.toString('utf8'), { binary: false })
+        }
+        countRelayedMessage()
+      })
+
       // Pipe data bidirectionally with logging
       targetWs.on('message', (data, isBinary) => {
         if (!clientSocket.writable) return
@@ -7528,7 +15684,7 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
         if (bypass) {
           const payloadBuffer = normalizeWebSocketPayload(data)
           const frame = createWebSocketFrame(payloadBuffer, isBinary)
-          clientSocket.write(frame)
+          sendToClient(frame)
           return
         }
 
@@ -7542,7 +15698,7 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
           wsMetrics.bytesServerToClient += size
 
           const frame = createWebSocketFrame(payloadBuffer, isBinary)
-          clientSocket.write(frame)
+          sendToClient(frame)
 
           logWebSocketMessage({
             direction: 'server->client',
@@ -7567,7 +15723,7 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
           }
         )
         const frame = createWebSocketFrame(payloadBuffer, isBinary)
-        clientSocket.write(frame)
+        sendToClient(frame)
 
         const size = payloadBuffer.length
         wsMetrics.messagesServerToClient += 1
@@ -7596,11 +15752,7 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
 
           if (bypass) {
             const payloadBuffer = decoded.payload
-            if (decoded.isBinary) {
-              targetWs.send(payloadBuffer, { binary: true })
-            } else {
-              targetWs.send(payloadBuffer.toString('utf8'), { binary: false })
-            }
+            sendToTarget(payloadBuffer, decoded.isBinary)
             return
           }
 
@@ -7608,11 +15760,7 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
             // Light WebSocket mode: forward decoded payload as-is and log
             // only basic metadata instead of full body content.
             const payloadBuffer = decoded.payload
-            if (decoded.isBinary) {
-              targetWs.send(payloadBuffer, { binary: true })
-            } else {
-              targetWs.send(payloadBuffer.toString('utf8'), { binary: false })
-            }
+            sendToTarget(payloadBuffer, decoded.isBinary)
 
             const size = payloadBuffer.length
             wsMetrics.messagesClientToServer += 1
@@ -7641,11 +15789,7 @@ function handleWebSocketUpgrade (clientReq, clientSocket, targetHost, targetPort
             }
           )
 
-          if (decoded.isBinary) {
-            targetWs.send(payloadBuffer, { binary: true })
-          } else {
-            targetWs.send(payloadBuffer.toString('utf8'), { binary: false })
-          }
+          sendToTarget(payloadBuffer, decoded.isBinary)
 
           const size = payloadBuffer.length
           wsMetrics.messagesClientToServer += 1
@@ -7792,6 +15936,8 @@ server.on('connect', (req, clientSocket, head) => {
 
   const targetHost = targetUrl.hostname
   const targetPort = targetUrl.port || 443
+  // Keep non-default ports (e.g. gRPC servers on :50051) in upstream URLs
+  const targetAuthority = String(targetPort) === '443' ? targetHost : `${targetHost}:${targetPort}`
 
   const routingContext = buildRoutingContext({
     requestUrl: '/',
@@ -7817,7 +15963,8 @@ server.on('connect', (req, clientSocket, head) => {
         fullUrl,
         headers: sanitizeAndStripIdentifyingHeaders(req.headers),
         source: 'tunnel',
-        clientIp
+        clientIp,
+        httpVersion: req.httpVersion
       })
       // Represent the raw CONNECT tunnel by its 200 Connection Established
       // handshake for auditing purposes.
@@ -7861,14 +16008,17 @@ server.on('connect', (req, clientSocket, head) => {
   // Tell client the tunnel is established
   clientSocket.write('HTTP/1.1 200 Connection Established\r\nProxy-agent: Cascade-Proxy-MITM\r\n\r\n')
 
-  // Create HTTPS server to decrypt client traffic
-  const httpsServer = https.createServer(httpsServerOptions, async (clientReq, clientRes) => {
+  // Handle decrypted MITM requests (HTTP/1.1 or HTTP/2 compat API)
+  const handleMitmRequest = async (clientReq, clientRes) => {
     const requestUrl = clientReq.url
-    const fullUrl = `https://${targetHost}${requestUrl}`
+    const fullUrl = `https://${targetAuthority}${requestUrl}`
     const method = clientReq.method
     const requestStart = Date.now()
     const clientIp = clientReq.socket?.remoteAddress || clientReq.connection?.remoteAddress || 'unknown'
     const parsedFullUrl = new URL(fullUrl)
+    const requestHeaders = clientReq.httpVersionMajor >= 2
+      ? normalizeHttp2Headers(clientReq.headers)
+      : clientReq.headers
 
     // MITM decrypted request (silent)
 
@@ -7946,6 +16096,26 @@ server.on('connect', (req, clientSocket, head) => {
 
       const httpHandling = decideHttpHandling(routingContext)
 
+      const faultRule = httpHandling !== 'block'
+        ? findFaultRule({ method, urls: [fullUrl, requestUrl] })
+        : null
+      if (faultRule) {
+        const faultLogEntry = interactiveModeEnabled
+          ? createBaseLogEntry({
+              requestStart,
+              method,
+              url: requestUrl,
+              fullUrl,
+              headers: sanitizeAndStripIdentifyingHeaders(requestHeaders),
+              source: 'fault',
+              clientIp,
+              httpVersion: clientReq.httpVersion
+            })
+          : null
+        injectHttpFault(clientReq, clientRes, faultRule, faultLogEntry, { url: fullUrl, headers: requestHeaders, body })
+        return
+      }
+
       if (httpHandling === 'direct') {
         const abortController = new AbortController()
         const onClose = attachAbortOnClose(clientRes, abortController)
@@ -7957,9 +16127,10 @@ server.on('connect', (req, clientSocket, head) => {
               method,
               url: requestUrl,
               fullUrl,
-              headers: sanitizeAndStripIdentifyingHeaders(clientReq.headers),
+              headers: sanitizeAndStripIdentifyingHeaders(requestHeaders),
               source: 'direct',
-              clientIp
+              clientIp,
+              httpVersion: clientReq.httpVersion
             })
           : null
 
@@ -7968,8 +16139,8 @@ server.on('connect', (req, clientSocket, head) => {
           incrementBypassedCount()
 
           const omitHeaders = OMIT_HEADERS_MITM
-          let headersToForward = createForwardHeaders(clientReq.headers, omitHeaders, {
-            host: targetHost
+          let headersToForward = createForwardHeaders(requestHeaders, omitHeaders, {
+            host: targetAuthority
           })
 
           if (MITM_BYPASS_REWRITES_ENABLED) {
@@ -7980,6 +16151,8 @@ server.on('connect', (req, clientSocket, head) => {
             const headerRewriteResult = applyEditRulesToHeaders(headersToForward, {
               requestUrl,
               fullUrl,
+              method,
+              body,
               phase: 'request'
             })
             if (headerRewriteResult.changed) {
@@ -7992,12 +16165,13 @@ server.on('connect', (req, clientSocket, head) => {
             headersToForward['content-length'] = body.length
           }
 
+          const mappedRequest = applyMapRemote(fullUrl, headersToForward, directLogEntry)
           const shouldBuffer = MITM_BYPASS_REWRITES_ENABLED === true
 
-          const { response: upstreamResponse, buffer: responseBufferRaw } = await performUpstreamRequest({
-            url: fullUrl,
+          const { response: upstreamResponse, buffer: responseBufferRaw, httpVersion } = await performUpstreamRequest({
+            url: mappedRequest.url,
             method,
-            headers: headersToForward,
+            headers: mappedRequest.headers,
             body: body.length > 0 ? body : undefined,
             abortSignal: abortController.signal,
             bufferResponse: shouldBuffer
@@ -8011,6 +16185,8 @@ server.on('connect', (req, clientSocket, head) => {
             const responseHeaderRewriteResult = applyEditRulesToHeaders(upstreamHeaders, {
               requestUrl,
               fullUrl,
+              method,
+              statusCode: upstreamResponse.statusCode,
               phase: 'response'
             })
             if (responseHeaderRewriteResult.changed) {
@@ -8021,14 +16197,15 @@ server.on('connect', (req, clientSocket, head) => {
             const connectResult = applyConnectRewritesForBypass(
               responseBufferRaw,
               upstreamHeaders,
-              { requestUrl, fullUrl }
+              { requestUrl, fullUrl, method, statusCode: upstreamResponse.statusCode }
             )
             responseBuffer = connectResult.buffer
           }
 
           if (directLogEntry) {
             directLogEntry.upstreamDurationMs = Date.now() - upstreamStart
-            directLogEntry.targetUrl = fullUrl
+            directLogEntry.upstreamHttpVersion = httpVersion
+            directLogEntry.targetUrl = mappedRequest.url
             directLogEntry.statusCode = upstreamResponse.statusCode
             directLogEntry.responseHeaders = upstreamHeaders
             if (shouldBuffer && responseBuffer) {
@@ -8045,10 +16222,18 @@ server.on('connect', (req, clientSocket, head) => {
           clientRes.writeHead(upstreamResponse.statusCode, filteredHeaders)
 
           if (MITM_BYPASS_REWRITES_ENABLED && responseBuffer && responseBuffer.length > 0) {
+            forwardResponseTrailers(clientReq, clientRes, upstreamResponse.trailers)
             clientRes.end(responseBuffer)
           } else if (upstreamResponse.body) {
-            upstreamResponse.body.pipe(clientRes)
+            trackStreamedResponseSize(directLogEntry, upstreamResponse.body)
+            // Undici fills in the trailers once the body has been consumed.
+            upstreamResponse.body.once('end', () => {
+              forwardResponseTrailers(clientReq, clientRes, upstreamResponse.trailers)
+              clientRes.end()
+            })
+            upstreamResponse.body.pipe(clientRes, { end: false })
           } else {
+            forwardResponseTrailers(clientReq, clientRes, upstreamResponse.trailers)
             clientRes.end()
           }
         } catch (error) {
@@ -8074,9 +16259,10 @@ server.on('connect', (req, clientSocket, head) => {
             method,
             url: requestUrl,
             fullUrl,
-            headers: sanitizeAndStripIdentifyingHeaders(clientReq.headers),
+            headers: sanitizeAndStripIdentifyingHeaders(requestHeaders),
             source: 'mitm',
-            clientIp
+            clientIp,
+            httpVersion: clientReq.httpVersion
           })
         : null
 
@@ -8099,7 +16285,7 @@ server.on('connect', (req, clientSocket, head) => {
         let { buffer: workingBody, connect: connectRequest } = applyConnectRewritesAndDecode(
           logEntry,
           body,
-          clientReq.headers,
+          requestHeaders,
           { role: 'request', allowBodyRewriteFallback: true, updateContentEncoding: true }
         )
 
@@ -8111,7 +16297,7 @@ server.on('connect', (req, clientSocket, head) => {
           if (hasJsonPathRules || wantsLogging) {
             const { buffer: nextBody } = applyJsonRequestRewritesForLog({
               buffer: workingBody,
-              headers: clientReq.headers,
+              headers: requestHeaders,
               requestUrl,
               fullUrl,
               logEntry
@@ -8127,20 +16313,40 @@ server.on('connect', (req, clientSocket, head) => {
       }
 
       // Check for enabled local resource
-      const localMatch = findMatchingLocalResource(requestUrl, fullUrl)
+      const localMatch = findMatchingLocalResource(requestUrl, fullUrl, {
+        method,
+        host: targetHost,
+        targetUrl: fullUrl
+      })
+
+      const mapLocalTarget = localMatch ? null : findMapLocalTarget(fullUrl)
+      if (mapLocalTarget && await serveMapLocalDirectory(mapLocalTarget, { method, headers: requestHeaders }, clientRes)) {
+        logMapLocalResponse(logEntry, mapLocalTarget, clientRes)
+        return
+      }
 
       if (localMatch) {
-        const { url: matchedUrl, resource } = localMatch
+        const { url: matchedUrl, resource, params } = localMatch
 
         if (logEntry) {
           logEntry.source = 'local'
           logEntry.localResource = matchedUrl
+          logEntry.statusCode = Number.isInteger(resource.statusCode) ? resource.statusCode : 200
           addLog(logEntry)
         }
 
         serveLocalResourceStream(clientRes, resource, {
           sourceTag: 'local',
-          errorPrefix: '[proxy] Error streaming local resource (connect)'
+          errorPrefix: '[proxy] Error streaming local resource (connect)',
+          templateContext: resource.templated
+            ? buildLocalTemplateContext({
+              method,
+              url: fullUrl,
+              headers: requestHeaders,
+              body,
+              params
+            })
+            : null
         })
       } else {
         // Forward to real server
@@ -8151,13 +16357,15 @@ server.on('connect', (req, clientSocket, head) => {
           const upstreamStart = Date.now()
 
           const omitHeaders = OMIT_HEADERS_MITM
-          let headersToForward = createForwardHeaders(clientReq.headers, omitHeaders, {
-            host: targetHost
+          let headersToForward = createForwardHeaders(requestHeaders, omitHeaders, {
+            host: targetAuthority
           })
 
           const headerRewriteResult = applyEditRulesToHeaders(headersToForward, {
             requestUrl,
             fullUrl,
+            method,
+            body,
             phase: 'request'
           })
           if (headerRewriteResult.changed) {
@@ -8172,16 +16380,53 @@ server.on('connect', (req, clientSocket, head) => {
             headersToForward['content-length'] = body.length
           }
 
-          const { response: upstreamResponse, buffer: responseBufferRaw } = await performUpstreamRequest({
+          const scriptRequest = applyScriptRules({
+            phase: 'request',
+            method,
             url: fullUrl,
+            requestUrl,
+            headers: headersToForward,
+            body: body.length > 0 ? body : undefined,
+            logEntry
+          })
+          if (scriptRequest.changed) {
+            headersToForward = scriptRequest.headers
+            if (scriptRequest.bodyChanged) {
+              body = scriptRequest.body
+              recordScriptRequestBodyOnLog(logEntry, body, headersToForward, { requestUrl, fullUrl })
+            }
+          }
+
+          const heldRequest = await holdRequestAtBreakpoint({
+            source: 'https',
+            logSource: 'mitm',
+            requestUrl,
             method,
+            url: fullUrl,
             headers: headersToForward,
             body: body.length > 0 ? body : undefined,
+            logEntry,
+            res: clientRes
+          })
+          if (heldRequest.handled) return
+          const mappedRequest = applyMapRemote(heldRequest.url, heldRequest.headers, logEntry)
+          const upstreamUrl = mappedRequest.url
+
+          const { response: upstreamResponse, buffer: responseBufferRaw, playback, httpVersion } = await performRecordedUpstreamRequest({
+            url: upstreamUrl,
+            method: heldRequest.method,
+            headers: mappedRequest.headers,
+            body: heldRequest.body,
             abortSignal: abortController.signal,
             bufferResponse: true
           })
 
           logEntry.upstreamDurationMs = Date.now() - upstreamStart
+          if (playback) {
+            logEntry.playback = true
+          } else {
+            logEntry.upstreamHttpVersion = httpVersion
+          }
 
           // Parse response body for logging (only for logging, don't modify actual response)
           let responseBody = ''
@@ -8189,6 +16434,8 @@ server.on('connect', (req, clientSocket, head) => {
           const responseHeaderRewriteResult = applyEditRulesToHeaders(upstreamHeaders, {
             requestUrl,
             fullUrl,
+            method,
+            statusCode: upstreamResponse.statusCode,
             phase: 'response'
           })
           if (responseHeaderRewriteResult.changed) {
@@ -8202,11 +16449,11 @@ server.on('connect', (req, clientSocket, head) => {
           // Binary types that should never be parsed as text
           const isBinary = isClearlyBinaryContentType(contentType)
 
-          const { buffer: responseBuffer, connect: connectResponse } = applyConnectRewritesAndDecode(
+          let { buffer: responseBuffer, connect: connectResponse } = applyConnectRewritesAndDecode(
             logEntry,
             responseBufferRaw,
             upstreamHeaders,
-            { role: 'response', allowBodyRewriteFallback: true, updateContentEncoding: true }
+            { role: 'response', allowBodyRewriteFallback: true, updateContentEncoding: true, statusCode: upstreamResponse.statusCode }
           )
 
           if (connectResponse && connectResponse.frames?.length) {
@@ -8224,6 +16471,10 @@ server.on('connect', (req, clientSocket, head) => {
               const rewriteResult = applyEditRulesToText(frameText, {
                 requestUrl,
                 fullUrl,
+                method,
+                statusCode: upstreamResponse.statusCode,
+                headers: upstreamHeaders,
+                body: frameText,
                 phase: 'response'
               })
               if (rewriteResult.changed) {
@@ -8245,6 +16496,46 @@ server.on('connect', (req, clientSocket, head) => {
             }
           }
 
+          let upstreamStatusCode = upstreamResponse.statusCode
+          const scriptResponse = applyScriptRules({
+            phase: 'response',
+            method: heldRequest.method,
+            url: upstreamUrl,
+            requestUrl,
+            statusCode: upstreamStatusCode,
+            headers: upstreamHeaders,
+            body: responseBuffer,
+            logEntry
+          })
+          if (scriptResponse.changed) {
+            upstreamHeaders = scriptResponse.headers
+            upstreamStatusCode = scriptResponse.statusCode
+            if (scriptResponse.bodyChanged) {
+              responseBuffer = scriptResponse.body
+              connectResponse = null
+            }
+          }
+
+          const heldResponse = await holdResponseAtBreakpoint({
+            source: 'https',
+            requestUrl,
+            method: heldRequest.method,
+            url: upstreamUrl,
+            statusCode: upstreamStatusCode,
+            headers: upstreamHeaders,
+            body: responseBuffer,
+            logEntry,
+            res: clientRes
+          })
+          if (heldResponse.handled) return
+          const responseStatusCode = heldResponse.statusCode
+          upstreamHeaders = heldResponse.headers
+          if (heldResponse.bodyEdited) {
+            // Decoded Connect frames no longer describe the edited body.
+            responseBuffer = heldResponse.body
+            connectResponse = null
+          }
+
           if (logEntry) {
             const view = buildHttpResponseLoggingView({
               logEntry,
@@ -8258,9 +16549,12 @@ server.on('connect', (req, clientSocket, head) => {
             responseBody = view.body
 
             logEntry.source = 'mitm'
-            logEntry.targetUrl = fullUrl
-            logEntry.statusCode = upstreamResponse.statusCode
+            logEntry.targetUrl = upstreamUrl
+            logEntry.statusCode = responseStatusCode
             logEntry.responseHeaders = upstreamHeaders
+            if (upstreamResponse.trailers && Object.keys(upstreamResponse.trailers).length > 0) {
+              logEntry.responseTrailers = upstreamResponse.trailers
+            }
             if (!connectResponse) {
               logEntry.responseBody = responseBody
             }
@@ -8274,25 +16568,55 @@ server.on('connect', (req, clientSocket, head) => {
             upstreamHeaders,
             OMIT_RESPONSE_HEADERS
           )
-          applyCacheBypassHeadersToObject(responseHeaders)
+          applyCacheBypassHeadersToObject(responseHeaders, responseHeaderRewriteResult.ruleHeaderNames)
+          if (playback) {
+            responseHeaders['X-Proxy-Source'] = 'playback'
+          }
 
-          clientRes.writeHead(upstreamResponse.statusCode, responseHeaders)
+          clientRes.writeHead(responseStatusCode, responseHeaders)
+          forwardResponseTrailers(clientReq, clientRes, upstreamResponse.trailers)
           clientRes.end(responseBuffer)
 
           // MITM forwarded request (silent)
         } catch (error) {
           if (logEntry) {
+            if (isPlaybackMiss(error)) {
+              logEntry.statusCode = error.statusCode
+            }
             recordUpstreamErrorOnLog(logEntry, error)
           }
 
-          clientRes.writeHead(502)
-          clientRes.end('Bad Gateway')
+          if (isPlaybackMiss(error)) {
+            clientRes.writeHead(error.statusCode, { 'Content-Type': 'text/plain' })
+            clientRes.end(error.message)
+          } else {
+            clientRes.writeHead(502)
+            clientRes.end('Bad Gateway')
+          }
         } finally {
           clientRes.removeListener('close', onClose)
         }
       }
     })
-  })
+  }
+
+  // Create HTTPS server to decrypt client traffic. h2 is offered via ALPN
+  // (needed by native gRPC clients, which require HTTP/2 and trailers);
+  // clients that do not negotiate it fall back to HTTP/1.1.
+  // WebSocket upgrades are degraded per frame in handleWebSocketUpgrade.
+  const handleThrottledMitmRequest = (clientReq, clientRes) => {
+    const isUpgrade = typeof clientReq.headers.upgrade === 'string' && clientReq.headers.upgrade.toLowerCase() === 'websocket'
+    if (isUpgrade) {
+      handleMitmRequest(clientReq, clientRes)
+      return
+    }
+    const fullUrl = `https://${targetAuthority}${clientReq.url}`
+    runWithNetworkConditions(clientReq, clientRes, [fullUrl, targetHost], () => handleMitmRequest(clientReq, clientRes))
+  }
+
+  const httpsServer = HTTP2_ENABLED
+    ? http2.createSecureServer({ ...httpsServerOptions, allowHTTP1: true }, handleThrottledMitmRequest)
+    : https.createServer(httpsServerOptions, handleThrottledMitmRequest)
 
   // Pipe the client socket to the HTTPS server
   httpsServer.emit('connection', clientSocket)